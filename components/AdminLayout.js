@@ -0,0 +1,39 @@
+import Head from "next/head";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { COLORS } from "../lib/theme";
+
+// Chrome for the /admin pages
+export default function AdminLayout({ title, children }) {
+  const router = useRouter();
+
+  async function logout() {
+    await fetch("/api/admin/login", { method: "DELETE" });
+    router.push("/admin/login");
+  }
+
+  return (
+    <div className="min-h-screen w-full" style={{ backgroundColor: COLORS.primaryLight }}>
+      <Head>
+        <title>{`${title} · Blossom.Launch admin`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <header className="border-b bg-white">
+        <div className="mx-auto flex w-full max-w-6xl items-center justify-between px-4 py-3 sm:px-6">
+          <Link href="/admin" className="flex items-center gap-2">
+            <div className="h-6 w-6 rounded-md" style={{ backgroundColor: COLORS.primaryGreen }} />
+            <span className="text-sm font-semibold" style={{ color: COLORS.primaryDark }}>Blossom.Launch · Admin</span>
+          </Link>
+          <nav className="flex items-center gap-6 text-sm">
+            <Link href="/admin" className="underline-offset-4 hover:underline">Briefs</Link>
+            <Link href="/admin/scheduler" className="underline-offset-4 hover:underline">Scheduler</Link>
+            <Link href="/admin/analytics" className="underline-offset-4 hover:underline">Analytics</Link>
+            <Link href="/admin/spam" className="underline-offset-4 hover:underline">Spam</Link>
+            <button type="button" onClick={logout} className="underline-offset-4 hover:underline">Log out</button>
+          </nav>
+        </div>
+      </header>
+      <main className="mx-auto w-full max-w-6xl px-4 py-8 sm:px-6">{children}</main>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_BRAND } from "../lib/brand";
+import { themeVars } from "../lib/theme";
+
+const BrandContext = createContext(DEFAULT_BRAND);
+
+/**
+ * Makes the page's brand (config/brands, picked by lib/brand.js) available
+ * via useBrand(), and sets the CSS variables behind COLORS (lib/theme.js)
+ * so every inline style below picks up its palette.
+ */
+export default function BrandProvider({ brand, children }) {
+  return (
+    <BrandContext.Provider value={brand}>
+      <div style={{ ...themeVars(brand.colors), display: "contents" }}>{children}</div>
+    </BrandContext.Provider>
+  );
+}
+
+export const useBrand = () => useContext(BrandContext);
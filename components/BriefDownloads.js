@@ -0,0 +1,21 @@
+import { Download, FileText } from "lucide-react";
+import { COLORS } from "../lib/theme";
+import { useT } from "./LocaleProvider";
+
+const documentUrl = (briefId, format) => `/api/brief/${encodeURIComponent(briefId)}/document?format=${format}`;
+
+// Launch brief downloads (PDF + Markdown) from /api/brief/:id/document
+export default function BriefDownloads({ briefId, className = "" }) {
+  const t = useT();
+  return (
+    <div className={`flex flex-wrap items-center gap-3 text-sm ${className}`}>
+      <a href={documentUrl(briefId, "pdf")} download className="inline-flex items-center gap-2 rounded-md border px-3 py-2 font-semibold" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
+        <Download className="h-4 w-4" /> {t("downloads.pdf")}
+      </a>
+      <a href={documentUrl(briefId, "md")} download className="inline-flex items-center gap-2 rounded-md border px-3 py-2 font-semibold" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
+        <FileText className="h-4 w-4" /> {t("downloads.md")}
+      </a>
+      <span className="text-xs text-slate-500">{t("downloads.note")}</span>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState } from "react";
+import { Lock } from "lucide-react";
+import { formatMoney, plansFor } from "../lib/plans";
+import { COLORS } from "../lib/theme";
+import { useT } from "./LocaleProvider";
+
+// What's due today and what renews, from chargesFor() (lib/plans.js)
+export function ChargesSummary({ charges }) {
+  const t = useT();
+  const { currency, setupFee, setupWaived, waivedAmount, recurring } = charges;
+  const money = (amount) => formatMoney(amount, currency, t.locale);
+  const plan = plansFor(t.locale).find((p) => p.id === charges.plan);
+  return (
+    <dl className="space-y-2 text-sm">
+      <div className="flex justify-between gap-4">
+        <dt className="text-slate-600">{plan ? plan.name : charges.planName}</dt>
+        <dd style={{ color: COLORS.primaryDark }}>{t("checkout.per", { price: money(recurring.amount), interval: t(`plans.intervalLong.${recurring.interval}`, {}, recurring.interval) })}</dd>
+      </div>
+      {setupFee || setupWaived ? (
+        <div className="flex justify-between gap-4">
+          <dt className="text-slate-600">{t("checkout.setupFee")}</dt>
+          <dd style={{ color: COLORS.primaryDark }}>
+            {setupWaived ? (
+              <>
+                <span className="mr-2 text-slate-400 line-through">{money(waivedAmount)}</span>
+                {t("checkout.waived")}
+              </>
+            ) : (
+              money(setupFee)
+            )}
+          </dd>
+        </div>
+      ) : null}
+      <div className="flex justify-between gap-4 border-t pt-2 font-semibold" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
+        <dt>{t("checkout.dueToday")}</dt>
+        <dd>{money(recurring.amount + setupFee)}</dd>
+      </div>
+    </dl>
+  );
+}
+
+/**
+ * Order summary plus "Pay securely", which asks /api/payments/checkout for a
+ * hosted checkout URL and leaves the site. `onSkip` (optional) lets the
+ * client carry on and pay by invoice later.
+ */
+export default function CheckoutPanel({ briefId, charges, onSkip, notice }) {
+  const t = useT();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function pay() {
+    setBusy(true);
+    setError("");
+    const res = await fetch("/api/payments/checkout", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ briefId }),
+    }).catch(() => null);
+    const json = res ? await res.json().catch(() => ({})) : {};
+    if (res && res.ok && json.url) {
+      window.location.assign(json.url);
+      return;
+    }
+    setBusy(false);
+    setError(json.error || t("checkout.error"));
+  }
+
+  return (
+    <div>
+      {notice ? (
+        <div className="mb-4 rounded-md border p-3 text-sm" style={{ background: "#FFF8E1", borderColor: "#FDE68A", color: "#92400E" }}>{notice}</div>
+      ) : null}
+      {error ? (
+        <div role="alert" className="mb-4 rounded-md border p-3 text-sm" style={{ background: "#FEF2F2", borderColor: "#FECACA", color: "#991B1B" }}>{error}</div>
+      ) : null}
+      <div className="rounded-md border p-4" style={{ borderColor: "#e5e7eb" }}>
+        <ChargesSummary charges={charges} />
+      </div>
+      <div className="mt-6 flex flex-wrap items-center justify-between gap-3">
+        {onSkip ? (
+          <button type="button" onClick={onSkip} className="text-sm underline underline-offset-4" style={{ color: COLORS.primaryDark }}>
+            {t("checkout.skip")}
+          </button>
+        ) : (
+          <span />
+        )}
+        <button type="button" onClick={pay} disabled={busy} className="inline-flex items-center gap-2 rounded-md px-5 py-3 font-semibold text-white shadow-md transition hover:shadow-lg disabled:opacity-60" style={{ backgroundColor: COLORS.primaryGreen }}>
+          <Lock className="h-4 w-4" /> {busy ? t("checkout.opening") : t("checkout.pay")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import { useEffect, useMemo, useState } from "react";
+import { Calendar, CheckCircle2 } from "lucide-react";
+import siteConfig from "../config/site";
+import { intlLocale, localePath } from "../lib/i18n";
+import { hubspotEmbedUrl } from "../lib/scheduler/embed";
+import { COLORS, tint } from "../lib/theme";
+import { useBrand } from "./BrandProvider";
+import { useT } from "./LocaleProvider";
+
+// ---------- Formatting ----------
+export const visitorTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+export const formatSlot = (iso, timeZone, opts, locale) => new Intl.DateTimeFormat(intlLocale(locale), { timeZone, ...opts }).format(new Date(iso));
+
+// Grouping only; never shown, so the locale doesn't matter
+const dayKey = (iso, timeZone) => formatSlot(iso, timeZone, { year: "numeric", month: "2-digit", day: "2-digit" });
+
+function timeZoneOptions(...extra) {
+  const all = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  return [...new Set([...extra, "UTC", ...all])].sort();
+}
+
+// ---------- Slot picker ----------
+// Slots arrive as UTC instants; the visitor picks a zone and sees them grouped
+// by *their* calendar day.
+export function SlotPicker({ slots, slotMinutes, hostTimeZone, busy, cta, onPick }) {
+  const t = useT();
+  const [timeZone, setTimeZone] = useState(visitorTimeZone);
+  const [day, setDay] = useState(null);
+  const [picked, setPicked] = useState(null);
+
+  const days = useMemo(() => {
+    const out = new Map();
+    for (const iso of slots) {
+      const k = dayKey(iso, timeZone);
+      if (!out.has(k)) out.set(k, []);
+      out.get(k).push(iso);
+    }
+    return [...out.entries()];
+  }, [slots, timeZone]);
+
+  const activeDay = days.find(([k]) => k === day) || days[0];
+
+  if (!slots.length) {
+    return (
+      <div className="rounded-md border bg-slate-50 p-4 text-sm text-slate-600" style={{ borderColor: "#e5e7eb" }}>
+        {t("scheduler.noSlots")}
+      </div>
+    );
+  }
+
+  const format = (iso, opts) => formatSlot(iso, timeZone, opts, t.locale);
+  return (
+    <div>
+      <label className="mb-4 flex flex-wrap items-center gap-2 text-sm text-slate-700">
+        <span>{t("scheduler.timesIn")}</span>
+        <select
+          value={timeZone}
+          onChange={(e) => {
+            setTimeZone(e.target.value);
+            setDay(null);
+          }}
+          className="rounded-md border px-2 py-1 text-sm"
+          style={{ borderColor: "#e5e7eb" }}
+        >
+          {timeZoneOptions(visitorTimeZone(), hostTimeZone).map((tz) => (
+            <option key={tz} value={tz}>{tz.replace(/_/g, " ")}</option>
+          ))}
+        </select>
+        <span className="text-xs text-slate-500">{t("scheduler.minutes", { minutes: slotMinutes })}</span>
+      </label>
+
+      <div className="mb-4 flex gap-2 overflow-x-auto pb-1" role="tablist" aria-label={t("scheduler.day")}>
+        {days.map(([k, daySlots]) => {
+          const selected = activeDay && k === activeDay[0];
+          return (
+            <button
+              key={k}
+              type="button"
+              role="tab"
+              aria-selected={selected}
+              onClick={() => setDay(k)}
+              className="shrink-0 rounded-md border px-3 py-2 text-center text-xs"
+              style={{ borderColor: selected ? COLORS.primaryGreen : "#e5e7eb", background: selected ? tint(COLORS.primaryGreen, 0.08) : "white" }}
+            >
+              <div className="font-semibold" style={{ color: COLORS.primaryDark }}>{format(daySlots[0], { weekday: "short" })}</div>
+              <div className="text-slate-600">{format(daySlots[0], { month: "short", day: "numeric" })}</div>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 sm:grid-cols-5">
+        {(activeDay ? activeDay[1] : []).map((iso) => (
+          <button
+            key={iso}
+            type="button"
+            aria-pressed={picked === iso}
+            onClick={() => setPicked(iso)}
+            className="rounded-md border px-2 py-2 text-sm font-medium"
+            style={{ borderColor: picked === iso ? COLORS.primaryGreen : "#e5e7eb", color: COLORS.primaryDark, background: picked === iso ? tint(COLORS.primaryGreen, 0.08) : "white" }}
+          >
+            {format(iso, { hour: "numeric", minute: "2-digit" })}
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-5 flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          disabled={!picked || busy}
+          onClick={() => onPick(picked, timeZone)}
+          className="inline-flex items-center gap-2 rounded-md px-5 py-3 font-semibold text-white shadow-md transition hover:shadow-lg disabled:opacity-60"
+          style={{ backgroundColor: COLORS.primaryGreen }}
+        >
+          <Calendar className="h-4 w-4" /> {busy ? t("scheduler.booking") : cta || t("scheduler.book")}
+        </button>
+        {picked ? (
+          <span className="text-sm text-slate-700">
+            {format(picked, { weekday: "long", month: "long", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short" })}
+          </span>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+// ---------- Booked ----------
+export function BookingSummary({ booking, manage = true }) {
+  const t = useT();
+  const timeZone = booking.timezone || visitorTimeZone();
+  return (
+    <div className="rounded-md border p-4 text-sm" style={{ borderColor: tint(COLORS.primaryGreen, 0.33), background: tint(COLORS.primaryGreen, 0.05) }}>
+      <div className="mb-1 flex items-center gap-2 font-semibold" style={{ color: COLORS.primaryDark }}>
+        <CheckCircle2 className="h-4 w-4" style={{ color: COLORS.primaryGreen }} />
+        {booking.status === "cancelled" ? t("scheduler.cancelled") : t("scheduler.booked")}
+      </div>
+      <div className="text-slate-700">
+        {formatSlot(booking.start, timeZone, { weekday: "long", month: "long", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short" }, t.locale)}
+      </div>
+      {booking.status !== "cancelled" ? (
+        <div className="mt-3 flex flex-wrap gap-4">
+          <a href={booking.icsUrl} className="font-semibold underline underline-offset-4" style={{ color: COLORS.primaryDark }}>{t("scheduler.ics")}</a>
+          {manage ? (
+            <a href={localePath(t.locale, booking.manageUrl)} className="font-semibold underline underline-offset-4" style={{ color: COLORS.primaryDark }}>{t("scheduler.manage")}</a>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// ---------- HubSpot ----------
+function HubSpotEmbed({ url }) {
+  const t = useT();
+  const [ready, setReady] = useState(false);
+  return (
+    <div>
+      {!ready ? (
+        <div className="mb-3 rounded-md border bg-slate-50 p-4 text-sm text-slate-600" style={{ borderColor: "#e5e7eb" }}>
+          {t("scheduler.preparing")}
+        </div>
+      ) : null}
+      <iframe src={url} title="HubSpot Scheduler" className="h-[900px] w-full rounded-md border" style={{ borderColor: "#e5e7eb" }} onLoad={() => setReady(true)} allow="geolocation *; microphone *; camera *;" />
+    </div>
+  );
+}
+
+/**
+ * Confirmation-step scheduler. Asks /api/scheduler which provider is active
+ * for this brief; without a stored brief (preview mode) or a reachable API it
+ * falls back to the brand's HubSpot embed, prefilled with the visitor's
+ * contact info.
+ */
+export default function KickoffScheduler({ briefId, contact }) {
+  const t = useT();
+  const brand = useBrand();
+  const [config, setConfig] = useState(null);
+  const [booking, setBooking] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fallback = { provider: "hubspot", embedUrl: hubspotEmbedUrl(brand.scheduler.hubspotMeetingUrl || siteConfig.hubspotMeetingUrl, contact) };
+    if (!briefId) return setConfig(fallback);
+    let cancelled = false;
+    fetch(`/api/scheduler?briefId=${encodeURIComponent(briefId)}`)
+      .then((res) => (res.ok ? res.json() : fallback))
+      .catch(() => fallback)
+      .then((json) => {
+        if (cancelled) return;
+        setConfig(json);
+        setBooking(json.booking || null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [briefId]); // contact only seeds the fallback URL
+
+  async function book(start, timezone) {
+    setBusy(true);
+    setError("");
+    const res = await fetch("/api/scheduler/bookings", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ briefId, start, timezone }),
+    }).catch(() => null);
+    const json = res ? await res.json().catch(() => ({})) : {};
+    setBusy(false);
+    if (res && res.ok) return setBooking(json.booking);
+    setError(json.error || t("scheduler.error"));
+    // The slot list is probably stale; fetch a fresh one
+    if (res && res.status === 409) {
+      const fresh = await fetch(`/api/scheduler?briefId=${encodeURIComponent(briefId)}`).then((r) => r.json()).catch(() => null);
+      if (fresh && fresh.ok) setConfig(fresh);
+    }
+  }
+
+  if (!config) {
+    return (
+      <div className="rounded-md border bg-slate-50 p-4 text-sm text-slate-600" style={{ borderColor: "#e5e7eb" }}>
+        {t("scheduler.preparing")}
+      </div>
+    );
+  }
+  if (config.provider === "hubspot") return <HubSpotEmbed url={config.embedUrl} />;
+  if (booking) return <BookingSummary booking={booking} />;
+  return (
+    <div>
+      {error ? (
+        <div role="alert" className="mb-4 rounded-md border p-3 text-sm" style={{ background: "#FEF2F2", borderColor: "#FECACA", color: "#991B1B" }}>{error}</div>
+      ) : null}
+      <SlotPicker slots={config.slots} slotMinutes={config.slotMinutes} hostTimeZone={config.timezone} busy={busy} onPick={book} />
+    </div>
+  );
+}
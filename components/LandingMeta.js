@@ -0,0 +1,46 @@
+import Head from "next/head";
+import { jsonLd, landingMeta, landingStructuredData } from "../lib/seo";
+import { useBrand } from "./BrandProvider";
+import { useT } from "./LocaleProvider";
+
+// Title, description, canonical/hreflang links, social cards and JSON-LD for
+// the landing page in the current brand and locale (lib/seo.js)
+export default function LandingMeta() {
+  const t = useT();
+  const brand = useBrand();
+  const meta = landingMeta(brand, t.locale);
+  return (
+    <Head>
+      <title>{meta.title}</title>
+      <meta name="description" content={meta.description} />
+      <meta name="theme-color" content={meta.themeColor} />
+      <link rel="canonical" href={meta.url} />
+      {meta.alternates.map((a) => (
+        <link key={a.hrefLang} rel="alternate" hrefLang={a.hrefLang} href={a.href} />
+      ))}
+      {brand.logo ? <link rel="icon" href={brand.logo.src} /> : null}
+
+      <meta property="og:type" content="website" />
+      <meta property="og:site_name" content={meta.siteName} />
+      <meta property="og:title" content={meta.title} />
+      <meta property="og:description" content={meta.description} />
+      <meta property="og:url" content={meta.url} />
+      <meta property="og:locale" content={meta.ogLocale} />
+      {meta.ogAlternateLocales.map((l) => (
+        <meta key={l} property="og:locale:alternate" content={l} />
+      ))}
+      <meta property="og:image" content={meta.image.url} />
+      <meta property="og:image:width" content={String(meta.image.width)} />
+      <meta property="og:image:height" content={String(meta.image.height)} />
+      <meta property="og:image:alt" content={meta.image.alt} />
+
+      <meta name="twitter:card" content="summary_large_image" />
+      <meta name="twitter:title" content={meta.title} />
+      <meta name="twitter:description" content={meta.description} />
+      <meta name="twitter:image" content={meta.image.url} />
+      <meta name="twitter:image:alt" content={meta.image.alt} />
+
+      <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: jsonLd(landingStructuredData(brand, t.locale)) }} />
+    </Head>
+  );
+}
@@ -0,0 +1,201 @@
+import { memo } from "react";
+import { ArrowRight, Calendar, FileText, Rocket } from "lucide-react";
+import { plansFor } from "../lib/plans";
+import { COLORS, tint } from "../lib/theme";
+import { useBrand } from "./BrandProvider";
+import LanguageSwitcher from "./LanguageSwitcher";
+import { Rich, useT } from "./LocaleProvider";
+
+/**
+ * The landing page around the wizard (pages/index.js). Each section only
+ * needs the brand, the locale and the live pilot spots (`pilot`, from
+ * /api/pilot), so the page is pre-rendered in full and typing in the wizard
+ * never re-renders them.
+ */
+
+export const Section = ({ id, className = "", children }) => (
+  <section id={id} className={`mx-auto w-full max-w-6xl px-4 sm:px-6 ${className}`}>{children}</section>
+);
+
+export const spotsLeftText = ({ remaining, limit }, t) =>
+  remaining === null ? t("spots.firstOnly", { limit }) : remaining === 0 ? t("spots.full") : t("spots.left", { remaining, limit });
+
+const HOW_ICONS = [<FileText key="brief" className="h-6 w-6" />, <Calendar key="kickoff" className="h-6 w-6" />, <Rocket key="launch" className="h-6 w-6" />];
+
+// The pilot plan in the brand's copy, or null for brands that don't run it
+function usePilotPlan() {
+  const t = useT();
+  const brand = useBrand();
+  return plansFor(t.locale, brand).find((p) => p.id === "pilot") || null;
+}
+
+export const LandingHeader = memo(function LandingHeader() {
+  const t = useT();
+  const brand = useBrand();
+  return (
+    <header className="border-b bg-white/80 backdrop-blur">
+      <Section className="flex items-center justify-between py-3">
+        <div className="flex items-center gap-2">
+          {brand.logo ? (
+            <img src={brand.logo.src} alt="" className="h-6 w-6 rounded-md object-contain" />
+          ) : (
+            <div className="h-6 w-6 rounded-md" style={{ backgroundColor: COLORS.primaryGreen }} />
+          )}
+          <span className="text-sm font-semibold" style={{ color: COLORS.primaryDark }}>{brand.name}</span>
+        </div>
+        <nav className="hidden gap-6 sm:flex text-sm">
+          <a href="#why" className="underline-offset-4 hover:underline">{t("nav.why")}</a>
+          <a href="#how" className="underline-offset-4 hover:underline">{t("nav.how")}</a>
+          <a href="#plans" className="underline-offset-4 hover:underline">{t("nav.plans")}</a>
+          <a href="#wizard" data-cta="nav" className="underline-offset-4 hover:underline">{t("nav.start")}</a>
+        </nav>
+        <div className="flex items-center gap-3">
+          <LanguageSwitcher />
+          <a href="#wizard" data-cta="header" className="rounded-md px-4 py-2 font-semibold text-white shadow-sm" style={{ backgroundColor: COLORS.primaryGreen }}>{t("nav.start")}</a>
+        </div>
+      </Section>
+    </header>
+  );
+});
+
+export const Hero = memo(function Hero({ pilot }) {
+  const t = useT();
+  const pilotPlan = usePilotPlan();
+  const pilotFull = pilot.remaining === 0;
+  return (
+    <div className="relative overflow-hidden border-b" style={{ backgroundColor: COLORS.primaryDark }}>
+      <Section className="grid items-center gap-10 py-16 sm:grid-cols-2 sm:py-20 text-white">
+        <div>
+          <span className="inline-flex items-center rounded-full px-3 py-1 text-xs font-medium" style={{ backgroundColor: tint(COLORS.primaryGreen, 0.1), color: "#fff" }}>{t("hero.badge")}</span>
+          <h1 className="mt-4 text-4xl font-bold leading-tight sm:text-5xl">{t("hero.title")}</h1>
+          <p className="mt-4 max-w-xl text-base sm:text-lg text-slate-200">{t("hero.text")}</p>
+          <div className="mt-8 flex flex-wrap items-center gap-3">
+            <a href="#wizard" data-cta="hero" className="inline-flex items-center gap-2 rounded-md px-5 py-3 font-semibold text-white shadow-md transition hover:shadow-lg" style={{ backgroundColor: COLORS.primaryGreen }}>
+              {t("hero.cta")} <ArrowRight className="h-4 w-4" />
+            </a>
+            <a href="#how" data-cta="hero-how" className="inline-flex items-center gap-2 rounded-md border px-5 py-3 font-semibold transition hover:bg-white/5" style={{ borderColor: "#334155", color: "#fff" }}>
+              {t("hero.how")}
+            </a>
+          </div>
+          {pilotPlan ? (
+            <div className="mt-6 text-sm text-slate-300">
+              <Rich t={t} id="hero.pilot" vars={{ limit: pilot.limit, price: <strong>{pilotPlan.price}</strong> }} />{" "}
+              {pilot.remaining !== null ? (
+                <strong className="text-white">{pilotFull ? t("hero.pilotFull") : t("hero.spotsLeft", { remaining: pilot.remaining, limit: pilot.limit })}</strong>
+              ) : null}
+            </div>
+          ) : null}
+        </div>
+        <div className="rounded-xl border p-6 shadow-sm" style={{ background: "rgba(255,255,255,0.04)", borderColor: "#334155" }}>
+          <div className="mb-2 text-sm font-semibold">{t("hero.getTitle")}</div>
+          <ul className="list-disc space-y-2 pl-5 text-sm text-slate-200">
+            {t.raw("hero.get").map((item, i) => (
+              <li key={String(i)}>{item}</li>
+            ))}
+          </ul>
+        </div>
+      </Section>
+    </div>
+  );
+});
+
+export const WhyUs = memo(function WhyUs() {
+  const t = useT();
+  return (
+    <Section id="why" className="py-14">
+      <h2 className="mb-6 text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>{t("why.title")}</h2>
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+        {t.raw("why.items").map((f, i) => (
+          <div key={String(i)} className="rounded-xl border bg-white p-6 shadow-sm">
+            <div className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{f.title}</div>
+            <p className="mt-2 text-sm text-slate-700">{f.text}</p>
+          </div>
+        ))}
+      </div>
+    </Section>
+  );
+});
+
+export const HowItWorks = memo(function HowItWorks() {
+  const t = useT();
+  return (
+    <Section id="how" className="py-14">
+      <h2 className="mb-6 text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>{t("how.title")}</h2>
+      <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
+        {t.raw("how.items").map((item, i) => (
+          <div key={String(i)} className="rounded-xl border bg-white p-6 shadow-sm">
+            <div className="mb-3 inline-flex rounded-lg p-2" style={{ backgroundColor: tint(COLORS.primaryGreen, 0.1), color: COLORS.primaryGreen }}>
+              {HOW_ICONS[i]}
+            </div>
+            <div className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{item.title}</div>
+            <p className="mt-1 text-sm text-slate-700">{item.text}</p>
+          </div>
+        ))}
+      </div>
+    </Section>
+  );
+});
+
+export const Plans = memo(function Plans({ pilot }) {
+  const t = useT();
+  const brand = useBrand();
+  const localPlans = plansFor(t.locale, brand);
+  const pilotPlan = localPlans.find((p) => p.id === "pilot");
+  const pilotFull = pilot.remaining === 0;
+  return (
+    <Section id="plans" className="py-14">
+      <h2 className="mb-6 text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>{t("pricing.title")}</h2>
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+        {localPlans.map((p) => (
+          <div key={p.id} className="rounded-xl border bg-white p-6 shadow-sm">
+            <div className="flex items-center justify-between">
+              <div>
+                <div className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{p.name}</div>
+                <div className="text-sm text-slate-600">{p.sub}</div>
+              </div>
+              <div className="text-lg font-bold" style={{ color: COLORS.primaryGreen }}>{p.price}</div>
+            </div>
+            {p.id === "pilot" ? <div className="mt-2 text-xs font-semibold" style={{ color: COLORS.primaryDark }}>{spotsLeftText(pilot, t)}</div> : null}
+            <ul className="mt-3 list-disc space-y-1 pl-5 text-sm text-slate-700">
+              {p.details.map((d, i) => (<li key={String(i)}>{d}</li>))}
+            </ul>
+          </div>
+        ))}
+      </div>
+      {pilotPlan ? (
+        <div className="mt-6">
+          <a href="#wizard" data-cta="pilot" className="rounded-md px-5 py-3 font-semibold text-white shadow-md" style={{ backgroundColor: COLORS.primaryGreen }}>{pilotFull ? t("pricing.join") : t("pricing.claim")}</a>
+          <div className="mt-2 text-xs text-slate-600">
+            {pilot.remaining === null || pilotFull
+              ? t("pricing.only", { limit: pilot.limit, price: pilotPlan.price })
+              : t("pricing.left", { remaining: pilot.remaining, limit: pilot.limit, price: pilotPlan.price })}
+          </div>
+        </div>
+      ) : (
+        <div className="mt-6">
+          <a href="#wizard" data-cta="plans" className="rounded-md px-5 py-3 font-semibold text-white shadow-md" style={{ backgroundColor: COLORS.primaryGreen }}>{t("nav.start")}</a>
+        </div>
+      )}
+    </Section>
+  );
+});
+
+// `year` comes from the page props so the server and browser agree on it
+export const LandingFooter = memo(function LandingFooter({ year }) {
+  const t = useT();
+  const brand = useBrand();
+  return (
+    <footer className="border-t py-8">
+      <Section>
+        <div className="flex flex-col items-start justify-between gap-3 sm:flex-row sm:items-center">
+          <p className="text-sm text-neutral-600">© {String(year)} {brand.name}</p>
+          <div className="flex items-center gap-3 text-sm">
+            <a href="#why" className="underline-offset-4 hover:underline">{t("nav.why")}</a>
+            <a href="#how" className="underline-offset-4 hover:underline">{t("nav.how")}</a>
+            <a href="#wizard" data-cta="footer" className="underline-offset-4 hover:underline">{t("nav.start")}</a>
+          </div>
+        </div>
+      </Section>
+    </footer>
+  );
+});
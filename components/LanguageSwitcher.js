@@ -0,0 +1,40 @@
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { LOCALE_NAMES, LOCALES } from "../lib/i18n";
+import { COLORS, tint } from "../lib/theme";
+import { useT } from "./LocaleProvider";
+
+// Next's locale detection honours this cookie over Accept-Language
+const rememberLocale = (locale) => {
+  document.cookie = `NEXT_LOCALE=${locale}; path=/; max-age=${365 * 24 * 3600}; samesite=lax`;
+};
+
+/**
+ * Header language links. Switching keeps the current page (and the wizard's
+ * answers) and just re-renders it in the other language.
+ */
+export default function LanguageSwitcher({ className = "" }) {
+  const t = useT();
+  const router = useRouter();
+  return (
+    <nav aria-label={t("language.label")} className={`flex items-center gap-1 text-xs ${className}`}>
+      {LOCALES.map((l) => (
+        <Link
+          key={l}
+          href={router.asPath}
+          locale={l}
+          scroll={false}
+          hrefLang={l}
+          lang={l}
+          title={LOCALE_NAMES[l]}
+          aria-current={l === t.locale ? "true" : undefined}
+          onClick={() => rememberLocale(l)}
+          className="rounded px-1.5 py-0.5 font-semibold uppercase"
+          style={l === t.locale ? { backgroundColor: tint(COLORS.primaryGreen, 0.1), color: COLORS.primaryDark } : { color: "#64748b" }}
+        >
+          {l}
+        </Link>
+      ))}
+    </nav>
+  );
+}
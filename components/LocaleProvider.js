@@ -0,0 +1,25 @@
+import { createContext, Fragment, useContext, useMemo } from "react";
+import { createTranslator, DEFAULT_LOCALE, message } from "../lib/i18n";
+
+const LocaleContext = createContext(createTranslator(DEFAULT_LOCALE));
+
+/**
+ * Makes `locale` (Next's router.locale, see pages/_app.js) available to the
+ * public pages and their components via useT(), with `brand`'s copy.
+ */
+export default function LocaleProvider({ locale, brand, children }) {
+  const t = useMemo(() => createTranslator(locale, brand), [locale, brand]);
+  return <LocaleContext.Provider value={t}>{children}</LocaleContext.Provider>;
+}
+
+/** t(key, vars?, fallback?) for the current locale; `t.locale` is its code, `t.brand` the brand. */
+export const useT = () => useContext(LocaleContext);
+
+/**
+ * Like t(), but placeholders may be React nodes:
+ *   <Rich t={t} id="wizard.intro" vars={{ emphasis: <strong>…</strong> }} />
+ */
+export function Rich({ t, id, vars = {} }) {
+  const parts = String(message(t.locale, id, { brand: t.brand })).split(/\{(\w+)\}/);
+  return parts.map((part, i) => <Fragment key={String(i)}>{i % 2 ? vars[part] ?? `{${part}}` : part}</Fragment>);
+}
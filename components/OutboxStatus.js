@@ -0,0 +1,82 @@
+import { useEffect, useState } from "react";
+import { CloudOff, Loader2, RotateCw } from "lucide-react";
+import { COLORS } from "../lib/theme";
+import { useT } from "./LocaleProvider";
+
+const WARN = { background: "#FFF8E1", borderColor: "#FDE68A", color: "#92400E" };
+const ERROR = { background: "#FEF2F2", borderColor: "#FECACA", color: "#991B1B" };
+const OK = { background: "#F0FDF4", borderColor: "#BBF7D0", color: "#166534" };
+
+const isOnline = () => typeof navigator === "undefined" || navigator.onLine !== false;
+
+// Seconds until `at`, re-rendered every second while there's something to count
+function useSecondsUntil(at) {
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    if (!at) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [at]);
+  return at ? Math.max(Math.ceil((at - now) / 1000), 0) : 0;
+}
+
+/**
+ * Where a brief in the offline outbox (lib/outbox.js) stands: waiting,
+ * sending, sent or refused. `persistent` is false when the browser can't
+ * store it (then closing the tab loses it, and we say so).
+ */
+export default function OutboxStatus({ entry, persistent = true, onRetry, onDismiss, onEdit, className = "" }) {
+  const t = useT();
+  const seconds = useSecondsUntil(entry.status === "pending" ? entry.nextAttemptAt : null);
+  const button = "inline-flex items-center gap-1 rounded-md border bg-white px-2.5 py-1 text-xs font-semibold";
+
+  if (entry.status === "sent") {
+    return (
+      <div role="status" className={`rounded-md border p-3 text-sm ${className}`} style={OK}>
+        {entry.result && entry.result.id ? t("outbox.sentRef", { id: entry.result.id }) : t("outbox.sent")}
+        {onDismiss ? (
+          <button type="button" onClick={onDismiss} className={`${button} ml-3`} style={{ borderColor: OK.borderColor }}>
+            {t("outbox.dismiss")}
+          </button>
+        ) : null}
+      </div>
+    );
+  }
+
+  if (entry.status === "failed") {
+    return (
+      <div role="alert" className={`rounded-md border p-3 text-sm ${className}`} style={ERROR}>
+        <p>{t("outbox.failed", { error: entry.lastError })}</p>
+        <div className="mt-2 flex flex-wrap gap-2">
+          {onEdit ? (
+            <button type="button" onClick={onEdit} className={button} style={{ borderColor: ERROR.borderColor, color: COLORS.primaryDark }}>
+              {t("outbox.edit")}
+            </button>
+          ) : null}
+          {onDismiss ? (
+            <button type="button" onClick={onDismiss} className={button} style={{ borderColor: ERROR.borderColor }}>
+              {t("outbox.dismiss")}
+            </button>
+          ) : null}
+        </div>
+      </div>
+    );
+  }
+
+  const sending = entry.status === "sending";
+  return (
+    <div role="status" className={`rounded-md border p-3 text-sm ${className}`} style={WARN}>
+      <p className="flex items-center gap-2 font-semibold">
+        {sending ? <Loader2 className="h-4 w-4 animate-spin" /> : <CloudOff className="h-4 w-4" />}
+        {sending ? t("outbox.sending") : !isOnline() ? t("outbox.offline") : t("outbox.waiting", { count: seconds })}
+      </p>
+      {entry.attempts ? <p className="mt-1 text-xs">{t("outbox.attempts", { count: entry.attempts, error: entry.lastError })}</p> : null}
+      {!persistent ? <p className="mt-1 text-xs">{t("outbox.keepOpen")}</p> : null}
+      {onRetry && !sending ? (
+        <button type="button" onClick={onRetry} className={`${button} mt-2`} style={{ borderColor: WARN.borderColor, color: COLORS.primaryDark }}>
+          <RotateCw className="h-3.5 w-3.5" /> {t("outbox.retry")}
+        </button>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { AlertTriangle, CheckCircle2 } from "lucide-react";
+import { formatDay } from "../lib/sprint";
+import { COLORS, tint } from "../lib/theme";
+import { useT } from "./LocaleProvider";
+
+// ---------- Timeline ----------
+// One bar segment per sprint day, then the phases with their dates
+export function SprintTimeline({ plan }) {
+  const t = useT();
+  const day = (d) => formatDay(d, undefined, t.locale);
+  const range = (p) => (p.start === p.end ? day(p.start) : `${day(p.start)} – ${day(p.end)}`);
+  return (
+    <div>
+      <div className="mb-1 flex justify-between text-xs text-slate-500">
+        <span>{t("sprint.start", { date: day(plan.start) })}</span>
+        <span>{t("sprint.launch", { date: day(plan.launch), days: plan.totalDays })}</span>
+      </div>
+      <div className="mb-4 flex gap-px overflow-hidden rounded" aria-hidden="true">
+        {plan.days.map((d) => (
+          <div key={d.day} title={t("sprint.day", { day: d.day, date: day(d.date), title: d.title })} className="h-3 flex-1" style={{ background: d.color }} />
+        ))}
+      </div>
+      <ol className="space-y-2 text-sm">
+        {plan.phases.map((p) => (
+          <li key={p.id} className="grid grid-cols-3 gap-2">
+            <span className="flex items-center gap-2 font-medium" style={{ color: COLORS.primaryDark }}>
+              <span className="inline-block h-2.5 w-2.5 shrink-0 rounded-sm" style={{ background: p.color }} />
+              {p.title}
+            </span>
+            <span className="col-span-2 text-slate-700">
+              {range(p)}
+              <span className="text-slate-500"> · {p.feedback && !p.days ? t("sprint.sameDay") : t("sprint.days", { count: p.days })}</span>
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// ---------- Feasibility ----------
+/**
+ * What checkFeasibility() (lib/sprint.js) found. `onApply(changes)` (optional)
+ * turns each suggested alternative into a one-click fix.
+ */
+export function FeasibilityNotice({ result, onApply }) {
+  const t = useT();
+  const { plan, status, issues, alternatives } = result;
+  if (status === "ok") {
+    const day = (d) => formatDay(d, undefined, t.locale);
+    return (
+      <div className="flex items-start gap-2 rounded-md border p-3 text-sm" style={{ borderColor: tint(COLORS.primaryGreen, 0.33), background: tint(COLORS.primaryGreen, 0.05), color: COLORS.primaryDark }}>
+        <CheckCircle2 className="mt-0.5 h-4 w-4 shrink-0" style={{ color: COLORS.primaryGreen }} />
+        <span>{plan.targetDate ? t("sprint.onTrackTarget", { date: day(plan.launch), target: day(plan.targetDate) }) : t("sprint.onTrack", { date: day(plan.launch) })}</span>
+      </div>
+    );
+  }
+  const tone = status === "infeasible" ? { background: "#FEF2F2", borderColor: "#FECACA", color: "#991B1B" } : { background: "#FFF8E1", borderColor: "#FDE68A", color: "#92400E" };
+  return (
+    <div role="status" className="rounded-md border p-3 text-sm" style={tone}>
+      <div className="mb-1 flex items-center gap-2 font-semibold">
+        <AlertTriangle className="h-4 w-4" /> {status === "infeasible" ? t("sprint.infeasible") : t("sprint.atRisk")}
+      </div>
+      <ul className="space-y-1">
+        {issues.map((i) => (
+          <li key={i.field}>{i.message}</li>
+        ))}
+      </ul>
+      {alternatives.length ? (
+        <div className="mt-3 flex flex-wrap gap-2">
+          {alternatives.map((a) =>
+            onApply ? (
+              <button key={a.label} type="button" onClick={() => onApply(a.changes)} className="rounded-md border bg-white px-3 py-1.5 text-xs font-semibold" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
+                {a.label}
+              </button>
+            ) : (
+              <span key={a.label} className="rounded-md border bg-white px-3 py-1.5 text-xs" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
+                {a.label}
+              </span>
+            )
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Both together: the wizard's Timeline/Review panel and the admin "Sprint plan"
+export default function SprintPlan({ result, onApply, note }) {
+  return (
+    <div className="space-y-4">
+      <FeasibilityNotice result={result} onApply={onApply} />
+      <SprintTimeline plan={result.plan} />
+      {note ? <p className="text-xs text-slate-500">{note}</p> : null}
+    </div>
+  );
+}
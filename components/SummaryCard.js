@@ -0,0 +1,58 @@
+import { FileText, X } from "lucide-react";
+import { COLORS } from "../lib/theme";
+import { formatBytes, isImage } from "../lib/uploads";
+import { useT } from "./LocaleProvider";
+
+// Review-step style card; shared by the wizard and the admin brief view.
+// Array values are lists of uploaded files and render as thumbnails.
+export function SummaryCard({ title, items }) {
+  return (
+    <div className="rounded-xl border p-4 shadow-sm" style={{ borderColor: "#e5e7eb", background: "white" }}>
+      <div className="mb-2 text-sm font-semibold" style={{ color: COLORS.primaryDark }}>{title}</div>
+      <dl className="space-y-1 text-sm text-slate-700">
+        {Object.entries(items).map(([k, v]) => (
+          <div key={String(k)} className="grid grid-cols-3 gap-2">
+            <dt className="col-span-1 text-slate-500">{String(k)}</dt>
+            <dd className="col-span-2">
+              {Array.isArray(v) ? (
+                <div className="space-y-2">
+                  {v.map((file) => (
+                    <FileThumb key={file.id} file={file} />
+                  ))}
+                </div>
+              ) : (
+                String(v)
+              )}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
+
+export function FileThumb({ file, onRemove }) {
+  const t = useT();
+  return (
+    <div className="flex items-center gap-3 rounded-md border bg-white p-2 text-sm" style={{ borderColor: "#e5e7eb" }}>
+      {isImage(file) ? (
+        <img src={file.url} alt="" className="h-10 w-10 rounded object-cover" />
+      ) : (
+        <div className="flex h-10 w-10 items-center justify-center rounded bg-slate-100 text-slate-500">
+          <FileText className="h-5 w-5" />
+        </div>
+      )}
+      <div className="min-w-0 flex-1">
+        <a href={file.url} target="_blank" rel="noreferrer" className="block truncate font-medium underline-offset-4 hover:underline" style={{ color: COLORS.primaryDark }}>
+          {file.name}
+        </a>
+        <div className="text-xs text-slate-500">{formatBytes(file.size)}</div>
+      </div>
+      {onRemove ? (
+        <button type="button" onClick={onRemove} className="rounded p-1 text-slate-500 hover:bg-slate-100" aria-label={t("uploads.remove", { name: file.name })}>
+          <X className="h-4 w-4" />
+        </button>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+/**
+ * Blossom.Launch itself: the default brand (see config/brands/index.js).
+ * Scheduler and submission settings are left to the env (.env.example).
+ */
+const blossom = {
+  id: "blossom",
+  name: "Blossom.Launch",
+  hosts: ["blossom.launch", "www.blossom.launch"],
+  logo: { src: "/Blossom_Logo_1.png", alt: "Blossom.Launch" },
+  colors: { primaryGreen: "#00C853", primaryDark: "#0B0E14", primaryLight: "#F9FAFB" },
+  copy: {},
+  // Amounts in minor units (cents); `waiveSetupFee` drops the setup fee for briefs holding a pilot spot
+  plans: {
+    pilot: { currency: "usd", setupFee: 200000, waiveSetupFee: true, recurring: { amount: 10000, interval: "month" } },
+    standard: { currency: "usd", setupFee: 200000, recurring: { amount: 10000, interval: "month" } },
+    pro: { currency: "usd", setupFee: 0, recurring: { amount: 50000, interval: "month" } },
+  },
+  scheduler: {},
+  submission: {},
+};
+
+export default blossom;
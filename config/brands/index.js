@@ -0,0 +1,31 @@
+/**
+ * Brands (white-label tenants) served from this codebase, one file each.
+ * lib/brand.js picks one per request: a /for/<id> route first, then the
+ * request's hostname, then the first brand here (the default).
+ *
+ *   id          stable key; stored on every brief as `brand`
+ *   name        header, footer, page titles, emails, PDFs, invites; also
+ *               the "{brand}" placeholder in the lib/i18n catalogs
+ *   hosts       hostnames that select this brand
+ *   url?        canonical origin for links in page metadata, the sitemap
+ *               and robots.txt (lib/seo.js); default https://<first host>
+ *   logo        { src, alt } under public/ (a PNG also heads the PDF brief)
+ *   colors      { primaryGreen, primaryDark, primaryLight } (lib/theme.js)
+ *   copy        catalog overrides per locale, shaped like lib/i18n/en.js
+ *   plans       plan id -> pricing, in display order; ids are the ones in
+ *               the `plans` catalogs, so names and bullets can be overridden
+ *               under copy.<locale>.plans
+ *   scheduler   { provider, hubspotMeetingUrl, hostName, hostEmail }
+ *   submission  { endpoint, hubspotPipeline, hubspotDealStage,
+ *               notionDatabaseId, teamEmail, emailFrom }
+ *
+ * Unset scheduler/submission keys fall back to the env (.env.example).
+ * Everything except server-only env values ends up in the browser bundle,
+ * so keep secrets out of these files.
+ */
+import blossom from "./blossom";
+import studios from "./studios";
+
+const brands = [blossom, studios];
+
+export default brands;
@@ -0,0 +1,60 @@
+/**
+ * Blossom.Launch for Studios: the fitness & wellness vertical. Own palette,
+ * hero copy and pricing (no pilot), and its briefs land in their own HubSpot
+ * pipeline / Notion database when those are set.
+ */
+const studios = {
+  id: "studios",
+  name: "Blossom Studios",
+  hosts: ["studios.blossom.launch"],
+  logo: { src: "/Blossom_Logo_1.png", alt: "Blossom Studios" },
+  colors: { primaryGreen: "#7C3AED", primaryDark: "#1E1B4B", primaryLight: "#FAF5FF" },
+  copy: {
+    en: {
+      meta: {
+        title: "Blossom Studios – Websites for fitness & wellness studios",
+        description: "A booking-ready website for your yoga, pilates, dance or fitness studio in 14 days: class schedules, memberships and intro offers, hosted and maintained for you.",
+        service: "Studio website launch sprint with hosting and maintenance",
+      },
+      hero: {
+        badge: "For yoga, pilates, dance and fitness studios.",
+        title: "A booking-ready studio website that ships in 14 days",
+        text: "Class schedules, memberships and intro offers wired up for you — so you can get back to teaching. We handle the tech; you own the result.",
+      },
+      plans: {
+        standard: { sub: "Setup + ongoing care", details: ["Class schedule & booking setup", "Handoff & training", "Launch checklist"] },
+      },
+      schema: { steps: { plan: { intro: "Choose your plan. Both include hosting, updates and support for your studio site." } } },
+    },
+    es: {
+      meta: {
+        title: "Blossom Studios – Webs para estudios de fitness y bienestar",
+        description: "Una web lista para reservas para tu estudio de yoga, pilates, danza o fitness en 14 días: horarios, membresías y ofertas de bienvenida, alojada y mantenida por nosotros.",
+        service: "Sprint de lanzamiento web para estudios con hosting y mantenimiento",
+      },
+      hero: {
+        badge: "Para estudios de yoga, pilates, danza y fitness.",
+        title: "Una web para tu estudio, lista para reservas en 14 días",
+        text: "Horarios de clases, membresías y ofertas de bienvenida configurados por nosotros, para que tú vuelvas a dar clase. Nos encargamos de la tecnología; el resultado es tuyo.",
+      },
+      plans: {
+        standard: { sub: "Alta + mantenimiento", details: ["Horario de clases y reservas", "Entrega y formación", "Lista de lanzamiento"] },
+      },
+      schema: { steps: { plan: { intro: "Elige tu plan. Ambos incluyen hosting, actualizaciones y soporte para la web de tu estudio." } } },
+    },
+  },
+  plans: {
+    standard: { currency: "usd", setupFee: 150000, recurring: { amount: 12000, interval: "month" } },
+    pro: { currency: "usd", setupFee: 0, recurring: { amount: 45000, interval: "month" } },
+  },
+  scheduler: {
+    hubspotMeetingUrl: process.env.STUDIOS_HUBSPOT_MEETING_URL,
+  },
+  submission: {
+    hubspotPipeline: process.env.STUDIOS_HUBSPOT_PIPELINE,
+    notionDatabaseId: process.env.STUDIOS_NOTION_DATABASE_ID,
+    teamEmail: process.env.STUDIOS_TEAM_EMAIL,
+  },
+};
+
+export default studios;
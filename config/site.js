@@ -0,0 +1,25 @@
+/**
+ * Public site settings, shared by the browser and the server.
+ *
+ * Next inlines NEXT_PUBLIC_* variables into the client bundle at build time,
+ * so changing one means rebuilding (see .env.example).
+ *
+ *   submitMode          "live" (default) posts briefs to `briefEndpoint` and
+ *                       queues them in the offline outbox (lib/outbox.js)
+ *                       when it can't be reached; "mock" never contacts a
+ *                       backend and is only meant for design previews
+ *   briefEndpoint       where the wizard posts briefs; its form tokens come
+ *                       from `${briefEndpoint}/challenge`
+ *   hubspotMeetingUrl   HubSpot meetings page for the kickoff embed
+ *                       (HUBSPOT_MEETING_URL overrides it server-side)
+ */
+export const SUBMIT_MODES = ["live", "mock"];
+
+const siteConfig = {
+  submitMode: SUBMIT_MODES.includes(process.env.NEXT_PUBLIC_SUBMIT_MODE) ? process.env.NEXT_PUBLIC_SUBMIT_MODE : "live",
+  briefEndpoint: process.env.NEXT_PUBLIC_BRIEF_ENDPOINT || "/api/brief",
+  hubspotMeetingUrl:
+    process.env.NEXT_PUBLIC_HUBSPOT_MEETING_URL || "https://meetings.hubspot.com/oscar8/meet-with-oscar-from-blossom?uuid=11fb153a-154a-44f5-890c-349bd6ec4939",
+};
+
+export default siteConfig;
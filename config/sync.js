@@ -0,0 +1,74 @@
+/**
+ * Field mapping for the CRM/workspace sync (see lib/sync).
+ *
+ * Each value is either the name of a normalizePayload() field or a function
+ * of the stored brief. Empty values are dropped before sending, so optional
+ * answers never overwrite data someone typed into HubSpot/Notion by hand.
+ * A brand (config/brands) may send its deals to its own pipeline/stage.
+ */
+import { brandOf, DEFAULT_BRAND } from "../lib/brand";
+
+const firstName = (b) => b.name.split(/\s+/)[0] || b.name;
+const lastName = (b) => b.name.split(/\s+/).slice(1).join(" ");
+
+const PLAN_LABELS = { pilot: "Pilot", standard: "Standard", pro: "Pro" };
+
+const syncConfig = {
+  hubspot: {
+    contact: {
+      email: "email",
+      firstname: firstName,
+      lastname: lastName,
+      company: "company",
+      // HubSpot's "Preferred language" takes the same codes as lib/i18n ("en", "es")
+      hs_language: "locale",
+    },
+    deal: {
+      dealname: (b) => `${b.company || b.name} – 14‑day sprint`,
+      pipeline: (b) => brandOf(b).submission.hubspotPipeline || process.env.HUBSPOT_PIPELINE || "default",
+      dealstage: (b) => brandOf(b).submission.hubspotDealStage || process.env.HUBSPOT_DEAL_STAGE || "appointmentscheduled",
+      description: (b) =>
+        [
+          `One-liner: ${b.oneLiner}`,
+          `Customer: ${b.customer}`,
+          `Problem: ${b.problem}`,
+          `Success: ${b.success}`,
+          `Must-haves: ${b.mustHaves}`,
+          `Integrations: ${b.integrations}`,
+          b.assetFiles && b.assetFiles.length && `Files: ${b.assetFiles.map((f) => f.name).join(", ")}`,
+          `Plan: ${PLAN_LABELS[b.plan] || b.plan}`,
+          brandOf(b) !== DEFAULT_BRAND && `Brand: ${brandOf(b).name}`,
+          // Branch-only answers (empty unless that wizard step was shown)
+          b.paymentProducts && `Payments: ${b.paymentProducts} (${b.paymentModel}, ${b.paymentCurrencies})`,
+          b.brandVibe && `Branding: logo=${b.brandLogo}; vibe=${b.brandVibe}; colors=${b.brandColors}; examples=${b.brandExamples}`,
+          b.analyticsGoals && `Growth: analytics=${b.analyticsGoals}; automations=${b.automationGoals}`,
+          `Brief ID: ${b.id}`,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+    },
+  },
+
+  // Notion database property name -> { type, value }
+  notion: {
+    Name: { type: "title", value: (b) => b.company || b.name },
+    Email: { type: "email", value: "email" },
+    Contact: { type: "rich_text", value: "name" },
+    "One-liner": { type: "rich_text", value: "oneLiner" },
+    Customer: { type: "rich_text", value: "customer" },
+    Problem: { type: "rich_text", value: "problem" },
+    Success: { type: "rich_text", value: "success" },
+    "Must-haves": { type: "rich_text", value: "mustHaves" },
+    "Nice-to-haves": { type: "rich_text", value: "niceToHaves" },
+    Integrations: { type: "rich_text", value: "integrations" },
+    Assets: { type: "rich_text", value: (b) => [b.assets, ...(b.assetFiles || []).map((f) => f.name)].filter(Boolean).join("\n") },
+    "Target date": { type: "date", value: "targetDate" },
+    Deadline: { type: "rich_text", value: "deadline" },
+    Availability: { type: "select", value: "availability" },
+    Plan: { type: "select", value: (b) => PLAN_LABELS[b.plan] || b.plan },
+    "Case study OK": { type: "checkbox", value: "caseStudyOptIn" },
+    "Brief ID": { type: "rich_text", value: "id" },
+  },
+};
+
+export default syncConfig;
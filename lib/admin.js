@@ -0,0 +1,77 @@
+/**
+ * Server-side helpers behind the /admin pages and /api/admin routes:
+ * filtering, status transitions, internal notes and exports.
+ */
+import { brandOf } from "./brand";
+import { allowedTransitions, statusOf } from "./briefStatus";
+import { fields } from "./schema";
+import { getStore, newId } from "./store";
+
+export const FILTER_KEYS = ["q", "brand", "plan", "availability", "status", "from", "to"];
+
+export function parseFilters(query) {
+  const out = {};
+  for (const k of FILTER_KEYS) {
+    const v = query[k];
+    out[k] = typeof v === "string" ? v.trim() : "";
+  }
+  return out;
+}
+
+/** Newest first. `from`/`to` bound targetDate (YYYY-MM-DD, inclusive). */
+export function filterBriefs(briefs, filters) {
+  const q = filters.q.toLowerCase();
+  return briefs
+    .filter((b) => !q || [b.id, b.name, b.email, b.company, b.oneLiner].some((v) => String(v || "").toLowerCase().includes(q)))
+    .filter((b) => !filters.brand || brandOf(b).id === filters.brand)
+    .filter((b) => !filters.plan || b.plan === filters.plan)
+    .filter((b) => !filters.availability || b.availability === filters.availability)
+    .filter((b) => !filters.status || statusOf(b) === filters.status)
+    .filter((b) => !filters.from || (b.targetDate && b.targetDate >= filters.from))
+    .filter((b) => !filters.to || (b.targetDate && b.targetDate <= filters.to))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+export async function listBriefs(filters) {
+  return filterBriefs(await getStore().collection("briefs").list(), filters);
+}
+
+export class TransitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TransitionError";
+  }
+}
+
+// Throwing inside update() aborts the write, so a rejected move changes nothing
+export function setBriefStatus(id, to, { by = "admin" } = {}) {
+  return getStore()
+    .collection("briefs")
+    .update(id, (b) => {
+      const from = statusOf(b);
+      if (!allowedTransitions(from).includes(to)) throw new TransitionError(`Can't move a brief from "${from}" to "${to}"`);
+      return { ...b, status: to, statusHistory: [...(b.statusHistory || []), { from, to, by, at: new Date().toISOString() }] };
+    });
+}
+
+export function addBriefNote(id, text, { by = "admin" } = {}) {
+  const note = { id: newId("note"), text, by, at: new Date().toISOString() };
+  return getStore()
+    .collection("briefs")
+    .update(id, (b) => ({ ...b, notes: [...(b.notes || []), note] }));
+}
+
+// ---------- Export ----------
+const EXPORT_COLUMNS = ["id", "createdAt", "status", "brand", ...fields.map((f) => f.name)];
+
+function cell(v) {
+  let s = Array.isArray(v) ? v.map((f) => f.name || f).join("; ") : String(v ?? "");
+  // Keep spreadsheets from evaluating user input as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function briefsToCsv(briefs) {
+  const rows = briefs.map((b) => EXPORT_COLUMNS.map((c) => cell(c === "status" ? statusOf(b) : c === "brand" ? brandOf(b).id : b[c])).join(","));
+  return [EXPORT_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
@@ -0,0 +1,74 @@
+/**
+ * Admin authentication: a single shared password (ADMIN_PASSWORD) traded for
+ * an HMAC-signed, HttpOnly session cookie. The admin area stays locked
+ * (every check fails) until ADMIN_PASSWORD is set.
+ */
+import crypto from "crypto";
+
+export const ADMIN_COOKIE = "blossom_admin";
+const SESSION_HOURS = 12;
+
+const secret = () => process.env.ADMIN_SESSION_SECRET || process.env.ADMIN_PASSWORD || "";
+const sign = (value) => crypto.createHmac("sha256", secret()).update(value).digest("base64url");
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+export function adminConfigured() {
+  return !!process.env.ADMIN_PASSWORD;
+}
+
+export function checkAdminPassword(password) {
+  return adminConfigured() && safeEqual(password, process.env.ADMIN_PASSWORD);
+}
+
+function cookie(value, maxAge) {
+  const secure = process.env.NODE_ENV === "production" ? "; Secure" : "";
+  return `${ADMIN_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+export function sessionCookie() {
+  const expires = String(Date.now() + SESSION_HOURS * 3600 * 1000);
+  return cookie(`${expires}.${sign(expires)}`, SESSION_HOURS * 3600);
+}
+
+export function clearedSessionCookie() {
+  return cookie("", 0);
+}
+
+export function isAdmin(req) {
+  if (!adminConfigured()) return false;
+  const [expires, sig] = String((req.cookies && req.cookies[ADMIN_COOKIE]) || "").split(".");
+  return !!expires && !!sig && safeEqual(sig, sign(expires)) && Number(expires) > Date.now();
+}
+
+function hasBearer(req, secret) {
+  const header = String(req.headers.authorization || "");
+  return !!secret && header.startsWith("Bearer ") && safeEqual(header.slice(7), secret);
+}
+
+// Scheduled jobs (e.g. a Vercel cron) send `Authorization: Bearer $CRON_SECRET`
+export function isCron(req) {
+  return hasBearer(req, process.env.CRON_SECRET);
+}
+
+// Internal tools reading the brief API send `Authorization: Bearer $BRIEF_API_TOKEN`
+export function isApiClient(req) {
+  return hasBearer(req, process.env.BRIEF_API_TOKEN);
+}
+
+/** For API routes: answers 401 and returns false when not signed in. */
+export function requireAdmin(req, res) {
+  if (isAdmin(req)) return true;
+  res.status(401).json({ ok: false, error: "Admin login required" });
+  return false;
+}
+
+/** For getServerSideProps: a redirect to the login page, or null when signed in. */
+export function adminRedirect(ctx) {
+  if (isAdmin(ctx.req)) return null;
+  return { redirect: { destination: `/admin/login?next=${encodeURIComponent(ctx.resolvedUrl)}`, permanent: false } };
+}
@@ -0,0 +1,126 @@
+/**
+ * Browser side of the first-party analytics: a tiny queue that batches
+ * events to /api/events (sendBeacon, so nothing is lost on page exit).
+ *
+ * Privacy: no cookies and no cross-session id (a random id per tab in
+ * sessionStorage), nothing typed into the wizard, and nothing at all when
+ * the browser sends Do Not Track / Global Privacy Control.
+ */
+import { sanitizeAttribution, UTM_KEYS } from "./events";
+
+const ENDPOINT = "/api/events";
+const SESSION_KEY = "blossom.analytics.session";
+const ATTRIBUTION_KEY = "blossom.attribution";
+const ATTRIBUTION_DAYS = 30;
+const FLUSH_DELAY_MS = 1000;
+
+let queue = [];
+let timer = null;
+
+const inBrowser = () => typeof window !== "undefined";
+
+export function trackingAllowed() {
+  if (!inBrowser()) return false;
+  const nav = window.navigator || {};
+  return !(nav.doNotTrack === "1" || window.doNotTrack === "1" || nav.globalPrivacyControl === true);
+}
+
+function sessionId() {
+  try {
+    let id = window.sessionStorage.getItem(SESSION_KEY);
+    if (!id) {
+      id = Array.from(crypto.getRandomValues(new Uint8Array(12)), (b) => b.toString(16).padStart(2, "0")).join("");
+      window.sessionStorage.setItem(SESSION_KEY, id);
+    }
+    return id;
+  } catch {
+    return "nostorage0000";
+  }
+}
+
+export function flush() {
+  clearTimeout(timer);
+  if (!queue.length || !inBrowser()) return;
+  const body = JSON.stringify({ sessionId: sessionId(), events: queue.splice(0) });
+  const nav = window.navigator;
+  if (nav.sendBeacon && nav.sendBeacon(ENDPOINT, new Blob([body], { type: "application/json" }))) return;
+  fetch(ENDPOINT, { method: "POST", headers: { "Content-Type": "application/json" }, body, keepalive: true }).catch(() => {});
+}
+
+/** Queue an event (see EVENT_TYPES); sent in a batch shortly after. */
+export function track(type, props = {}) {
+  if (!trackingAllowed()) return;
+  queue.push({ type, at: new Date().toISOString(), path: window.location.pathname, props });
+  clearTimeout(timer);
+  timer = setTimeout(flush, FLUSH_DELAY_MS);
+}
+
+// ---------- Attribution ----------
+// Last non-direct touch: a visit with UTM tags or from another site replaces
+// what we have; a direct visit keeps it (for up to ATTRIBUTION_DAYS).
+function captureAttribution() {
+  const params = new URLSearchParams(window.location.search);
+  const utm = Object.fromEntries(UTM_KEYS.filter((k) => params.get(k)).map((k) => [k, params.get(k)]));
+  let referrer = "";
+  try {
+    const ref = document.referrer && new URL(document.referrer);
+    if (ref && ref.host !== window.location.host) referrer = `${ref.origin}${ref.pathname}`;
+  } catch {
+    // unparsable referrer
+  }
+  const current = getAttribution();
+  if (current && !Object.keys(utm).length && !referrer) return current;
+  const next = sanitizeAttribution({ utm, referrer, landingPath: window.location.pathname, at: new Date().toISOString() });
+  try {
+    window.localStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(next));
+  } catch {
+    // storage full/blocked
+  }
+  return next;
+}
+
+/** What to send with the brief as `_attribution`, or null. */
+export function getAttribution() {
+  if (!trackingAllowed()) return null;
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(ATTRIBUTION_KEY) || "null");
+    if (stored && Date.now() - Date.parse(stored.at) < ATTRIBUTION_DAYS * 24 * 3600 * 1000) return stored;
+  } catch {
+    // corrupt entry
+  }
+  return null;
+}
+
+// The admin is never tracked, in any locale ("/admin", "/es/admin")
+const isAdminPath = () => /^\/(?:[a-z]{2}\/)?admin(?:\/|$)/.test(window.location.pathname);
+
+function pageView() {
+  if (isAdminPath()) return;
+  const a = captureAttribution();
+  const utm = (a && a.utm) || {};
+  track("page_view", { source: utm.utm_source, medium: utm.utm_medium, campaign: utm.utm_campaign, referrer: a && a.referrer ? new URL(a.referrer).hostname : "" });
+}
+
+/**
+ * Page views (initial + client-side navigations) and clicks on any element
+ * with `data-cta="<name>"`. Called once from pages/_app.js; returns cleanup.
+ */
+export function startAnalytics(router) {
+  if (!trackingAllowed()) return () => {};
+  const onClick = (e) => {
+    const el = e.target && e.target.closest && e.target.closest("[data-cta]");
+    if (el && !isAdminPath()) track("cta_click", { cta: el.getAttribute("data-cta") });
+  };
+  const onHide = () => document.visibilityState === "hidden" && flush();
+  pageView();
+  router.events.on("routeChangeComplete", pageView);
+  document.addEventListener("click", onClick);
+  document.addEventListener("visibilitychange", onHide);
+  window.addEventListener("pagehide", flush);
+  return () => {
+    router.events.off("routeChangeComplete", pageView);
+    document.removeEventListener("click", onClick);
+    document.removeEventListener("visibilitychange", onHide);
+    window.removeEventListener("pagehide", flush);
+  };
+}
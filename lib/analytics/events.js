@@ -0,0 +1,72 @@
+/**
+ * First-party analytics vocabulary, shared by the browser tracker
+ * (lib/analytics/client.js) and the collector (lib/analytics/index.js).
+ *
+ * Events never carry answers or contact details: only which page, CTA or
+ * step, how long, which fields failed validation (names, not values) and how
+ * a submit ended.
+ */
+
+// type -> allowed props
+export const EVENT_TYPES = {
+  page_view: ["source", "medium", "campaign", "referrer"],
+  cta_click: ["cta"],
+  step_enter: ["step", "index"],
+  step_exit: ["step", "index", "ms"],
+  validation_failed: ["step", "fields"],
+  submit: ["outcome", "code"],
+};
+
+export const UTM_KEYS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content"];
+
+const MAX_STRING = 120;
+
+function clean(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? Math.round(value) : undefined;
+  if (typeof value === "string") return value.slice(0, MAX_STRING);
+  if (Array.isArray(value)) return value.filter((v) => typeof v === "string").slice(0, 20).map((v) => v.slice(0, MAX_STRING));
+  return undefined;
+}
+
+/** Keep only the props an event type allows, as short strings/numbers. */
+export function sanitizeProps(type, props) {
+  const out = {};
+  for (const key of EVENT_TYPES[type] || []) {
+    const v = props && typeof props === "object" ? clean(props[key]) : undefined;
+    if (v !== undefined && v !== "") out[key] = v;
+  }
+  return out;
+}
+
+/**
+ * { utm: { utm_source, … }, referrer, landingPath, at } or null: how the
+ * visitor found us, attached to the brief they submit.
+ */
+export function sanitizeAttribution(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const utm = {};
+  for (const key of UTM_KEYS) {
+    const v = clean(raw.utm && raw.utm[key]);
+    if (typeof v === "string" && v) utm[key] = v;
+  }
+  const referrer = typeof raw.referrer === "string" && /^https?:\/\//.test(raw.referrer) ? raw.referrer.slice(0, 300) : "";
+  const landingPath = typeof raw.landingPath === "string" && raw.landingPath.startsWith("/") ? raw.landingPath.slice(0, 300) : "";
+  if (!Object.keys(utm).length && !referrer && !landingPath) return null;
+  const at = typeof raw.at === "string" && !Number.isNaN(Date.parse(raw.at)) ? new Date(raw.at).toISOString() : null;
+  return { utm, referrer, landingPath, at };
+}
+
+/** "google / cpc" style label for reports. */
+export function sourceLabel(attribution) {
+  if (!attribution) return "direct";
+  const { utm = {}, referrer } = attribution;
+  if (utm.utm_source) return [utm.utm_source, utm.utm_medium].filter(Boolean).join(" / ");
+  if (referrer) {
+    try {
+      return new URL(referrer).hostname.replace(/^www\./, "");
+    } catch {
+      return "referral";
+    }
+  }
+  return "direct";
+}
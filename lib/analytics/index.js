@@ -0,0 +1,145 @@
+/**
+ * Server side of the first-party analytics: /api/events stores batches from
+ * lib/analytics/client.js in the `events` collection, and funnelReport()
+ * turns them into the /admin/analytics view.
+ *
+ *   event = { id, createdAt, at, session, type, path, props }
+ *
+ * Nothing identifying is stored (no IP, no user agent). Events older than
+ * ANALYTICS_RETENTION_DAYS are dropped, and the newest ANALYTICS_MAX_EVENTS
+ * kept, whenever a batch comes in.
+ */
+import { LOCALES } from "../i18n";
+import { steps } from "../schema";
+import { getStore, newId } from "../store";
+import { EVENT_TYPES, sanitizeProps, sourceLabel } from "./events";
+
+const DAY = 24 * 3600 * 1000;
+const MAX_BATCH = 50;
+const BOT_RE = /bot|crawl|spider|slurp|headless|lighthouse|preview/i;
+// The landing page lives at "/", at each locale's root ("/es") and at each
+// brand's route ("/for/studios", "/es/for/studios")
+const isLandingPath = (path) => path === "/" || LOCALES.some((l) => path === `/${l}`) || /^(?:\/[a-z]{2})?\/for\/[\w-]+$/.test(path);
+
+export function analyticsSettings(env = process.env) {
+  const num = (v, fallback) => (Number(v) > 0 ? Math.floor(Number(v)) : fallback);
+  return { retentionDays: num(env.ANALYTICS_RETENTION_DAYS, 180), maxEvents: num(env.ANALYTICS_MAX_EVENTS, 20000) };
+}
+
+/**
+ * Validate and store a batch { sessionId, events: [{ type, at, path, props }] }.
+ * Unknown types and props are dropped; returns how many were kept.
+ */
+export async function recordEvents(body, { userAgent = "", now = new Date(), settings = analyticsSettings() } = {}) {
+  if (BOT_RE.test(userAgent)) return 0;
+  const session = String((body && body.sessionId) || "");
+  if (!/^[A-Za-z0-9_-]{8,64}$/.test(session) || !Array.isArray(body.events)) return 0;
+
+  const createdAt = now.toISOString();
+  const docs = body.events
+    .slice(0, MAX_BATCH)
+    .filter((e) => e && EVENT_TYPES[e.type])
+    .map((e) => {
+      const at = Date.parse(e.at);
+      return {
+        id: newId("ev"),
+        createdAt,
+        // Trust the client's clock only within a day of ours
+        at: Math.abs(at - now.getTime()) < DAY ? new Date(at).toISOString() : createdAt,
+        session,
+        type: e.type,
+        path: typeof e.path === "string" ? e.path.slice(0, 200) : "",
+        props: sanitizeProps(e.type, e.props),
+      };
+    });
+  if (!docs.length) return 0;
+
+  const cutoff = new Date(now.getTime() - settings.retentionDays * DAY).toISOString();
+  await getStore()
+    .collection("events")
+    .mutate((all) => {
+      for (const doc of docs) all[doc.id] = doc;
+      const ids = Object.keys(all);
+      const stale = ids.filter((id) => all[id].createdAt < cutoff);
+      for (const id of stale) delete all[id];
+      const over = ids.length - stale.length - settings.maxEvents;
+      if (over > 0) {
+        const oldest = Object.keys(all).sort((a, b) => all[a].createdAt.localeCompare(all[b].createdAt));
+        for (const id of oldest.slice(0, over)) delete all[id];
+      }
+    });
+  return docs.length;
+}
+
+// ---------- Report ----------
+const median = (xs) => {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  return s.length % 2 ? s[(s.length - 1) / 2] : Math.round((s[s.length / 2 - 1] + s[s.length / 2]) / 2);
+};
+
+const countBy = (items, key) => {
+  const out = {};
+  for (const item of items) out[key(item)] = (out[key(item)] || 0) + 1;
+  return Object.entries(out)
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Funnel for the last `days` days:
+ *
+ *   { days, sessions, funnel: [{ id, title, optional, sessions, medianMs, failures, topFields }],
+ *     submitted, outcomes, ctas: [{ cta, clicks, sessions, submitted }],
+ *     sources: [{ label, count }], briefSources: [{ label, count }] }
+ *
+ * Counts are sessions (a tab), not people. `optional` steps only show for
+ * some answers, so they're left out of the drop-off maths.
+ */
+export async function funnelReport({ days = 30, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - days * DAY).toISOString();
+  const events = (await getStore().collection("events").list()).filter((e) => e.at >= since);
+  const briefs = (await getStore().collection("briefs").list()).filter((b) => b.createdAt >= since);
+
+  const sessionsWith = (pred) => new Set(events.filter(pred).map((e) => e.session));
+  const landing = sessionsWith((e) => e.type === "page_view" && isLandingPath(e.path));
+  const submittedSessions = sessionsWith((e) => e.type === "submit" && e.props.outcome === "server");
+
+  const funnel = steps.map((step) => {
+    const exits = events.filter((e) => e.type === "step_exit" && e.props.step === step.id);
+    const failures = events.filter((e) => e.type === "validation_failed" && e.props.step === step.id);
+    return {
+      id: step.id,
+      title: step.title,
+      optional: !!step.when,
+      sessions: sessionsWith((e) => e.type === "step_enter" && e.props.step === step.id).size,
+      medianMs: median(exits.map((e) => e.props.ms).filter((ms) => typeof ms === "number")),
+      failures: failures.length,
+      topFields: countBy(failures.flatMap((e) => (e.props.fields || []).map((f) => ({ f }))), (x) => x.f).slice(0, 3),
+    };
+  });
+
+  const clicks = events.filter((e) => e.type === "cta_click");
+  const ctas = [...new Set(clicks.map((e) => e.props.cta))].map((cta) => {
+    const sessions = new Set(clicks.filter((e) => e.props.cta === cta).map((e) => e.session));
+    return { cta, clicks: clicks.filter((e) => e.props.cta === cta).length, sessions: sessions.size, submitted: [...sessions].filter((s) => submittedSessions.has(s)).length };
+  });
+
+  // First page view of each session says where it came from
+  const firstViews = new Map();
+  for (const e of events) {
+    if (e.type === "page_view" && !firstViews.has(e.session)) firstViews.set(e.session, e);
+  }
+  const viewSource = (e) => (e.props.source ? [e.props.source, e.props.medium].filter(Boolean).join(" / ") : e.props.referrer || "direct");
+
+  return {
+    days,
+    sessions: landing.size,
+    funnel,
+    submitted: submittedSessions.size,
+    outcomes: countBy(events.filter((e) => e.type === "submit"), (e) => e.props.outcome || "unknown"),
+    ctas: ctas.sort((a, b) => b.clicks - a.clicks),
+    sources: countBy([...firstViews.values()], viewSource),
+    briefSources: countBy(briefs, (b) => sourceLabel(b.attribution)),
+  };
+}
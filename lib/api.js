@@ -0,0 +1,37 @@
+/** Small helpers shared by the pages/api routes. */
+import { DEFAULT_BRAND } from "./brand";
+import { brandOrigin } from "./seo";
+
+export function allowMethods(req, res, methods) {
+  if (methods.includes(req.method)) return true;
+  res.setHeader("Allow", methods.join(", "));
+  res.status(405).json({ ok: false, error: "Method not allowed" });
+  return false;
+}
+
+// Next parses JSON bodies for us, unless the client sent the wrong Content-Type
+export function readJsonBody(req, res) {
+  if (typeof req.body !== "string") return req.body;
+  try {
+    return JSON.parse(req.body);
+  } catch {
+    res.status(400).json({ ok: false, error: "Request body must be JSON" });
+    return undefined;
+  }
+}
+
+// Absolute origin for links we hand out (emails, invites, portal, checkout
+// returns): SITE_URL, else the brand's origin. Never the request's Host or
+// X-Forwarded-Host, which the client controls.
+export function siteUrl(brand = DEFAULT_BRAND) {
+  if (process.env.SITE_URL) return process.env.SITE_URL.replace(/\/+$/, "");
+  return brandOrigin(brand);
+}
+
+// The visitor's IP. X-Forwarded-For is only read with TRUST_PROXY=1 (behind
+// Vercel, nginx, ...), and then only its last hop: the one our proxy added.
+// Anything to the left of it came from the client and can be made up.
+export function clientIp(req) {
+  const forwarded = process.env.TRUST_PROXY === "1" && String(req.headers["x-forwarded-for"] || "").split(",").pop().trim();
+  return forwarded || (req.socket && req.socket.remoteAddress) || "";
+}
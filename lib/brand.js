@@ -0,0 +1,38 @@
+/**
+ * Which brand (config/brands) a request, page or brief belongs to. Shared by
+ * the browser and the server.
+ *
+ * Pages hand the brand's id to pages/_app.js as `pageProps.brand`;
+ * components read it with useBrand() (components/BrandProvider.js). The
+ * landing page is pre-rendered per brand: pages/index.js for the default one
+ * and pages/for/[brand].js for the others, which middleware.js serves at "/"
+ * on their own hostnames. Pages about a brief (checkout, kickoff, portal)
+ * take the brief's brand; /kickoff without one falls back to brandProps().
+ * Briefs store the id as `brand`.
+ */
+import BRANDS from "../config/brands";
+
+export { BRANDS };
+export const DEFAULT_BRAND = BRANDS[0];
+
+export const brandById = (id) => BRANDS.find((b) => b.id === id) || null;
+
+// "Studios.Blossom.Launch:3000" -> "studios.blossom.launch"
+const hostname = (host) => String(host || "").trim().toLowerCase().replace(/:\d+$/, "");
+
+export function brandForHost(host) {
+  const name = hostname(host);
+  return BRANDS.find((b) => (b.hosts || []).includes(name)) || DEFAULT_BRAND;
+}
+
+/** An explicit id (a /for/<id> route, a wizard submission) wins over the host. */
+export const resolveBrand = ({ id, host } = {}) => brandById(id) || brandForHost(host);
+
+/** The brand a stored brief was submitted under; older briefs are the default's. */
+export const brandOf = (brief) => brandById(brief && brief.brand) || DEFAULT_BRAND;
+
+/** "Blossom Studios" -> "blossom-studios", for file names handed to clients. */
+export const brandSlug = (brand) => brand.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || brand.id;
+
+/** getServerSideProps helper: `{ brand }` page props for this request's host (pages/kickoff/index.js). */
+export const brandProps = ({ req }) => ({ brand: brandForHost(req && req.headers.host).id });
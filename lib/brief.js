@@ -0,0 +1,48 @@
+/**
+ * Brief payload helpers shared by the wizard (client) and /api/brief (server).
+ *
+ * Both are derived from the wizard schema (lib/schema.js): normalizePayload()
+ * coerces whatever the wizard holds into the flat strings/bools shape (plus
+ * upload references for file fields) we store and sync; validateBrief()
+ * re-checks that shape and returns per-field messages the wizard can render
+ * next to each input.
+ *
+ * That shape is brief schema v1; lib/briefVersions.js migrates it to and
+ * from later versions for the API.
+ */
+import { activeFields, fieldDefault, fields, validateValues } from "./schema";
+import { normalizeFileRefs } from "./uploads";
+
+export function normalizePayload(d) {
+  // Ensure all values are serializable strings/bools for HubSpot/Notion
+  const out = {};
+  for (const f of fields) {
+    if (f.type === "checkbox") out[f.name] = !!d[f.name];
+    else if (f.type === "files") out[f.name] = normalizeFileRefs(d[f.name]);
+    else out[f.name] = String(d[f.name] || fieldDefault(f));
+  }
+  return out;
+}
+
+/**
+ * Validate a raw brief. Returns { ok, value, errors } where `value` is the
+ * trimmed, normalized payload and `errors` maps field name -> message (in
+ * the brief's own `locale`).
+ */
+export function validateBrief(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { ok: false, value: null, errors: { _form: "Brief must be a JSON object." } };
+  }
+
+  const value = normalizePayload(raw);
+  for (const [k, v] of Object.entries(value)) {
+    if (typeof v === "string") value[k] = v.trim();
+  }
+  // Blank out stale answers from branches the client no longer goes through
+  const active = new Set(activeFields(value).map((f) => f.name));
+  for (const f of fields) {
+    if (!active.has(f.name)) value[f.name] = f.type === "checkbox" ? false : f.type === "files" ? [] : "";
+  }
+  const errors = validateValues(value, undefined, value.locale);
+  return { ok: Object.keys(errors).length === 0, value, errors };
+}
@@ -0,0 +1,27 @@
+/**
+ * The read API for internal tools: GET /api/v1/briefs/:id and
+ * /api/v2/briefs/:id return the stored brief as that version's document
+ * (lib/briefVersions.js), as described in /api/openapi.json.
+ *
+ * Callers send `Authorization: Bearer $BRIEF_API_TOKEN`; a signed-in admin
+ * session works too, so the endpoints can be tried from the browser.
+ */
+import { isAdmin, isApiClient } from "./adminAuth";
+import { allowMethods } from "./api";
+import { briefResource } from "./briefVersions";
+import { getStore } from "./store";
+
+/** The route handler for `version`'s GET /api/v<version>/briefs/:id. */
+export function briefReadHandler(version) {
+  return async function handler(req, res) {
+    if (!allowMethods(req, res, ["GET"])) return;
+    if (!isApiClient(req) && !isAdmin(req)) {
+      res.setHeader("WWW-Authenticate", "Bearer");
+      return res.status(401).json({ ok: false, error: "Send Authorization: Bearer <BRIEF_API_TOKEN>" });
+    }
+    res.setHeader("Cache-Control", "no-store");
+    const brief = await getStore().collection("briefs").get(String(req.query.id));
+    if (!brief) return res.status(404).json({ ok: false, error: "Brief not found" });
+    return res.status(200).json({ ok: true, brief: briefResource(brief, version) });
+  };
+}
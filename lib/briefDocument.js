@@ -0,0 +1,202 @@
+/**
+ * The downloadable launch brief: the submission (same sections as the Review
+ * step, via summarize()) plus the planned 14-day sprint, rendered as a
+ * branded PDF or as Markdown. Used by /api/brief/[id]/document and attached
+ * to the confirmation email. Name, logo and colors are the brief's brand's
+ * (config/brands); the copy is in the brief's `locale` (lib/i18n, document.*).
+ */
+import fs from "fs";
+import path from "path";
+import { brandOf, brandSlug } from "./brand";
+import { createTranslator } from "./i18n";
+import { createPdf, readPng } from "./pdf";
+import { summarize } from "./schema";
+import { briefFeasibility, formatDay, SPRINT_DAYS } from "./sprint";
+import { solidColor } from "./theme";
+
+export const DOCUMENT_FORMATS = {
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+};
+
+const display = (v) => (Array.isArray(v) ? v.map((f) => f.name).join(", ") || "—" : String(v));
+
+// The brief's translator, plus its dates on the brief's calendar language
+function translator(brief) {
+  const t = createTranslator(brief.locale, brandOf(brief));
+  t.day = (day, opts) => formatDay(day, opts, t.locale);
+  return t;
+}
+
+const formatRange = (p, t) => (p.start === p.end ? t.day(p.start) : `${t.day(p.start)} – ${t.day(p.end)}`);
+
+const phaseLength = (p, t) => (p.feedback && !p.days ? t("sprint.sameDay") : t("sprint.days", { count: p.days }));
+
+const title = (brief, t) => t("document.title", { name: brief.company || brief.name || brief.id });
+
+const submittedOn = (brief, t, now) => t("document.submitted", { date: t.day(String(brief.createdAt || now.toISOString()).slice(0, 10), { dateStyle: "long" }) });
+
+export function documentFilename(brief, format) {
+  const slug = String(brief.company || brief.name || "brief").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "brief";
+  return `${brandSlug(brandOf(brief))}-brief-${slug}.${DOCUMENT_FORMATS[format].extension}`;
+}
+
+function sprintNotes(brief, { plan, issues }, t) {
+  const notes = [];
+  if (plan.lagDays > 0) notes.push(t("document.lag", { count: plan.lagDays, sprintDays: SPRINT_DAYS }));
+  if (plan.targetDate && plan.meetsTarget) notes.push(t("document.meetsTarget", { launch: t.day(plan.launch), target: t.day(plan.targetDate) }));
+  notes.push(...issues.map((i) => i.message));
+  if (!(brief.kickoff && brief.kickoff.status === "confirmed")) notes.push(t("document.assumedStart"));
+  return notes;
+}
+
+// ---------- Markdown ----------
+const mdEscape = (s) => String(s).replace(/([\\`*_[\]|<>#])/g, "\\$1").replace(/\r?\n/g, "<br>");
+
+export function renderBriefMarkdown(brief, { now = new Date() } = {}) {
+  const t = translator(brief);
+  const feasibility = briefFeasibility(brief, now, t.locale);
+  const sprint = feasibility.plan;
+  const lines = [`# ${mdEscape(title(brief, t))}`, "", `${t("document.reference")}: \`${brief.id}\`  `, mdEscape(submittedOn(brief, t, now)), ""];
+
+  for (const card of summarize(brief, t.locale, t.brand)) {
+    lines.push(`## ${card.title}`, "", "| | |", "|---|---|");
+    for (const [k, v] of Object.entries(card.items)) lines.push(`| ${mdEscape(k)} | ${mdEscape(display(v))} |`);
+    lines.push("");
+  }
+
+  const span = t("document.span", { start: t.day(sprint.start), launch: t.day(sprint.launch), length: t("sprint.days", { count: sprint.totalDays }) });
+  lines.push(`## ${t("document.timeline")}`, "", span, "");
+  for (const note of sprintNotes(brief, feasibility, t)) lines.push(`> ${mdEscape(note)}`, ">");
+  if (lines[lines.length - 1] === ">") lines.splice(-1, 1, "");
+  lines.push(`| ${t("document.phase")} | ${t("document.dates")} | ${t("document.length")} | ${t("document.what")} |`, "|---|---|---|---|");
+  for (const p of sprint.phases) lines.push(`| ${p.title} | ${formatRange(p, t)} | ${phaseLength(p, t)} | ${mdEscape(p.detail)} |`);
+  lines.push("", `### ${t("document.dayByDay")}`, "");
+  for (const d of sprint.days) lines.push(`- **${t("document.day", { day: d.day })}** (${t.day(d.date)}): ${d.title}`);
+  lines.push("", "---", "", t.brand.name);
+  return `${lines.join("\n")}\n`;
+}
+
+// ---------- PDF ----------
+// Decoded brand logos by path under public/; null when missing or not a PNG
+const logos = new Map();
+function loadLogo({ logo }) {
+  if (!logo || !/\.png$/i.test(logo.src)) return null;
+  if (!logos.has(logo.src)) {
+    try {
+      logos.set(logo.src, readPng(fs.readFileSync(path.join(process.cwd(), "public", logo.src))));
+    } catch (err) {
+      console.error(`[briefDocument] logo ${logo.src} unavailable`, err.message);
+      logos.set(logo.src, null);
+    }
+  }
+  return logos.get(logo.src);
+}
+
+const MUTED = "#64748B";
+const BODY = "#0F172A";
+const RULE = "#E5E7EB";
+
+export function renderBriefPdf(brief, { now = new Date() } = {}) {
+  const t = translator(brief);
+  const feasibility = briefFeasibility(brief, now, t.locale);
+  const sprint = feasibility.plan;
+  const brand = t.brand;
+  const { colors } = brand;
+  const image = loadLogo(brand);
+  const doc = createPdf({
+    margin: 48,
+    onPage(d, n) {
+      // Brand bar on every page; the cursor starts below it
+      d.rect(0, 0, d.pageWidth, 6, colors.primaryGreen);
+      d.textAt(t("document.footer", { id: brief.id, page: n }), d.margin, d.pageHeight - 32, { size: 8, color: MUTED });
+      d.y = n === 1 ? d.margin : d.margin - 8;
+    },
+  });
+  const { margin, contentWidth } = doc;
+  const labelWidth = 130;
+
+  function heading(text) {
+    doc.ensureSpace(48);
+    doc.y += 10;
+    doc.text(text, { size: 13, bold: true, color: colors.primaryDark, after: 2 });
+    doc.rect(margin, doc.y, contentWidth, 1, colors.primaryGreen);
+    doc.y += 8;
+  }
+
+  // A label/value row; the value wraps in its own column
+  function row(label, value, { bold = false } = {}) {
+    doc.ensureSpace(16);
+    const top = doc.y;
+    doc.textAt(label, margin, top, { size: 9.5, color: MUTED });
+    doc.text(value, { x: margin + labelWidth, size: 10, bold, color: BODY, after: 3 });
+    if (doc.y < top + 16) doc.y = top + 16;
+  }
+
+  // ---------- Header ----------
+  doc.addPage();
+  doc.rect(0, 6, doc.pageWidth, 84, colors.primaryDark);
+  if (image) doc.image(image, margin, 20, 56, 56);
+  const textX = image ? margin + 72 : margin;
+  doc.textAt(t("document.label"), textX, 28, { size: 9, bold: true, color: colors.primaryGreen });
+  doc.textAt(brief.company || brief.name || t("document.untitled"), textX, 42, { size: 20, bold: true, color: "#FFFFFF" });
+  doc.textAt(`${submittedOn(brief, t, now)} · ${brief.id}`, textX, 68, { size: 9, color: "#CBD5E1" });
+  doc.y = 110;
+
+  // ---------- Sprint ----------
+  heading(t("document.timeline"));
+  doc.rect(margin, doc.y, contentWidth, 38, colors.primaryLight);
+  doc.textAt(t("document.start"), margin + 12, doc.y + 6, { size: 8, color: MUTED });
+  doc.textAt(t.day(sprint.start, { dateStyle: "medium" }), margin + 12, doc.y + 18, { size: 11, bold: true, color: colors.primaryDark });
+  doc.textAt(t("document.launch"), margin + 170, doc.y + 6, { size: 8, color: MUTED });
+  doc.textAt(t.day(sprint.launch, { dateStyle: "medium" }), margin + 170, doc.y + 18, { size: 11, bold: true, color: colors.primaryDark });
+  doc.textAt(t("document.length"), margin + 330, doc.y + 6, { size: 8, color: MUTED });
+  doc.textAt(t("sprint.days", { count: sprint.totalDays }), margin + 330, doc.y + 18, { size: 11, bold: true, color: colors.primaryDark });
+  doc.y += 48;
+  for (const note of sprintNotes(brief, feasibility, t)) doc.text(`•  ${note}`, { size: 9.5, color: BODY, after: 1 });
+  doc.y += 6;
+
+  // Proportional bar: one segment per day, colored by phase
+  const cell = contentWidth / sprint.days.length;
+  doc.ensureSpace(30);
+  sprint.days.forEach((d, i) => doc.rect(margin + i * cell + 0.5, doc.y, cell - 1, 10, solidColor(d.color, colors)));
+  doc.y += 18;
+
+  for (const p of sprint.phases) {
+    doc.ensureSpace(30);
+    const top = doc.y;
+    doc.rect(margin, top + 2, 8, 8, solidColor(p.color, colors));
+    doc.textAt(p.title, margin + 14, top, { size: 10, bold: true, color: colors.primaryDark });
+    doc.textAt(`${formatRange(p, t)} · ${phaseLength(p, t)}`, margin + labelWidth, top, { size: 10, color: BODY });
+    doc.y = top + 13;
+    doc.text(p.detail, { x: margin + labelWidth, size: 9, color: MUTED, after: 5 });
+  }
+
+  // Two columns of days, kept on one page with their heading
+  const half = Math.ceil(sprint.days.length / 2);
+  doc.ensureSpace(half * 14 + 48);
+  heading(t("document.dayByDay"));
+  const columnTop = doc.y;
+  sprint.days.forEach((d, i) => {
+    const x = margin + (i < half ? 0 : contentWidth / 2);
+    const y = columnTop + (i % half) * 14;
+    doc.textAt(t("document.day", { day: d.day }), x, y, { size: 9.5, bold: true, color: colors.primaryDark });
+    doc.textAt(`${t.day(d.date)}  ${d.title}`, x + 44, y, { size: 9.5, color: BODY });
+  });
+  doc.y = columnTop + half * 14 + 4;
+
+  // ---------- Brief ----------
+  for (const card of summarize(brief, t.locale, brand)) {
+    heading(card.title);
+    for (const [k, v] of Object.entries(card.items)) row(k, display(v));
+  }
+
+  return doc.end();
+}
+
+/** { filename, contentType, content } for a download or an email attachment. */
+export function renderBriefDocument(brief, format, opts) {
+  const { contentType } = DOCUMENT_FORMATS[format];
+  const content = format === "pdf" ? renderBriefPdf(brief, opts) : renderBriefMarkdown(brief, opts);
+  return { filename: documentFilename(brief, format), contentType, content };
+}
@@ -0,0 +1,22 @@
+/**
+ * Brief workflow, in order. Admins move a brief one step forward (or back,
+ * to undo a misclick); every change is appended to brief.statusHistory.
+ */
+export const STATUSES = [
+  { id: "new", label: "New" },
+  { id: "contacted", label: "Contacted" },
+  { id: "kickoff-booked", label: "Kickoff booked" },
+  { id: "in-sprint", label: "In sprint" },
+  { id: "launched", label: "Launched" },
+];
+
+export const statusOf = (brief) => brief.status || "new";
+
+export function statusLabel(id) {
+  return STATUSES.find((s) => s.id === id)?.label || id;
+}
+
+export function allowedTransitions(from) {
+  const i = STATUSES.findIndex((s) => s.id === from);
+  return [STATUSES[i - 1], STATUSES[i + 1]].filter(Boolean).map((s) => s.id);
+}
@@ -0,0 +1,195 @@
+/**
+ * Versioned brief documents: what the read API (/api/v1|v2/briefs/:id)
+ * returns and what POST /api/brief accepts, described by /api/openapi.json.
+ *
+ * v1 is today's flat shape – the one the wizard sends and the store keeps
+ * (lib/brief.js normalizePayload): every answer a string or boolean, plus
+ * upload references. v2 types the answers v1 leaves as free text:
+ *
+ *   targetDate    "YYYY-MM-DD" (a real calendar date) or null
+ *   mustHaves     ["Class schedule", "Booking form"]
+ *   niceToHaves   [...]
+ *   integrations  [{ id: "stripe", name: "Stripe" }, { id: "other", name: "Acuity" }]
+ *
+ * Stored briefs stay v1, since sync, emails and the admin read them as they
+ * are. migrateBrief() converts a document between versions in either
+ * direction one step at a time, so a v3 only needs a v2 <-> v3 pair.
+ */
+import { normalizePayload } from "./brief";
+import { brandOf } from "./brand";
+import { statusOf } from "./briefStatus";
+import { integrationsOf } from "./portal";
+import { isCalendarDate } from "./schema";
+
+export const BRIEF_VERSIONS = [1, 2];
+export const LATEST_BRIEF_VERSION = 2;
+// What the wizard sends and the store keeps
+export const STORED_BRIEF_VERSION = 1;
+
+export class BriefVersionError extends Error {
+  constructor(message, status = 422, fields) {
+    super(message);
+    this.name = "BriefVersionError";
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+// ---------- Integrations ----------
+// The integrations v2 knows by id; anything else is { id: "other", name }
+export const INTEGRATIONS = [
+  { id: "stripe", name: "Stripe", category: "payments", match: /stripe/i },
+  { id: "paypal", name: "PayPal", category: "payments", match: /pay\s*pal/i },
+  { id: "square", name: "Square", category: "payments", match: /^square\b/i },
+  { id: "shopify", name: "Shopify", category: "ecommerce", match: /shopify/i },
+  { id: "hubspot", name: "HubSpot", category: "crm", match: /hub\s*spot/i },
+  { id: "salesforce", name: "Salesforce", category: "crm", match: /salesforce/i },
+  { id: "pipedrive", name: "Pipedrive", category: "crm", match: /pipedrive/i },
+  { id: "mailchimp", name: "Mailchimp", category: "email", match: /mail\s*chimp/i },
+  { id: "convertkit", name: "Kit (ConvertKit)", category: "email", match: /convert\s*kit|^kit$/i },
+  { id: "klaviyo", name: "Klaviyo", category: "email", match: /klaviyo/i },
+  { id: "calendly", name: "Calendly", category: "booking", match: /calendly/i },
+  { id: "acuity", name: "Acuity Scheduling", category: "booking", match: /acuity/i },
+  { id: "google-calendar", name: "Google Calendar", category: "booking", match: /google\s*cal|^gcal$/i },
+  { id: "google-sheets", name: "Google Sheets", category: "workspace", match: /google\s*sheets?|^g\s*sheets?$/i },
+  { id: "google-analytics", name: "Google Analytics", category: "analytics", match: /google\s*analytics|^ga4?$/i },
+  { id: "notion", name: "Notion", category: "workspace", match: /notion/i },
+  { id: "airtable", name: "Airtable", category: "workspace", match: /airtable/i },
+  { id: "zapier", name: "Zapier", category: "automation", match: /zapier/i },
+  { id: "make", name: "Make", category: "automation", match: /^make(\.com)?$|integromat/i },
+  { id: "slack", name: "Slack", category: "messaging", match: /slack/i },
+  { id: "whatsapp", name: "WhatsApp", category: "messaging", match: /whats\s*app/i },
+  { id: "zoom", name: "Zoom", category: "messaging", match: /zoom/i },
+  { id: "quickbooks", name: "QuickBooks", category: "accounting", match: /quick\s*books/i },
+  { id: "xero", name: "Xero", category: "accounting", match: /xero/i },
+];
+
+export const INTEGRATION_IDS = [...INTEGRATIONS.map((i) => i.id), "other"];
+
+/** "Stripe, Acuity" -> [{ id: "stripe", name: "Stripe" }, { id: "other", name: "Acuity" }] */
+export function parseIntegrations(text) {
+  const out = [];
+  for (const name of integrationsOf(text)) {
+    const known = INTEGRATIONS.find((i) => i.match.test(name));
+    const item = known ? { id: known.id, name: known.name } : { id: "other", name };
+    if (!out.some((o) => o.id === item.id && o.name === item.name)) out.push(item);
+  }
+  return out;
+}
+
+const integrationName = (item) => (item.id === "other" ? item.name : INTEGRATIONS.find((i) => i.id === item.id).name);
+
+// ---------- Lists ----------
+/**
+ * One item per line (bullets and numbering dropped); a single line is split
+ * on commas and semicolons outside parentheses.
+ * "- Schedule\n- Booking form" and "Schedule, booking form" -> ["Schedule", ...]
+ */
+export function parseList(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, "").trim())
+    .filter(Boolean);
+  if (lines.length !== 1) return lines;
+  return lines[0]
+    .split(/[,;](?![^()]*\))/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// ---------- Migrations ----------
+// MIGRATIONS[n] turns a v(n-1) document into vn (up) and back (down)
+const MIGRATIONS = {
+  2: {
+    up: (doc) => ({
+      ...doc,
+      targetDate: isCalendarDate(doc.targetDate) ? doc.targetDate : null,
+      mustHaves: parseList(doc.mustHaves),
+      niceToHaves: parseList(doc.niceToHaves),
+      integrations: parseIntegrations(doc.integrations),
+    }),
+    down: (doc) => ({
+      ...doc,
+      targetDate: doc.targetDate || "",
+      mustHaves: (doc.mustHaves || []).join("\n"),
+      niceToHaves: (doc.niceToHaves || []).join("\n"),
+      integrations: (doc.integrations || []).map(integrationName).join(", "),
+    }),
+  },
+};
+
+// Documents from before versioning (and the wizard's payloads) are v1
+export const versionOf = (doc) => (doc.schemaVersion === undefined ? 1 : doc.schemaVersion);
+
+function checkVersion(version, field = "schemaVersion") {
+  if (!BRIEF_VERSIONS.includes(version)) {
+    const message = `Unknown schema version ${JSON.stringify(version)} (use ${BRIEF_VERSIONS.join(" or ")})`;
+    throw new BriefVersionError(message, 422, { [field]: message });
+  }
+}
+
+/** `doc` as a `to` document; doesn't validate the answers (see checkBriefTypes). */
+export function migrateBrief(doc, to = LATEST_BRIEF_VERSION) {
+  let version = versionOf(doc);
+  checkVersion(version);
+  checkVersion(to);
+  let out = { ...doc };
+  for (; version < to; version++) out = MIGRATIONS[version + 1].up(out);
+  for (; version > to; version--) out = MIGRATIONS[version].down(out);
+  return { ...out, schemaVersion: to };
+}
+
+// ---------- Input ----------
+const isStringList = (v) => Array.isArray(v) && v.every((s) => typeof s === "string");
+const isIntegration = (v) => v && INTEGRATION_IDS.includes(v.id) && (v.id !== "other" || (typeof v.name === "string" && !!v.name.trim()));
+
+/**
+ * { [field]: message } for answers of the wrong type for the document's
+ * version. Only v2's typed answers are checked here; everything else is up
+ * to validateBrief() once the document is migrated to v1.
+ */
+export function checkBriefTypes(doc) {
+  const errors = {};
+  if (versionOf(doc) < 2) return errors;
+  if (doc.targetDate != null && doc.targetDate !== "" && !isCalendarDate(doc.targetDate)) errors.targetDate = "Use a real date (YYYY-MM-DD) or null.";
+  for (const name of ["mustHaves", "niceToHaves"]) {
+    if (doc[name] != null && !isStringList(doc[name])) errors[name] = "Send a list of strings.";
+  }
+  if (doc.integrations != null && !(Array.isArray(doc.integrations) && doc.integrations.every(isIntegration))) {
+    errors.integrations = `Send a list of { id } with ids from ${INTEGRATION_IDS.join(", ")} ({ id: "other", name } for the rest).`;
+  }
+  return errors;
+}
+
+/**
+ * A submitted brief of any version as the stored version, ready for
+ * validateBrief(). Keys outside the answers (_guard, brand…) pass through.
+ * Throws a BriefVersionError for unknown versions and mistyped v2 answers.
+ */
+export function briefFromInput(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return body;
+  checkVersion(versionOf(body));
+  const errors = checkBriefTypes(body);
+  if (Object.keys(errors).length) throw new BriefVersionError("Some answers have the wrong type for this schema version.", 422, errors);
+  return migrateBrief(body, STORED_BRIEF_VERSION);
+}
+
+// ---------- Output ----------
+/**
+ * A stored brief as the read API's `version` document: the answers plus
+ * id, brand, status, createdAt, updatedAt and kickoff. Internal notes,
+ * messages, sync/email logs and links (portal, kickoff tokens) stay out.
+ */
+export function briefResource(brief, version = LATEST_BRIEF_VERSION) {
+  const v1 = {
+    schemaVersion: 1,
+    id: brief.id,
+    brand: brandOf(brief).id,
+    status: statusOf(brief),
+    createdAt: brief.createdAt,
+    updatedAt: brief.updatedAt || brief.createdAt,
+    kickoff: brief.kickoff ? { status: brief.kickoff.status, start: brief.kickoff.start, end: brief.kickoff.end } : null,
+    ...normalizePayload(brief),
+  };
+  return migrateBrief(v1, version);
+}
@@ -0,0 +1,89 @@
+/**
+ * Wizard draft persistence.
+ *
+ * Drafts are autosaved to localStorage as { version, step, data, token,
+ * savedAt } and can also be parked server-side (/api/drafts) behind an
+ * unguessable token so a "continue later" link reopens them on another device.
+ *
+ * Bump DRAFT_VERSION whenever the stored shape changes and add a step to
+ * MIGRATIONS that upgrades the previous version in place.
+ */
+import { normalizePayload } from "./brief";
+
+export const DRAFT_VERSION = 1;
+export const DRAFT_STORAGE_KEY = "blossom.launch.draft";
+
+// version -> fn(draft) returning the draft at version + 1, e.g.
+//   1: (d) => ({ ...d, version: 2, data: { ...d.data, newField: "" } }),
+const MIGRATIONS = {};
+
+export function migrateDraft(raw) {
+  if (!raw || typeof raw !== "object" || typeof raw.version !== "number") return null;
+  let draft = raw;
+  while (draft.version < DRAFT_VERSION) {
+    const migrate = MIGRATIONS[draft.version];
+    if (!migrate) return null;
+    draft = migrate(draft);
+  }
+  if (draft.version !== DRAFT_VERSION) return null; // written by a newer build
+  return {
+    version: DRAFT_VERSION,
+    step: Number.isInteger(draft.step) && draft.step >= 0 ? draft.step : 0,
+    data: normalizePayload(draft.data || {}),
+    token: typeof draft.token === "string" ? draft.token : null,
+    savedAt: draft.savedAt || null,
+  };
+}
+
+export function loadLocalDraft() {
+  try {
+    const raw = window.localStorage.getItem(DRAFT_STORAGE_KEY);
+    return raw ? migrateDraft(JSON.parse(raw)) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveLocalDraft({ step, data, token = null }) {
+  const draft = { version: DRAFT_VERSION, step, data, token, savedAt: new Date().toISOString() };
+  try {
+    window.localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+    return draft;
+  } catch {
+    // Private mode / quota exceeded: keep going without persistence
+    return null;
+  }
+}
+
+export function clearLocalDraft() {
+  try {
+    window.localStorage.removeItem(DRAFT_STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+// ---------- Server-side drafts ("continue later") ----------
+export async function saveRemoteDraft({ token, step, data }) {
+  const res = await fetch(token ? `/api/drafts/${encodeURIComponent(token)}` : "/api/drafts", {
+    method: token ? "PUT" : "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ version: DRAFT_VERSION, step, data: normalizePayload(data) }),
+  });
+  // The old link expired: start a fresh server draft instead
+  if (token && res.status === 404) return saveRemoteDraft({ step, data });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+  return json; // { ok, token }
+}
+
+export async function loadRemoteDraft(token) {
+  const res = await fetch(`/api/drafts/${encodeURIComponent(token)}`);
+  if (!res.ok) return null;
+  const json = await res.json().catch(() => null);
+  return json && json.draft ? migrateDraft(json.draft) : null;
+}
+
+export function draftLink(token) {
+  return `${window.location.origin}${window.location.pathname}?draft=${encodeURIComponent(token)}#wizard`;
+}
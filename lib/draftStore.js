@@ -0,0 +1,35 @@
+/**
+ * Server-side draft storage for "continue later" links. The token is the
+ * draft's id and the only credential, so it is long and random; drafts
+ * expire after DRAFT_TTL_DAYS without an update and are deleted the next
+ * time a draft is parked. Saves are rate limited per IP (lib/guard).
+ */
+import { normalizePayload } from "./brief";
+import { DRAFT_VERSION } from "./draft";
+import { getStore } from "./store";
+
+export const DRAFT_TTL_DAYS = 30;
+
+export function sanitizeDraft(body) {
+  if (!body || typeof body !== "object" || body.version !== DRAFT_VERSION) return null;
+  const step = Number.isInteger(body.step) && body.step >= 0 ? body.step : 0;
+  return { version: DRAFT_VERSION, step, data: normalizePayload(body.data || {}) };
+}
+
+const expired = (draft, now) => now - Date.parse(draft.updatedAt || draft.createdAt) > DRAFT_TTL_DAYS * 86400000;
+
+export async function getDraft(token) {
+  const draft = await getStore().collection("drafts").get(token);
+  return draft && !expired(draft, Date.now()) ? draft : null;
+}
+
+/** Delete drafts past DRAFT_TTL_DAYS; resolves to how many went. */
+export function pruneDrafts({ now = Date.now() } = {}) {
+  return getStore()
+    .collection("drafts")
+    .mutate((docs) => {
+      const stale = Object.values(docs).filter((d) => expired(d, now));
+      for (const d of stale) delete docs[d.id];
+      return stale.length;
+    });
+}
@@ -0,0 +1,188 @@
+/**
+ * Transactional email for briefs: a confirmation to the submitter and an
+ * alert to the team when a brief comes in, a reminder when no kickoff is
+ * booked within KICKOFF_REMINDER_HOURS, and client portal activity (messages
+ * both ways, edits to the brief for the team).
+ *
+ * EMAIL_TRANSPORT picks how messages leave:
+ *
+ *   smtp   SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (lib/email/smtp.js)
+ *   log    print to the server log (default while SMTP_HOST is unset)
+ *   none   don't send (every email is recorded as skipped)
+ *
+ * EMAIL_FROM / TEAM_EMAIL are the defaults; a brand's `submission.emailFrom`
+ * / `teamEmail` (config/brands) win for its briefs.
+ *
+ * A transport is just { name, send(message) -> { messageId } }, with message
+ * as in lib/email/mime.js. Every attempt is recorded on the brief:
+ *
+ *   brief.emails = [{ kind, to, status: "sent" | "failed" | "skipped", messageId?, error?, at }, ...]
+ */
+import { siteUrl } from "../api";
+import { brandOf } from "../brand";
+import { renderBriefDocument } from "../briefDocument";
+import { statusOf, STATUSES } from "../briefStatus";
+import { getStore } from "../store";
+import { createSmtpTransport } from "./smtp";
+import { briefConfirmation, briefEdited, clientMessage, internalAlert, kickoffReminder, teamReply } from "./templates";
+
+export function createLogTransport({ log = console.log } = {}) {
+  return {
+    name: "log",
+    async send(msg) {
+      log(`[email] to=${[].concat(msg.to).map((a) => a.email || a).join(",")} subject=${JSON.stringify(msg.subject)}\n${msg.text}`);
+      return { messageId: null };
+    },
+  };
+}
+
+export function getTransport(env = process.env) {
+  const kind = env.EMAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : "log");
+  if (kind === "none") return null;
+  if (kind === "smtp") {
+    return createSmtpTransport({
+      host: env.SMTP_HOST || "localhost",
+      port: Number(env.SMTP_PORT || 587),
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : undefined,
+      user: env.SMTP_USER || undefined,
+      pass: env.SMTP_PASS || undefined,
+    });
+  }
+  return createLogTransport();
+}
+
+const addressList = (value) => (value ? value.split(",").map((s) => s.trim()).filter(Boolean) : []);
+
+export function emailSettings(env = process.env) {
+  return {
+    from: env.EMAIL_FROM || '"Blossom.Launch" <hello@blossom.launch>',
+    team: addressList(env.TEAM_EMAIL),
+    reminderHours: Number(env.KICKOFF_REMINDER_HOURS || 48),
+  };
+}
+
+// A brand (config/brands) may send from its own address and alert its own team
+function senders(brief, settings) {
+  const { submission } = brandOf(brief);
+  return { from: submission.emailFrom || settings.from, team: submission.teamEmail ? addressList(submission.teamEmail) : settings.team };
+}
+
+const briefs = () => getStore().collection("briefs");
+
+function record(briefId, entry) {
+  return briefs().update(briefId, (b) => ({ ...b, emails: [...(b.emails || []), { ...entry, at: new Date().toISOString() }] }));
+}
+
+async function deliver(transport, brief, kind, message) {
+  const to = [].concat(message.to).map((a) => a.email || a).join(", ");
+  if (!transport) {
+    await record(brief.id, { kind, to, status: "skipped" });
+    return { kind, status: "skipped" };
+  }
+  try {
+    const { messageId } = await transport.send(message);
+    await record(brief.id, { kind, to, status: "sent", ...(messageId ? { messageId } : {}) });
+    return { kind, status: "sent" };
+  } catch (err) {
+    await record(brief.id, { kind, to, status: "failed", error: String(err.message || err) });
+    return { kind, status: "failed", error: String(err.message || err) };
+  }
+}
+
+// The launch brief as PDF + Markdown; a rendering bug shouldn't cost the client their confirmation
+function briefAttachments(brief) {
+  try {
+    return ["pdf", "md"].map((format) => renderBriefDocument(brief, format));
+  } catch (err) {
+    console.error(`[email] could not render brief document for ${brief.id}`, err);
+    return [];
+  }
+}
+
+/** Confirmation (with the launch brief attached) + team alert for a freshly stored brief. */
+export async function sendBriefEmails(briefId, { baseUrl, transport = getTransport(), settings = emailSettings() }) {
+  const brief = await briefs().get(briefId);
+  if (!brief) throw new Error(`Unknown brief: ${briefId}`);
+
+  const { from, team } = senders(brief, settings);
+  const results = [
+    await deliver(transport, brief, "confirmation", { from, to: { name: brief.name, email: brief.email }, ...briefConfirmation(brief, { baseUrl }), attachments: briefAttachments(brief) }),
+  ];
+  if (team.length) {
+    results.push(
+      await deliver(transport, brief, "alert", { from, to: team, replyTo: { name: brief.name, email: brief.email }, ...internalAlert(brief, { baseUrl }) })
+    );
+  }
+  return results;
+}
+
+// ---------- Kickoff reminders ----------
+const MAX_REMINDER_ATTEMPTS = 3;
+// A "sending" claim this old belongs to a run that died mid-send
+const REMINDER_CLAIM_TIMEOUT_MS = 15 * 60000;
+const KICKOFF_BOOKED = STATUSES.findIndex((s) => s.id === "kickoff-booked");
+
+function reminderDue(b, cutoff, now) {
+  if (b.createdAt > cutoff || b.kickoff?.status === "confirmed") return false;
+  if (STATUSES.findIndex((s) => s.id === statusOf(b)) >= KICKOFF_BOOKED) return false;
+  const r = b.kickoffReminder;
+  if (!r) return true;
+  const stale = r.status === "sending" && now.getTime() - Date.parse(r.claimedAt || r.at) > REMINDER_CLAIM_TIMEOUT_MS;
+  return (r.status === "failed" || stale) && r.attempts < MAX_REMINDER_ATTEMPTS;
+}
+
+/**
+ * Email everyone whose brief is older than reminderHours and still has no
+ * kickoff. Briefs are claimed ("sending", with claimedAt) in one mutate()
+ * first, so overlapping runs (two cron hits) never send the same reminder
+ * twice; a claim left behind by a run that died is taken over after
+ * REMINDER_CLAIM_TIMEOUT_MS. Links point at each brief's brand unless
+ * `baseUrl` says otherwise.
+ */
+export async function sendKickoffReminders({ baseUrl, now = new Date(), transport = getTransport(), settings = emailSettings() } = {}) {
+  const cutoff = new Date(now.getTime() - settings.reminderHours * 3600000).toISOString();
+  const due = await briefs().mutate((docs) =>
+    Object.values(docs)
+      .filter((b) => reminderDue(b, cutoff, now))
+      .map((b) => {
+        docs[b.id] = { ...b, kickoffReminder: { status: "sending", attempts: (b.kickoffReminder?.attempts || 0) + 1, at: now.toISOString(), claimedAt: now.toISOString() } };
+        return docs[b.id];
+      })
+  );
+
+  const results = [];
+  for (const brief of due) {
+    let result;
+    try {
+      result = await deliver(transport, brief, "reminder", { from: senders(brief, settings).from, to: { name: brief.name, email: brief.email }, ...kickoffReminder(brief, { baseUrl: baseUrl || siteUrl(brandOf(brief)) }) });
+    } catch (err) {
+      // e.g. the template threw: give the claim back so the next run retries
+      console.error(`[email] reminder failed for ${brief.id}`, err);
+      result = { kind: "reminder", status: "failed", error: String(err.message || err) };
+    }
+    await briefs().update(brief.id, (b) => ({ ...b, kickoffReminder: { ...b.kickoffReminder, status: result.status } }));
+    results.push({ briefId: brief.id, ...result });
+  }
+  return results;
+}
+
+// ---------- Client portal ----------
+/** A portal message reaches the other side: the team hears from the client, the client gets the team's reply. */
+export async function sendMessageEmail(briefId, message, { baseUrl, transport = getTransport(), settings = emailSettings() }) {
+  const brief = await briefs().get(briefId);
+  if (!brief) throw new Error(`Unknown brief: ${briefId}`);
+  const { from, team } = senders(brief, settings);
+  const client = { name: brief.name, email: brief.email };
+  if (message.from === "team") return deliver(transport, brief, "reply", { from, to: client, ...teamReply(brief, message, { baseUrl }) });
+  if (!team.length) return { kind: "message", status: "skipped" };
+  return deliver(transport, brief, "message", { from, to: team, replyTo: client, ...clientMessage(brief, message, { baseUrl }) });
+}
+
+/** Tell the team what a client changed in the portal (`change` is a brief.changeHistory entry). */
+export async function sendChangeEmail(briefId, change, { baseUrl, transport = getTransport(), settings = emailSettings() }) {
+  const brief = await briefs().get(briefId);
+  if (!brief) throw new Error(`Unknown brief: ${briefId}`);
+  const { from, team } = senders(brief, settings);
+  if (!team.length) return { kind: "edit", status: "skipped" };
+  return deliver(transport, brief, "edit", { from, to: team, replyTo: { name: brief.name, email: brief.email }, ...briefEdited(brief, change, { baseUrl }) });
+}
@@ -0,0 +1,70 @@
+/**
+ * RFC 5322/2045 message builder for the email transports: text + HTML
+ * alternatives, optional attachments, UTF-8 everywhere. Bodies and
+ * attachments are base64 so no line ever exceeds SMTP's limits.
+ */
+import crypto from "crypto";
+
+const b64Lines = (buf) => buf.toString("base64").replace(/.{76}(?=.)/g, "$&\r\n");
+
+// Non-ASCII header values become RFC 2047 encoded words
+function encodeHeader(value) {
+  const s = String(value).replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, "utf8").toString("base64")}?=`;
+}
+
+/** "Name <a@b.co>" or "a@b.co" from { name, email } / a plain string. */
+export function formatAddress(addr) {
+  if (!addr) return "";
+  if (typeof addr === "string") return addr;
+  return addr.name ? `"${encodeHeader(addr.name).replace(/"/g, "'")}" <${addr.email}>` : addr.email;
+}
+
+export const addressOf = (addr) => (typeof addr === "string" ? addr.replace(/^.*<([^>]+)>.*$/, "$1") : addr.email);
+
+const boundary = () => `=_blossom_${crypto.randomBytes(12).toString("hex")}`;
+
+function part(contentType, content, extraHeaders = []) {
+  const buf = Buffer.isBuffer(content) ? content : Buffer.from(String(content), "utf8");
+  return [`Content-Type: ${contentType}`, "Content-Transfer-Encoding: base64", ...extraHeaders, "", b64Lines(buf)].join("\r\n");
+}
+
+function multipart(subtype, parts) {
+  const b = boundary();
+  return [`Content-Type: multipart/${subtype}; boundary="${b}"`, "", ...parts.map((p) => `--${b}\r\n${p}`), `--${b}--`, ""].join("\r\n");
+}
+
+/**
+ * @param {object} msg { from, to, cc?, replyTo?, subject, text, html?, attachments?: [{ filename, contentType, content }] }
+ * @returns {{ raw: string, messageId: string }}
+ */
+export function buildMessage(msg) {
+  const to = [].concat(msg.to);
+  const cc = [].concat(msg.cc || []);
+  const domain = addressOf(msg.from).split("@")[1] || "localhost";
+  const messageId = `<${crypto.randomBytes(12).toString("hex")}@${domain}>`;
+
+  let body = msg.html
+    ? multipart("alternative", [part("text/plain; charset=utf-8", msg.text || ""), part("text/html; charset=utf-8", msg.html)])
+    : part("text/plain; charset=utf-8", msg.text || "");
+  if (msg.attachments && msg.attachments.length) {
+    body = multipart("mixed", [
+      body,
+      ...msg.attachments.map((a) =>
+        part(`${a.contentType || "application/octet-stream"}; name="${encodeHeader(a.filename)}"`, a.content, [`Content-Disposition: attachment; filename="${encodeHeader(a.filename)}"`])
+      ),
+    ]);
+  }
+
+  const headers = [
+    `From: ${formatAddress(msg.from)}`,
+    `To: ${to.map(formatAddress).join(", ")}`,
+    cc.length ? `Cc: ${cc.map(formatAddress).join(", ")}` : null,
+    msg.replyTo ? `Reply-To: ${formatAddress(msg.replyTo)}` : null,
+    `Subject: ${encodeHeader(msg.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+  ].filter(Boolean);
+  return { raw: `${headers.join("\r\n")}\r\n${body}`, messageId };
+}
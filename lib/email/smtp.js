@@ -0,0 +1,155 @@
+/**
+ * Minimal SMTP client (RFC 5321) for the "smtp" email transport: EHLO,
+ * STARTTLS when offered, AUTH PLAIN/LOGIN, one message per connection.
+ * Implicit TLS is used on port 465 (or `secure: true`).
+ *
+ * Test it offline against `npm run smtp:standin`.
+ */
+import net from "net";
+import tls from "tls";
+import { addressOf, buildMessage } from "./mime";
+
+export class SmtpError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SmtpError";
+    this.code = code;
+  }
+}
+
+// Reads multi-line replies ("250-…" … "250 …") off a socket, one at a time
+function replyReader(socket, timeoutMs) {
+  let buffer = "";
+  let lines = [];
+  const waiting = [];
+  const replies = [];
+  let failure = null;
+
+  const flush = () => {
+    while (waiting.length && (replies.length || failure)) {
+      const w = waiting.shift();
+      if (replies.length) w.resolve(replies.shift());
+      else w.reject(failure);
+    }
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) });
+        lines = [];
+      }
+    }
+    flush();
+  };
+  const onFail = (err) => {
+    failure = failure || err || new SmtpError("Connection closed by server");
+    flush();
+  };
+  socket.on("data", onData);
+  socket.on("error", onFail);
+  socket.on("close", () => onFail());
+  socket.setTimeout(timeoutMs, () => {
+    onFail(new SmtpError(`SMTP timeout after ${timeoutMs}ms`));
+    socket.destroy();
+  });
+
+  return {
+    next: () =>
+      new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        flush();
+      }),
+    detach: () => {
+      socket.removeListener("data", onData);
+      socket.removeAllListeners("error");
+      socket.removeAllListeners("close");
+      socket.setTimeout(0);
+    },
+  };
+}
+
+function connect({ host, port, secure, tlsOptions, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host, ...tlsOptions }) : net.connect({ host, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new SmtpError(`Could not connect to ${host}:${port}`));
+    }, timeoutMs);
+    socket.once(secure ? "secureConnect" : "connect", () => {
+      clearTimeout(timer);
+      resolve(socket);
+    });
+    socket.once("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * @param {object} opts { host, port=587, secure?, user?, pass?, name?, requireTLS?, tlsOptions?, timeoutMs? }
+ */
+export function createSmtpTransport({ host, port = 587, secure = Number(port) === 465, user, pass, name = "localhost", requireTLS = false, tlsOptions = {}, timeoutMs = 15000 }) {
+  return {
+    name: "smtp",
+    async send(msg) {
+      const { raw, messageId } = buildMessage(msg);
+      let socket = await connect({ host, port: Number(port), secure, tlsOptions, timeoutMs });
+      let reader = replyReader(socket, timeoutMs);
+
+      // `label` names the step in errors (never the credentials or message body)
+      async function command(line, expect, label = line ? line.split(" ")[0] : "greeting") {
+        if (line != null) socket.write(`${line}\r\n`);
+        const reply = await reader.next();
+        if (!expect.includes(reply.code)) {
+          throw new SmtpError(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(" ")}`, reply.code);
+        }
+        return reply;
+      }
+
+      try {
+        await command(null, [220]);
+        let ehlo = await command(`EHLO ${name}`, [250]);
+        const offers = (kw) => ehlo.lines.some((l) => l.toUpperCase().startsWith(kw));
+
+        if (!secure && offers("STARTTLS")) {
+          await command("STARTTLS", [220]);
+          reader.detach();
+          socket = tls.connect({ socket, servername: host, ...tlsOptions });
+          await new Promise((resolve, reject) => socket.once("secureConnect", resolve).once("error", reject));
+          reader = replyReader(socket, timeoutMs);
+          ehlo = await command(`EHLO ${name}`, [250]);
+        } else if (!secure && requireTLS) {
+          throw new SmtpError("Server does not offer STARTTLS");
+        }
+
+        if (user) {
+          const auth = ehlo.lines.find((l) => l.toUpperCase().startsWith("AUTH")) || "";
+          if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+            await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ""}`).toString("base64")}`, [235]);
+          } else {
+            await command("AUTH LOGIN", [334]);
+            await command(Buffer.from(user).toString("base64"), [334], "AUTH LOGIN");
+            await command(Buffer.from(pass || "").toString("base64"), [235], "AUTH LOGIN");
+          }
+        }
+
+        const recipients = [...[].concat(msg.to), ...[].concat(msg.cc || []), ...[].concat(msg.bcc || [])].map(addressOf);
+        await command(`MAIL FROM:<${addressOf(msg.from)}>`, [250]);
+        for (const rcpt of recipients) await command(`RCPT TO:<${rcpt}>`, [250, 251]);
+        await command("DATA", [354]);
+        // Dot-stuffing: a line starting with "." gets another one
+        await command(`${raw.replace(/\r\n\./g, "\r\n..")}\r\n.`, [250], "message");
+        await command("QUIT", [221]).catch(() => {});
+        return { messageId, accepted: recipients };
+      } finally {
+        socket.destroy();
+      }
+    },
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Email templates. Each returns { subject, text, html }; the brief sections
+ * come from summarize(), so the confirmation matches the Review step.
+ *
+ * Emails to the client go out in the brief's `locale` (lib/i18n catalogs,
+ * `email.*`); team alerts stay in English. Name and colors are the
+ * brief's brand's (config/brands).
+ */
+import { brandOf, DEFAULT_BRAND } from "../brand";
+import { createTranslator, localePath } from "../i18n";
+import { plans } from "../plans";
+import { fieldByName, summarize } from "../schema";
+
+const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const firstName = (b, t) => String(b.name || "").trim().split(/\s+/)[0] || t("email.hiThere");
+const planName = (id) => plans.find((p) => p.id === id)?.name || id || "—";
+const display = (v) => (Array.isArray(v) ? v.map((f) => f.name).join(", ") : String(v));
+
+export const kickoffLink = (brief, baseUrl) => `${baseUrl}${localePath(brief.locale, "/kickoff")}?brief=${encodeURIComponent(brief.id)}`;
+export const portalLink = (brief, baseUrl) => `${baseUrl}${localePath(brief.locale, `/portal/${brief.portalToken}`)}`;
+const adminLink = (brief, baseUrl) => `${baseUrl}/admin/briefs/${brief.id}`;
+
+function sectionsText(brief, locale) {
+  return summarize(brief, locale, brandOf(brief))
+    .map((card) => [card.title.toUpperCase(), ...Object.entries(card.items).map(([k, v]) => `  ${k}: ${display(v)}`)].join("\n"))
+    .join("\n\n");
+}
+
+function sectionsHtml(brief, locale) {
+  const brand = brandOf(brief);
+  const { colors } = brand;
+  return summarize(brief, locale, brand)
+    .map(
+      (card) => `
+      <h3 style="margin:24px 0 8px;font-size:14px;color:${colors.primaryDark}">${escapeHtml(card.title)}</h3>
+      <table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;font-size:14px;border-collapse:collapse">
+        ${Object.entries(card.items)
+          .map(
+            ([k, v]) => `<tr>
+          <td style="padding:4px 12px 4px 0;color:#64748b;vertical-align:top;width:35%">${escapeHtml(k)}</td>
+          <td style="padding:4px 0;color:#0f172a;white-space:pre-wrap">${escapeHtml(display(v))}</td>
+        </tr>`
+          )
+          .join("")}
+      </table>`
+    )
+    .join("");
+}
+
+function button(href, label, { colors }) {
+  return `<a href="${escapeHtml(href)}" style="display:inline-block;margin-top:16px;padding:12px 20px;border-radius:6px;background:${colors.primaryGreen};color:#fff;font-weight:600;text-decoration:none">${escapeHtml(label)}</a>`;
+}
+
+function layout(body, { name, colors }, lang = "en") {
+  return `<!doctype html>
+<html lang="${lang}"><body style="margin:0;padding:24px;background:${colors.primaryLight};font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#334155">
+  <div style="max-width:600px;margin:0 auto;background:#fff;border:1px solid #e5e7eb;border-radius:12px;padding:24px">
+    <div style="font-weight:600;color:${colors.primaryDark};margin-bottom:16px">
+      <span style="display:inline-block;width:14px;height:14px;border-radius:4px;background:${colors.primaryGreen};vertical-align:-2px"></span> ${escapeHtml(name)}
+    </div>
+    ${body}
+  </div>
+</body></html>`;
+}
+
+/** To the submitter, right after their brief is stored. */
+export function briefConfirmation(brief, { baseUrl }) {
+  const brand = brandOf(brief);
+  const t = createTranslator(brief.locale, brand);
+  const book = kickoffLink(brief, baseUrl);
+  const portal = brief.portalToken ? portalLink(brief, baseUrl) : "";
+  const name = firstName(brief, t);
+  return {
+    subject: t("email.confirmation.subject"),
+    text: [
+      t("email.hi", { name }),
+      "",
+      t("email.confirmation.thanks"),
+      "",
+      sectionsText(brief, t.locale),
+      "",
+      t("email.confirmation.nextLink", { url: book }),
+      ...(portal ? ["", t("email.portal.text", { url: portal })] : []),
+      "",
+      t("email.attached"),
+      "",
+      t("email.reference", { id: brief.id }),
+    ].join("\n"),
+    html: layout(
+      `
+    <h2 style="margin:0 0 8px;color:${brand.colors.primaryDark}">${escapeHtml(t("email.confirmation.subject"))}</h2>
+    <p>${escapeHtml(t("email.confirmation.htmlThanks", { name }))}</p>
+    ${sectionsHtml(brief, t.locale)}
+    <p style="margin-top:24px">${escapeHtml(t("email.confirmation.next"))}</p>
+    ${button(book, t("email.book"), brand)}
+    ${portal ? `<p style="margin-top:24px">${escapeHtml(t("email.portal.html"))} <a href="${escapeHtml(portal)}">${escapeHtml(t("email.portal.open"))}</a></p>` : ""}
+    <p style="margin-top:24px">${escapeHtml(t("email.attached"))}</p>
+    <p style="margin-top:24px;font-size:12px;color:#64748b">${escapeHtml(t("email.reference", { id: brief.id }))}</p>`,
+      brand,
+      t.locale
+    ),
+  };
+}
+
+/** To the team (TEAM_EMAIL) for every new brief. */
+export function internalAlert(brief, { baseUrl }) {
+  const brand = brandOf(brief);
+  const adminUrl = adminLink(brief, baseUrl);
+  const flags = [brief.pilotWaitlist ? "pilot waitlist" : "", brief.pilotSpot ? "pilot spot" : ""].filter(Boolean);
+  const who = brief.company || brief.name || brief.email;
+  return {
+    subject: `New brief${brand.id === DEFAULT_BRAND.id ? "" : ` via ${brand.name}`}: ${who} · ${planName(brief.plan)}${flags.length ? ` (${flags.join(", ")})` : ""}`,
+    text: [`${brief.name} <${brief.email}> submitted a brief.`, `Open it: ${adminUrl}`, "", sectionsText(brief)].join("\n"),
+    html: layout(`
+    <h2 style="margin:0 0 8px;color:${brand.colors.primaryDark}">New brief from ${escapeHtml(who)}</h2>
+    <p>${escapeHtml(brief.name)} &lt;${escapeHtml(brief.email)}&gt; · ${escapeHtml(planName(brief.plan))}${flags.length ? ` · ${escapeHtml(flags.join(", "))}` : ""}</p>
+    ${button(adminUrl, "Open in admin", brand)}
+    ${sectionsHtml(brief)}`, brand),
+  };
+}
+
+/** To the submitter when no kickoff is booked N hours after submitting. */
+export function kickoffReminder(brief, { baseUrl }) {
+  const brand = brandOf(brief);
+  const t = createTranslator(brief.locale, brand);
+  const book = kickoffLink(brief, baseUrl);
+  const name = firstName(brief, t);
+  return {
+    subject: t("email.reminder.subject"),
+    text: [t("email.hi", { name }), "", t("email.reminder.text"), "", book, "", t("email.reference", { id: brief.id })].join("\n"),
+    html: layout(
+      `
+    <h2 style="margin:0 0 8px;color:${brand.colors.primaryDark}">${escapeHtml(t("email.reminder.subject"))}</h2>
+    <p>${escapeHtml(t("email.reminder.html", { name }))}</p>
+    ${button(book, t("email.book"), brand)}
+    <p style="margin-top:24px">${escapeHtml(t("email.attached"))}</p>
+    <p style="margin-top:24px;font-size:12px;color:#64748b">${escapeHtml(t("email.reference", { id: brief.id }))}</p>`,
+      brand,
+      t.locale
+    ),
+  };
+}
+
+// ---------- Client portal ----------
+const quote = (text) => `<div style="margin:16px 0;padding:12px 16px;border-left:3px solid #e5e7eb;white-space:pre-wrap;color:#0f172a">${escapeHtml(text)}</div>`;
+
+/** To the team when a client writes in the portal. */
+export function clientMessage(brief, message, { baseUrl }) {
+  const brand = brandOf(brief);
+  const adminUrl = adminLink(brief, baseUrl);
+  const who = brief.company || brief.name || brief.email;
+  return {
+    subject: `Message from ${who}`,
+    text: [`${brief.name} <${brief.email}> wrote in the client portal:`, "", message.text, "", `Reply in admin: ${adminUrl}`].join("\n"),
+    html: layout(`
+    <h2 style="margin:0 0 8px;color:${brand.colors.primaryDark}">Message from ${escapeHtml(who)}</h2>
+    <p>${escapeHtml(brief.name)} &lt;${escapeHtml(brief.email)}&gt; wrote in the client portal:</p>
+    ${quote(message.text)}
+    ${button(adminUrl, "Reply in admin", brand)}`, brand),
+  };
+}
+
+/** To the client when the team answers in the portal thread. */
+export function teamReply(brief, message, { baseUrl }) {
+  const brand = brandOf(brief);
+  const t = createTranslator(brief.locale, brand);
+  const portal = portalLink(brief, baseUrl);
+  const name = firstName(brief, t);
+  return {
+    subject: t("email.reply.subject"),
+    text: [t("email.hi", { name }), "", t("email.reply.text"), "", message.text, "", t("email.reply.link", { url: portal }), "", t("email.reference", { id: brief.id })].join("\n"),
+    html: layout(
+      `
+    <h2 style="margin:0 0 8px;color:${brand.colors.primaryDark}">${escapeHtml(t("email.reply.subject"))}</h2>
+    <p>${escapeHtml(t("email.reply.html", { name }))}</p>
+    ${quote(message.text)}
+    ${button(portal, t("email.portal.open"), brand)}
+    <p style="margin-top:24px;font-size:12px;color:#64748b">${escapeHtml(t("email.reference", { id: brief.id }))}</p>`,
+      brand,
+      t.locale
+    ),
+  };
+}
+
+/** To the team when a client changes answers in the portal (one entry of brief.changeHistory). */
+export function briefEdited(brief, change, { baseUrl }) {
+  const brand = brandOf(brief);
+  const adminUrl = adminLink(brief, baseUrl);
+  const who = brief.company || brief.name || brief.email;
+  const rows = Object.entries(change.fields).map(([name, { from, to }]) => {
+    const f = fieldByName(name);
+    return [(f && (f.summaryLabel || f.label)) || name, display(from ?? "") || "—", display(to ?? "") || "—"];
+  });
+  return {
+    subject: `${who} updated their brief`,
+    text: [`${brief.name} <${brief.email}> changed their brief in the client portal:`, "", ...rows.map(([label, from, to]) => `  ${label}: ${from} -> ${to}`), "", `Open it: ${adminUrl}`].join("\n"),
+    html: layout(`
+    <h2 style="margin:0 0 8px;color:${brand.colors.primaryDark}">${escapeHtml(who)} updated their brief</h2>
+    <table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;font-size:14px;border-collapse:collapse">
+      ${rows
+        .map(
+          ([label, from, to]) => `<tr>
+        <td style="padding:4px 12px 4px 0;color:#64748b;vertical-align:top;width:25%">${escapeHtml(label)}</td>
+        <td style="padding:4px 12px 4px 0;color:#94a3b8;text-decoration:line-through;white-space:pre-wrap">${escapeHtml(from)}</td>
+        <td style="padding:4px 0;color:#0f172a;white-space:pre-wrap">${escapeHtml(to)}</td>
+      </tr>`
+        )
+        .join("")}
+    </table>
+    ${button(adminUrl, "Open in admin", brand)}`, brand),
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Where uploaded files live. Same idea as lib/store.js: routes only use the
+ * small interface below, so an object-storage driver (S3, R2, GCS…) can
+ * replace the local-disk one without touching them.
+ *
+ *   await storage.put(key, readable, { maxBytes }) -> { size }   (throws TooLargeError)
+ *   storage.read(key)                              -> Readable
+ *   await storage.remove(key)
+ *
+ * Local driver: files under UPLOAD_DIR (default ./.data/uploads).
+ */
+import { createReadStream, createWriteStream, promises as fs } from "fs";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+
+export class TooLargeError extends Error {
+  constructor(maxBytes) {
+    super(`Upload exceeds ${maxBytes} bytes`);
+    this.name = "TooLargeError";
+  }
+}
+
+function byteLimit(maxBytes, counter) {
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      counter.size += chunk.length;
+      if (counter.size > maxBytes) return cb(new TooLargeError(maxBytes));
+      cb(null, chunk);
+    },
+  });
+}
+
+export function createLocalFileStorage({ dir }) {
+  const fileFor = (key) => {
+    if (!/^[A-Za-z0-9_-]+$/.test(key)) throw new Error(`Invalid storage key: ${key}`);
+    return path.join(dir, key);
+  };
+
+  return {
+    async put(key, readable, { maxBytes = Infinity } = {}) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const counter = { size: 0 };
+      try {
+        await pipeline(readable, byteLimit(maxBytes, counter), createWriteStream(file));
+      } catch (err) {
+        await fs.rm(file, { force: true });
+        throw err;
+      }
+      return { size: counter.size };
+    },
+    read: (key) => createReadStream(fileFor(key)),
+    remove: (key) => fs.rm(fileFor(key), { force: true }),
+  };
+}
+
+export function getFileStorage() {
+  if (!globalThis.__blossomFileStorage) {
+    const dir = process.env.UPLOAD_DIR || path.join(process.env.BRIEF_STORE_DIR || path.join(process.cwd(), ".data"), "uploads");
+    globalThis.__blossomFileStorage = createLocalFileStorage({ dir });
+  }
+  return globalThis.__blossomFileStorage;
+}
@@ -0,0 +1,313 @@
+/**
+ * Abuse protection for the public brief endpoint (POST /api/brief), the
+ * asset uploads that go with it (POST /api/uploads) and the admin login.
+ *
+ * Layers, cheapest first:
+ *
+ *   honeypot    a hidden "website" input only bots fill in
+ *   token       a signed form token from GET /api/brief/challenge; it records
+ *               when the form was opened, so submissions faster than
+ *               BRIEF_MIN_SUBMIT_SECONDS are refused
+ *   pow         optional proof-of-work (BRIEF_POW_DIFFICULTY bits, 0 = off)
+ *   rate        BRIEF_IP_LIMIT attempts per IP per hour, and each token is
+ *               good for a few attempts only
+ *   duplicates  BRIEF_EMAIL_LIMIT briefs per email per day, and the same
+ *               email + one-liner within BRIEF_DUPLICATE_HOURS is refused
+ *   uploads     need a form token too; BRIEF_UPLOAD_IP_LIMIT uploads per IP
+ *               per hour and BRIEF_UPLOAD_TOKEN_MB in total per token
+ *   drafts      BRIEF_DRAFT_IP_LIMIT "continue later" saves per IP per hour
+ *   login       ADMIN_LOGIN_LIMIT failed admin logins per IP per 15 minutes
+ *
+ * Checks throw GuardError; the route logs every rejection to the
+ * `rejections` collection (shown at /admin/spam) via logRejection().
+ * Counters live in the `guard` collection so all server processes share them.
+ */
+import crypto from "crypto";
+import { getStore, newId } from "../store";
+import { leadingZeroBits, powInput } from "./pow";
+
+export class GuardError extends Error {
+  /**
+   * @param {string} reason   short machine code, e.g. "rate-ip"
+   * @param {string} message  safe to show the visitor
+   * @param {object} opts     { status = 400, retryAfter?, silent? (pretend it worked) }
+   */
+  constructor(reason, message, { status = 400, retryAfter, silent = false } = {}) {
+    super(message);
+    this.name = "GuardError";
+    this.reason = reason;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.silent = silent;
+  }
+}
+
+export const REJECTION_REASONS = {
+  honeypot: "Honeypot filled in",
+  "no-token": "Missing form token",
+  "bad-token": "Forged or malformed token",
+  "expired-token": "Form token expired",
+  "too-fast": "Submitted too quickly",
+  pow: "Proof-of-work missing or wrong",
+  "token-reuse": "Form token reused too often",
+  "rate-ip": "Too many attempts from this IP",
+  "rate-email": "Too many briefs from this email",
+  duplicate: "Duplicate brief",
+  "rate-upload": "Too many uploads from this IP",
+  "upload-quota": "Uploads over the per-form total",
+};
+
+const HOUR = 3600 * 1000;
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const TOKEN_HOURS = 24;
+const TOKEN_MAX_USES = 3;
+const MAX_REJECTIONS = 1000;
+
+const intEnv = (value, fallback) => (value === undefined || value === "" || Number.isNaN(Number(value)) ? fallback : Math.max(0, Math.floor(Number(value))));
+
+export function guardSettings(env = process.env) {
+  return {
+    minSeconds: intEnv(env.BRIEF_MIN_SUBMIT_SECONDS, 5),
+    ipLimit: intEnv(env.BRIEF_IP_LIMIT, 5),
+    emailLimit: intEnv(env.BRIEF_EMAIL_LIMIT, 3),
+    duplicateHours: intEnv(env.BRIEF_DUPLICATE_HOURS, 24),
+    powDifficulty: Math.min(intEnv(env.BRIEF_POW_DIFFICULTY, 0), 28),
+    uploadIpLimit: intEnv(env.BRIEF_UPLOAD_IP_LIMIT, 30),
+    uploadTokenBytes: intEnv(env.BRIEF_UPLOAD_TOKEN_MB, 100) * 1024 * 1024,
+    draftIpLimit: intEnv(env.BRIEF_DRAFT_IP_LIMIT, 20),
+    loginLimit: intEnv(env.ADMIN_LOGIN_LIMIT, 5),
+  };
+}
+
+// ---------- Form tokens ----------
+function secret() {
+  if (process.env.BRIEF_GUARD_SECRET) return process.env.BRIEF_GUARD_SECRET;
+  // A key of its own, so a form token can never pass for an admin session (lib/adminAuth.js)
+  if (process.env.ADMIN_SESSION_SECRET) return crypto.createHmac("sha256", process.env.ADMIN_SESSION_SECRET).update("brief-guard").digest("hex");
+  // Per-process fallback: fine for one server, set BRIEF_GUARD_SECRET for more
+  if (!globalThis.__blossomGuardSecret) globalThis.__blossomGuardSecret = crypto.randomBytes(32).toString("hex");
+  return globalThis.__blossomGuardSecret;
+}
+
+const sign = (payload) => crypto.createHmac("sha256", secret()).update(payload).digest("base64url");
+
+function readToken(token, now = Date.now()) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig) throw new GuardError("no-token", "Please reload the page and submit again.");
+  const expected = sign(payload);
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+    throw new GuardError("bad-token", "Please reload the page and submit again.");
+  }
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw new GuardError("bad-token", "Please reload the page and submit again.");
+  }
+  return { ...claims, expired: now - claims.iat > TOKEN_HOURS * HOUR };
+}
+
+/**
+ * A fresh form token (+ proof-of-work puzzle when enabled). Passing the
+ * previous token keeps its start time, so renewing an expired token doesn't
+ * trip the time-to-submit check, and its id, so the renewed token carries
+ * on the old one's use count.
+ */
+export function issueChallenge({ renew, settings = guardSettings(), now = Date.now() } = {}) {
+  let previous = {};
+  if (renew) {
+    try {
+      previous = readToken(renew, now);
+    } catch {
+      // a bad token to renew from just starts over
+    }
+  }
+  const claims = { jti: previous.jti || crypto.randomBytes(9).toString("base64url"), iat: now, st: previous.st || now };
+  if (settings.powDifficulty) Object.assign(claims, { salt: crypto.randomBytes(12).toString("base64url"), d: settings.powDifficulty });
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return {
+    token: `${payload}.${sign(payload)}`,
+    pow: claims.d ? { salt: claims.salt, difficulty: claims.d } : null,
+    minSeconds: settings.minSeconds,
+    expiresAt: new Date(now + TOKEN_HOURS * HOUR).toISOString(),
+  };
+}
+
+/** The claims of a genuine, unexpired form token. */
+export function checkToken(token, { now = Date.now() } = {}) {
+  const claims = readToken(token, now);
+  if (claims.expired) throw new GuardError("expired-token", "This page has been open a while — please submit again.");
+  return claims;
+}
+
+/**
+ * Stateless checks on `guard` ({ token, nonce, website }, sent by the
+ * wizard as body._guard). Returns the token's claims.
+ */
+export function checkForm(guard, { settings = guardSettings(), now = Date.now() } = {}) {
+  const g = guard && typeof guard === "object" ? guard : {};
+  if (String(g.website || "").trim()) throw new GuardError("honeypot", "Thanks!", { silent: true });
+
+  const claims = checkToken(g.token, { now });
+  const elapsed = (now - claims.st) / 1000;
+  if (elapsed < settings.minSeconds) {
+    throw new GuardError("too-fast", "That was quick! Please take a moment to check your answers, then submit again.", { retryAfter: Math.ceil(settings.minSeconds - elapsed) });
+  }
+  if (claims.d) {
+    const digest = crypto.createHash("sha256").update(powInput(claims.salt, String(g.nonce ?? ""))).digest();
+    if (g.nonce === undefined || leadingZeroBits(digest) < claims.d) throw new GuardError("pow", "Your browser’s security check didn’t finish — please submit again.");
+  }
+  return claims;
+}
+
+// ---------- Rate limits ----------
+function pruneCounters(docs, now) {
+  for (const [id, doc] of Object.entries(docs)) {
+    if (doc.expires < now) delete docs[id];
+  }
+}
+
+/**
+ * Count this attempt against the IP's hourly budget and the token's uses
+ * (atomic across processes). Expired counters are pruned on the way.
+ */
+export function recordAttempt({ ip, claims, settings = guardSettings(), now = Date.now() }) {
+  return getStore()
+    .collection("guard")
+    .mutate((docs) => {
+      pruneCounters(docs, now);
+      const tokenKey = `token:${claims.jti}`;
+      const uses = docs[tokenKey]?.uses || 0;
+      if (uses >= TOKEN_MAX_USES) throw new GuardError("token-reuse", "Please reload the page and submit again.");
+
+      const ipKey = `ip:${ip}`;
+      const hits = (docs[ipKey]?.hits || []).filter((t) => t > now - HOUR);
+      if (settings.ipLimit && hits.length >= settings.ipLimit) {
+        throw new GuardError("rate-ip", "Too many submissions from your network — please try again later.", { status: 429, retryAfter: Math.ceil((hits[0] + HOUR - now) / 1000) });
+      }
+      docs[tokenKey] = { id: tokenKey, uses: uses + 1, expires: claims.iat + TOKEN_HOURS * HOUR };
+      docs[ipKey] = { id: ipKey, hits: [...hits, now], expires: now + HOUR };
+    });
+}
+
+/**
+ * Before an upload: count it against the IP's hourly budget and reserve
+ * `bytes` of the token's total. Resolves to settle(size), which hands back
+ * what the stored file didn't use (pass 0 when storing failed).
+ */
+export async function reserveUpload({ ip, claims, bytes, settings = guardSettings(), now = Date.now() }) {
+  const guard = getStore().collection("guard");
+  const bytesKey = `upload-bytes:${claims.jti}`;
+  await guard.mutate((docs) => {
+    pruneCounters(docs, now);
+    const ipKey = `upload-ip:${ip}`;
+    const hits = (docs[ipKey]?.hits || []).filter((t) => t > now - HOUR);
+    if (settings.uploadIpLimit && hits.length >= settings.uploadIpLimit) {
+      throw new GuardError("rate-upload", "Too many uploads from your network — please try again later.", { status: 429, retryAfter: Math.ceil((hits[0] + HOUR - now) / 1000) });
+    }
+    const used = docs[bytesKey]?.bytes || 0;
+    if (settings.uploadTokenBytes && used + bytes > settings.uploadTokenBytes) {
+      throw new GuardError("upload-quota", "You’ve uploaded as much as one brief can take.", { status: 413 });
+    }
+    docs[bytesKey] = { id: bytesKey, bytes: used + bytes, expires: claims.iat + TOKEN_HOURS * HOUR };
+    docs[ipKey] = { id: ipKey, hits: [...hits, now], expires: now + HOUR };
+  });
+  return (size) => guard.update(bytesKey, (doc) => ({ ...doc, bytes: Math.max(doc.bytes - (bytes - size), 0) }));
+}
+
+/** Count a server-side draft save (/api/drafts) against the IP's hourly budget. */
+export function recordDraftSave({ ip, settings = guardSettings(), now = Date.now() }) {
+  return getStore()
+    .collection("guard")
+    .mutate((docs) => {
+      pruneCounters(docs, now);
+      const key = `draft-ip:${ip}`;
+      const hits = (docs[key]?.hits || []).filter((t) => t > now - HOUR);
+      if (settings.draftIpLimit && hits.length >= settings.draftIpLimit) {
+        throw new GuardError("rate-draft", "Too many saved drafts from your network — please try again later.", { status: 429, retryAfter: Math.ceil((hits[0] + HOUR - now) / 1000) });
+      }
+      docs[key] = { id: key, hits: [...hits, now], expires: now + HOUR };
+    });
+}
+
+/**
+ * Before checking an admin password: refuse the IP once it has
+ * ADMIN_LOGIN_LIMIT failures in the window, else count this attempt as one
+ * (atomically, so parallel guesses can't slip through). A correct password
+ * clears the count with clearLoginFailures().
+ */
+export function recordLoginAttempt({ ip, settings = guardSettings(), now = Date.now() }) {
+  return getStore()
+    .collection("guard")
+    .mutate((docs) => {
+      pruneCounters(docs, now);
+      const key = `login:${ip}`;
+      const fails = (docs[key]?.hits || []).filter((t) => t > now - LOGIN_WINDOW);
+      if (settings.loginLimit && fails.length >= settings.loginLimit) {
+        throw new GuardError("rate-login", "Too many failed logins — please try again later.", { status: 429, retryAfter: Math.ceil((fails[0] + LOGIN_WINDOW - now) / 1000) });
+      }
+      docs[key] = { id: key, hits: [...fails, now], expires: now + LOGIN_WINDOW };
+    });
+}
+
+export function clearLoginFailures({ ip }) {
+  return getStore()
+    .collection("guard")
+    .mutate((docs) => {
+      delete docs[`login:${ip}`];
+    });
+}
+
+// ---------- Duplicates ----------
+const normalize = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+/**
+ * For insertBrief()'s `before` hook: refuses a brief when `existing` (all
+ * stored briefs) already holds the same email + one-liner recently, or too
+ * many briefs from that email today.
+ */
+export function checkDuplicates(existing, brief, { settings = guardSettings(), now = Date.now() } = {}) {
+  const email = normalize(brief.email);
+  const mine = existing.filter((b) => normalize(b.email) === email);
+  const since = (hours) => new Date(now - hours * HOUR).toISOString();
+
+  const dupCutoff = since(settings.duplicateHours);
+  const dup = mine.find((b) => b.createdAt >= dupCutoff && normalize(b.oneLiner) === normalize(brief.oneLiner));
+  if (settings.duplicateHours && dup) {
+    throw new GuardError("duplicate", "Looks like you’ve already sent us this brief — check your inbox for our confirmation.", { status: 409 });
+  }
+  const today = since(24);
+  if (settings.emailLimit && mine.filter((b) => b.createdAt >= today).length >= settings.emailLimit) {
+    throw new GuardError("rate-email", "We’ve received several briefs from this email today — reply to our confirmation email and we’ll sort it out.", { status: 429 });
+  }
+}
+
+// ---------- Rejection log ----------
+// What's safe and useful to keep from a rejected body
+const clip = (v, n = 200) => (typeof v === "string" ? v.slice(0, n) : "");
+
+export async function logRejection(err, { ip = "", userAgent = "", body = {} } = {}) {
+  const entry = {
+    id: newId("rej"),
+    createdAt: new Date().toISOString(),
+    reason: err.reason,
+    ip,
+    userAgent: clip(userAgent, 300),
+    email: clip(body.email),
+    company: clip(body.company),
+    oneLiner: clip(body.oneLiner),
+  };
+  await getStore()
+    .collection("rejections")
+    .mutate((docs) => {
+      docs[entry.id] = entry;
+      // Keep the newest MAX_REJECTIONS entries
+      const ids = Object.keys(docs).sort((a, b) => docs[a].createdAt.localeCompare(docs[b].createdAt));
+      for (const id of ids.slice(0, Math.max(ids.length - MAX_REJECTIONS, 0))) delete docs[id];
+    });
+  return entry;
+}
+
+export async function listRejections() {
+  return (await getStore().collection("rejections").list()).reverse();
+}
@@ -0,0 +1,42 @@
+/**
+ * Proof-of-work for the brief form (self-hosted, no third-party captcha).
+ * The server hands out { salt, difficulty }; the browser finds a nonce such
+ * that SHA-256(`${salt}:${nonce}`) starts with `difficulty` zero bits. Each
+ * extra bit doubles the average work: 16 bits is ~65k hashes (a second or
+ * two), 20 bits ~1M.
+ *
+ * Runs in the browser (and Node 20+) via Web Crypto; the server verifies
+ * with lib/guard/index.js.
+ */
+
+export function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+export const powInput = (salt, nonce) => `${salt}:${nonce}`;
+
+const BATCH = 500;
+
+/**
+ * Resolve with the nonce (as a string). Hashes in batches so the page stays
+ * responsive; `signal` (AbortSignal) stops the search.
+ */
+export async function solveChallenge({ salt, difficulty }, { signal } = {}) {
+  const encoder = new TextEncoder();
+  for (let start = 0; ; start += BATCH) {
+    if (signal && signal.aborted) throw new Error("Proof-of-work aborted");
+    const digests = await Promise.all(
+      Array.from({ length: BATCH }, (_, i) => crypto.subtle.digest("SHA-256", encoder.encode(powInput(salt, start + i))))
+    );
+    const hit = digests.findIndex((d) => leadingZeroBits(new Uint8Array(d)) >= difficulty);
+    if (hit >= 0) return String(start + hit);
+  }
+}
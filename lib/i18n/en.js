@@ -0,0 +1,357 @@
+// English copy. Wizard step/field copy stays in lib/schema.js (the English
+// source of truth); other catalogs translate it under `schema`.
+const en = {
+  meta: {
+    title: "{brand} – Let’s build it",
+    description: "A launch-ready website for your business in 14 days. Send a short brief, book a kickoff call, and we build, host and maintain it on a simple monthly plan.",
+    imageAlt: "{brand} – a launch-ready website in 14 days",
+    service: "Website launch sprint with hosting and maintenance",
+    setupFee: "One-time setup",
+    subscription: "Monthly plan",
+  },
+  language: {
+    label: "Language",
+  },
+  nav: {
+    why: "Why us",
+    how: "How it works",
+    plans: "Plans",
+    start: "Start your sprint",
+  },
+  hero: {
+    badge: "Let’s build it — without the overwhelm.",
+    title: "A done‑for‑you website sprint that ships in 14 days",
+    text: "We handle the tech, templates, and launch checklists — you focus on the business. No janky hand‑offs, no endless emails, just a clean build you own.",
+    cta: "Start Your Sprint",
+    how: "How it works",
+    pilot: "Pilot: first {limit} clients at {price}, setup fee waived.",
+    pilotFull: "All spots are taken — join the waitlist.",
+    spotsLeft: "{remaining} of {limit} spots left.",
+    getTitle: "What you get",
+    get: ["Clean, minimal design with delightful details", "Hosting, security updates, backups included", "Kickoff → build → launch in 14 days", "Handoff you can actually own"],
+  },
+  why: {
+    title: "Why choose {brand}?",
+    items: [
+      { title: "No tech overwhelm", text: "We manage the stack, updates, and integrations. You get a working site." },
+      { title: "Speed without shortcuts", text: "Opinionated templates + QA checklist = quality in 14 days." },
+      { title: "You own it", text: "Fully transferable build with docs. Keep us, or run it yourself." },
+    ],
+  },
+  how: {
+    title: "How it works",
+    items: [
+      { title: "Share your brief", text: "Tell us goals, vibe, and must‑haves. Keep it simple." },
+      { title: "Book kickoff", text: "Pick a time right after submitting your brief." },
+      { title: "Sprint + launch", text: "We build fast with beautiful defaults and QA." },
+    ],
+  },
+  pricing: {
+    title: "Pilot pricing",
+    claim: "Claim a pilot spot",
+    join: "Join the pilot waitlist",
+    only: "Only {limit} spots at {price} — setup fee waived.",
+    left: "{remaining} of {limit} spots left at {price} — setup fee waived.",
+  },
+  spots: {
+    firstOnly: "First {limit} clients only",
+    full: "Pilot is full",
+    left: "{remaining} of {limit} spots left",
+  },
+  plans: {
+    interval: { month: "mo", year: "yr" },
+    intervalLong: { month: "month", year: "year" },
+    pilot: { name: "Pilot – Maintenance", sub: "Setup fee waived (first {limit})", details: ["Hosting/security/updates", "Backups & uptime monitoring", "Bug fixes"] },
+    standard: { name: "Standard – Setup + Maintenance", sub: "After pilot", details: ["Everything in Pilot", "Handoff & training", "Launch checklist"] },
+    pro: { name: "Pro – Growth", sub: "Optional upgrade", details: ["Monthly analytics review", "Content updates", "Automations"] },
+  },
+  wizard: {
+    title: "Start Your Sprint",
+    intro: "This is your quick launch plan. {emphasis} — just your idea, your vision, and the essentials we need to get you live in 14 days.",
+    introEmphasis: "No buzzwords, no tech overwhelm",
+    progress: "Step {current} of {total} · {title}",
+    saved: "Progress saved ✅",
+    autosave: "Your answers save automatically as you type",
+    back: "Back",
+    next: "Next",
+    announce_one: "{count} field needs attention: {fields}.",
+    announce_other: "{count} fields need attention: {fields}.",
+    pilotFull: "The pilot is full — pick another plan (you can still join the pilot waitlist).",
+    pilotTaken: "The last pilot spot was just taken — pick another plan or join the pilot waitlist.",
+    waitlist: "Put me on the waitlist for the next pilot spot",
+    submitFailed: "We couldn't submit your brief. {error}",
+  },
+  draft: {
+    saving: "Saving…",
+    update: "Update my link",
+    later: "Continue later on another device",
+    linkLabel: "Your resume link",
+    copy: "Copy",
+    error: "Couldn’t save a link right now ({error}).",
+  },
+  sprint: {
+    title: "Your sprint plan",
+    reviewTitle: "Sprint plan",
+    note: "Calendar days, weekends included. Dates assume we kick off tomorrow; we’ll confirm them on your kickoff call.",
+    start: "Start {date}",
+    launch: "Launch {date} · {days} days",
+    day: "Day {day} · {date} · {title}",
+    sameDay: "same day",
+    days_one: "{count} day",
+    days_other: "{count} days",
+    onTrack: "On track: launch {date}.",
+    onTrackTarget: "On track: launch {date}, on or before your target date ({target}).",
+    infeasible: "This timeline won’t fit a 14‑day sprint",
+    atRisk: "Heads up on your deadline",
+    beforeKickoff: "Your target date ({target}) is before the earliest kickoff ({start}).",
+    afterTarget: "Starting {start}, the {days}-day sprint launches {launch} — after your target date ({target}).",
+    deadline: "Your deadline ({deadline}) comes before the planned launch ({launch}). We can prioritise your Day‑1 must-haves — let’s agree what ships first on the kickoff call.",
+    faster: "Give feedback {turnaround}: launch {date}",
+    moveTarget: "Move your target date to {date}",
+    turnaround: { "same-day": "the same day", "next-day": "by the next day", "72hr": "within 72 hours" },
+    phases: {
+      kickoff: { title: "Kickoff", detail: "Kickoff call, goals, access to accounts and assets" },
+      design: { title: "Design", detail: "Structure, copy direction and visual design" },
+      "design-review": { title: "Design feedback", detail: "You review the design; we make one round of changes" },
+      build: { title: "Build", detail: "Pages, integrations, forms and content" },
+      qa: { title: "QA", detail: "Cross-device testing, performance and accessibility checks" },
+      "client-review": { title: "Final review", detail: "You sign off on the finished site" },
+      launch: { title: "Launch", detail: "Final fixes, DNS, analytics and go-live" },
+    },
+  },
+  review: {
+    title: "Review & confirm",
+    text: "We’ll use this to kick off your sprint and prep your scheduler.",
+    attention: "A few answers need attention before you submit:",
+    brief: "Brief",
+    fix: "Fix this",
+    submit: "Submit brief & continue",
+    submitting: "Submitting…",
+  },
+  confirm: {
+    title: "We’ve got your brief 🌱",
+    text: "Thanks! We’ll review and reply within 24 hours. Next, lock in your kickoff call so we can set your start date.",
+    reference: "Brief reference:",
+    portal: "Follow your sprint in your project portal",
+    preview: "Preview build (NEXT_PUBLIC_SUBMIT_MODE=mock): nothing was sent, so your answers weren’t saved. The live site creates HubSpot & Notion records.",
+  },
+  outbox: {
+    title: "Your brief is saved on this device",
+    text: "We couldn’t reach our server, so nothing has been sent yet. We’ll keep retrying and send it as soon as the connection is back — you’ll see the reference here when it arrives.",
+    waiting_one: "Not sent yet. Next try in {count} second.",
+    waiting_other: "Not sent yet. Next try in {count} seconds.",
+    offline: "You’re offline. We’ll send it when you’re back online.",
+    sending: "Sending…",
+    attempts_one: "{count} attempt so far. Last error: {error}",
+    attempts_other: "{count} attempts so far. Last error: {error}",
+    keepOpen: "This browser can’t store it for later, so keep this tab open until it’s sent.",
+    retry: "Try now",
+    sent: "Sent. Thanks — we’ll be in touch within 24 hours.",
+    sentRef: "Sent. Brief reference: {id}",
+    failed: "Our server didn’t accept this brief: {error}",
+    edit: "Review answers",
+    dismiss: "Dismiss",
+    earlier: "Brief from an earlier visit: {oneLiner}",
+  },
+  checkout: {
+    title: "Checkout",
+    text: "Your brief is saved. Start your subscription now so we can hold your sprint slot — you’ll book your kickoff call right after.",
+    setupFee: "One-time setup fee",
+    waived: "Waived (pilot)",
+    dueToday: "Due today",
+    per: "{price} / {interval}",
+    skip: "I’ll pay after the kickoff call",
+    pay: "Pay securely",
+    opening: "Opening checkout…",
+    error: "We couldn't start checkout. Please try again.",
+    paid: "This brief is paid — thank you!",
+    bookKickoff: "Book your kickoff",
+    unavailable: "Online payment isn’t available right now — we’ll invoice you after your kickoff call.",
+    canceled: "Checkout was cancelled — nothing was charged. You can try again whenever you’re ready.",
+  },
+  downloads: {
+    pdf: "Launch brief (PDF)",
+    md: "Markdown",
+    note: "Includes your draft 14‑day sprint timeline.",
+  },
+  // The downloadable launch brief (lib/briefDocument.js)
+  document: {
+    title: "Launch brief — {name}",
+    label: "LAUNCH BRIEF",
+    untitled: "Your project",
+    reference: "Reference",
+    submitted: "Submitted {date}",
+    footer: "{brand} · {id} · page {page}",
+    timeline: "Sprint timeline",
+    start: "Start",
+    launch: "Launch",
+    length: "Length",
+    span: "Start {start} · launch {launch} ({length}, weekends included)",
+    phase: "Phase",
+    dates: "Dates",
+    what: "What happens",
+    dayByDay: "Day by day",
+    day: "Day {day}",
+    lag_one: "Your feedback turnaround adds {count} day to the {sprintDays}-day sprint.",
+    lag_other: "Your feedback turnaround adds {count} days to the {sprintDays}-day sprint.",
+    meetsTarget: "Planned launch {launch} is on or before your target date ({target}).",
+    assumedStart: "Dates assume we kick off the day after you submitted; they move with your kickoff call.",
+  },
+  uploads: {
+    drop: "Drag files here or {browse}",
+    browse: "browse",
+    uploading: "Uploading {name}… {percent}%",
+    uploadingLabel: "Uploading {name}",
+    maxFiles: "You can attach up to {max} files.",
+    remove: "Remove {name}",
+    badType: "{name}: only images (PNG, JPG, GIF, WebP, SVG), PDFs and text/Word docs are accepted.",
+    tooBig: "{name} is {size} — the limit is {limit} per file.",
+    empty: "{name} is empty.",
+    network: "{name}: network error, please try again.",
+    failed: "{name}: upload failed (HTTP {status}).",
+    gone: "One of your files is no longer available — please remove it and upload it again.",
+    overLimit: "{name} is over the {limit} per-file limit.",
+    retry: "{name}: upload failed, please try again.",
+    reload: "Your upload session has expired — please reload the page and try again.",
+    rateLimited: "Too many uploads from your network — please try again later.",
+    quota: "You’ve uploaded as much as one brief can take — remove files you don’t need instead of adding more.",
+  },
+  validation: {
+    fix: "Please fix the highlighted fields.",
+    required: "This field is required.",
+    checkbox: "This box must be checked.",
+    files: "Please upload at least one file.",
+    maxFiles: "Upload at most {max} files.",
+    tooLong: "Keep this under {max} characters.",
+    email: "Enter a valid email address.",
+    date: "Use the YYYY-MM-DD format.",
+    option: "Choose one of: {options}.",
+  },
+  summary: {
+    yes: "Yes",
+  },
+  scheduler: {
+    noSlots: "No kickoff times are open right now — reply to our email and we’ll find one with you.",
+    timesIn: "Times shown in",
+    minutes: "{minutes}-minute call",
+    day: "Day",
+    book: "Book kickoff",
+    booking: "Booking…",
+    booked: "Kickoff booked",
+    cancelled: "Kickoff cancelled",
+    ics: "Add to calendar (.ics)",
+    manage: "Reschedule or cancel",
+    preparing: "Preparing your kickoff calendar…",
+    error: "We couldn't book that time. Please try again.",
+  },
+  kickoff: {
+    pageTitle: "Book your kickoff",
+    paid: "Payment received — thank you! A receipt is on its way to your inbox.",
+    title: "Book your kickoff",
+    text: "Your 14-day sprint starts from this call. Pick a time that works for you.",
+    managePageTitle: "Your kickoff",
+    hi: "Hi {name}, here’s your kickoff",
+    yours: "Your kickoff",
+    newTime: "Book a new time",
+    pickNew: "Pick a new time",
+    move: "Move kickoff",
+    neverMind: "Never mind",
+    reschedule: "Reschedule",
+    cancel: "Cancel kickoff",
+    confirmCancel: "Cancel your kickoff call?",
+    error: "Something went wrong. Please try again.",
+  },
+  portal: {
+    pageTitle: "Your project",
+    title: "Your launch sprint",
+    intro: "Everything about your sprint in one place. Bookmark this page — the link is your key, so keep it to yourself.",
+    reference: "Brief reference:",
+    error: "Something went wrong. Please try again.",
+    status: {
+      title: "Where things stand",
+      since: "since {date}",
+      new: { label: "Brief received", text: "We’re reviewing your brief and will reply within 24 hours." },
+      contacted: { label: "In touch", text: "We’ve reached out — next up is your kickoff call." },
+      "kickoff-booked": { label: "Kickoff booked", text: "Your kickoff call is set. The 14-day sprint starts from it." },
+      "in-sprint": { label: "In sprint", text: "We’re building. Scope is locked now — message us about anything new." },
+      launched: { label: "Launched", text: "You’re live! 🎉 Hosting, updates and fixes carry on under your plan." },
+    },
+    sprint: {
+      title: "Sprint timeline",
+      booked: "Starts on your kickoff day and runs on calendar days, weekends included.",
+      draft: "Draft dates in calendar days, weekends included: assumes we start the day after your brief came in. Book your kickoff to fix them.",
+    },
+    checklist: {
+      title: "What we need from you",
+      allDone: "Nothing outstanding — thank you!",
+      kickoff: "Book your kickoff call",
+      payment: "Start your subscription",
+      assets: "Share your logo, images and copy",
+      assetsHint: "Add links under “Links to other assets” below, or send them in a message.",
+      access: "Access to {name}",
+      accessHint: "Invite us as a user or send keys over a secure channel — never in the messages here.",
+      book: "Book now",
+      manage: "Reschedule",
+      pay: "Pay now",
+      markDone: "Mark as done",
+      undo: "Not done yet",
+      done: "Done",
+    },
+    messages: {
+      title: "Messages",
+      empty: "No messages yet. Questions, news, files to share? Write to us here.",
+      you: "You",
+      team: "{brand} team",
+      label: "New message",
+      placeholder: "Write a message…",
+      send: "Send",
+      sending: "Sending…",
+    },
+    edit: {
+      title: "Your brief",
+      intro: "Change anything that isn’t locked yet: the timeline locks once your kickoff is booked, the scope when the sprint starts.",
+      locked: "Locked — message us if this needs to change.",
+      save: "Save changes",
+      saving: "Saving…",
+      saved: "Saved. We’ve let the team know.",
+      unchanged: "Nothing to save — your answers are unchanged.",
+    },
+    history: {
+      title: "Change history",
+      empty: "No changes since you sent your brief.",
+      by: { client: "You", admin: "{brand} team" },
+    },
+  },
+  email: {
+    hiThere: "there",
+    hi: "Hi {name},",
+    reference: "Brief reference: {id}",
+    book: "Book your kickoff",
+    attached: "Your launch brief with a draft 14-day sprint timeline is attached (PDF and Markdown).",
+    confirmation: {
+      subject: "We’ve got your brief 🌱",
+      thanks: "Thanks! We’ll review your brief and reply within 24 hours. Here’s what you sent us:",
+      htmlThanks: "Hi {name}, thanks! We’ll review your brief and reply within 24 hours. Here’s what you sent us:",
+      next: "Next, lock in your kickoff call so we can set your start date.",
+      nextLink: "Next, lock in your kickoff call so we can set your start date: {url}",
+    },
+    portal: {
+      text: "Follow your sprint, message us and update your brief anytime in your project portal: {url}",
+      html: "Follow your sprint, message us and update your brief anytime in your project portal:",
+      open: "Open your project portal",
+    },
+    reply: {
+      subject: "New message from the {brand} team",
+      text: "We replied in your project portal:",
+      html: "Hi {name}, we replied in your project portal:",
+      link: "Answer or read the whole thread here: {url}",
+    },
+    reminder: {
+      subject: "Pick a time for your kickoff call",
+      text: "Your launch brief is in, but we haven’t found a kickoff time yet. The 14-day sprint starts from that call, so grab a slot that works for you:",
+      html: "Hi {name}, your launch brief is in, but we haven’t found a kickoff time yet. The 14-day sprint starts from that call, so grab a slot that works for you.",
+    },
+  },
+};
+
+export default en;
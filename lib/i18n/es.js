@@ -0,0 +1,419 @@
+// Spanish copy. Anything missing here falls back to English.
+const es = {
+  meta: {
+    title: "{brand} – Hagámoslo realidad",
+    description: "Una web lista para lanzar tu negocio en 14 días. Envía un brief breve, reserva la llamada inicial y nosotros la construimos, alojamos y mantenemos con un plan mensual sencillo.",
+    imageAlt: "{brand} – una web lista para lanzar en 14 días",
+    service: "Sprint de lanzamiento web con hosting y mantenimiento",
+    setupFee: "Alta única",
+    subscription: "Plan mensual",
+  },
+  language: {
+    label: "Idioma",
+  },
+  nav: {
+    why: "Por qué nosotros",
+    how: "Cómo funciona",
+    plans: "Planes",
+    start: "Empieza tu sprint",
+  },
+  hero: {
+    badge: "Hagámoslo realidad, sin agobios.",
+    title: "Un sprint web llave en mano que sale en 14 días",
+    text: "Nosotros nos ocupamos de la tecnología, las plantillas y las listas de lanzamiento; tú te centras en el negocio. Sin traspasos caóticos ni correos interminables: una web limpia que es tuya.",
+    cta: "Empieza tu sprint",
+    how: "Cómo funciona",
+    pilot: "Piloto: los primeros {limit} clientes a {price}, sin cuota de alta.",
+    pilotFull: "No quedan plazas: apúntate a la lista de espera.",
+    spotsLeft: "Quedan {remaining} de {limit} plazas.",
+    getTitle: "Qué incluye",
+    get: ["Diseño limpio y minimalista con detalles que enamoran", "Hosting, actualizaciones de seguridad y copias de seguridad incluidos", "Arranque → desarrollo → lanzamiento en 14 días", "Una entrega que de verdad puedes gestionar tú"],
+  },
+  why: {
+    title: "¿Por qué elegir {brand}?",
+    items: [
+      { title: "Sin agobios técnicos", text: "Gestionamos la plataforma, las actualizaciones y las integraciones. Tú recibes una web que funciona." },
+      { title: "Rapidez sin atajos", text: "Plantillas probadas + lista de control de calidad = calidad en 14 días." },
+      { title: "Es tuya", text: "Proyecto totalmente transferible y documentado. Sigue con nosotros o gestiónalo tú." },
+    ],
+  },
+  how: {
+    title: "Cómo funciona",
+    items: [
+      { title: "Comparte tu brief", text: "Cuéntanos tus objetivos, el estilo y lo imprescindible. Sin complicaciones." },
+      { title: "Reserva el arranque", text: "Elige una hora justo después de enviar tu brief." },
+      { title: "Sprint + lanzamiento", text: "Construimos rápido, con buenos valores por defecto y control de calidad." },
+    ],
+  },
+  pricing: {
+    title: "Precios del piloto",
+    claim: "Reserva una plaza del piloto",
+    join: "Únete a la lista de espera",
+    only: "Solo {limit} plazas a {price}, sin cuota de alta.",
+    left: "Quedan {remaining} de {limit} plazas a {price}, sin cuota de alta.",
+  },
+  spots: {
+    firstOnly: "Solo los primeros {limit} clientes",
+    full: "Piloto completo",
+    left: "Quedan {remaining} de {limit} plazas",
+  },
+  plans: {
+    interval: { month: "mes", year: "año" },
+    intervalLong: { month: "mes", year: "año" },
+    pilot: { name: "Piloto – Mantenimiento", sub: "Sin cuota de alta (primeros {limit})", details: ["Hosting, seguridad y actualizaciones", "Copias de seguridad y monitorización", "Corrección de errores"] },
+    standard: { name: "Estándar – Alta + Mantenimiento", sub: "Tras el piloto", details: ["Todo lo del Piloto", "Entrega y formación", "Lista de lanzamiento"] },
+    pro: { name: "Pro – Crecimiento", sub: "Mejora opcional", details: ["Revisión mensual de analítica", "Actualizaciones de contenido", "Automatizaciones"] },
+  },
+  wizard: {
+    title: "Empieza tu sprint",
+    intro: "Este es tu plan de lanzamiento rápido. {emphasis}: solo tu idea, tu visión y lo imprescindible para publicar en 14 días.",
+    introEmphasis: "Sin palabras de moda ni agobios técnicos",
+    progress: "Paso {current} de {total} · {title}",
+    saved: "Progreso guardado ✅",
+    autosave: "Tus respuestas se guardan solas mientras escribes",
+    back: "Atrás",
+    next: "Siguiente",
+    announce_one: "{count} campo necesita revisión: {fields}.",
+    announce_other: "{count} campos necesitan revisión: {fields}.",
+    pilotFull: "El piloto está completo: elige otro plan (aún puedes apuntarte a la lista de espera).",
+    pilotTaken: "Acaban de ocupar la última plaza del piloto: elige otro plan o apúntate a la lista de espera.",
+    waitlist: "Apúntame a la lista de espera para la próxima plaza del piloto",
+    submitFailed: "No hemos podido enviar tu brief. {error}",
+  },
+  draft: {
+    saving: "Guardando…",
+    update: "Actualizar mi enlace",
+    later: "Continuar más tarde en otro dispositivo",
+    linkLabel: "Tu enlace para continuar",
+    copy: "Copiar",
+    error: "No hemos podido guardar un enlace ahora mismo ({error}).",
+  },
+  sprint: {
+    title: "Tu plan de sprint",
+    reviewTitle: "Plan de sprint",
+    note: "Días naturales, fines de semana incluidos. Las fechas suponen que arrancamos mañana; las confirmaremos en la llamada de arranque.",
+    start: "Inicio {date}",
+    launch: "Lanzamiento {date} · {days} días",
+    day: "Día {day} · {date} · {title}",
+    sameDay: "mismo día",
+    days_one: "{count} día",
+    days_other: "{count} días",
+    onTrack: "En plazo: lanzamiento el {date}.",
+    onTrackTarget: "En plazo: lanzamiento el {date}, antes de tu fecha objetivo ({target}).",
+    infeasible: "Este calendario no cabe en un sprint de 14 días",
+    atRisk: "Ojo con tu fecha límite",
+    beforeKickoff: "Tu fecha objetivo ({target}) es anterior al primer arranque posible ({start}).",
+    afterTarget: "Empezando el {start}, el sprint de {days} días se lanza el {launch}, después de tu fecha objetivo ({target}).",
+    deadline: "Tu fecha límite ({deadline}) llega antes del lanzamiento previsto ({launch}). Podemos priorizar lo imprescindible del día 1: acordemos qué sale primero en la llamada de arranque.",
+    faster: "Da tu opinión {turnaround}: lanzamiento el {date}",
+    moveTarget: "Mover tu fecha objetivo al {date}",
+    turnaround: { "same-day": "el mismo día", "next-day": "al día siguiente", "72hr": "en 72 horas" },
+    phases: {
+      kickoff: { title: "Arranque", detail: "Llamada de arranque, objetivos y acceso a cuentas y materiales" },
+      design: { title: "Diseño", detail: "Estructura, enfoque de los textos y diseño visual" },
+      "design-review": { title: "Revisión del diseño", detail: "Revisas el diseño; hacemos una ronda de cambios" },
+      build: { title: "Desarrollo", detail: "Páginas, integraciones, formularios y contenido" },
+      qa: { title: "Control de calidad", detail: "Pruebas en varios dispositivos, rendimiento y accesibilidad" },
+      "client-review": { title: "Revisión final", detail: "Das el visto bueno a la web terminada" },
+      launch: { title: "Lanzamiento", detail: "Últimos ajustes, DNS, analítica y publicación" },
+    },
+  },
+  review: {
+    title: "Revisa y confirma",
+    text: "Lo usaremos para arrancar tu sprint y preparar tu agenda.",
+    attention: "Algunas respuestas necesitan revisión antes de enviar:",
+    brief: "Brief",
+    fix: "Corregir",
+    submit: "Enviar brief y continuar",
+    submitting: "Enviando…",
+  },
+  confirm: {
+    title: "Hemos recibido tu brief 🌱",
+    text: "¡Gracias! Lo revisaremos y te responderemos en 24 horas. Ahora reserva tu llamada de arranque para fijar la fecha de inicio.",
+    reference: "Referencia del brief:",
+    portal: "Sigue tu sprint en tu portal del proyecto",
+    preview: "Versión de vista previa (NEXT_PUBLIC_SUBMIT_MODE=mock): no se ha enviado nada, así que tus respuestas no se han guardado. La web real crea los registros en HubSpot y Notion.",
+  },
+  outbox: {
+    title: "Tu brief está guardado en este dispositivo",
+    text: "No hemos podido conectar con nuestro servidor, así que todavía no se ha enviado nada. Seguiremos intentándolo y lo enviaremos en cuanto vuelva la conexión; verás aquí la referencia cuando llegue.",
+    waiting_one: "Aún no enviado. Próximo intento en {count} segundo.",
+    waiting_other: "Aún no enviado. Próximo intento en {count} segundos.",
+    offline: "No tienes conexión. Lo enviaremos cuando vuelvas a estar en línea.",
+    sending: "Enviando…",
+    attempts_one: "{count} intento hasta ahora. Último error: {error}",
+    attempts_other: "{count} intentos hasta ahora. Último error: {error}",
+    keepOpen: "Este navegador no puede guardarlo para más tarde, así que mantén esta pestaña abierta hasta que se envíe.",
+    retry: "Intentar ahora",
+    sent: "Enviado. ¡Gracias! Te responderemos en 24 horas.",
+    sentRef: "Enviado. Referencia del brief: {id}",
+    failed: "Nuestro servidor no ha aceptado este brief: {error}",
+    edit: "Revisar respuestas",
+    dismiss: "Descartar",
+    earlier: "Brief de una visita anterior: {oneLiner}",
+  },
+  checkout: {
+    title: "Pago",
+    text: "Tu brief está guardado. Empieza tu suscripción ahora para reservar tu sprint; justo después reservarás la llamada de arranque.",
+    setupFee: "Cuota de alta única",
+    waived: "Sin coste (piloto)",
+    dueToday: "A pagar hoy",
+    per: "{price} / {interval}",
+    skip: "Pagaré después de la llamada de arranque",
+    pay: "Pagar de forma segura",
+    opening: "Abriendo el pago…",
+    error: "No hemos podido iniciar el pago. Inténtalo de nuevo.",
+    paid: "Este brief ya está pagado. ¡Gracias!",
+    bookKickoff: "Reserva tu arranque",
+    unavailable: "El pago online no está disponible ahora mismo; te enviaremos la factura después de la llamada de arranque.",
+    canceled: "Has cancelado el pago; no se ha cobrado nada. Puedes volver a intentarlo cuando quieras.",
+  },
+  downloads: {
+    pdf: "Brief de lanzamiento (PDF)",
+    md: "Markdown",
+    note: "Incluye el borrador del calendario del sprint de 14 días.",
+  },
+  document: {
+    title: "Brief de lanzamiento — {name}",
+    label: "BRIEF DE LANZAMIENTO",
+    untitled: "Tu proyecto",
+    reference: "Referencia",
+    submitted: "Enviado el {date}",
+    footer: "{brand} · {id} · página {page}",
+    timeline: "Calendario del sprint",
+    start: "Inicio",
+    launch: "Lanzamiento",
+    length: "Duración",
+    span: "Inicio {start} · lanzamiento {launch} ({length}, fines de semana incluidos)",
+    phase: "Fase",
+    dates: "Fechas",
+    what: "Qué pasa",
+    dayByDay: "Día a día",
+    day: "Día {day}",
+    lag_one: "Tu plazo de respuesta añade {count} día al sprint de {sprintDays} días.",
+    lag_other: "Tu plazo de respuesta añade {count} días al sprint de {sprintDays} días.",
+    meetsTarget: "El lanzamiento previsto ({launch}) es antes de tu fecha objetivo ({target}) o ese mismo día.",
+    assumedStart: "Las fechas suponen que arrancamos el día después de tu envío; se ajustan con la llamada de arranque.",
+  },
+  uploads: {
+    drop: "Arrastra archivos aquí o {browse}",
+    browse: "búscalos",
+    uploading: "Subiendo {name}… {percent}%",
+    uploadingLabel: "Subiendo {name}",
+    maxFiles: "Puedes adjuntar hasta {max} archivos.",
+    remove: "Quitar {name}",
+    badType: "{name}: solo se aceptan imágenes (PNG, JPG, GIF, WebP, SVG), PDF y documentos de texto o Word.",
+    tooBig: "{name} ocupa {size}; el límite es {limit} por archivo.",
+    empty: "{name} está vacío.",
+    network: "{name}: error de red, inténtalo de nuevo.",
+    failed: "{name}: no se ha podido subir (HTTP {status}).",
+    gone: "Uno de tus archivos ya no está disponible: quítalo y vuelve a subirlo.",
+    overLimit: "{name} supera el límite de {limit} por archivo.",
+    retry: "{name}: no se ha podido subir, inténtalo de nuevo.",
+    reload: "Tu sesión de subida ha caducado: recarga la página y vuelve a intentarlo.",
+    rateLimited: "Demasiadas subidas desde tu red: inténtalo más tarde.",
+    quota: "Ya has subido todo lo que admite un brief: quita los archivos que no necesites en lugar de añadir más.",
+  },
+  validation: {
+    fix: "Revisa los campos marcados.",
+    required: "Este campo es obligatorio.",
+    checkbox: "Debes marcar esta casilla.",
+    files: "Sube al menos un archivo.",
+    maxFiles: "Sube como máximo {max} archivos.",
+    tooLong: "Usa menos de {max} caracteres.",
+    email: "Introduce un correo electrónico válido.",
+    date: "Usa el formato AAAA-MM-DD.",
+    option: "Elige una de estas opciones: {options}.",
+  },
+  summary: {
+    yes: "Sí",
+  },
+  scheduler: {
+    noSlots: "Ahora mismo no hay horas disponibles para el arranque: responde a nuestro correo y buscaremos una contigo.",
+    timesIn: "Horas en",
+    minutes: "Llamada de {minutes} minutos",
+    day: "Día",
+    book: "Reservar arranque",
+    booking: "Reservando…",
+    booked: "Arranque reservado",
+    cancelled: "Arranque cancelado",
+    ics: "Añadir al calendario (.ics)",
+    manage: "Cambiar o cancelar",
+    preparing: "Preparando tu calendario de arranque…",
+    error: "No hemos podido reservar esa hora. Inténtalo de nuevo.",
+  },
+  kickoff: {
+    pageTitle: "Reserva tu arranque",
+    paid: "Pago recibido. ¡Gracias! Te llegará el recibo por correo.",
+    title: "Reserva tu arranque",
+    text: "Tu sprint de 14 días empieza con esta llamada. Elige la hora que mejor te venga.",
+    managePageTitle: "Tu arranque",
+    hi: "Hola, {name}: este es tu arranque",
+    yours: "Tu arranque",
+    newTime: "Reservar otra hora",
+    pickNew: "Elige otra hora",
+    move: "Cambiar arranque",
+    neverMind: "Da igual",
+    reschedule: "Cambiar la hora",
+    cancel: "Cancelar arranque",
+    confirmCancel: "¿Cancelar tu llamada de arranque?",
+    error: "Algo ha fallado. Inténtalo de nuevo.",
+  },
+  portal: {
+    pageTitle: "Tu proyecto",
+    title: "Tu sprint de lanzamiento",
+    intro: "Todo sobre tu sprint en un solo lugar. Guarda esta página en favoritos: el enlace es tu llave, así que no lo compartas.",
+    reference: "Referencia del brief:",
+    error: "Algo ha fallado. Inténtalo de nuevo.",
+    status: {
+      title: "En qué punto estamos",
+      since: "desde el {date}",
+      new: { label: "Brief recibido", text: "Estamos revisando tu brief y te responderemos en 24 horas." },
+      contacted: { label: "En contacto", text: "Ya te hemos escrito: lo siguiente es la llamada de arranque." },
+      "kickoff-booked": { label: "Arranque reservado", text: "Tu llamada de arranque está fijada. El sprint de 14 días empieza con ella." },
+      "in-sprint": { label: "En sprint", text: "Estamos construyendo. El alcance ya está cerrado: escríbenos para cualquier novedad." },
+      launched: { label: "Publicado", text: "¡Ya estás en línea! 🎉 El hosting, las actualizaciones y los arreglos siguen con tu plan." },
+    },
+    sprint: {
+      title: "Calendario del sprint",
+      booked: "Empieza el día de tu llamada de arranque y cuenta días naturales, fines de semana incluidos.",
+      draft: "Fechas provisionales en días naturales, fines de semana incluidos: suponen que empezamos el día después de recibir tu brief. Reserva la llamada de arranque para fijarlas.",
+    },
+    checklist: {
+      title: "Lo que necesitamos de ti",
+      allDone: "No falta nada. ¡Gracias!",
+      kickoff: "Reserva tu llamada de arranque",
+      payment: "Activa tu suscripción",
+      assets: "Comparte tu logo, imágenes y textos",
+      assetsHint: "Añade enlaces en “Enlaces a otros materiales” más abajo o envíalos en un mensaje.",
+      access: "Acceso a {name}",
+      accessHint: "Invítanos como usuarios o envía las claves por un canal seguro, nunca en los mensajes de aquí.",
+      book: "Reservar",
+      manage: "Cambiar la hora",
+      pay: "Pagar",
+      markDone: "Marcar como hecho",
+      undo: "Aún no está hecho",
+      done: "Hecho",
+    },
+    messages: {
+      title: "Mensajes",
+      empty: "Aún no hay mensajes. ¿Dudas, novedades o archivos que compartir? Escríbenos aquí.",
+      you: "Tú",
+      team: "Equipo de {brand}",
+      label: "Nuevo mensaje",
+      placeholder: "Escribe un mensaje…",
+      send: "Enviar",
+      sending: "Enviando…",
+    },
+    edit: {
+      title: "Tu brief",
+      intro: "Cambia lo que aún no esté cerrado: el calendario se cierra al reservar la llamada de arranque y el alcance cuando empieza el sprint.",
+      locked: "Cerrado: escríbenos si hay que cambiarlo.",
+      save: "Guardar cambios",
+      saving: "Guardando…",
+      saved: "Guardado. Ya hemos avisado al equipo.",
+      unchanged: "No hay nada que guardar: tus respuestas no han cambiado.",
+    },
+    history: {
+      title: "Historial de cambios",
+      empty: "Sin cambios desde que enviaste tu brief.",
+      by: { client: "Tú", admin: "Equipo de {brand}" },
+    },
+  },
+  email: {
+    hiThere: "",
+    hi: "Hola {name}:",
+    reference: "Referencia del brief: {id}",
+    book: "Reserva tu arranque",
+    attached: "Adjuntamos tu brief de lanzamiento con un borrador del calendario del sprint de 14 días (PDF y Markdown).",
+    confirmation: {
+      subject: "Hemos recibido tu brief 🌱",
+      thanks: "¡Gracias! Revisaremos tu brief y te responderemos en 24 horas. Esto es lo que nos enviaste:",
+      htmlThanks: "Hola {name}: ¡gracias! Revisaremos tu brief y te responderemos en 24 horas. Esto es lo que nos enviaste:",
+      next: "Ahora reserva tu llamada de arranque para fijar la fecha de inicio.",
+      nextLink: "Ahora reserva tu llamada de arranque para fijar la fecha de inicio: {url}",
+    },
+    portal: {
+      text: "Sigue tu sprint, escríbenos y actualiza tu brief cuando quieras en tu portal del proyecto: {url}",
+      html: "Sigue tu sprint, escríbenos y actualiza tu brief cuando quieras en tu portal del proyecto:",
+      open: "Abrir tu portal del proyecto",
+    },
+    reply: {
+      subject: "Nuevo mensaje del equipo de {brand}",
+      text: "Te hemos respondido en tu portal del proyecto:",
+      html: "Hola {name}: te hemos respondido en tu portal del proyecto:",
+      link: "Responde o lee toda la conversación aquí: {url}",
+    },
+    reminder: {
+      subject: "Elige una hora para tu llamada de arranque",
+      text: "Ya tenemos tu brief de lanzamiento, pero aún no hemos fijado la llamada de arranque. El sprint de 14 días empieza con esa llamada, así que reserva la hora que mejor te venga:",
+      html: "Hola {name}: ya tenemos tu brief de lanzamiento, pero aún no hemos fijado la llamada de arranque. El sprint de 14 días empieza con esa llamada, así que reserva la hora que mejor te venga.",
+    },
+  },
+
+  // Wizard copy from lib/schema.js, by step id and field name
+  schema: {
+    steps: {
+      contact: { title: "Contacto", intro: "Empecemos por tus datos de contacto 🌱", summaryTitle: "Contacto" },
+      vision: { title: "Visión y objetivos", summaryTitle: "Visión y objetivos" },
+      scope: { title: "Alcance", summaryTitle: "Alcance" },
+      payments: { title: "Pagos", intro: "Has mencionado Stripe: unos detalles para que los pagos funcionen desde el día 1.", summaryTitle: "Pagos" },
+      branding: { title: "Marca", intro: "¿Aún no tienes materiales? No pasa nada: cuéntanos el estilo y nos encargamos del resto.", summaryTitle: "Marca" },
+      timeline: { title: "Calendario", summaryTitle: "Calendario y plan" },
+      plan: { title: "Plan", intro: "Elige tu plan. El precio de piloto está limitado a los primeros {limit} clientes y no tiene cuota de alta.", summaryTitle: "Calendario y plan" },
+      growth: { title: "Objetivos de crecimiento", intro: "Pro incluye una revisión mensual de analítica y automatizaciones: ¿en qué deberían centrarse?", summaryTitle: "Crecimiento" },
+      review: { title: "Revisión" },
+      checkout: { title: "Pago" },
+      confirm: { title: "Confirmación" },
+    },
+    fields: {
+      locale: { label: "Idioma", summaryLabel: "Idioma" },
+      name: { label: "Tu nombre", placeholder: "Tu nombre", summaryLabel: "Nombre" },
+      email: { label: "Tu correo electrónico", placeholder: "Tu correo electrónico", summaryLabel: "Correo" },
+      company: { label: "Empresa (opcional)", placeholder: "Empresa (opcional)", summaryLabel: "Empresa" },
+      oneLiner: { label: "Tu idea en una frase", summaryLabel: "En una frase" },
+      customer: { label: "Cliente o usuario principal", summaryLabel: "Cliente" },
+      problem: { label: "¿Qué problema resuelves?", summaryLabel: "Problema" },
+      success: { label: "¿Cómo sería el éxito? (p. ej., más clientes potenciales cualificados, reservas)", summaryLabel: "Éxito" },
+      mustHaves: { label: "Funciones imprescindibles para el día 1", summaryLabel: "Imprescindible" },
+      niceToHaves: { label: "Extras para más adelante (opcional)", summaryLabel: "Extras" },
+      integrations: { label: "Integraciones clave (Stripe, CRM, correo, reservas)", summaryLabel: "Integraciones" },
+      assetFiles: { label: "Sube los materiales de tu marca (opcional)", hint: "Logotipos, imágenes, textos o PDF: hasta {maxFiles} archivos de {maxSize} cada uno.", summaryLabel: "Archivos" },
+      assets: { label: "Enlaces a otros materiales (opcional)", placeholder: "Pega los enlaces (Drive, Figma, etc.)", summaryLabel: "Enlaces" },
+      paymentProducts: { label: "¿Qué vas a vender? (productos o servicios y precios aproximados)", summaryLabel: "Productos" },
+      paymentCurrencies: { label: "Monedas", hint: "Separadas por comas, p. ej. USD, EUR", summaryLabel: "Monedas" },
+      paymentModel: {
+        label: "¿Cómo pagarán tus clientes?",
+        summaryLabel: "Cobro",
+        options: { "one-time": "Pagos únicos", subscriptions: "Suscripciones", both: "Ambos" },
+      },
+      brandLogo: {
+        label: "¿Tienes logotipo?",
+        summaryLabel: "Logotipo",
+        options: { "have-one": "Sí, te lo envío", "need-one": "No, diseñad uno sencillo", wordmark: "Me vale un logotipo de solo texto" },
+      },
+      brandVibe: { label: "Describe el estilo en pocas palabras (p. ej., tranquilo, atrevido, divertido)", summaryLabel: "Estilo" },
+      brandColors: { label: "Colores que te encantan (o que quieres evitar) (opcional)", summaryLabel: "Colores" },
+      brandExamples: { label: "Webs cuyo aspecto te gusta (opcional)", placeholder: "Pega algunos enlaces", summaryLabel: "Inspiración" },
+      targetDate: { label: "Fecha objetivo de lanzamiento (opcional)", summaryLabel: "Fecha objetivo" },
+      deadline: { label: "Fechas límite o eventos clave (si los hay)", summaryLabel: "Fechas límite" },
+      availability: {
+        label: "Disponibilidad para dar tu opinión",
+        summaryLabel: "Disponibilidad",
+        options: { "same-day": "El mismo día", "next-day": "Al día siguiente", "72hr": "En 72 horas" },
+      },
+      plan: { label: "Plan", summaryLabel: "Plan" },
+      agreeScope: {
+        label:
+          "Acepto el alcance incluido y adicional: el desarrollo del día 1, el hosting, la seguridad, las actualizaciones, las copias de seguridad y la corrección de errores están incluidos; las nuevas funciones, la producción de contenidos, las campañas SEO y las integraciones complejas pueden requerir presupuesto.",
+        requiredMessage: "Confirma que aceptas el alcance.",
+      },
+      caseStudyOptIn: { label: "Podéis usar mi proyecto como caso de éxito (de forma anónima)." },
+      pilotWaitlist: { label: "Lista de espera del piloto", summaryLabel: "Lista de espera del piloto" },
+      analyticsGoals: { label: "¿Qué cifras importan más cada mes? (visitas, registros, ventas…)", summaryLabel: "Analítica" },
+      automationGoals: { label: "¿Qué te gustaría automatizar? (seguimientos, reparto de contactos, informes…)", summaryLabel: "Automatizaciones" },
+    },
+  },
+};
+
+export default es;
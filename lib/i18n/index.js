@@ -0,0 +1,101 @@
+/**
+ * Message catalogs for the public site (landing page, wizard, kickoff and
+ * checkout pages, client emails). The admin stays in English.
+ *
+ * Catalogs are nested objects (lib/i18n/en.js, lib/i18n/es.js) addressed by
+ * dotted keys; "{name}" placeholders are filled from `vars`. When
+ * `vars.count` is a number, `<key>_one` / `<key>_other` pick the plural form.
+ *
+ *   const t = createTranslator("es");
+ *   t("wizard.progress", { current: 2, total: 9, title: "Visión" })
+ *
+ * Lookups fall back to the caller's `fallback` (the schema's own English
+ * copy uses this), then to English, then to the key itself.
+ *
+ * A brand (config/brands) may override any entry under `copy.<locale>`;
+ * its overrides are checked first. "{brand}" is filled with the brand's
+ * name unless `vars` say otherwise. Without a brand, the default one.
+ *
+ * Locale routing (/es/…) and Accept-Language detection are Next.js's
+ * built-in i18n (next.config.js); LOCALES must match its `locales`.
+ */
+import { DEFAULT_BRAND } from "../brand";
+import en from "./en";
+import es from "./es";
+
+export const LOCALES = ["en", "es"];
+export const DEFAULT_LOCALE = "en";
+export const LOCALE_NAMES = { en: "English", es: "Español" };
+
+const CATALOGS = { en, es };
+// Tags handed to Intl for dates, money and plurals
+const INTL_LOCALES = { en: "en-US", es: "es" };
+
+export const isLocale = (value) => LOCALES.includes(value);
+
+/**
+ * Best supported locale for "es-MX", ["fr", "es"], or an Accept-Language
+ * header ("es-419,es;q=0.9,en;q=0.8"); DEFAULT_LOCALE when nothing matches.
+ */
+export function resolveLocale(input) {
+  const tags = Array.isArray(input) ? input : String(input || "").split(",");
+  for (const tag of tags) {
+    const base = String(tag).split(";")[0].trim().toLowerCase().split(/[-_]/)[0];
+    if (isLocale(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export const intlLocale = (locale) => INTL_LOCALES[resolveLocale(locale)];
+
+const lookup = (catalog, key) => key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+
+const pluralRules = {};
+function pluralKey(locale, catalog, key, count) {
+  pluralRules[locale] = pluralRules[locale] || new Intl.PluralRules(intlLocale(locale));
+  const form = pluralRules[locale].select(count);
+  return lookup(catalog, `${key}_${form}`) === undefined ? `${key}_other` : `${key}_${form}`;
+}
+
+function findIn(catalog, locale, key, count) {
+  if (typeof count === "number") {
+    const plural = lookup(catalog, pluralKey(locale, catalog, key, count));
+    if (plural !== undefined) return plural;
+  }
+  return lookup(catalog, key);
+}
+
+// The brand's override, else the catalog's entry
+const find = (locale, key, count, brand) => findIn((brand.copy || {})[locale], locale, key, count) ?? findIn(CATALOGS[locale], locale, key, count);
+
+export const interpolate = (template, vars = {}) => String(template).replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined ? m : String(vars[name])));
+
+/** Raw catalog entry (string, array or object) with the usual fallbacks. */
+export function message(locale, key, { count, fallback, brand = DEFAULT_BRAND } = {}) {
+  const loc = resolveLocale(locale);
+  const found = find(loc, key, count, brand);
+  if (found !== undefined) return found;
+  if (fallback !== undefined) return fallback;
+  const english = find(DEFAULT_LOCALE, key, count, brand);
+  return english === undefined ? key : english;
+}
+
+export function translate(locale, key, vars = {}, fallback, brand = DEFAULT_BRAND) {
+  return interpolate(message(locale, key, { count: vars.count, fallback, brand }), { brand: brand.name, ...vars });
+}
+
+/** t(key, vars?, fallback?) bound to one locale and brand; t.raw(key) for lists. */
+export function createTranslator(locale, brand = DEFAULT_BRAND) {
+  const loc = resolveLocale(locale);
+  const t = (key, vars, fallback) => translate(loc, key, vars, fallback, brand);
+  t.raw = (key) => message(loc, key, { brand });
+  t.locale = loc;
+  t.brand = brand;
+  return t;
+}
+
+/**
+ * Path for `pathname` in `locale` under Next's i18n routing: the default
+ * locale has no prefix ("/kickoff"), others do ("/es/kickoff").
+ */
+export const localePath = (locale, pathname) => (resolveLocale(locale) === DEFAULT_LOCALE ? pathname : `/${resolveLocale(locale)}${pathname}`);
@@ -0,0 +1,180 @@
+/**
+ * The OpenAPI 3.1 document served at /api/openapi.json. Brief schemas are
+ * generated from the wizard schema (lib/schema.js) and the version changes
+ * in lib/briefVersions.js, so adding a question updates the spec as well.
+ */
+import { ADMIN_COOKIE } from "./adminAuth";
+import { BRANDS } from "./brand";
+import { STATUSES } from "./briefStatus";
+import { BRIEF_VERSIONS, INTEGRATION_IDS, INTEGRATIONS, LATEST_BRIEF_VERSION } from "./briefVersions";
+import { fields, MAX_FIELD_LENGTH } from "./schema";
+import { MAX_FILES_PER_BRIEF } from "./uploads";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// ---------- Answers ----------
+// v1: every answer as the wizard stores it. Answers of steps the brief
+// skipped are blank (""), so "" is always allowed.
+function v1Answer(field) {
+  const description = field.label;
+  if (field.type === "checkbox") return { type: "boolean", description };
+  if (field.type === "files") return { type: "array", maxItems: MAX_FILES_PER_BRIEF, items: ref("FileRef"), description };
+  const out = { type: "string", maxLength: field.maxLength || MAX_FIELD_LENGTH, description };
+  if (field.format === "email") out.format = "email";
+  if (field.format === "date") out.pattern = "^(\\d{4}-\\d{2}-\\d{2})?$";
+  if (field.options) out.enum = ["", ...field.options.map((o) => o.value)];
+  return out;
+}
+
+// What v2 changes (lib/briefVersions.js)
+const V2_ANSWERS = {
+  targetDate: { type: ["string", "null"], format: "date", description: "Target launch date, null when not given" },
+  mustHaves: { type: "array", items: { type: "string" }, description: "Must-have features for Day 1, one per item" },
+  niceToHaves: { type: "array", items: { type: "string" }, description: "Nice-to-haves for later, one per item" },
+  integrations: { type: "array", items: ref("Integration"), description: "Key integrations" },
+};
+
+function answers(version) {
+  return Object.fromEntries(fields.map((f) => [f.name, (version >= 2 && V2_ANSWERS[f.name]) || v1Answer(f)]));
+}
+
+// ---------- Documents ----------
+function briefSchema(version) {
+  const properties = {
+    schemaVersion: { const: version },
+    id: { type: "string", examples: ["brief_m1x2y3z4"] },
+    brand: { enum: BRANDS.map((b) => b.id), description: "The brand (config/brands) the brief came in through" },
+    status: { enum: STATUSES.map((s) => s.id) },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+    kickoff: { oneOf: [ref("Kickoff"), { type: "null" }] },
+    ...answers(version),
+  };
+  return { type: "object", required: Object.keys(properties), properties };
+}
+
+// What POST /api/brief takes: the answers (required ones as in the wizard) plus form fields
+function briefInputSchema(version) {
+  const properties = {
+    schemaVersion: version === 1 ? { const: 1, description: "May be left out" } : { const: version },
+    brand: { enum: BRANDS.map((b) => b.id), description: "Defaults to the brand this hostname serves" },
+    ...answers(version),
+    _guard: ref("FormGuard"),
+    _attribution: { type: "object", description: "UTM tags and referrer (lib/analytics/client.js)" },
+  };
+  const required = [...(version === 1 ? [] : ["schemaVersion"]), ...fields.filter((f) => f.required).map((f) => f.name), "_guard"];
+  return {
+    type: "object",
+    required,
+    properties,
+    description: "Fields of steps the brief skips (payments without Stripe, branding when assets are given, growth without Pro) aren't required.",
+  };
+}
+
+const error = (extra = {}) => ({
+  type: "object",
+  required: ["ok", "error"],
+  properties: { ok: { const: false }, error: { type: "string" }, ...extra },
+});
+
+const json = (schema, description) => ({ description, content: { "application/json": { schema } } });
+
+function readPath(version) {
+  return {
+    get: {
+      operationId: `getBriefV${version}`,
+      summary: `A brief as a v${version} document`,
+      tags: ["Briefs"],
+      security: [{ bearer: [] }, { adminSession: [] }],
+      parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+      responses: {
+        200: json({ type: "object", required: ["ok", "brief"], properties: { ok: { const: true }, brief: ref(`BriefV${version}`) } }, "The brief"),
+        401: json(ref("Error"), "Missing or wrong API token"),
+        404: json(ref("Error"), "No brief with this id"),
+      },
+    },
+  };
+}
+
+/** The spec; `baseUrl` (the site's origin) becomes its server. */
+export function openApiSpec({ baseUrl } = {}) {
+  const schemas = {
+    FileRef: {
+      type: "object",
+      required: ["id", "name", "type", "size", "url"],
+      properties: { id: { type: "string" }, name: { type: "string" }, type: { type: "string" }, size: { type: "integer" }, url: { type: "string" } },
+    },
+    Integration: {
+      type: "object",
+      required: ["id", "name"],
+      properties: { id: { enum: INTEGRATION_IDS }, name: { type: "string", description: "Required for \"other\"" } },
+      description: `Known ids: ${INTEGRATIONS.map((i) => `${i.id} (${i.name}, ${i.category})`).join(", ")}; anything else is "other" with the name the client gave.`,
+    },
+    Kickoff: {
+      type: "object",
+      required: ["status", "start", "end"],
+      properties: { status: { type: "string" }, start: { type: "string", format: "date-time" }, end: { type: "string", format: "date-time" } },
+    },
+    FormGuard: {
+      type: "object",
+      required: ["token"],
+      properties: { token: { type: "string", description: "From GET /api/brief/challenge" }, nonce: { type: "string" }, website: { type: "string" } },
+    },
+    Error: error(),
+    ValidationError: error({ fields: { type: "object", additionalProperties: { type: "string" } } }),
+  };
+  const paths = {};
+  for (const version of BRIEF_VERSIONS) {
+    schemas[`BriefV${version}`] = briefSchema(version);
+    schemas[`BriefInputV${version}`] = briefInputSchema(version);
+    paths[`/api/v${version}/briefs/{id}`] = readPath(version);
+  }
+  paths["/api/brief"] = {
+    post: {
+      operationId: "submitBrief",
+      summary: "Submit a brief (what the wizard does)",
+      tags: ["Briefs"],
+      requestBody: {
+        required: true,
+        content: { "application/json": { schema: { oneOf: BRIEF_VERSIONS.map((v) => ref(`BriefInputV${v}`)) } } },
+      },
+      responses: {
+        201: json(
+          {
+            type: "object",
+            required: ["ok", "id", "checkout", "portal"],
+            properties: {
+              ok: { const: true },
+              id: { type: "string" },
+              checkout: { type: ["object", "null"], description: "Charges to pay online, or null" },
+              portal: { type: ["string", "null"], description: "Client portal token (/portal/<token>)" },
+            },
+          },
+          "Stored",
+        ),
+        400: json(ref("Error"), "Not JSON, or failed a spam check"),
+        409: json(ref("Error"), "Same brief sent recently"),
+        422: json(ref("ValidationError"), "Invalid answers, or answers of the wrong type for the schema version"),
+        429: json(ref("Error"), "Rate limited (see Retry-After)"),
+      },
+    },
+  };
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Brief API",
+      version: String(LATEST_BRIEF_VERSION),
+      description: "Launch briefs from the intake wizard. Briefs are stored as v1 and served in any version; v2 types target dates, must-haves and integrations.",
+    },
+    ...(baseUrl ? { servers: [{ url: baseUrl }] } : {}),
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearer: { type: "http", scheme: "bearer", description: "BRIEF_API_TOKEN" },
+        adminSession: { type: "apiKey", in: "cookie", name: ADMIN_COOKIE },
+      },
+    },
+  };
+}
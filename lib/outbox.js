@@ -0,0 +1,201 @@
+/**
+ * Browser outbox for briefs that couldn't reach the server.
+ *
+ * When /api/brief is down or the visitor is offline, lib/submit.js parks
+ * the brief here instead of pretending it was sent. Entries live in
+ * IndexedDB (so they survive a reload or a closed tab) and are retried with
+ * exponential backoff, right away when the browser comes back online, and
+ * whenever the wizard is opened again.
+ *
+ *   entry = { id, body, createdAt, status, attempts, nextAttemptAt, lastError, result }
+ *
+ *   status  "pending"  waiting for nextAttemptAt
+ *           "sending"  attempt in flight
+ *           "sent"     delivered; `result` is what the server answered
+ *           "failed"   the server refused it for good; `lastError` says why
+ *
+ * `send(entry)` does one delivery attempt and resolves to
+ * { status: "sent", result } | { status: "retry", error, retryAfterMs? } |
+ * { status: "failed", error }.
+ */
+const DB_NAME = "blossom-launch";
+const DB_STORE = "outbox";
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+const newEntryId = () => `out_${Array.from(crypto.getRandomValues(new Uint8Array(8)), (b) => b.toString(16).padStart(2, "0")).join("")}`;
+
+// ---------- Storage ----------
+/** Same async interface as indexedDbStorage(), kept in memory (tests, private mode). */
+export function memoryStorage() {
+  const docs = new Map();
+  return {
+    persistent: false,
+    async all() {
+      return [...docs.values()].map((d) => ({ ...d }));
+    },
+    async put(doc) {
+      docs.set(doc.id, { ...doc });
+    },
+    async remove(id) {
+      docs.delete(id);
+    },
+  };
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function indexedDbStorage(name = DB_NAME) {
+  let db;
+  const open = () => {
+    if (!db) {
+      const req = window.indexedDB.open(name, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE, { keyPath: "id" });
+      db = request(req);
+    }
+    return db;
+  };
+  const store = async (mode) => (await open()).transaction(DB_STORE, mode).objectStore(DB_STORE);
+  return {
+    persistent: true,
+    async all() {
+      return request((await store("readonly")).getAll());
+    },
+    async put(doc) {
+      await request((await store("readwrite")).put(doc));
+    },
+    async remove(id) {
+      await request((await store("readwrite")).delete(id));
+    },
+  };
+}
+
+// ---------- Outbox ----------
+export function backoffDelay(attempts, baseDelayMs = BASE_DELAY_MS, maxDelayMs = MAX_DELAY_MS) {
+  return Math.min(baseDelayMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs) + Math.floor(Math.random() * baseDelayMs);
+}
+
+export function createOutbox({ storage = memoryStorage(), send, baseDelayMs = BASE_DELAY_MS, maxDelayMs = MAX_DELAY_MS, now = Date.now } = {}) {
+  const listeners = new Set();
+  let entries = [];
+  let loaded = null;
+  let timer = null;
+  let flushing = null;
+
+  const notify = () => listeners.forEach((fn) => fn(entries.map((e) => ({ ...e }))));
+
+  async function load() {
+    loaded = loaded || storage.all().then((docs) => {
+      // An attempt cut short by a reload never finished
+      entries = docs.map((d) => (d.status === "sending" ? { ...d, status: "pending" } : d)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    });
+    return loaded;
+  }
+
+  async function save(entry) {
+    entries = entries.some((e) => e.id === entry.id) ? entries.map((e) => (e.id === entry.id ? entry : e)) : [...entries, entry];
+    await storage.put(entry);
+    notify();
+    return entry;
+  }
+
+  function schedule() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const pending = entries.filter((e) => e.status === "pending");
+    if (!pending.length) return;
+    const due = Math.min(...pending.map((e) => e.nextAttemptAt));
+    timer = setTimeout(() => outbox.flush(), Math.max(due - now(), 0));
+  }
+
+  async function attempt(entry) {
+    await save({ ...entry, status: "sending", attempts: entry.attempts + 1 });
+    let outcome;
+    try {
+      outcome = await send(entry);
+    } catch (err) {
+      outcome = { status: "retry", error: err.message };
+    }
+    const attempts = entry.attempts + 1;
+    if (outcome.status === "sent") return save({ ...entry, attempts, status: "sent", result: outcome.result, lastError: "" });
+    if (outcome.status === "failed") return save({ ...entry, attempts, status: "failed", lastError: outcome.error });
+    const delay = outcome.retryAfterMs ?? backoffDelay(attempts, baseDelayMs, maxDelayMs);
+    return save({ ...entry, attempts, status: "pending", lastError: outcome.error || "", nextAttemptAt: now() + delay });
+  }
+
+  const outbox = {
+    persistent: !!storage.persistent,
+
+    async list() {
+      await load();
+      return entries.map((e) => ({ ...e }));
+    },
+
+    /** Queue a request body; the first attempt waits for the backoff. */
+    async add(body) {
+      await load();
+      const entry = await save({
+        id: newEntryId(),
+        body,
+        createdAt: new Date(now()).toISOString(),
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: now() + baseDelayMs,
+        lastError: "",
+        result: null,
+      });
+      schedule();
+      return { ...entry };
+    },
+
+    /** Try every due entry (`force`: every pending one, e.g. when back online). */
+    async flush({ force = false } = {}) {
+      await load();
+      if (flushing) return flushing;
+      flushing = (async () => {
+        for (const entry of entries.filter((e) => e.status === "pending" && (force || e.nextAttemptAt <= now()))) {
+          await attempt(entry);
+        }
+      })().finally(() => {
+        flushing = null;
+        schedule();
+      });
+      return flushing;
+    },
+
+    /** Forget a sent or failed entry once the visitor has seen it. */
+    async dismiss(id) {
+      await load();
+      entries = entries.filter((e) => e.id !== id);
+      await storage.remove(id);
+      notify();
+    },
+
+    subscribe(fn) {
+      listeners.add(fn);
+      load().then(() => fn(entries.map((e) => ({ ...e }))));
+      return () => listeners.delete(fn);
+    },
+
+    /** Retry on a timer and when connectivity returns. Returns a stop function. */
+    start() {
+      const retryNow = () => outbox.flush({ force: true });
+      const onVisible = () => document.visibilityState === "visible" && outbox.flush();
+      window.addEventListener("online", retryNow);
+      document.addEventListener("visibilitychange", onVisible);
+      load().then(() => outbox.flush());
+      return () => {
+        window.removeEventListener("online", retryNow);
+        document.removeEventListener("visibilitychange", onVisible);
+        if (timer) clearTimeout(timer);
+        timer = null;
+      };
+    },
+  };
+  return outbox;
+}
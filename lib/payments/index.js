@@ -0,0 +1,146 @@
+/**
+ * Payments: Checkout for the plan picked in the wizard, and the webhook that
+ * keeps the brief's payment status current. Stripe is the only adapter; it
+ * is enabled by STRIPE_SECRET_KEY (+ STRIPE_WEBHOOK_SECRET for the webhook).
+ * STRIPE_API_BASE points it at `npm run payments:standin` for offline tests.
+ *
+ * An adapter has the shape
+ *
+ *   name
+ *   webhooks   whether parseWebhook can verify events (a signing secret is set)
+ *   createCheckout({ brief, charges, successUrl, cancelUrl, attempt }) -> { id, url }
+ *   parseWebhook(rawBody, headers) -> { eventId, type, briefId?, subscriptionId?, changes } | null
+ *
+ * and the outcome lives on the brief:
+ *
+ *   brief.payment    = { status, provider, plan, currency, setupFee, setupWaived, recurring,
+ *                        sessionId?, subscriptionId?, customerId?, attempts, updatedAt }
+ *   brief.paymentLog = [{ at, event, status }, ...]
+ *
+ * `status` is "pending" (checkout opened) | "processing" | "paid" |
+ * "past_due" | "failed" | "expired" | "canceled"; no `payment` means unpaid.
+ */
+import { siteUrl } from "../api";
+import { brandOf } from "../brand";
+import { localePath } from "../i18n";
+import { chargesFor } from "../plans";
+import { getStore } from "../store";
+import { createStripeAdapter, WebhookSignatureError } from "./stripe";
+
+export { WebhookSignatureError };
+
+export class CheckoutError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "CheckoutError";
+    this.status = status;
+  }
+}
+
+export function getPaymentsAdapter(env = process.env) {
+  if (!env.STRIPE_SECRET_KEY) return null;
+  return createStripeAdapter({
+    secretKey: env.STRIPE_SECRET_KEY,
+    webhookSecret: env.STRIPE_WEBHOOK_SECRET || "",
+    baseUrl: env.STRIPE_API_BASE || undefined,
+    http: { retries: Number(env.SYNC_RETRIES ?? 3), baseDelayMs: Number(env.SYNC_BACKOFF_MS ?? 500) },
+  });
+}
+
+// Stripe sessions live 24h; hand back an open one rather than starting another
+const SESSION_REUSE_MS = 23 * 3600 * 1000;
+const SETTLED = ["paid", "processing", "past_due"];
+
+/** Does this brief still owe anything through Checkout? */
+export function needsCheckout(brief, adapter = getPaymentsAdapter()) {
+  return !!adapter && !!chargesFor(brief) && !SETTLED.includes(brief.payment?.status);
+}
+
+/** Public view for the checkout page: what's owed and where it stands. */
+export function checkoutSummary(brief, adapter = getPaymentsAdapter()) {
+  return { enabled: !!adapter, charges: chargesFor(brief), status: brief.payment?.status || "unpaid" };
+}
+
+/** A checkout session for the brief; its return URLs are on `baseUrl`, else the brief's brand (lib/api.js siteUrl). */
+export async function startCheckout(briefId, { baseUrl, adapter = getPaymentsAdapter() } = {}) {
+  if (!adapter) throw new CheckoutError("Online payment isn't set up yet — we'll invoice you after your kickoff call.", 501);
+  const briefs = getStore().collection("briefs");
+  const brief = await briefs.get(String(briefId || ""));
+  if (!brief) throw new CheckoutError("We couldn't find that brief.", 404);
+  const charges = chargesFor(brief);
+  if (!charges) throw new CheckoutError("This brief has no plan to pay for.", 422);
+  if (SETTLED.includes(brief.payment?.status)) throw new CheckoutError("This brief is already paid — thank you!");
+
+  const p = brief.payment;
+  if (p?.status === "pending" && p.checkoutUrl && Date.now() - Date.parse(p.updatedAt) < SESSION_REUSE_MS) return { url: p.checkoutUrl };
+
+  const attempts = (p?.attempts || 0) + 1;
+  const origin = baseUrl || siteUrl(brandOf(brief));
+  const session = await adapter.createCheckout({
+    brief,
+    charges,
+    attempt: attempts,
+    // Back to the pages in the client's language (Next's /es/… routes)
+    successUrl: `${origin}${localePath(brief.locale, "/kickoff")}?brief=${encodeURIComponent(brief.id)}&checkout=success`,
+    cancelUrl: `${origin}${localePath(brief.locale, "/checkout")}?brief=${encodeURIComponent(brief.id)}&canceled=1`,
+  });
+  const { plan, currency, setupFee, setupWaived, recurring } = charges;
+  await briefs.update(brief.id, (b) => ({
+    ...b,
+    payment: { status: "pending", provider: adapter.name, plan, currency, setupFee, setupWaived, recurring, sessionId: session.id, checkoutUrl: session.url, attempts, updatedAt: new Date().toISOString() },
+    paymentLog: [...(b.paymentLog || []), { at: new Date().toISOString(), event: "checkout.created", status: "pending" }],
+  }));
+  return { url: session.url };
+}
+
+// A late "expired" for an old session must not undo a payment
+const canApply = (current, next) => next !== "expired" || !current || current === "pending";
+
+/**
+ * Apply a verified webhook. Each event id is handled once (Stripe retries
+ * deliveries), and events are matched to a brief by metadata or, for
+ * renewals, by subscription id. Returns { handled, briefId? }.
+ *
+ * The event id is claimed before the brief is touched; if applying it
+ * throws, the claim is dropped again so Stripe's retry gets another go.
+ */
+export async function handlePaymentEvent(update) {
+  if (!update) return { handled: false };
+  const events = getStore().collection("payment_events");
+  const claimed = await events.mutate((docs) => {
+    if (docs[update.eventId]) return false;
+    docs[update.eventId] = { id: update.eventId, type: update.type, createdAt: new Date().toISOString() };
+    return true;
+  });
+  if (!claimed) return { handled: false, duplicate: true };
+
+  try {
+    return await applyPaymentEvent(update);
+  } catch (err) {
+    await events.mutate((docs) => {
+      delete docs[update.eventId];
+    });
+    throw err;
+  }
+}
+
+async function applyPaymentEvent(update) {
+  const briefs = getStore().collection("briefs");
+  let briefId = update.briefId;
+  if (!briefId && update.subscriptionId) {
+    briefId = (await briefs.list()).find((b) => b.payment?.subscriptionId === update.subscriptionId)?.id;
+  }
+  if (!briefId) return { handled: false };
+
+  const at = new Date().toISOString();
+  const brief = await briefs.update(briefId, (b) => {
+    const current = b.payment?.status;
+    const changes = canApply(current, update.changes.status) ? update.changes : {};
+    return {
+      ...b,
+      payment: { ...(b.payment || {}), ...changes, updatedAt: at },
+      paymentLog: [...(b.paymentLog || []), { at, event: update.type, status: changes.status || current || "unpaid" }],
+    };
+  });
+  return { handled: !!brief, briefId };
+}
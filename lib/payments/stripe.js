@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import { resolveLocale } from "../i18n";
+import { requestJson } from "../sync/http";
+
+export class WebhookSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookSignatureError";
+  }
+}
+
+// Stripe's form encoding for nested params: line_items[0][price_data][currency]=usd
+function toForm(obj, form = new URLSearchParams(), prefix = "") {
+  for (const [k, v] of Object.entries(obj)) {
+    if (v === undefined || v === null) continue;
+    const key = prefix ? `${prefix}[${k}]` : k;
+    if (typeof v === "object") toForm(v, form, key);
+    else form.append(key, String(v));
+  }
+  return form;
+}
+
+/** The `Stripe-Signature` header for `payload` (used by the stand-in and tests). */
+export function signStripePayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const sig = crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex");
+  return `t=${timestamp},v1=${sig}`;
+}
+
+/**
+ * Check a webhook's Stripe-Signature header against the raw body and return
+ * the parsed event. Rejects stale timestamps (replays) beyond `toleranceSec`,
+ * and everything when `secret` is empty: anyone can sign with "".
+ */
+export function verifyStripeSignature(payload, header, secret, { toleranceSec = 300, now = Date.now() } = {}) {
+  if (!secret) throw new WebhookSignatureError("No webhook signing secret is configured");
+  const parts = String(header || "")
+    .split(",")
+    .map((p) => p.split("="));
+  const timestamp = Number(parts.find(([k]) => k === "t")?.[1]);
+  const signatures = parts.filter(([k]) => k === "v1").map(([, v]) => v);
+  if (!timestamp || !signatures.length) throw new WebhookSignatureError("Missing or malformed Stripe-Signature header");
+  if (Math.abs(now / 1000 - timestamp) > toleranceSec) throw new WebhookSignatureError("Webhook timestamp is outside the tolerance window");
+
+  const expected = Buffer.from(crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex"));
+  const match = signatures.some((s) => {
+    const got = Buffer.from(s);
+    return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+  });
+  if (!match) throw new WebhookSignatureError("Webhook signature doesn't match");
+  return JSON.parse(payload);
+}
+
+const briefIdOf = (obj) => obj?.metadata?.briefId || obj?.client_reference_id || obj?.subscription_details?.metadata?.briefId || null;
+const idOf = (v) => (v && typeof v === "object" ? v.id : v) || null;
+
+/**
+ * Stripe adapter: hosted Checkout in subscription mode (recurring plan price
+ * plus the one-off setup fee on the first invoice) and webhook parsing.
+ */
+export function createStripeAdapter({ secretKey, webhookSecret, baseUrl = "https://api.stripe.com", http = {} }) {
+  const headers = { Authorization: `Bearer ${secretKey}` };
+
+  return {
+    name: "stripe",
+    webhooks: !!webhookSecret,
+    async createCheckout({ brief, charges, successUrl, cancelUrl, attempt = 1 }) {
+      const lineItems = [
+        {
+          quantity: 1,
+          price_data: {
+            currency: charges.currency,
+            unit_amount: charges.recurring.amount,
+            recurring: { interval: charges.recurring.interval },
+            product_data: { name: charges.planName },
+          },
+        },
+      ];
+      if (charges.setupFee) {
+        lineItems.push({ quantity: 1, price_data: { currency: charges.currency, unit_amount: charges.setupFee, product_data: { name: "One-time setup fee" } } });
+      }
+      const session = await requestJson(`${baseUrl}/v1/checkout/sessions`, {
+        method: "POST",
+        // Retries of the same attempt (network blips) can't open a second session
+        headers: { ...headers, "Idempotency-Key": `checkout-${brief.id}-${attempt}` },
+        body: toForm({
+          mode: "subscription",
+          success_url: successUrl,
+          cancel_url: cancelUrl,
+          customer_email: brief.email,
+          locale: resolveLocale(brief.locale),
+          client_reference_id: brief.id,
+          line_items: lineItems,
+          metadata: { briefId: brief.id, plan: charges.plan },
+          subscription_data: { metadata: { briefId: brief.id, plan: charges.plan } },
+        }),
+        ...http,
+      });
+      return { id: session.id, url: session.url };
+    },
+
+    /**
+     * Verify and translate a webhook into { eventId, type, briefId?,
+     * subscriptionId?, changes } (changes = fields for brief.payment), or
+     * null for events we don't act on.
+     */
+    parseWebhook(payload, reqHeaders) {
+      const event = verifyStripeSignature(payload, reqHeaders["stripe-signature"], webhookSecret);
+      const obj = event.data && event.data.object;
+      const base = { eventId: event.id, type: event.type, briefId: briefIdOf(obj) };
+      switch (event.type) {
+        case "checkout.session.completed":
+          return {
+            ...base,
+            subscriptionId: idOf(obj.subscription),
+            changes: {
+              status: obj.payment_status === "paid" ? "paid" : "processing",
+              sessionId: obj.id,
+              subscriptionId: idOf(obj.subscription),
+              customerId: idOf(obj.customer),
+            },
+          };
+        case "checkout.session.async_payment_succeeded":
+          return { ...base, changes: { status: "paid" } };
+        case "checkout.session.async_payment_failed":
+          return { ...base, changes: { status: "failed" } };
+        case "checkout.session.expired":
+          return { ...base, changes: { status: "expired" } };
+        case "invoice.paid":
+          return { ...base, subscriptionId: idOf(obj.subscription), changes: { status: "paid" } };
+        case "invoice.payment_failed":
+          return { ...base, subscriptionId: idOf(obj.subscription), changes: { status: "past_due" } };
+        case "customer.subscription.deleted":
+          return { ...base, subscriptionId: obj.id, changes: { status: "canceled" } };
+        default:
+          return null;
+      }
+    },
+  };
+}
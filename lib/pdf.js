@@ -0,0 +1,259 @@
+/**
+ * Small PDF 1.4 writer for generated documents (the launch brief): text in
+ * the built-in Helvetica faces with word wrap and automatic page breaks,
+ * filled rectangles, and PNG images (alpha becomes a soft mask). No fonts
+ * are embedded, so text is limited to the WinAnsi (Latin-1-ish) charset;
+ * anything else is transliterated or replaced with "?".
+ *
+ *   const doc = createPdf({ margin: 48 });
+ *   doc.text("Hello", { size: 18, bold: true, color: "#0B0E14" });
+ *   const buffer = doc.end();
+ *
+ * Coordinates passed in are top-left based (y grows downwards) and in points.
+ */
+import zlib from "zlib";
+
+export const PAGE_SIZES = { a4: [595.28, 841.89], letter: [612, 792] };
+
+// Helvetica / Helvetica-Bold advance widths for ASCII 32..126 (per 1000 em)
+const WIDTHS = {
+  regular: [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584],
+  bold: [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584],
+};
+
+// Unicode -> WinAnsiEncoding for the punctuation our copy actually uses
+const WIN_ANSI = { "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99 };
+const FALLBACK = { "‑": "-", "‐": "-", " ": " ", "→": "->", "←": "<-", "✓": "v", "✅": "v" };
+
+/** Map a JS string to the byte string we put inside PDF text operators. */
+export function toWinAnsi(s) {
+  let out = "";
+  for (const ch of String(s)) {
+    if (FALLBACK[ch]) out += FALLBACK[ch];
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (ch.codePointAt(0) < 256) out += ch;
+    else if (/\p{Extended_Pictographic}|️/u.test(ch)) continue; // emoji
+    else out += "?";
+  }
+  return out;
+}
+
+export function textWidth(s, size, bold = false) {
+  const table = WIDTHS[bold ? "bold" : "regular"];
+  let w = 0;
+  for (const ch of toWinAnsi(s)) {
+    const c = ch.charCodeAt(0);
+    w += c >= 32 && c <= 126 ? table[c - 32] : 556;
+  }
+  return (w * size) / 1000;
+}
+
+/** Greedy word wrap; words longer than the line are broken by character. */
+export function wrapText(s, size, width, bold = false) {
+  const lines = [];
+  for (const paragraph of String(s).split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = "";
+      let rest = word;
+      while (textWidth(rest, size, bold) > width) {
+        let i = rest.length - 1;
+        while (i > 1 && textWidth(rest.slice(0, i), size, bold) > width) i--;
+        lines.push(rest.slice(0, i));
+        rest = rest.slice(i);
+      }
+      line = rest;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function rgb(hex) {
+  const h = hex.replace("#", "");
+  const n = parseInt(h.length === 3 ? h.replace(/./g, "$&$&") : h, 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => (v / 255).toFixed(3)).join(" ");
+}
+
+const escapeString = (s) => toWinAnsi(s).replace(/[\\()]/g, "\\$&");
+
+// ---------- PNG ----------
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Decode an 8-bit, non-interlaced RGB/RGBA PNG into what a PDF image
+ * XObject needs: { width, height, rgb: deflated, alpha: deflated | null }.
+ */
+export function readPng(buf) {
+  if (buf.readUInt32BE(0) !== 0x89504e47) throw new Error("Not a PNG");
+  let width, height, bitDepth, colorType, interlace;
+  const idat = [];
+  for (let off = 8; off < buf.length; ) {
+    const len = buf.readUInt32BE(off);
+    const type = buf.toString("ascii", off + 4, off + 8);
+    const data = buf.subarray(off + 8, off + 8 + len);
+    if (type === "IHDR") {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      [bitDepth, colorType] = [data[8], data[9]];
+      interlace = data[12];
+    } else if (type === "IDAT") idat.push(data);
+    else if (type === "IEND") break;
+    off += 12 + len;
+  }
+  if (bitDepth !== 8 || ![2, 6].includes(colorType) || interlace) throw new Error("Only 8-bit non-interlaced RGB/RGBA PNGs are supported");
+
+  const bpp = colorType === 6 ? 4 : 3;
+  const stride = width * bpp;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = pixels.subarray(y * stride, (y + 1) * stride);
+    const prev = y ? pixels.subarray((y - 1) * stride, y * stride) : Buffer.alloc(stride);
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? row[x - bpp] : 0;
+      const b = prev[x];
+      const c = x >= bpp ? prev[x - bpp] : 0;
+      const pred = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+      row[x] = (src[x] + pred) & 255;
+    }
+  }
+
+  if (bpp === 3) return { width, height, rgb: zlib.deflateSync(pixels), alpha: null };
+  const color = Buffer.alloc(width * height * 3);
+  const alpha = Buffer.alloc(width * height);
+  for (let i = 0; i < width * height; i++) {
+    pixels.copy(color, i * 3, i * 4, i * 4 + 3);
+    alpha[i] = pixels[i * 4 + 3];
+  }
+  return { width, height, rgb: zlib.deflateSync(color), alpha: zlib.deflateSync(alpha) };
+}
+
+// ---------- Document ----------
+export function createPdf({ size = "a4", margin = 48, onPage } = {}) {
+  const [pageWidth, pageHeight] = PAGE_SIZES[size] || size;
+  const pages = [];
+  const images = [];
+  let ops = null;
+  let y = margin;
+
+  const doc = {
+    pageWidth,
+    pageHeight,
+    margin,
+    contentWidth: pageWidth - margin * 2,
+    get y() {
+      return y;
+    },
+    set y(v) {
+      y = v;
+    },
+    get pageCount() {
+      return pages.length;
+    },
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      y = margin;
+      if (onPage) onPage(doc, pages.length);
+      return doc;
+    },
+
+    /** Start a new page unless `height` more points fit on this one. */
+    ensureSpace(height) {
+      if (!ops || y + height > pageHeight - margin) doc.addPage();
+      return doc;
+    },
+
+    rect(x, top, w, h, color) {
+      if (!ops) doc.addPage();
+      ops.push(`${rgb(color)} rg ${x.toFixed(2)} ${(pageHeight - top - h).toFixed(2)} ${w.toFixed(2)} ${h.toFixed(2)} re f`);
+      return doc;
+    },
+
+    image(img, x, top, w, h) {
+      if (!ops) doc.addPage();
+      let i = images.indexOf(img);
+      if (i < 0) i = images.push(img) - 1;
+      ops.push(`q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${x.toFixed(2)} ${(pageHeight - top - h).toFixed(2)} cm /Im${i} Do Q`);
+      return doc;
+    },
+
+    /** One line of text at an absolute position (no wrapping, no page breaks). */
+    textAt(s, x, top, { size = 11, bold = false, color = "#000000" } = {}) {
+      if (!ops) doc.addPage();
+      ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${rgb(color)} rg ${x.toFixed(2)} ${(pageHeight - top - size * 0.8).toFixed(2)} Td (${escapeString(s)}) Tj ET`);
+      return doc;
+    },
+
+    /** Wrapped text flowing from the cursor; breaks pages as needed. */
+    text(s, { size = 11, bold = false, color = "#000000", x = margin, width = pageWidth - margin - x, lineHeight = 1.35, after = 4 } = {}) {
+      for (const line of wrapText(s, size, width, bold)) {
+        doc.ensureSpace(size * lineHeight);
+        doc.textAt(line, x, y, { size, bold, color });
+        y += size * lineHeight;
+      }
+      y += after;
+      return doc;
+    },
+
+    /** Serialize to a Buffer. */
+    end() {
+      if (!pages.length) doc.addPage();
+      const objects = [];
+      const add = (body) => objects.push(body) && objects.length;
+      const stream = (dict, data) => ({ dict, data });
+
+      const catalog = add(null);
+      const pagesObj = add(null);
+      const fonts = [add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"), add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>")];
+      const imageRefs = images.map((img) => {
+        const smask = img.alpha ? add(stream(`/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, img.alpha)) : null;
+        return add(stream(`/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode${smask ? ` /SMask ${smask} 0 R` : ""}`, img.rgb));
+      });
+      const xobjects = imageRefs.map((ref, i) => `/Im${i} ${ref} 0 R`).join(" ");
+      const pageRefs = pages.map((pageOps) => {
+        const content = add(stream("/Filter /FlateDecode", zlib.deflateSync(Buffer.from(pageOps.join("\n"), "latin1"))));
+        return add(
+          `<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Contents ${content} 0 R /Resources << /Font << /F1 ${fonts[0]} 0 R /F2 ${fonts[1]} 0 R >>${xobjects ? ` /XObject << ${xobjects} >>` : ""} >> >>`
+        );
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+      objects[pagesObj - 1] = `<< /Type /Pages /Kids [${pageRefs.map((r) => `${r} 0 R`).join(" ")}] /Count ${pageRefs.length} >>`;
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let length = chunks[0].length;
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(length);
+        const parts =
+          typeof body === "string"
+            ? [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, "latin1")]
+            : [Buffer.from(`${i + 1} 0 obj\n<< ${body.dict} /Length ${body.data.length} >>\nstream\n`, "latin1"), body.data, Buffer.from("\nendstream\nendobj\n", "latin1")];
+        for (const p of parts) {
+          chunks.push(p);
+          length += p.length;
+        }
+      });
+      const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`, ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`)].join("");
+      chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${length}\n%%EOF\n`, "latin1"));
+      return Buffer.concat(chunks);
+    },
+  };
+  return doc;
+}
@@ -0,0 +1,68 @@
+/**
+ * Pilot spot accounting. A brief on the pilot plan claims a spot
+ * (brief.pilotSpot = true) at the moment it is stored; the check and the
+ * insert happen in one store.mutate() so two submissions racing for the last
+ * spot can't both win.
+ *
+ * Spots are counted per brand (config/brands): each brand that offers the
+ * pilot plan has its own PILOT_SPOT_LIMIT. An admin can release a spot
+ * (spam that got through, a client who dropped out or never paid), which
+ * frees it for the next brief and is recorded as brief.pilotReleased.
+ */
+import { brandOf, DEFAULT_BRAND } from "./brand";
+import { PILOT_SPOT_LIMIT } from "./plans";
+import { getStore } from "./store";
+
+export class PilotFullError extends Error {
+  constructor() {
+    super("All pilot spots are taken");
+    this.name = "PilotFullError";
+  }
+}
+
+export class PilotReleaseError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "PilotReleaseError";
+    this.status = status;
+  }
+}
+
+const countTaken = (briefs, brand) => briefs.filter((b) => b.pilotSpot && brandOf(b).id === brand.id).length;
+
+/** { limit, taken, remaining } for `brand`; brands without the pilot plan have no spots. */
+export async function getPilotAvailability(brand = DEFAULT_BRAND) {
+  if (!brand.plans.pilot) return { limit: 0, taken: 0, remaining: 0 };
+  const taken = countTaken(await getStore().collection("briefs").list(), brand);
+  return { limit: PILOT_SPOT_LIMIT, taken, remaining: Math.max(PILOT_SPOT_LIMIT - taken, 0) };
+}
+
+/**
+ * Store a new brief, claiming a pilot spot if it's on the pilot plan.
+ * `before(existingBriefs, brief)` runs inside the same write and may throw to
+ * refuse it (duplicate checks, lib/guard).
+ */
+export function insertBrief(doc, { before } = {}) {
+  return getStore()
+    .collection("briefs")
+    .mutate((docs) => {
+      const brief = { createdAt: new Date().toISOString(), ...doc };
+      if (before) before(Object.values(docs), brief);
+      if (brief.plan === "pilot") {
+        if (countTaken(Object.values(docs), brandOf(brief)) >= PILOT_SPOT_LIMIT) throw new PilotFullError();
+        brief.pilotSpot = true;
+      }
+      docs[brief.id] = brief;
+      return brief;
+    });
+}
+
+/** Give the brief's pilot spot back; null for an unknown brief. */
+export function releasePilotSpot(id, { by = "admin" } = {}) {
+  return getStore()
+    .collection("briefs")
+    .update(id, (b) => {
+      if (!b.pilotSpot) throw new PilotReleaseError("This brief doesn't hold a pilot spot");
+      return { ...b, pilotSpot: false, pilotReleased: { by, at: new Date().toISOString() } };
+    });
+}
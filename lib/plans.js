@@ -0,0 +1,60 @@
+import { BRANDS, brandOf, DEFAULT_BRAND } from "./brand";
+import { createTranslator, DEFAULT_LOCALE, intlLocale, translate } from "./i18n";
+
+// How many clients get pilot pricing (enforced by lib/pilot.js)
+export const PILOT_SPOT_LIMIT = 10;
+
+/**
+ * Plans (shown on the landing page, picked in the wizard's Plan step and
+ * charged at checkout). Which plans a brand offers and what they cost come
+ * from its `plans` (config/brands); amounts are in minor units (cents).
+ */
+export function formatMoney(amount, currency = "usd", locale = DEFAULT_LOCALE) {
+  return new Intl.NumberFormat(intlLocale(locale), { style: "currency", currency: currency.toUpperCase(), minimumFractionDigits: amount % 100 ? 2 : 0 }).format(amount / 100);
+}
+
+/** "$100/mo" */
+export function formatRecurring({ currency, recurring }, locale = DEFAULT_LOCALE) {
+  return `${formatMoney(recurring.amount, currency, locale)}/${translate(locale, `plans.interval.${recurring.interval}`, {}, recurring.interval)}`;
+}
+
+/** "$2,000 + $100/mo"; the setup fee is left out when it's 0 or waived. */
+export function formatPrice(pricing, locale = DEFAULT_LOCALE) {
+  const { currency, setupFee, waiveSetupFee } = pricing;
+  const monthly = formatRecurring(pricing, locale);
+  return setupFee && !waiveSetupFee ? `${formatMoney(setupFee, currency, locale)} + ${monthly}` : monthly;
+}
+
+// Names, blurbs and bullet points live in the lib/i18n catalogs (plans.<id>)
+const plan = (id, t, pricing) => ({
+  id,
+  name: t(`plans.${id}.name`),
+  sub: t(`plans.${id}.sub`, { limit: PILOT_SPOT_LIMIT }),
+  details: t.raw(`plans.${id}.details`),
+  pricing,
+  price: formatPrice(pricing, t.locale),
+});
+
+/** `brand`'s plans with copy and prices formatted for `locale`. */
+export function plansFor(locale = DEFAULT_LOCALE, brand = DEFAULT_BRAND) {
+  const t = createTranslator(locale, brand);
+  return Object.entries(brand.plans).map(([id, pricing]) => plan(id, t, pricing));
+}
+
+export const plans = plansFor(DEFAULT_LOCALE);
+
+// Every plan some brand offers (the schema's allowed `plan` values)
+export const PLAN_IDS = [...new Set(BRANDS.flatMap((b) => Object.keys(b.plans)))];
+
+/**
+ * What a stored brief owes under its brand's pricing: { plan, currency,
+ * setupFee, setupWaived, recurring } or null for a plan the brand doesn't
+ * offer. The waiver only applies to a claimed pilot spot.
+ */
+export function chargesFor(brief) {
+  const p = plansFor(DEFAULT_LOCALE, brandOf(brief)).find((x) => x.id === brief.plan);
+  if (!p) return null;
+  const { currency, setupFee, waiveSetupFee, recurring } = p.pricing;
+  const setupWaived = !!(waiveSetupFee && setupFee && brief.pilotSpot);
+  return { plan: p.id, planName: p.name, currency, setupFee: setupWaived ? 0 : setupFee, setupWaived, waivedAmount: setupWaived ? setupFee : 0, recurring };
+}
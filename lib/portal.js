@@ -0,0 +1,180 @@
+/**
+ * Client portal: one link per brief (/portal/<token>) where the client
+ * follows their sprint after submitting – status, timeline, a checklist of
+ * what we still need from them, a message thread with the team, and edits
+ * to answers that aren't locked yet.
+ *
+ * Like kickoff bookings, the token is the id of a `portals` record and the
+ * only credential; the brief keeps a copy as brief.portalToken. What the
+ * portal adds is stored on the brief:
+ *
+ *   brief.messages      = [{ id, from: "client" | "team", by, text, at }]
+ *   brief.checklist     = { [itemId]: { done, by, at } }   (items clients/team tick off)
+ *   brief.changeHistory = [{ at, by, fields: { [name]: { from, to } } }]
+ *
+ * Which answers stay editable comes from the schema (lib/schema.js): a
+ * step's `lockedFrom` status and a field's `locked` flag.
+ */
+import { brandOf } from "./brand";
+import { validateBrief } from "./brief";
+import { statusOf, STATUSES } from "./briefStatus";
+import { createTranslator } from "./i18n";
+import { getPaymentsAdapter, needsCheckout } from "./payments";
+import { chargesFor } from "./plans";
+import { fieldDefault, fields, steps } from "./schema";
+import { getStore, newId, newToken } from "./store";
+
+export const MAX_MESSAGE_LENGTH = 5000;
+
+export class PortalError extends Error {
+  constructor(message, status = 422, fields) {
+    super(message);
+    this.name = "PortalError";
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+const briefs = () => getStore().collection("briefs");
+const portals = () => getStore().collection("portals");
+
+const statusIndex = (id) => STATUSES.findIndex((s) => s.id === id);
+const reached = (brief, status) => statusIndex(statusOf(brief)) >= statusIndex(status);
+
+// ---------- Links ----------
+/** The brief's portal token, creating it (once) if the brief has none yet. */
+export async function openPortal(briefId) {
+  const token = newToken();
+  const brief = await briefs().update(briefId, (b) => (b.portalToken ? b : { ...b, portalToken: token }));
+  if (!brief) return null;
+  if (brief.portalToken === token) await portals().insert({ id: token, briefId });
+  return brief.portalToken;
+}
+
+export async function briefForPortal(token) {
+  const portal = await portals().get(String(token || ""));
+  return portal ? briefs().get(portal.briefId) : null;
+}
+
+// ---------- Editing ----------
+/** Names of the answers the client may still change, given the brief's status. */
+export function editableFields(brief) {
+  return steps
+    .filter((s) => !s.lockedFrom || !reached(brief, s.lockedFrom))
+    .flatMap((s) => s.fields || [])
+    .filter((f) => !f.locked && !f.hidden && f.type !== "files")
+    .map((f) => f.name);
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Apply the client's `changes` ({ [field]: value }) to the brief. The result
+ * must still pass validateBrief(), so answering a question that opens a
+ * branch (e.g. adding Stripe) needs that branch's answers too. Throws a
+ * PortalError with per-field messages (in the brief's language) for locked
+ * fields and invalid answers; returns the brief unchanged when nothing
+ * actually changed.
+ */
+export async function editBrief(briefId, changes, { by = "client" } = {}) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) throw new PortalError("Send the answers to change as an object.", 400);
+  // The status (and so the locks) is re-checked inside the write
+  return briefs().update(briefId, (brief) => {
+    const t = createTranslator(brief.locale, brandOf(brief));
+    const editable = new Set(editableFields(brief));
+    const locked = {};
+    for (const [name, value] of Object.entries(changes)) {
+      if (fields.some((f) => f.name === name) && !editable.has(name) && !same(value, brief[name])) locked[name] = t("portal.edit.locked");
+    }
+    if (Object.keys(locked).length) throw new PortalError(t("validation.fix"), 422, locked);
+
+    const picked = Object.fromEntries(Object.entries(changes).filter(([name]) => editable.has(name)));
+    const { value, errors } = validateBrief({ ...brief, ...picked });
+    if (Object.keys(errors).length) throw new PortalError(t("validation.fix"), 422, errors);
+
+    // Compare normalized answers so blanks filled in by validateBrief() aren't edits
+    const before = validateBrief(brief).value;
+    const diff = {};
+    for (const f of fields) {
+      if (!same(before[f.name], value[f.name])) diff[f.name] = { from: before[f.name], to: value[f.name] };
+    }
+    if (!Object.keys(diff).length) return brief;
+    return { ...brief, ...value, changeHistory: [...(brief.changeHistory || []), { at: new Date().toISOString(), by, fields: diff }] };
+  });
+}
+
+// ---------- Messages ----------
+export async function addMessage(briefId, text, { from = "client", by = from } = {}) {
+  const body = String(text || "").trim();
+  if (!body) throw new PortalError("Message can't be empty", 422, { text: "Write something first." });
+  if (body.length > MAX_MESSAGE_LENGTH) throw new PortalError("Message is too long", 422, { text: `Keep messages under ${MAX_MESSAGE_LENGTH} characters.` });
+  const message = { id: newId("msg"), from, by, text: body, at: new Date().toISOString() };
+  const brief = await briefs().update(briefId, (b) => ({ ...b, messages: [...(b.messages || []), message] }));
+  return brief && { brief, message };
+}
+
+// ---------- Checklist ----------
+// "Stripe, HubSpot and Calendly" -> ["Stripe", "HubSpot", "Calendly"]
+export function integrationsOf(text) {
+  const names = String(text || "")
+    .split(/[,;/&\n]|\band\b|\by\b/i)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return names.filter((n, i) => names.findIndex((m) => m.toLowerCase() === n.toLowerCase()) === i);
+}
+
+const slug = (s) => s.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+// Items someone ticks off by hand; the rest follow the brief (kickoff booked, paid)
+export const MANUAL_ITEMS = ["assets", "access"];
+
+/**
+ * What we still need from the client: [{ id, kind, name?, done, manual, by?, at? }].
+ * `kind` picks the copy (portal.checklist.<kind>): kickoff, payment (only
+ * when online checkout is set up), assets, and access per integration.
+ * `manual` items are ticked off with markChecklistItem().
+ */
+export function portalChecklist(brief, { payments = getPaymentsAdapter() } = {}) {
+  const marks = brief.checklist || {};
+  const items = [{ id: "kickoff", kind: "kickoff", done: brief.kickoff?.status === "confirmed" || reached(brief, "kickoff-booked") }];
+  if (payments && chargesFor(brief)) items.push({ id: "payment", kind: "payment", done: !needsCheckout(brief, payments) });
+  const shared = !!String(brief.assets || "").trim() || !!(brief.assetFiles || []).length;
+  items.push({ id: "assets", kind: "assets", done: shared || !!marks.assets?.done });
+  for (const name of integrationsOf(brief.integrations)) {
+    const id = `access-${slug(name)}`;
+    items.push({ id, kind: "access", name, done: !!marks[id]?.done });
+  }
+  return items.map((item) => {
+    const manual = MANUAL_ITEMS.includes(item.kind);
+    return manual && marks[item.id] ? { ...item, manual, by: marks[item.id].by, at: marks[item.id].at } : { ...item, manual };
+  });
+}
+
+export async function markChecklistItem(briefId, itemId, done, { by = "client" } = {}) {
+  return briefs().update(briefId, (brief) => {
+    const item = portalChecklist(brief).find((i) => i.id === itemId);
+    if (!item || !MANUAL_ITEMS.includes(item.kind)) throw new PortalError(`Unknown checklist item "${itemId}"`, 404);
+    return { ...brief, checklist: { ...(brief.checklist || {}), [itemId]: { done: !!done, by, at: new Date().toISOString() } } };
+  });
+}
+
+// ---------- View ----------
+/**
+ * What the portal page and GET /api/portal/:token show. Internal notes,
+ * sync/email logs and who on the team moved the status stay out.
+ */
+export function portalView(brief, options) {
+  return {
+    id: brief.id,
+    brand: brief.brand || null,
+    createdAt: brief.createdAt,
+    status: statusOf(brief),
+    statusHistory: (brief.statusHistory || []).map(({ from, to, at }) => ({ from, to, at })),
+    kickoff: brief.kickoff || null,
+    values: Object.fromEntries(fields.map((f) => [f.name, brief[f.name] ?? fieldDefault(f)])),
+    editable: editableFields(brief),
+    checklist: portalChecklist(brief, options),
+    messages: (brief.messages || []).map(({ id, from, text, at }) => ({ id, from, text, at })),
+    changeHistory: brief.changeHistory || [],
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Kickoff availability: the admin-editable settings (stored as the
+ * "scheduler" doc in the settings collection) and the slot generator the
+ * built-in provider books against.
+ *
+ * Weekly windows are wall-clock times in the host's timezone, so "09:00–17:00
+ * on Mondays" stays 9 to 5 across DST changes. Slots are returned as UTC ISO
+ * strings; the picker renders them in whatever zone the visitor chooses.
+ */
+import { getStore } from "../store";
+import { addDays, isValidTimeZone, WEEKDAYS, zonedDay, zonedToUtc } from "./time";
+
+export const DEFAULT_SETTINGS = {
+  timezone: "America/New_York",
+  slotMinutes: 30,
+  bufferMinutes: 15,
+  minNoticeHours: 12,
+  horizonDays: 14,
+  weekly: {
+    sun: [],
+    mon: [{ start: "09:00", end: "17:00" }],
+    tue: [{ start: "09:00", end: "17:00" }],
+    wed: [{ start: "09:00", end: "17:00" }],
+    thu: [{ start: "09:00", end: "17:00" }],
+    fri: [{ start: "09:00", end: "13:00" }],
+    sat: [],
+  },
+};
+
+const LIMITS = {
+  slotMinutes: [15, 240],
+  bufferMinutes: [0, 120],
+  minNoticeHours: [0, 336],
+  horizonDays: [1, 60],
+};
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check admin input. Returns { ok, value, errors } like validateBrief();
+ * `errors` is keyed by setting (weekly problems under "weekly.<day>").
+ */
+export function validateSettings(raw) {
+  const input = raw && typeof raw === "object" ? raw : {};
+  const value = { ...DEFAULT_SETTINGS, weekly: {} };
+  const errors = {};
+
+  const timezone = String(input.timezone || "").trim();
+  if (isValidTimeZone(timezone)) value.timezone = timezone;
+  else errors.timezone = "Pick a valid IANA timezone, e.g. America/New_York.";
+
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const n = Number(input[key]);
+    if (Number.isInteger(n) && n >= min && n <= max) value[key] = n;
+    else errors[key] = `Use a whole number between ${min} and ${max}.`;
+  }
+
+  const weekly = input.weekly && typeof input.weekly === "object" ? input.weekly : {};
+  for (const day of WEEKDAYS) {
+    const windows = Array.isArray(weekly[day]) ? weekly[day] : [];
+    const clean = windows.map((w) => ({ start: String(w?.start || ""), end: String(w?.end || "") }));
+    if (clean.some((w) => !TIME_RE.test(w.start) || !TIME_RE.test(w.end) || w.start >= w.end)) {
+      errors[`weekly.${day}`] = "Use HH:MM–HH:MM windows that end after they start.";
+    }
+    value.weekly[day] = clean.sort((a, b) => a.start.localeCompare(b.start));
+  }
+  return { ok: Object.keys(errors).length === 0, value, errors };
+}
+
+export async function getSchedulerSettings() {
+  const stored = await getStore().collection("settings").get("scheduler");
+  return stored ? { ...DEFAULT_SETTINGS, ...stored.value } : DEFAULT_SETTINGS;
+}
+
+export async function saveSchedulerSettings(value) {
+  return getStore()
+    .collection("settings")
+    .mutate((docs) => {
+      const now = new Date().toISOString();
+      docs.scheduler = { id: "scheduler", createdAt: now, ...docs.scheduler, value, updatedAt: now };
+      return value;
+    });
+}
+
+/**
+ * Open slot start times (UTC ISO, ascending) between now + minNoticeHours and
+ * the end of the booking horizon. `busy` is [{ start, end }] of confirmed
+ * bookings; a slot must clear each of them by bufferMinutes on both sides.
+ */
+export function generateSlots(settings, busy = [], now = new Date()) {
+  const { timezone, slotMinutes, bufferMinutes, minNoticeHours, horizonDays, weekly } = settings;
+  const slotMs = slotMinutes * 60000;
+  const bufferMs = bufferMinutes * 60000;
+  const earliest = now.getTime() + minNoticeHours * 3600000;
+  const blocked = busy.map((b) => [Date.parse(b.start) - bufferMs, Date.parse(b.end) + bufferMs]);
+
+  const out = new Set();
+  const today = zonedDay(now, timezone).day;
+  for (let i = 0; i < horizonDays; i++) {
+    const day = addDays(today, i);
+    const weekday = WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+    for (const w of weekly[weekday] || []) {
+      const end = zonedToUtc(day, w.end, timezone).getTime();
+      for (let t = zonedToUtc(day, w.start, timezone).getTime(); t + slotMs <= end; t += slotMs) {
+        if (t < earliest) continue;
+        if (blocked.some(([from, to]) => t < to && t + slotMs > from)) continue;
+        out.add(new Date(t).toISOString());
+      }
+    }
+  }
+  return [...out].sort();
+}
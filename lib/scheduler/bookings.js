@@ -0,0 +1,140 @@
+/**
+ * Kickoff bookings for the built-in provider.
+ *
+ * A booking is keyed by an unguessable token (like drafts), which doubles as
+ * the client's reschedule/cancel capability. Each brief has at most one
+ * confirmed booking. Slot checks and writes happen inside one
+ * bookings.mutate() so two visitors can't grab the same time.
+ *
+ * The brief keeps a copy of its current kickoff (brief.kickoff) and moves to
+ * "kickoff-booked" when the first booking is made.
+ */
+import { statusOf, STATUSES } from "../briefStatus";
+import { getStore, newToken } from "../store";
+import { generateSlots, getSchedulerSettings } from "./availability";
+import { isValidTimeZone } from "./time";
+
+export class SchedulerError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "SchedulerError";
+    this.status = status;
+  }
+}
+
+const bookings = () => getStore().collection("bookings");
+const isLive = (b) => b.status === "confirmed";
+const busyExcept = (docs, token) => Object.values(docs).filter((b) => isLive(b) && b.id !== token);
+
+function parseStart(start) {
+  const t = Date.parse(start);
+  if (!start || Number.isNaN(t)) throw new SchedulerError("Pick a time for your kickoff.", 422);
+  return new Date(t).toISOString();
+}
+
+function assertOpen(settings, docs, token, start) {
+  if (!generateSlots(settings, busyExcept(docs, token)).includes(start)) {
+    throw new SchedulerError("That time was just taken or is no longer available — please pick another.");
+  }
+}
+
+const endOf = (start, settings) => new Date(Date.parse(start) + settings.slotMinutes * 60000).toISOString();
+
+// Only ever moves a brief forward, and only from before kickoff-booked
+const BOOKABLE_FROM = STATUSES.slice(0, STATUSES.findIndex((s) => s.id === "kickoff-booked")).map((s) => s.id);
+
+function linkBrief(booking) {
+  return getStore()
+    .collection("briefs")
+    .update(booking.briefId, (b) => {
+      const next = { ...b, kickoff: { token: booking.id, start: booking.start, end: booking.end, status: booking.status } };
+      const from = statusOf(b);
+      if (isLive(booking) && BOOKABLE_FROM.includes(from)) {
+        next.status = "kickoff-booked";
+        next.statusHistory = [...(b.statusHistory || []), { from, to: "kickoff-booked", by: "scheduler", at: new Date().toISOString() }];
+      }
+      return next;
+    });
+}
+
+export function getBooking(token) {
+  return bookings().get(String(token));
+}
+
+export async function listBookings() {
+  return (await bookings().list()).sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/** Slots a brief can book (or move its booking `token` to). */
+export async function openSlots(token = null) {
+  const settings = await getSchedulerSettings();
+  const docs = Object.fromEntries((await bookings().list()).map((b) => [b.id, b]));
+  return { settings, slots: generateSlots(settings, busyExcept(docs, token)) };
+}
+
+export async function bookKickoff({ briefId, start, timezone }) {
+  const brief = await getStore().collection("briefs").get(String(briefId || ""));
+  if (!brief) throw new SchedulerError("We couldn't find that brief.", 404);
+  const at = parseStart(start);
+  const settings = await getSchedulerSettings();
+
+  const booking = await bookings().mutate((docs) => {
+    if (Object.values(docs).some((b) => isLive(b) && b.briefId === brief.id)) {
+      throw new SchedulerError("Your kickoff is already booked — use the reschedule link to change it.");
+    }
+    assertOpen(settings, docs, null, at);
+    const now = new Date().toISOString();
+    const doc = {
+      id: newToken(),
+      briefId: brief.id,
+      start: at,
+      end: endOf(at, settings),
+      timezone: isValidTimeZone(timezone) ? timezone : settings.timezone,
+      status: "confirmed",
+      sequence: 0,
+      createdAt: now,
+      history: [{ action: "booked", start: at, at: now }],
+    };
+    docs[doc.id] = doc;
+    return doc;
+  });
+  await linkBrief(booking);
+  return booking;
+}
+
+export async function rescheduleBooking(token, { start, timezone }) {
+  const at = parseStart(start);
+  const settings = await getSchedulerSettings();
+  const booking = await bookings().mutate((docs) => {
+    const current = docs[token];
+    if (!current) throw new SchedulerError("This booking link doesn't exist.", 404);
+    if (!isLive(current)) throw new SchedulerError("This kickoff was cancelled — book a new time instead.");
+    assertOpen(settings, docs, token, at);
+    const now = new Date().toISOString();
+    docs[token] = {
+      ...current,
+      start: at,
+      end: endOf(at, settings),
+      timezone: isValidTimeZone(timezone) ? timezone : current.timezone,
+      sequence: current.sequence + 1,
+      updatedAt: now,
+      history: [...current.history, { action: "rescheduled", from: current.start, start: at, at: now }],
+    };
+    return docs[token];
+  });
+  await linkBrief(booking);
+  return booking;
+}
+
+export async function cancelBooking(token) {
+  const booking = await bookings().mutate((docs) => {
+    const current = docs[token];
+    if (!current) throw new SchedulerError("This booking link doesn't exist.", 404);
+    if (!isLive(current)) return current;
+    const now = new Date().toISOString();
+    docs[token] = { ...current, status: "cancelled", sequence: current.sequence + 1, updatedAt: now, history: [...current.history, { action: "cancelled", at: now }] };
+    return docs[token];
+  });
+  await linkBrief(booking);
+  return booking;
+}
@@ -0,0 +1,18 @@
+/**
+ * HubSpot meetings embed, shared by the server-side provider and the
+ * wizard's fallback when the API isn't reachable (preview mode). The
+ * meetings page comes from config/site.js.
+ */
+import siteConfig from "../../config/site";
+
+// HubSpot prefills its form from these query params, so the meeting lands on
+// the same contact our CRM sync created for the brief
+export function hubspotEmbedUrl(base, { name = "", email = "" } = {}) {
+  const url = new URL(base || siteConfig.hubspotMeetingUrl);
+  const [firstname, ...rest] = String(name).trim().split(/\s+/);
+  if (firstname) url.searchParams.set("firstname", firstname);
+  if (rest.length) url.searchParams.set("lastname", rest.join(" "));
+  if (email) url.searchParams.set("email", email);
+  url.searchParams.set("embed", "true");
+  return url.toString();
+}
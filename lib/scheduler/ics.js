@@ -0,0 +1,65 @@
+/**
+ * iCalendar (RFC 5545) invites for kickoff bookings. Both parties get the
+ * same UID, so a reschedule (higher SEQUENCE) or cancellation updates the
+ * event already in their calendar instead of adding a second one.
+ */
+
+const stamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function escapeText(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch, "utf8") > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const person = (role, { name, email }, extra = "") => `${role};CN=${escapeText(name || email)}${extra}:mailto:${email}`;
+
+/**
+ * @param {object} booking   stored booking ({ id, start, end, status, sequence })
+ * @param {object} invite    { summary, description, url, organizer: { name, email }, attendee: { name, email } }
+ *                           organizer/attendee are left out when they have no email.
+ */
+export function buildIcs(booking, { summary, description = "", url = "", organizer, attendee }) {
+  const cancelled = booking.status === "cancelled";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Blossom.Launch//Kickoff scheduler//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${cancelled ? "CANCEL" : organizer?.email ? "REQUEST" : "PUBLISH"}`,
+    "BEGIN:VEVENT",
+    `UID:${booking.id}@blossom.launch`,
+    `SEQUENCE:${booking.sequence || 0}`,
+    `DTSTAMP:${stamp(booking.updatedAt || booking.createdAt || new Date().toISOString())}`,
+    `DTSTART:${stamp(booking.start)}`,
+    `DTEND:${stamp(booking.end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    url ? `URL:${url}` : null,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    organizer?.email ? person("ORGANIZER", organizer) : null,
+    attendee?.email ? person("ATTENDEE", attendee, ";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED") : null,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,104 @@
+/**
+ * Kickoff scheduling behind one interface, so the confirmation step and the
+ * API routes don't care who hosts the calendar. The brief's brand
+ * (config/brands `scheduler.provider`) or else SCHEDULER_PROVIDER picks:
+ *
+ *   builtin (default)  bookings.js against the availability set in /admin/scheduler
+ *   hubspot            the HubSpot meetings embed at the brand's
+ *                      `hubspotMeetingUrl`, else HUBSPOT_MEETING_URL
+ *                      (default: config/site.js)
+ *
+ * Every provider has the same shape:
+ *
+ *   id
+ *   forBrief(brief)                        -> what the confirmation step renders
+ *   book({ briefId, start, timezone })     -> booking
+ *   reschedule(token, { start, timezone }) -> booking
+ *   cancel(token)                          -> booking
+ *
+ * HubSpot takes bookings inside its own iframe, so its book/reschedule/cancel
+ * reject with a 501 SchedulerError.
+ */
+import { brandOf, DEFAULT_BRAND } from "../brand";
+import { getStore } from "../store";
+import { bookKickoff, cancelBooking, getBooking, openSlots, rescheduleBooking, SchedulerError } from "./bookings";
+import { hubspotEmbedUrl } from "./embed";
+import { buildIcs } from "./ics";
+
+export { SchedulerError };
+
+/** What the client may see of a booking; the token is its manage link. */
+export function publicBooking(b) {
+  if (!b) return null;
+  const { id, briefId, start, end, status, timezone } = b;
+  return { token: id, briefId, start, end, status, timezone, manageUrl: `/kickoff/${id}`, icsUrl: `/api/scheduler/bookings/${id}/ics` };
+}
+
+function createBuiltinProvider() {
+  return {
+    id: "builtin",
+    async forBrief(brief) {
+      const live = brief.kickoff?.status === "confirmed" ? await getBooking(brief.kickoff.token) : null;
+      const { settings, slots } = await openSlots();
+      return { provider: "builtin", timezone: settings.timezone, slotMinutes: settings.slotMinutes, slots, booking: publicBooking(live) };
+    },
+    book: bookKickoff,
+    reschedule: rescheduleBooking,
+    cancel: cancelBooking,
+  };
+}
+
+function createHubSpotProvider(meetingUrl) {
+  const unsupported = async () => {
+    throw new SchedulerError("Kickoffs are booked through HubSpot on this site.", 501);
+  };
+  return {
+    id: "hubspot",
+    async forBrief(brief) {
+      return { provider: "hubspot", embedUrl: hubspotEmbedUrl(meetingUrl, brief) };
+    },
+    book: unsupported,
+    reschedule: unsupported,
+    cancel: unsupported,
+  };
+}
+
+export function getScheduler(env = process.env, brand = DEFAULT_BRAND) {
+  const provider = brand.scheduler.provider || env.SCHEDULER_PROVIDER;
+  return provider === "hubspot" ? createHubSpotProvider(brand.scheduler.hubspotMeetingUrl || env.HUBSPOT_MEETING_URL) : createBuiltinProvider();
+}
+
+/** The scheduler for a stored brief's brand (the default brand's for an unknown id). */
+export async function schedulerForBrief(briefId, env = process.env) {
+  const brief = briefId ? await getStore().collection("briefs").get(briefId) : null;
+  return getScheduler(env, brandOf(brief));
+}
+
+// ---------- Invites ----------
+function host(env, brand) {
+  return { name: brand.scheduler.hostName || env.SCHEDULER_HOST_NAME || brand.name, email: brand.scheduler.hostEmail || env.SCHEDULER_HOST_EMAIL || "" };
+}
+
+/** The client's copy: organized by us, with their reschedule/cancel link. */
+export function clientInvite(booking, brief, baseUrl, env = process.env) {
+  const manageUrl = `${baseUrl}${publicBooking(booking).manageUrl}`;
+  return buildIcs(booking, {
+    summary: `${brandOf(brief).name} kickoff${brief.company ? ` · ${brief.company}` : ""}`,
+    description: `Kickoff call for your 14-day launch sprint.\nBrief reference: ${brief.id}\nReschedule or cancel: ${manageUrl}`,
+    url: manageUrl,
+    organizer: host(env, brandOf(brief)),
+    attendee: { name: brief.name, email: brief.email },
+  });
+}
+
+/** The host's copy: links to the brief in /admin. */
+export function hostInvite(booking, brief, baseUrl, env = process.env) {
+  const adminUrl = `${baseUrl}/admin/briefs/${brief.id}`;
+  return buildIcs(booking, {
+    summary: `Kickoff: ${brief.company || brief.name || brief.id}`,
+    description: `${brief.name || ""} <${brief.email || ""}>\nPlan: ${brief.plan || "—"}\n${brief.oneLiner || ""}\nBrief: ${adminUrl}`,
+    url: adminUrl,
+    organizer: host(env, brandOf(brief)),
+    attendee: { name: brief.name, email: brief.email },
+  });
+}
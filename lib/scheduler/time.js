@@ -0,0 +1,59 @@
+/**
+ * Timezone math on top of Intl (no tz database dependency). Instants are
+ * Date/ISO-UTC; "wall clock" values are YYYY-MM-DD days and HH:MM times in
+ * an IANA zone.
+ */
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const partsCache = new Map();
+function formatter(tz) {
+  if (!partsCache.has(tz)) {
+    partsCache.set(
+      tz,
+      new Intl.DateTimeFormat("en-US", { timeZone: tz, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit", weekday: "short" })
+    );
+  }
+  return partsCache.get(tz);
+}
+
+function zonedParts(date, tz) {
+  return Object.fromEntries(formatter(tz).formatToParts(date).map((p) => [p.type, p.value]));
+}
+
+export function isValidTimeZone(tz) {
+  try {
+    formatter(String(tz));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Minutes `tz` is ahead of UTC at `date`
+export function tzOffsetMinutes(date, tz) {
+  const p = zonedParts(date, tz);
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/** The instant at wall-clock `day` `time` in `tz` (DST gaps resolve forward). */
+export function zonedToUtc(day, time, tz) {
+  const [y, m, d] = day.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  const guess = Date.UTC(y, m - 1, d, hh, mm);
+  const first = guess - tzOffsetMinutes(new Date(guess), tz) * 60000;
+  const second = guess - tzOffsetMinutes(new Date(first), tz) * 60000;
+  return new Date(second);
+}
+
+/** { day: "YYYY-MM-DD", weekday: "mon" } of `date` as seen in `tz`. */
+export function zonedDay(date, tz) {
+  const p = zonedParts(date, tz);
+  return { day: `${p.year}-${p.month}-${p.day}`, weekday: p.weekday.slice(0, 3).toLowerCase() };
+}
+
+export function addDays(day, n) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
@@ -0,0 +1,332 @@
+/**
+ * Intake wizard schema – the single source of truth for the brief.
+ *
+ * From this list the wizard renders each step, normalizePayload() derives
+ * the payload shape and defaults, the Review step builds its summary cards,
+ * and /api/brief validates submissions. Adding a question means adding one
+ * field here.
+ *
+ * Step:  { id, title, intro?, summaryTitle?, when?, lockedFrom?, fields? }
+ *   when(values, context) -> bool makes a step conditional (branching). It
+ *   may only look at fields from earlier steps, so answering a question never
+ *   shifts the step you are on. Fields of inactive steps are ignored by
+ *   validation and blanked on the server.
+ *   lockedFrom is the brief status (lib/briefStatus.js) from which clients
+ *   can no longer change the step's answers in the portal (lib/portal.js);
+ *   without it they can edit them for good.
+ * Field: {
+ *   name, type: "text" | "email" | "textarea" | "date" | "select" | "plan" | "checkbox" | "files",
+ *   label, placeholder?, hint?, rows?, width?: "half",
+ *   hidden?,                        // not rendered as its own input (set by custom UI)
+ *   required?, requiredMessage?, format?: "email" | "date", maxLength?,
+ *   options?: [{ value, label }],   // select/plan: also the allowed values
+ *   default?,                       // "" (false for checkboxes, [] for files) if omitted
+ *   summaryLabel?,                  // shown on the Review step when set
+ *   locked?,                        // never editable after submission (portal)
+ * }
+ *
+ * Copy here is English; localizeStep()/localizeField() swap in a catalog's
+ * `schema.steps.<id>.*` / `schema.fields.<name>.*` entries (lib/i18n), and
+ * validation messages and summaries take a locale too.
+ */
+import { DEFAULT_BRAND } from "./brand";
+import { DEFAULT_LOCALE, LOCALE_NAMES, LOCALES, translate } from "./i18n";
+import { PILOT_SPOT_LIMIT, PLAN_IDS, plansFor } from "./plans";
+import { MAX_FILES_PER_BRIEF, MAX_UPLOAD_BYTES, formatBytes } from "./uploads";
+
+export const MAX_FIELD_LENGTH = 5000;
+
+export const steps = [
+  {
+    id: "contact",
+    title: "Contact",
+    intro: "Let’s start with your contact info 🌱",
+    summaryTitle: "Contact",
+    fields: [
+      { name: "name", type: "text", label: "Your name", placeholder: "Your name", required: true, width: "half", summaryLabel: "Name" },
+      { name: "email", type: "email", label: "Your email", placeholder: "Your email", required: true, format: "email", width: "half", summaryLabel: "Email", locked: true },
+      { name: "company", type: "text", label: "Company (optional)", placeholder: "Company (optional)", summaryLabel: "Company" },
+      // Set from the language switcher; follow-up emails go out in this language
+      {
+        name: "locale",
+        type: "select",
+        hidden: true,
+        label: "Language",
+        default: DEFAULT_LOCALE,
+        options: LOCALES.map((l) => ({ value: l, label: LOCALE_NAMES[l] })),
+        summaryLabel: "Language",
+      },
+    ],
+  },
+  {
+    id: "vision",
+    title: "Vision & Goals",
+    summaryTitle: "Vision & Goals",
+    lockedFrom: "in-sprint",
+    fields: [
+      { name: "oneLiner", type: "textarea", rows: 2, label: "Your idea in one sentence", required: true, summaryLabel: "One‑liner" },
+      { name: "customer", type: "text", label: "Primary customer/user", required: true, summaryLabel: "Customer" },
+      { name: "problem", type: "textarea", rows: 3, label: "What problem are you solving?", required: true, summaryLabel: "Problem" },
+      { name: "success", type: "text", label: "What does success look like? (e.g., more qualified leads, bookings)", required: true, summaryLabel: "Success" },
+    ],
+  },
+  {
+    id: "scope",
+    title: "Scope",
+    summaryTitle: "Scope",
+    lockedFrom: "in-sprint",
+    fields: [
+      { name: "mustHaves", type: "textarea", rows: 3, label: "Must‑have features for Day 1", required: true, summaryLabel: "Musts" },
+      { name: "niceToHaves", type: "textarea", rows: 3, label: "Nice‑to‑haves for later (optional)", summaryLabel: "Nice" },
+      { name: "integrations", type: "text", label: "Key integrations (Stripe, CRM, email, booking)", required: true, summaryLabel: "Integrations" },
+      {
+        name: "assetFiles",
+        type: "files",
+        label: "Upload brand assets (optional)",
+        hint: `Logos, images, copy docs or PDFs — up to ${MAX_FILES_PER_BRIEF} files, ${formatBytes(MAX_UPLOAD_BYTES)} each.`,
+        summaryLabel: "Files",
+        locked: true,
+      },
+      { name: "assets", type: "text", label: "Links to other assets (optional)", placeholder: "Paste any links (Drive, Figma, etc.)", summaryLabel: "Links" },
+    ],
+  },
+  {
+    id: "payments",
+    title: "Payments",
+    intro: "You mentioned Stripe — a few details so checkout works on Day 1.",
+    summaryTitle: "Payments",
+    when: (v) => /stripe/i.test(v.integrations || ""),
+    lockedFrom: "in-sprint",
+    fields: [
+      { name: "paymentProducts", type: "textarea", rows: 3, label: "What will you sell? (products/services and rough prices)", required: true, summaryLabel: "Products" },
+      { name: "paymentCurrencies", type: "text", label: "Currencies", hint: "Comma‑separated, e.g. USD, EUR", default: "USD", required: true, summaryLabel: "Currencies" },
+      {
+        name: "paymentModel",
+        type: "select",
+        label: "How will customers pay?",
+        default: "one-time",
+        options: [
+          { value: "one-time", label: "One‑time payments" },
+          { value: "subscriptions", label: "Subscriptions" },
+          { value: "both", label: "Both" },
+        ],
+        summaryLabel: "Billing",
+      },
+    ],
+  },
+  {
+    id: "branding",
+    title: "Branding",
+    intro: "No assets yet? No problem — tell us the vibe and we’ll handle the rest.",
+    summaryTitle: "Branding",
+    when: (v) => !String(v.assets || "").trim() && !(v.assetFiles || []).length,
+    lockedFrom: "in-sprint",
+    fields: [
+      {
+        name: "brandLogo",
+        type: "select",
+        label: "Do you have a logo?",
+        default: "need-one",
+        options: [
+          { value: "have-one", label: "Yes — I’ll send it over" },
+          { value: "need-one", label: "No — please design a simple one" },
+          { value: "wordmark", label: "A plain text wordmark is fine" },
+        ],
+        summaryLabel: "Logo",
+      },
+      { name: "brandVibe", type: "textarea", rows: 2, label: "Describe the look & feel in a few words (e.g., calm, bold, playful)", required: true, summaryLabel: "Vibe" },
+      { name: "brandColors", type: "text", label: "Colors you love (or want to avoid) (optional)", summaryLabel: "Colors" },
+      { name: "brandExamples", type: "text", label: "Sites you like the look of (optional)", placeholder: "Paste a few links", summaryLabel: "Inspiration" },
+    ],
+  },
+  {
+    id: "timeline",
+    title: "Timeline",
+    summaryTitle: "Timeline & Plan",
+    lockedFrom: "kickoff-booked",
+    fields: [
+      { name: "targetDate", type: "date", label: "Target launch date (optional)", format: "date", summaryLabel: "Target date" },
+      { name: "deadline", type: "text", label: "Hard deadlines/events (if any)", summaryLabel: "Deadlines" },
+      {
+        name: "availability",
+        type: "select",
+        label: "Availability for quick feedback",
+        default: "same-day",
+        options: [
+          { value: "same-day", label: "Same‑day" },
+          { value: "next-day", label: "Next‑day" },
+          { value: "72hr", label: "Within 72 hrs" },
+        ],
+        summaryLabel: "Availability",
+      },
+    ],
+  },
+  {
+    id: "plan",
+    title: "Plan",
+    intro: `Choose your plan. Pilot pricing is limited to the first ${PILOT_SPOT_LIMIT} clients and waives the setup fee.`,
+    summaryTitle: "Timeline & Plan",
+    fields: [
+      { name: "plan", type: "plan", label: "Plan", default: "pilot", options: PLAN_IDS.map((id) => ({ value: id, label: translate(DEFAULT_LOCALE, `plans.${id}.name`) })), summaryLabel: "Plan", locked: true },
+      {
+        name: "agreeScope",
+        type: "checkbox",
+        label:
+          "I agree to the Included vs Additional scope: Day‑1 build, hosting/security/updates, backups, and bug fixes are included; new features, content production, SEO campaigns, and complex integrations may require a quote.",
+        required: true,
+        requiredMessage: "Please confirm the scope agreement.",
+        locked: true,
+      },
+      { name: "caseStudyOptIn", type: "checkbox", label: "Okay to use my project as a case study (anonymously)." },
+      // Set from the pilot plan card once all pilot spots are taken
+      { name: "pilotWaitlist", type: "checkbox", hidden: true, label: "Pilot waitlist", summaryLabel: "Pilot waitlist" },
+    ],
+  },
+  {
+    id: "growth",
+    title: "Growth goals",
+    intro: "Pro includes a monthly analytics review and automations — what should they focus on?",
+    summaryTitle: "Growth",
+    when: (v) => v.plan === "pro",
+    fields: [
+      { name: "analyticsGoals", type: "textarea", rows: 2, label: "Which numbers matter most each month? (traffic, sign‑ups, sales…)", required: true, summaryLabel: "Analytics" },
+      { name: "automationGoals", type: "textarea", rows: 2, label: "What would you like automated? (follow‑ups, lead routing, reports…)", summaryLabel: "Automations" },
+    ],
+  },
+  { id: "review", title: "Review" },
+  // Only once the server says the stored brief should pay online (lib/payments)
+  { id: "checkout", title: "Checkout", when: (v, ctx) => !!ctx.checkout },
+  { id: "confirm", title: "Confirmation" },
+];
+
+export const fields = steps.flatMap((s) => s.fields || []);
+
+export function fieldByName(name) {
+  return fields.find((f) => f.name === name) || null;
+}
+
+/**
+ * The steps this brief actually goes through, given its current answers.
+ * `context` carries what only the wizard knows ({ checkout } after submit).
+ */
+export function activeSteps(values, context = {}) {
+  return steps.filter((s) => !s.when || s.when(values, context));
+}
+
+export function activeFields(values) {
+  return activeSteps(values).flatMap((s) => s.fields || []);
+}
+
+// ---------- Localization ----------
+// Placeholders the translated copy may use ({limit}, {maxFiles}, {maxSize})
+const COPY_VARS = { limit: PILOT_SPOT_LIMIT, maxFiles: MAX_FILES_PER_BRIEF, maxSize: formatBytes(MAX_UPLOAD_BYTES) };
+const COPY_KEYS = { step: ["title", "intro", "summaryTitle"], field: ["label", "placeholder", "hint", "requiredMessage", "summaryLabel"] };
+
+function localizeCopy(obj, keys, prefix, locale, brand) {
+  const out = { ...obj };
+  for (const k of keys) {
+    if (obj[k] !== undefined) out[k] = translate(locale, `${prefix}.${k}`, COPY_VARS, obj[k], brand);
+  }
+  return out;
+}
+
+/**
+ * `field` with its copy (and option labels) in `locale`, including any
+ * overrides from `brand` (config/brands). Plan fields only offer the brand's plans.
+ */
+export function localizeField(field, locale = DEFAULT_LOCALE, brand = DEFAULT_BRAND) {
+  if (locale === DEFAULT_LOCALE && brand === DEFAULT_BRAND) return field;
+  const out = localizeCopy(field, COPY_KEYS.field, `schema.fields.${field.name}`, locale, brand);
+  if (field.type === "plan") {
+    const named = plansFor(locale, brand);
+    out.options = named.map((p) => ({ value: p.id, label: p.name }));
+  } else if (field.options) {
+    out.options = field.options.map((o) => ({ ...o, label: translate(locale, `schema.fields.${field.name}.options.${o.value}`, {}, o.label) }));
+  }
+  return out;
+}
+
+/** `step` (and its fields) with copy in `locale` and `brand`. */
+export function localizeStep(step, locale = DEFAULT_LOCALE, brand = DEFAULT_BRAND) {
+  if (locale === DEFAULT_LOCALE && brand === DEFAULT_BRAND) return step;
+  const out = localizeCopy(step, COPY_KEYS.step, `schema.steps.${step.id}`, locale, brand);
+  if (step.fields) out.fields = step.fields.map((f) => localizeField(f, locale, brand));
+  return out;
+}
+
+export function fieldDefault(field) {
+  if (field.type === "checkbox") return !!field.default;
+  if (field.type === "files") return [];
+  return field.default ?? "";
+}
+
+export function defaultValues() {
+  return Object.fromEntries(fields.map((f) => [f.name, fieldDefault(f)]));
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** "2026-02-28" yes; "2026-02-30", "28/02/2026" and non-strings no. */
+export function isCalendarDate(value) {
+  if (typeof value !== "string" || !DATE_RE.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+/** Validation message for one (normalized) field value, or "" if it's fine. */
+export function validateField(field, value, locale = DEFAULT_LOCALE) {
+  const msg = (key, vars) => translate(locale, `validation.${key}`, vars);
+  const required = (key) => (field.requiredMessage ? localizeField(field, locale).requiredMessage : msg(key));
+  if (field.type === "checkbox") {
+    return field.required && !value ? required("checkbox") : "";
+  }
+  if (field.type === "files") {
+    if (field.required && !value.length) return required("files");
+    return value.length > MAX_FILES_PER_BRIEF ? msg("maxFiles", { max: MAX_FILES_PER_BRIEF }) : "";
+  }
+  if (!value) return field.required ? required("required") : "";
+  const max = field.maxLength || MAX_FIELD_LENGTH;
+  if (value.length > max) return msg("tooLong", { max });
+  if (field.format === "email" && !EMAIL_RE.test(value)) return msg("email");
+  if (field.format === "date" && !isCalendarDate(value)) return msg("date");
+  if (field.options && !field.options.some((o) => o.value === value)) {
+    return msg("option", { options: field.options.map((o) => o.value).join(", ") });
+  }
+  return "";
+}
+
+/** { [field]: message } for every invalid field in `fieldList` (default: all active fields). */
+export function validateValues(values, fieldList = activeFields(values), locale = DEFAULT_LOCALE) {
+  const errors = {};
+  for (const f of fieldList) {
+    const v = values[f.name];
+    const message = validateField(f, typeof v === "string" ? v.trim() : v, locale);
+    if (message) errors[f.name] = message;
+  }
+  return errors;
+}
+
+// Index within activeSteps(values), -1 if the field's step is inactive
+export function stepIndexOfField(name, values) {
+  return activeSteps(values).findIndex((s) => (s.fields || []).some((f) => f.name === name));
+}
+
+/** Review-step cards: [{ title, items: { label: displayValue } }] */
+export function summarize(values, locale = DEFAULT_LOCALE, brand = DEFAULT_BRAND) {
+  const cards = [];
+  for (const step of activeSteps(values).map((s) => localizeStep(s, locale, brand))) {
+    for (const f of step.fields || []) {
+      if (!f.summaryLabel) continue;
+      let card = cards.find((c) => c.title === step.summaryTitle);
+      if (!card) cards.push((card = { title: step.summaryTitle, items: {} }));
+      const v = values[f.name];
+      const option = f.options && f.options.find((o) => o.value === v);
+      // File lists stay arrays so the Review step can show thumbnails
+      if (f.type === "files") card.items[f.summaryLabel] = v && v.length ? v : "—";
+      else if (f.type === "checkbox") card.items[f.summaryLabel] = v ? translate(locale, "summary.yes") : "—";
+      else card.items[f.summaryLabel] = option ? option.label : v || "—";
+    }
+  }
+  return cards;
+}
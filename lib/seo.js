@@ -0,0 +1,141 @@
+/**
+ * Search and social metadata for the landing page: canonical and hreflang
+ * URLs, Open Graph/Twitter cards (components/LandingMeta.js), JSON-LD for
+ * the service and its plans' prices, and the bodies of /sitemap.xml and
+ * /robots.txt. Shared by the browser and the server, like lib/brand.js.
+ *
+ * URLs are absolute, on the brand's own origin (`url` in config/brands,
+ * else https://<first host>). Brands without one live at /for/<id> on the
+ * default brand's origin.
+ */
+import { BRANDS, DEFAULT_BRAND } from "./brand";
+import { createTranslator, DEFAULT_LOCALE, LOCALES, localePath } from "./i18n";
+import { plansFor } from "./plans";
+
+export const SHARE_IMAGE = { width: 1200, height: 630 };
+
+// Open Graph wants language_TERRITORY
+const OG_LOCALES = { en: "en_US", es: "es_ES" };
+// UN/CEFACT codes for schema.org billing periods
+const UNIT_CODES = { day: "DAY", week: "WEE", month: "MON", year: "ANN" };
+// Pages no search engine should list (client links carry their own tokens)
+const PRIVATE_PAGES = ["/admin", "/portal/", "/kickoff", "/checkout"];
+
+const ownOrigin = (brand) => (brand.url ? brand.url.replace(/\/+$/, "") : brand.hosts && brand.hosts.length ? `https://${brand.hosts[0]}` : "");
+
+/** The origin `brand`'s pages are served from. */
+export const brandOrigin = (brand) => ownOrigin(brand) || ownOrigin(DEFAULT_BRAND);
+
+// "/" stays "/", "/es/" becomes "/es"
+const trim = (path) => (path.length > 1 ? path.replace(/\/$/, "") : path);
+
+/** Absolute URL of `brand`'s landing page in `locale`. */
+export function landingUrl(brand, locale = DEFAULT_LOCALE) {
+  return brandOrigin(brand) + trim(localePath(locale, ownOrigin(brand) ? "/" : `/for/${brand.id}`));
+}
+
+/** The generated share card (pages/api/og.js). */
+export function shareImageUrl(brand, locale = DEFAULT_LOCALE) {
+  return `${brandOrigin(brand)}/api/og?brand=${encodeURIComponent(brand.id)}&locale=${encodeURIComponent(locale)}`;
+}
+
+/** Everything components/LandingMeta.js puts in <head>. */
+export function landingMeta(brand, locale = DEFAULT_LOCALE) {
+  const t = createTranslator(locale, brand);
+  return {
+    title: t("meta.title"),
+    description: t("meta.description"),
+    url: landingUrl(brand, t.locale),
+    alternates: [...LOCALES.map((l) => ({ hrefLang: l, href: landingUrl(brand, l) })), { hrefLang: "x-default", href: landingUrl(brand) }],
+    siteName: brand.name,
+    ogLocale: OG_LOCALES[t.locale],
+    ogAlternateLocales: LOCALES.filter((l) => l !== t.locale).map((l) => OG_LOCALES[l]),
+    image: { url: shareImageUrl(brand, t.locale), ...SHARE_IMAGE, alt: t("meta.imageAlt") },
+    themeColor: brand.colors.primaryDark,
+  };
+}
+
+// ---------- Structured data ----------
+const amount = (cents) => (cents / 100).toFixed(2);
+
+function offer(plan, t, url) {
+  const { currency, setupFee, waiveSetupFee, recurring } = plan.pricing;
+  const priceCurrency = currency.toUpperCase();
+  const monthly = {
+    "@type": "UnitPriceSpecification",
+    name: t("meta.subscription"),
+    price: amount(recurring.amount),
+    priceCurrency,
+    unitCode: UNIT_CODES[recurring.interval],
+    referenceQuantity: { "@type": "QuantitativeValue", value: 1, unitCode: UNIT_CODES[recurring.interval] },
+  };
+  const setup = setupFee && !waiveSetupFee ? { "@type": "UnitPriceSpecification", name: t("meta.setupFee"), price: amount(setupFee), priceCurrency } : null;
+  return {
+    "@type": "Offer",
+    name: plan.name,
+    description: plan.sub,
+    url: `${url}#plans`,
+    // What it takes to start: the setup fee when there is one, else the first month
+    price: (setup || monthly).price,
+    priceCurrency,
+    priceSpecification: setup ? [setup, monthly] : [monthly],
+    // Pilot pricing is limited to the first PILOT_SPOT_LIMIT clients
+    availability: plan.id === "pilot" ? "https://schema.org/LimitedAvailability" : "https://schema.org/InStock",
+  };
+}
+
+/** JSON-LD graph: the brand as an Organization and what it sells as a Service with one Offer per plan. */
+export function landingStructuredData(brand, locale = DEFAULT_LOCALE) {
+  const t = createTranslator(locale, brand);
+  const url = landingUrl(brand, t.locale);
+  const organization = {
+    "@type": "Organization",
+    "@id": `${url}#organization`,
+    name: brand.name,
+    url,
+    ...(brand.logo ? { logo: brandOrigin(brand) + brand.logo.src } : {}),
+  };
+  const service = {
+    "@type": "Service",
+    "@id": `${url}#service`,
+    name: t("meta.service"),
+    description: t("meta.description"),
+    url,
+    provider: { "@id": organization["@id"] },
+    availableLanguage: LOCALES,
+    offers: plansFor(t.locale, brand).map((p) => offer(p, t, url)),
+  };
+  return { "@context": "https://schema.org", "@graph": [organization, service] };
+}
+
+// For <script type="application/ld+json">: "</script>" in copy can't end the tag
+export const jsonLd = (data) => JSON.stringify(data).replace(/</g, "\\u003c");
+
+// ---------- Sitemap & robots ----------
+// The brands served from `brand`'s origin: itself, plus any without their own
+const brandsAt = (brand) => BRANDS.filter((b) => b === brand || (!ownOrigin(b) && brandOrigin(b) === brandOrigin(brand)));
+
+const xmlEscape = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/** /sitemap.xml for the origin `brand` is served from: each landing page in every locale, with hreflang links. */
+export function sitemapXml(brand) {
+  const urls = brandsAt(brand).flatMap((b) =>
+    LOCALES.map((locale) => {
+      const links = LOCALES.map((l) => `    <xhtml:link rel="alternate" hreflang="${l}" href="${xmlEscape(landingUrl(b, l))}"/>`);
+      return `  <url>\n    <loc>${xmlEscape(landingUrl(b, locale))}</loc>\n${links.join("\n")}\n  </url>`;
+    }),
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+/** /robots.txt: the landing pages and share cards are public; admin, API and client links aren't. */
+export function robotsTxt(brand) {
+  const disallow = ["/api/", ...LOCALES.flatMap((l) => PRIVATE_PAGES.map((p) => localePath(l, p)))];
+  return ["User-agent: *", "Allow: /", "Allow: /api/og", ...disallow.map((p) => `Disallow: ${p}`), "", `Sitemap: ${brandOrigin(brand)}/sitemap.xml`, ""].join("\n");
+}
@@ -0,0 +1,181 @@
+/**
+ * The 14-day launch sprint, laid out on the calendar, and whether it can meet
+ * the client's dates.
+ *
+ * Fourteen calendar days (weekends included, as addDays() counts them) split
+ * into phases, with a client feedback round after design and after QA. How
+ * long each round waits on the client depends on the brief's `availability`
+ * answer, so slower turnaround pushes launch out rather than squeezing our
+ * build days. Days are YYYY-MM-DD strings.
+ *
+ * Pure functions only: the wizard runs the same check as the admin view and
+ * the launch brief document.
+ */
+import { DEFAULT_LOCALE, intlLocale, translate } from "./i18n";
+import { addDays } from "./scheduler/time";
+import { COLORS } from "./theme";
+
+export const SPRINT_DAYS = 14;
+
+// Titles and details come from the lib/i18n catalogs (sprint.phases.<id>)
+export const PHASES = [
+  { id: "kickoff", days: 1, color: COLORS.primaryDark },
+  { id: "design", days: 3, color: "#334155" },
+  { id: "design-review", feedback: true, color: "#F59E0B" },
+  { id: "build", days: 6, color: COLORS.primaryGreen },
+  { id: "qa", days: 2, color: "#0EA5E9" },
+  { id: "client-review", feedback: true, color: "#F59E0B" },
+  { id: "launch", days: 2, color: COLORS.primaryDark },
+];
+
+// Calendar days each feedback round waits on the client (fastest first)
+export const FEEDBACK_LAG = { "same-day": 0, "next-day": 1, "72hr": 3 };
+
+const dayOf = (d) => (d instanceof Date ? d.toISOString() : String(d)).slice(0, 10);
+
+// Today's date on the visitor's own calendar (not UTC)
+export const localDay = (d = new Date()) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+/** "Mon, Oct 19" – days are calendar dates, so format them in UTC. */
+export const formatDay = (day, opts = { weekday: "short", month: "short", day: "numeric" }, locale = DEFAULT_LOCALE) =>
+  new Intl.DateTimeFormat(intlLocale(locale), { timeZone: "UTC", ...opts }).format(new Date(`${day}T00:00:00Z`));
+
+// The soonest a sprint can kick off: the day after the brief comes in
+export const earliestStart = (today) => addDays(today, 1);
+
+/** Sprint start: the kickoff call if one is booked, else the day after submission. */
+export function sprintStart(brief, now = new Date()) {
+  if (brief.kickoff && brief.kickoff.status === "confirmed" && brief.kickoff.start) return dayOf(brief.kickoff.start);
+  return earliestStart(dayOf(brief.createdAt || now));
+}
+
+/**
+ * planSprint({ start, availability, targetDate, locale }) ->
+ *   { start, launch, totalDays, lagDays, targetDate, meetsTarget, phases, days }
+ *
+ * `phases` are { id, title, detail, color, feedback, start, end, days }
+ * (feedback rounds with no lag have days: 0 and happen on the last day of the
+ * phase before); `days` is the day-by-day list { day, date, phase, title, color }.
+ */
+export function planSprint({ start, availability = "same-day", targetDate = "", locale = DEFAULT_LOCALE }) {
+  const lag = FEEDBACK_LAG[availability] ?? FEEDBACK_LAG["same-day"];
+  const phases = [];
+  const days = [];
+  let cursor = start;
+  for (const phase of PHASES) {
+    const length = phase.feedback ? lag : phase.days;
+    const first = length ? cursor : addDays(cursor, -1);
+    const title = translate(locale, `sprint.phases.${phase.id}.title`);
+    const detail = translate(locale, `sprint.phases.${phase.id}.detail`);
+    for (let i = 0; i < length; i++) {
+      days.push({ day: days.length + 1, date: addDays(cursor, i), phase: phase.id, title, color: phase.color });
+    }
+    phases.push({ id: phase.id, title, detail, color: phase.color, feedback: !!phase.feedback, start: first, end: length ? addDays(cursor, length - 1) : first, days: length });
+    cursor = addDays(cursor, length);
+  }
+  const launch = days[days.length - 1].date;
+  return {
+    start,
+    launch,
+    totalDays: days.length,
+    lagDays: days.length - SPRINT_DAYS,
+    targetDate: targetDate || null,
+    meetsTarget: targetDate ? launch <= targetDate : null,
+    phases,
+    days,
+  };
+}
+
+/** The sprint for a stored brief. */
+export function briefSprint(brief, now = new Date()) {
+  return planSprint({ start: sprintStart(brief, now), availability: brief.availability, targetDate: brief.targetDate });
+}
+
+// ---------- Deadlines ----------
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\b\\.?";
+const DEADLINE_PATTERNS = [
+  [/\b(\d{4})-(\d{2})-(\d{2})\b/g, (m) => [+m[1], +m[2], +m[3]]],
+  [new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`, "gi"), (m) => [m[3] && +m[3], MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, +m[2]]],
+  [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?`, "gi"), (m) => [m[3] && +m[3], MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1, +m[1]]],
+];
+
+/**
+ * The earliest date on or after `today` mentioned in the free-text deadline
+ * answer ("Trade fair Nov 3", "launch party 2026-11-20", "12th March"), or
+ * null. Dates without a year mean their next occurrence.
+ */
+export function parseDeadline(text, today) {
+  const found = [];
+  for (const [re, parts] of DEADLINE_PATTERNS) {
+    for (const m of String(text || "").matchAll(re)) {
+      const [y, month, d] = parts(m);
+      const dateIn = (year) => {
+        const date = new Date(Date.UTC(year, month - 1, d));
+        return date.getUTCMonth() === month - 1 && date.getUTCDate() === d ? date.toISOString().slice(0, 10) : null; // no Feb 30
+      };
+      let day = dateIn(y || +today.slice(0, 4));
+      if (day && !y && day < today) day = dateIn(+today.slice(0, 4) + 1);
+      if (day && day >= today) found.push(day);
+    }
+  }
+  return found.sort()[0] || null;
+}
+
+// ---------- Feasibility ----------
+/**
+ * checkFeasibility({ targetDate, deadline, availability }, { start, locale }) ->
+ *   { plan, status: "ok" | "at-risk" | "infeasible", deadlineDate, issues, alternatives }
+ *
+ * issues:       [{ field, level: "error" | "warning", message }]
+ *               a target date the sprint can't meet is an error; a hard
+ *               deadline before launch is a warning (scope can flex)
+ * alternatives: [{ label, launch, changes }] where `changes` are answers to
+ *               apply (faster feedback, a later target date)
+ */
+export function checkFeasibility({ targetDate = "", deadline = "", availability = "same-day" }, { start, locale = DEFAULT_LOCALE }) {
+  const plan = planSprint({ start, availability, targetDate, locale });
+  const deadlineDate = parseDeadline(deadline, start);
+  const day = (d) => formatDay(d, undefined, locale);
+  const t = (key, vars) => translate(locale, `sprint.${key}`, vars);
+  const issues = [];
+
+  if (targetDate && targetDate < start) {
+    issues.push({ field: "targetDate", level: "error", message: t("beforeKickoff", { target: day(targetDate), start: day(start) }) });
+  } else if (targetDate && !plan.meetsTarget) {
+    issues.push({
+      field: "targetDate",
+      level: "error",
+      message: t("afterTarget", { start: day(start), days: plan.totalDays, launch: day(plan.launch), target: day(targetDate) }),
+    });
+  }
+  if (deadlineDate && deadlineDate < plan.launch) {
+    issues.push({ field: "deadline", level: "warning", message: t("deadline", { deadline: day(deadlineDate), launch: day(plan.launch) }) });
+  }
+
+  const alternatives = [];
+  if (issues.length) {
+    // The smallest step up in feedback speed that meets the date at issue
+    const mustLaunchBy = issues[0].field === "targetDate" ? targetDate : deadlineDate;
+    const faster = Object.keys(FEEDBACK_LAG)
+      .filter((a) => FEEDBACK_LAG[a] < (FEEDBACK_LAG[availability] ?? 0))
+      .reverse()
+      .map((a) => ({ availability: a, launch: planSprint({ start, availability: a }).launch }))
+      .find((o) => o.launch <= mustLaunchBy);
+    if (faster) {
+      const label = t("faster", { turnaround: t(`turnaround.${faster.availability}`), date: day(faster.launch) });
+      alternatives.push({ label, launch: faster.launch, changes: { availability: faster.availability } });
+    }
+    if (issues.some((i) => i.field === "targetDate")) {
+      alternatives.push({ label: t("moveTarget", { date: day(plan.launch) }), launch: plan.launch, changes: { targetDate: plan.launch } });
+    }
+  }
+
+  const status = issues.some((i) => i.level === "error") ? "infeasible" : issues.length ? "at-risk" : "ok";
+  return { plan, status, deadlineDate, issues, alternatives };
+}
+
+/** The same check for a stored brief, from its actual (or assumed) start. */
+export function briefFeasibility(brief, now = new Date(), locale = DEFAULT_LOCALE) {
+  return checkFeasibility(brief, { start: sprintStart(brief, now), locale });
+}
@@ -0,0 +1,144 @@
+/**
+ * Durable storage for briefs (and anything else the API needs to keep).
+ *
+ * The storage interface is intentionally tiny so the JSON file driver below
+ * can be swapped for SQLite/Postgres/KV later without touching routes:
+ *
+ *   const briefs = getStore().collection("briefs");
+ *   await briefs.insert(doc)          -> stored doc (with id + createdAt)
+ *   await briefs.get(id)              -> doc | null
+ *   await briefs.list()               -> doc[] (oldest first)
+ *   await briefs.update(id, (doc) => nextDoc) -> updated doc | null
+ *   await briefs.mutate((docsById) => result) -> result
+ *
+ * `mutate` is the escape hatch for check‑then‑write logic that must see the
+ * whole collection atomically (e.g. claiming the last pilot spot): edit the
+ * map in place and return whatever the caller needs. Throwing from an
+ * `update`/`mutate` callback aborts the write.
+ *
+ * File driver: one JSON file per collection under BRIEF_STORE_DIR (default
+ * ./.data). Writes go to a temp file and are renamed into place. Every
+ * read‑modify‑write runs through a per‑collection queue (same process) and
+ * holds a lock file (other processes sharing the directory), so concurrent
+ * requests never interleave.
+ */
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export function newId(prefix = "id") {
+  return `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+// Unguessable URL-safe secret for capability links (drafts, portals, …)
+export function newToken(bytes = 24) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+const LOCK_STALE_MS = 10000;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function createFileStore({ dir }) {
+  const queues = new Map();
+  const collections = new Map();
+
+  function enqueue(name, task) {
+    const prev = queues.get(name) || Promise.resolve();
+    const run = prev.then(task, task);
+    // Keep the chain alive even if this task rejects
+    queues.set(name, run.catch(() => {}));
+    return run;
+  }
+
+  async function readAll(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+  }
+
+  async function writeAll(file, docs) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(docs, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  async function withFileLock(file, task) {
+    const lock = `${file}.lock`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    for (let waited = 0; ; waited += 20) {
+      try {
+        await (await fs.open(lock, "wx")).close();
+        break;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+        const stat = await fs.stat(lock).catch(() => null);
+        // A crashed writer leaves its lock behind; don't wait on it forever
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) await fs.rm(lock, { force: true });
+        else if (waited > LOCK_STALE_MS * 2) throw new Error(`Timed out waiting for ${lock}`);
+        else await sleep(20);
+      }
+    }
+    try {
+      return await task();
+    } finally {
+      await fs.rm(lock, { force: true });
+    }
+  }
+
+  function collection(name) {
+    if (!/^[a-z][a-z0-9_-]*$/i.test(name)) throw new Error(`Invalid collection name: ${name}`);
+    if (collections.has(name)) return collections.get(name);
+
+    const file = path.join(dir, `${name}.json`);
+    const write = (task) => enqueue(name, () => withFileLock(file, task));
+    const api = {
+      insert: (doc) =>
+        write(async () => {
+          const docs = await readAll(file);
+          const stored = { id: doc.id || newId(name.slice(0, 2)), createdAt: new Date().toISOString(), ...doc };
+          if (docs[stored.id]) throw new Error(`Duplicate id in ${name}: ${stored.id}`);
+          docs[stored.id] = stored;
+          await writeAll(file, docs);
+          return stored;
+        }),
+      get: (id) => enqueue(name, async () => (await readAll(file))[id] || null),
+      list: () =>
+        enqueue(name, async () =>
+          Object.values(await readAll(file)).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+        ),
+      update: (id, fn) =>
+        write(async () => {
+          const docs = await readAll(file);
+          if (!docs[id]) return null;
+          const next = { ...(await fn(docs[id])), id, updatedAt: new Date().toISOString() };
+          docs[id] = next;
+          await writeAll(file, docs);
+          return next;
+        }),
+      mutate: (fn) =>
+        write(async () => {
+          const docs = await readAll(file);
+          const result = await fn(docs);
+          await writeAll(file, docs);
+          return result;
+        }),
+    };
+    collections.set(name, api);
+    return api;
+  }
+
+  return { collection };
+}
+
+// One store per server process (survives Next.js dev hot reloads)
+export function getStore() {
+  if (!globalThis.__blossomStore) {
+    const dir = process.env.BRIEF_STORE_DIR || path.join(process.cwd(), ".data");
+    globalThis.__blossomStore = createFileStore({ dir });
+  }
+  return globalThis.__blossomStore;
+}
@@ -0,0 +1,142 @@
+/**
+ * Wizard submission.
+ *
+ * What happens depends on `submitMode` in config/site.js:
+ *
+ *   live (default)  POST to `briefEndpoint`. When the server can't be reached
+ *                   (network error, 5xx, or no route: 404/405/501) the brief
+ *                   is queued in the offline outbox (lib/outbox.js) and sent
+ *                   later; the wizard says so instead of claiming success.
+ *   mock            previews only: nothing is sent anywhere.
+ *
+ * submitBrief() resolves to one of:
+ *
+ *   { ok: true, mode: "server", id, checkout }   stored by the backend
+ *   { ok: true, mode: "queued", outboxId }       waiting in the outbox
+ *   { ok: true, mode: "mock" }                   preview build
+ *   { ok: false, error, fields }                 422 – per-field messages
+ *   { ok: false, error, code }                   spam check / rate limit (lib/guard)
+ *   { ok: false, error }                         anything else
+ */
+import siteConfig from "../config/site";
+import { getAttribution } from "./analytics/client";
+import { normalizePayload } from "./brief";
+import { solveChallenge } from "./guard/pow";
+import { createOutbox, indexedDbStorage, memoryStorage } from "./outbox";
+
+export const SUBMIT_ENDPOINT = siteConfig.briefEndpoint;
+
+// Codes from /api/brief that a fresh form token fixes
+export const RENEW_TOKEN_CODES = ["no-token", "bad-token", "expired-token", "token-reuse", "pow"];
+
+// No brief route at all: a static preview or a broken deploy
+const MISSING_BACKEND_STATUSES = [404, 405, 501];
+const MOCK_DELAY_MS = 400;
+
+/**
+ * A form token for the brief endpoint ({ token, nonce: Promise }), or null
+ * when there's no backend. `renew` keeps an earlier token's start time.
+ */
+export async function requestChallenge(renew, endpoint = SUBMIT_ENDPOINT) {
+  const res = await fetch(`${endpoint}/challenge${renew ? `?renew=${encodeURIComponent(renew)}` : ""}`);
+  if (!res.ok) return null;
+  const json = await res.json();
+  const nonce = json.pow ? solveChallenge(json.pow).catch(() => undefined) : Promise.resolve(undefined);
+  return { token: json.token, nonce };
+}
+
+const retryAfterMs = (res) => {
+  const seconds = Number(res.headers.get("retry-after"));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : undefined;
+};
+
+/**
+ * One POST of a ready-made body. Resolves to a submitBrief() result, or to
+ * { unreachable: true, error } when the server couldn't be reached.
+ */
+export async function postBrief(endpoint, body) {
+  let res;
+  try {
+    res = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    return { unreachable: true, error: err.message || "Network error" };
+  }
+  if (res.ok) {
+    const json = await res.json().catch(() => ({}));
+    return { ok: true, mode: "server", id: json.id, checkout: json.checkout || null, portal: json.portal || null };
+  }
+  // Validation errors come back as { error, fields } so the wizard can point at them
+  if (res.status === 422) {
+    const json = await res.json().catch(() => ({}));
+    return { ok: false, error: json.error || "Please fix the highlighted fields.", fields: json.fields || {} };
+  }
+  // Spam checks and rate limits (lib/guard) explain themselves
+  if ([400, 409, 429].includes(res.status)) {
+    const json = await res.clone().json().catch(() => ({}));
+    if (json.code) return { ok: false, error: json.error, code: json.code, retryAfterMs: retryAfterMs(res) };
+  }
+  if (MISSING_BACKEND_STATUSES.includes(res.status) || res.status >= 500) {
+    return { unreachable: true, error: `HTTP ${res.status}` };
+  }
+  // Other error codes are surfaced
+  const text = await res.text();
+  return { ok: false, error: `HTTP ${res.status}: ${text}` };
+}
+
+// ---------- Outbox ----------
+/** One delivery attempt for a queued brief (the `send` of lib/outbox.js). */
+export async function deliverQueued({ body }) {
+  // Tokens expire and can't be reused forever; renewing keeps the start time
+  const challenge = await requestChallenge(body.token, body.endpoint).catch(() => null);
+  if (!challenge) return { status: "retry", error: "Form token unavailable" };
+  const guard = { token: challenge.token, nonce: await challenge.nonce, website: body.website };
+  const result = await postBrief(body.endpoint, { ...body.brief, _guard: guard });
+
+  if (result.unreachable) return { status: "retry", error: result.error };
+  if (result.ok) return { status: "sent", result };
+  // An earlier attempt got through but its response was lost
+  if (result.code === "duplicate") return { status: "sent", result: { ok: true, mode: "server", id: null, checkout: null, portal: null, duplicate: true } };
+  if (result.code === "rate-ip" || RENEW_TOKEN_CODES.includes(result.code)) {
+    return { status: "retry", error: result.error, retryAfterMs: result.retryAfterMs };
+  }
+  return { status: "failed", error: result.error };
+}
+
+let outbox = null;
+
+/** The page's outbox: IndexedDB-backed where available, in memory otherwise. */
+export function getOutbox() {
+  if (!outbox) {
+    const storage = typeof window !== "undefined" && window.indexedDB ? indexedDbStorage() : memoryStorage();
+    outbox = createOutbox({ storage, send: deliverQueued });
+  }
+  return outbox;
+}
+
+// ---------- Submit ----------
+/** The brief as /api/brief takes it: normalized answers, its brand and attribution. */
+export function briefBody(payload, attribution = getAttribution()) {
+  return { ...normalizePayload(payload), ...(payload.brand ? { brand: payload.brand } : {}), ...(attribution ? { _attribution: attribution } : {}) };
+}
+
+export async function submitBrief(payload, endpoint = SUBMIT_ENDPOINT, guard = null) {
+  if (siteConfig.submitMode === "mock") {
+    return new Promise((r) => setTimeout(() => r({ ok: true, mode: "mock" }), MOCK_DELAY_MS));
+  }
+  const brief = briefBody(payload);
+  const result = await postBrief(endpoint, { ...brief, ...(guard ? { _guard: guard } : {}) });
+  if (!result.unreachable) return result;
+
+  console.warn(`[outbox] ${endpoint} unreachable (${result.error}); queuing the brief.`);
+  try {
+    const entry = await getOutbox().add({ endpoint, brief, website: (guard && guard.website) || "", token: (guard && guard.token) || null });
+    return { ok: true, mode: "queued", outboxId: entry.id };
+  } catch (err) {
+    console.error("[outbox] could not queue the brief", err);
+    return { ok: false, error: result.error };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * fetch() wrapper for the sync and payments adapters: JSON in/out (or a
+ * URLSearchParams body, sent form-encoded, for Stripe), retries with
+ * exponential backoff (+ jitter) on network errors, 429 and 5xx. Other
+ * non-2xx responses fail immediately with an HttpError.
+ */
+
+export class HttpError extends Error {
+  constructor(status, body, url) {
+    super(`HTTP ${status} from ${url}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function isRetryable(err) {
+  if (err instanceof HttpError) return err.status === 429 || err.status >= 500;
+  return true; // network failure / timeout
+}
+
+function backoffDelay(attempt, baseDelayMs, retryAfter) {
+  const seconds = retryAfter == null ? NaN : Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+  return baseDelayMs * 2 ** attempt + Math.floor(Math.random() * baseDelayMs);
+}
+
+export async function requestJson(url, { method = "GET", headers = {}, body, retries = 3, baseDelayMs = 500, timeoutMs = 10000, onRetry } = {}) {
+  let attempt = 0;
+  for (;;) {
+    let retryAfter;
+    try {
+      const form = body instanceof URLSearchParams;
+      const res = await fetch(url, {
+        method,
+        headers: { "Content-Type": form ? "application/x-www-form-urlencoded" : "application/json", Accept: "application/json", ...headers },
+        body: body === undefined ? undefined : form ? body.toString() : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      const text = await res.text();
+      let json = null;
+      try {
+        json = text ? JSON.parse(text) : null;
+      } catch {
+        json = { raw: text };
+      }
+      if (res.ok) return json;
+      retryAfter = res.headers.get("retry-after");
+      throw new HttpError(res.status, json, url);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const delay = backoffDelay(attempt, baseDelayMs, retryAfter);
+      attempt += 1;
+      if (onRetry) onRetry({ attempt, delay, error: err });
+      await sleep(delay);
+    }
+  }
+}
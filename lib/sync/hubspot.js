@@ -0,0 +1,48 @@
+import { HttpError, requestJson } from "./http";
+import { resolveProperties } from "./mapping";
+
+// HubSpot-defined association type: deal -> contact
+const DEAL_TO_CONTACT = 3;
+
+function existingContactId(err) {
+  // 409 body: { message: "Contact already exists. Existing ID: 12345", ... }
+  const m = err instanceof HttpError && err.status === 409 && /Existing ID:\s*(\d+)/.exec(err.body?.message || "");
+  return m ? m[1] : null;
+}
+
+/**
+ * HubSpot CRM v3 adapter: upserts a contact by email, then creates a deal
+ * associated with it. `baseUrl` is overridable so the stand-in server in
+ * scripts/crm-standin.js can be used offline.
+ */
+export function createHubSpotAdapter({ token, baseUrl = "https://api.hubapi.com", mapping, http = {} }) {
+  const headers = { Authorization: `Bearer ${token}` };
+  const call = (path, opts) => requestJson(`${baseUrl}${path}`, { headers, ...http, ...opts });
+
+  return {
+    name: "hubspot",
+    async sync(brief, { onRetry } = {}) {
+      const contactProps = resolveProperties(mapping.contact, brief);
+      let contactId;
+      try {
+        const created = await call("/crm/v3/objects/contacts", { method: "POST", body: { properties: contactProps }, onRetry });
+        contactId = created.id;
+      } catch (err) {
+        contactId = existingContactId(err);
+        if (!contactId) throw err;
+        await call(`/crm/v3/objects/contacts/${contactId}`, { method: "PATCH", body: { properties: contactProps }, onRetry });
+      }
+
+      const deal = await call("/crm/v3/objects/deals", {
+        method: "POST",
+        body: {
+          properties: resolveProperties(mapping.deal, brief),
+          associations: [{ to: { id: contactId }, types: [{ associationCategory: "HUBSPOT_DEFINED", associationTypeId: DEAL_TO_CONTACT }] }],
+        },
+        onRetry,
+      });
+
+      return { contactId, dealId: deal.id };
+    },
+  };
+}
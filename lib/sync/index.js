@@ -0,0 +1,145 @@
+/**
+ * CRM/workspace sync: runs after a brief is stored and pushes it to every
+ * configured adapter (HubSpot, Notion). Each adapter is enabled by its env
+ * vars; the outcome is recorded on the brief itself:
+ *
+ *   brief.sync    = { hubspot: { status, attempts, result?, error?, at }, ... }
+ *   brief.syncLog = [{ at, provider, event, message? }, ...]
+ *
+ * `status` is "ok" | "failed" | "skipped", or "retrying" while a
+ * resyncBriefs() run holds it. Adapters run independently, so a Notion outage
+ * never blocks the HubSpot record (and vice versa). A brand (config/brands)
+ * can point Notion at its own database.
+ *
+ * The submitting request makes one quick attempt (`inline`: no retries, a
+ * short timeout) so the client isn't kept waiting on a slow CRM;
+ * /api/cron/sync-briefs later retries whatever failed with the full backoff.
+ */
+import syncConfig from "../../config/sync";
+import { brandOf, DEFAULT_BRAND } from "../brand";
+import { getStore } from "../store";
+import { createHubSpotAdapter } from "./hubspot";
+import { createNotionAdapter } from "./notion";
+
+const http = ({ inline } = {}) =>
+  inline
+    ? { retries: 0, timeoutMs: Number(process.env.SYNC_INLINE_TIMEOUT_MS ?? 3000) }
+    : { retries: Number(process.env.SYNC_RETRIES ?? 3), baseDelayMs: Number(process.env.SYNC_BACKOFF_MS ?? 500) };
+
+export function getSyncAdapters(env = process.env, brand = DEFAULT_BRAND, { inline } = {}) {
+  const databaseId = brand.submission.notionDatabaseId || env.NOTION_DATABASE_ID;
+  return [
+    {
+      name: "hubspot",
+      adapter: env.HUBSPOT_TOKEN
+        ? createHubSpotAdapter({ token: env.HUBSPOT_TOKEN, baseUrl: env.HUBSPOT_API_BASE || undefined, mapping: syncConfig.hubspot, http: http({ inline }) })
+        : null,
+    },
+    {
+      name: "notion",
+      adapter:
+        env.NOTION_TOKEN && databaseId
+          ? createNotionAdapter({
+              token: env.NOTION_TOKEN,
+              databaseId,
+              baseUrl: env.NOTION_API_BASE || undefined,
+              mapping: syncConfig.notion,
+              http: http({ inline }),
+            })
+          : null,
+    },
+  ];
+}
+
+function describe(err) {
+  if (err && err.status) return `${err.message}: ${JSON.stringify(err.body).slice(0, 500)}`;
+  return String((err && err.message) || err);
+}
+
+/** Push one brief to every adapter, or just the ones named in `only`. */
+export async function syncBrief(briefId, { adapters, inline, only } = {}) {
+  const briefs = getStore().collection("briefs");
+  const brief = await briefs.get(briefId);
+  if (!brief) throw new Error(`Unknown brief: ${briefId}`);
+  adapters = adapters || getSyncAdapters(process.env, brandOf(brief), { inline });
+  if (only) adapters = adapters.filter((a) => only.includes(a.name));
+
+  const log = (provider, event, message) =>
+    briefs.update(briefId, (b) => ({
+      ...b,
+      syncLog: [...(b.syncLog || []), { at: new Date().toISOString(), provider, event, ...(message ? { message } : {}) }],
+    }));
+  const setStatus = (provider, status) =>
+    briefs.update(briefId, (b) => ({ ...b, sync: { ...(b.sync || {}), [provider]: { ...status, at: new Date().toISOString() } } }));
+
+  const results = await Promise.all(
+    adapters.map(async ({ name, adapter }) => {
+      if (!adapter) {
+        await setStatus(name, { status: "skipped", attempts: 0 });
+        return { provider: name, status: "skipped" };
+      }
+      let attempts = 1;
+      await log(name, "start");
+      try {
+        const result = await adapter.sync(brief, {
+          onRetry: ({ attempt, delay, error }) => {
+            attempts = attempt + 1;
+            log(name, "retry", `attempt ${attempt + 1} in ${delay}ms after ${describe(error)}`).catch((e) => console.error(`[sync] could not log ${name} retry for ${briefId}`, e));
+          },
+        });
+        await setStatus(name, { status: "ok", attempts, result });
+        await log(name, "ok");
+        return { provider: name, status: "ok", result };
+      } catch (err) {
+        await setStatus(name, { status: "failed", attempts, error: describe(err) });
+        await log(name, "failed", describe(err));
+        return { provider: name, status: "failed", error: describe(err) };
+      }
+    })
+  );
+  return results;
+}
+
+// ---------- Retries ----------
+// The submitting request's own attempt is over by then
+const SETTLE_MS = 5 * 60000;
+// A "retrying" claim this old belongs to a run that died
+const CLAIM_TIMEOUT_MS = 15 * 60000;
+
+// Configured providers a brief is still owed: failed, never recorded (the
+// request died first) or held by a dead run. Skipped ones stay skipped.
+function owed(brief, names, now) {
+  return names.filter((name) => {
+    const s = brief.sync && brief.sync[name];
+    if (!s || s.status === "failed") return true;
+    return s.status === "retrying" && now.getTime() - Date.parse(s.claimedAt) > CLAIM_TIMEOUT_MS;
+  });
+}
+
+/**
+ * Retry the sync of briefs from the last SYNC_RETRY_HOURS that some adapter
+ * still owes. Providers are claimed ("retrying") in one mutate() first, so
+ * overlapping runs never create the same CRM record twice.
+ */
+export async function resyncBriefs({ now = new Date() } = {}) {
+  const since = new Date(now.getTime() - Number(process.env.SYNC_RETRY_HOURS || 48) * 3600000).toISOString();
+  const settled = new Date(now.getTime() - SETTLE_MS).toISOString();
+  const due = await getStore()
+    .collection("briefs")
+    .mutate((docs) =>
+      Object.values(docs).flatMap((b) => {
+        if (b.createdAt < since || b.createdAt > settled) return [];
+        const only = owed(b, getSyncAdapters(process.env, brandOf(b)).filter((a) => a.adapter).map((a) => a.name), now);
+        if (!only.length) return [];
+        const claims = Object.fromEntries(only.map((name) => [name, { ...(b.sync || {})[name], status: "retrying", claimedAt: now.toISOString() }]));
+        docs[b.id] = { ...b, sync: { ...(b.sync || {}), ...claims } };
+        return [{ id: b.id, only }];
+      })
+    );
+
+  const results = [];
+  for (const { id, only } of due) {
+    results.push({ briefId: id, results: await syncBrief(id, { only }) });
+  }
+  return results;
+}
@@ -0,0 +1,18 @@
+/** Resolve a config/sync.js mapping spec against a stored brief. */
+export function resolveValue(spec, brief) {
+  const v = typeof spec === "function" ? spec(brief) : brief[spec];
+  return typeof v === "string" ? v.trim() : v;
+}
+
+export function isEmpty(v) {
+  return v === undefined || v === null || v === "";
+}
+
+export function resolveProperties(mapping, brief) {
+  const out = {};
+  for (const [key, spec] of Object.entries(mapping)) {
+    const v = resolveValue(spec, brief);
+    if (!isEmpty(v)) out[key] = v;
+  }
+  return out;
+}
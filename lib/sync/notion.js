@@ -0,0 +1,55 @@
+import { requestJson } from "./http";
+import { isEmpty, resolveValue } from "./mapping";
+
+const NOTION_VERSION = "2022-06-28";
+// Notion caps a single rich text object at 2000 characters
+const MAX_TEXT = 2000;
+
+const text = (v) => [{ type: "text", text: { content: String(v).slice(0, MAX_TEXT) } }];
+
+function toProperty(type, v) {
+  switch (type) {
+    case "title":
+      return { title: text(v) };
+    case "rich_text":
+      return { rich_text: text(v) };
+    case "email":
+      return { email: String(v) };
+    case "select":
+      // Select option names can't contain commas
+      return { select: { name: String(v).replace(/,/g, " ") } };
+    case "date":
+      return { date: { start: String(v) } };
+    case "checkbox":
+      return { checkbox: !!v };
+    default:
+      throw new Error(`Unsupported Notion property type: ${type}`);
+  }
+}
+
+/**
+ * Notion adapter: creates one page per brief in the configured database.
+ * Property names/types come from config/sync.js and must exist on the DB.
+ */
+export function createNotionAdapter({ token, databaseId, baseUrl = "https://api.notion.com", mapping, http = {} }) {
+  const headers = { Authorization: `Bearer ${token}`, "Notion-Version": NOTION_VERSION };
+
+  return {
+    name: "notion",
+    async sync(brief, { onRetry } = {}) {
+      const properties = {};
+      for (const [prop, { type, value }] of Object.entries(mapping)) {
+        const v = resolveValue(value, brief);
+        if (!isEmpty(v)) properties[prop] = toProperty(type, v);
+      }
+      const page = await requestJson(`${baseUrl}/v1/pages`, {
+        ...http,
+        method: "POST",
+        headers,
+        body: { parent: { database_id: databaseId }, properties },
+        onRetry,
+      });
+      return { pageId: page.id, url: page.url };
+    },
+  };
+}
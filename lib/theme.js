@@ -0,0 +1,20 @@
+import { DEFAULT_BRAND } from "./brand";
+
+const COLOR_KEYS = ["primaryGreen", "primaryDark", "primaryLight"];
+
+// Brand colors for page styles: CSS variables set per brand by
+// components/BrandProvider.js, falling back to the default brand's hex.
+// Emails and PDFs can't use variables; they take brandOf(brief).colors.
+export const COLORS = Object.fromEntries(COLOR_KEYS.map((k) => [k, `var(--brand-${k}, ${DEFAULT_BRAND.colors[k]})`]));
+
+/** The custom properties behind COLORS for one brand's palette. */
+export const themeVars = (colors) => Object.fromEntries(COLOR_KEYS.map((k) => [`--brand-${k}`, colors[k]]));
+
+/** `color` at `alpha` opacity (works for COLORS' variables as well as hex). */
+export const tint = (color, alpha) => `color-mix(in srgb, ${color} ${Math.round(alpha * 100)}%, transparent)`;
+
+/** A COLORS value (or any other color) as hex from `colors`, for PDFs and emails. */
+export function solidColor(color, colors) {
+  const m = /^var\(--brand-(\w+)/.exec(color);
+  return m ? colors[m[1]] : color;
+}
@@ -0,0 +1,27 @@
+/**
+ * Server-side bookkeeping for brand asset uploads: rows in the `uploads`
+ * collection, bytes in lib/fileStorage.js. An upload is unclaimed
+ * (briefId: null) until a brief lists it; unclaimed ones older than
+ * UPLOAD_UNCLAIMED_HOURS are deleted so abandoned wizards don't fill the disk.
+ */
+import { getFileStorage } from "./fileStorage";
+import { getStore } from "./store";
+
+export const UPLOAD_UNCLAIMED_HOURS = 48;
+
+/** Delete unclaimed uploads past their time; resolves to their ids. */
+export async function pruneUploads({ now = Date.now(), hours = Number(process.env.UPLOAD_UNCLAIMED_HOURS || UPLOAD_UNCLAIMED_HOURS) } = {}) {
+  const cutoff = new Date(now - hours * 3600000).toISOString();
+  const stale = await getStore()
+    .collection("uploads")
+    .mutate((docs) => {
+      const ids = Object.values(docs)
+        .filter((u) => !u.briefId && u.createdAt < cutoff)
+        .map((u) => u.id);
+      for (const id of ids) delete docs[id];
+      return ids;
+    });
+  // Rows go first, so nothing serves a file that's being removed
+  await Promise.all(stale.map((id) => getFileStorage().remove(id)));
+  return stale;
+}
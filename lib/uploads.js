@@ -0,0 +1,86 @@
+/**
+ * Brand asset upload rules, shared by the wizard's uploader and the
+ * /api/uploads route so both reject the same files with the same message.
+ */
+import { DEFAULT_LOCALE, translate } from "./i18n";
+
+// MIME type -> allowed file extensions
+export const UPLOAD_TYPES = {
+  "image/png": [".png"],
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/gif": [".gif"],
+  "image/webp": [".webp"],
+  "image/svg+xml": [".svg"],
+  "application/pdf": [".pdf"],
+  "text/plain": [".txt"],
+  "text/markdown": [".md"],
+  "application/msword": [".doc"],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [".docx"],
+};
+
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+export const MAX_FILES_PER_BRIEF = 10;
+
+// For <input accept>: both MIME types and extensions, since browsers disagree on .md
+export const UPLOAD_ACCEPT = Object.entries(UPLOAD_TYPES)
+  .flatMap(([type, exts]) => [type, ...exts])
+  .join(",");
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1).replace(/\.0$/, "")} MB`;
+}
+
+// Some browsers send an empty type for .md/.docx; fall back to the extension
+export function resolveUploadType(name, type) {
+  if (UPLOAD_TYPES[type]) return type;
+  const ext = String(name).toLowerCase().match(/\.[a-z0-9]+$/)?.[0];
+  return Object.keys(UPLOAD_TYPES).find((t) => UPLOAD_TYPES[t].includes(ext)) || null;
+}
+
+/** "" if the file is acceptable, otherwise a message to show the user. */
+export function checkUpload({ name, type, size }, locale = DEFAULT_LOCALE) {
+  if (!resolveUploadType(name, type)) return translate(locale, "uploads.badType", { name });
+  if (size > MAX_UPLOAD_BYTES) return translate(locale, "uploads.tooBig", { name, size: formatBytes(size), limit: formatBytes(MAX_UPLOAD_BYTES) });
+  if (size === 0) return translate(locale, "uploads.empty", { name });
+  return "";
+}
+
+export const isImage = (file) => /^image\//.test(file.type);
+
+/** Keep only well-formed upload references ({ id, name, type, size, url }). */
+export function normalizeFileRefs(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((f) => f && typeof f.id === "string" && /^[A-Za-z0-9_-]+$/.test(f.id))
+    .map((f) => ({ id: f.id, name: String(f.name || ""), type: String(f.type || ""), size: Number(f.size) || 0, url: `/api/uploads/${f.id}` }));
+}
+
+/**
+ * Browser-side upload to /api/uploads with progress (fetch() can't report
+ * upload progress, hence XHR). `token` is the wizard's form token (lib/guard).
+ * Resolves to the stored file reference; errors carry the server's `code`.
+ */
+export function uploadFile(file, { onProgress, locale = DEFAULT_LOCALE, token } = {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", `/api/uploads?locale=${encodeURIComponent(locale)}`);
+    xhr.setRequestHeader("Content-Type", resolveUploadType(file.name, file.type) || "application/octet-stream");
+    xhr.setRequestHeader("X-File-Name", encodeURIComponent(file.name));
+    if (token) xhr.setRequestHeader("X-Form-Token", token);
+    xhr.upload.onprogress = (e) => e.lengthComputable && onProgress && onProgress(e.loaded / e.total);
+    xhr.onerror = () => reject(new Error(translate(locale, "uploads.network", { name: file.name })));
+    xhr.onload = () => {
+      let json = {};
+      try {
+        json = JSON.parse(xhr.responseText);
+      } catch {
+        // fall through with the status code
+      }
+      if (xhr.status === 201 && json.file) resolve(json.file);
+      else reject(Object.assign(new Error(json.error || translate(locale, "uploads.failed", { name: file.name, status: xhr.status })), { code: json.code }));
+    };
+    xhr.send(file);
+  });
+}
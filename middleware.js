@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { brandForHost, DEFAULT_BRAND } from "./lib/brand";
+
+/**
+ * The landing page is pre-rendered per brand: "/" for the default brand
+ * (pages/index.js) and /for/<id> for the others (pages/for/[brand].js).
+ * Requests for "/" on another brand's hostname are served the latter,
+ * without a redirect.
+ */
+export function middleware(req) {
+  if (req.nextUrl.pathname !== "/") return NextResponse.next();
+  const brand = brandForHost(req.headers.get("host"));
+  if (brand === DEFAULT_BRAND) return NextResponse.next();
+  const url = req.nextUrl.clone();
+  url.pathname = `/for/${brand.id}`;
+  return NextResponse.rewrite(url);
+}
+
+export const config = {
+  // Locale roots (/es) reach the middleware as "/" with nextUrl.locale set
+  matcher: ["/", "/:locale(en|es)"],
+};
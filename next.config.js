@@ -1 +1,5 @@
-module.exports = { reactStrictMode: true }
\ No newline at end of file
+module.exports = {
+  reactStrictMode: true,
+  // Locale routing (/es/…) + Accept-Language detection; keep in sync with lib/i18n
+  i18n: { locales: ["en", "es"], defaultLocale: "en" },
+}
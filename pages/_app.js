@@ -1,5 +1,22 @@
+import { useEffect } from 'react'
+import { useRouter } from 'next/router'
+import BrandProvider from '../components/BrandProvider'
+import LocaleProvider from '../components/LocaleProvider'
+import { startAnalytics } from '../lib/analytics/client'
+import { brandById, DEFAULT_BRAND } from '../lib/brand'
 import '../styles/globals.css'
 
 export default function MyApp({ Component, pageProps }) {
-  return <Component {...pageProps} />
+  const router = useRouter()
+  // First-party page views + CTA clicks (lib/analytics)
+  useEffect(() => startAnalytics(router), [])
+  // Pages that know their brand (lib/brand.js) pass its id as `brand`
+  const brand = brandById(pageProps.brand) || DEFAULT_BRAND
+  return (
+    <BrandProvider brand={brand}>
+      <LocaleProvider locale={router.locale} brand={brand}>
+        <Component {...pageProps} />
+      </LocaleProvider>
+    </BrandProvider>
+  )
 }
@@ -0,0 +1,188 @@
+import Link from "next/link";
+import AdminLayout from "../../components/AdminLayout";
+import { adminRedirect } from "../../lib/adminAuth";
+import { funnelReport } from "../../lib/analytics";
+import { COLORS } from "../../lib/theme";
+
+const RANGES = [7, 30, 90];
+
+export async function getServerSideProps(ctx) {
+  const redirect = adminRedirect(ctx);
+  if (redirect) return redirect;
+  const days = RANGES.includes(Number(ctx.query.days)) ? Number(ctx.query.days) : 30;
+  return { props: { report: await funnelReport({ days }) } };
+}
+
+const pct = (n, of) => (of ? `${Math.round((n / of) * 100)}%` : "—");
+
+function duration(ms) {
+  if (ms === null) return "—";
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-xl border bg-white p-4 shadow-sm">
+      <div className="text-xs text-slate-500">{label}</div>
+      <div className="text-2xl font-bold" style={{ color: COLORS.primaryDark }}>{value}</div>
+    </div>
+  );
+}
+
+function Panel({ title, children }) {
+  return (
+    <div className="rounded-xl border bg-white p-6 shadow-sm">
+      <h2 className="mb-3 text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{title}</h2>
+      {children}
+    </div>
+  );
+}
+
+function Sources({ rows, empty }) {
+  const max = Math.max(1, ...rows.map((r) => r.count));
+  if (!rows.length) return <p className="text-sm text-slate-500">{empty}</p>;
+  return (
+    <ul className="space-y-2 text-sm">
+      {rows.slice(0, 10).map((r) => (
+        <li key={r.label}>
+          <div className="flex justify-between gap-2">
+            <span className="truncate">{r.label}</span>
+            <span className="text-slate-600">{r.count}</span>
+          </div>
+          <div className="mt-1 h-1.5 rounded-full bg-slate-100">
+            <div className="h-1.5 rounded-full" style={{ width: `${(r.count / max) * 100}%`, backgroundColor: COLORS.primaryGreen }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Landing page -> wizard steps -> stored brief, from lib/analytics events
+export default function AdminAnalytics({ report }) {
+  const { days, sessions, funnel, submitted, outcomes, ctas, sources, briefSources } = report;
+  const top = Math.max(1, sessions, ...funnel.map((s) => s.sessions));
+  // Drop-off is measured between steps every visitor sees
+  let previous = sessions;
+
+  return (
+    <AdminLayout title="Analytics">
+      <div className="mb-6 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>Funnel</h1>
+          <p className="mt-1 text-sm text-slate-600">Sessions on the landing page and through each wizard step. Visitors with Do Not Track or GPC aren’t counted.</p>
+        </div>
+        <div className="flex gap-2 text-sm">
+          {RANGES.map((d) => (
+            <Link key={d} href={`/admin/analytics?days=${d}`} className="rounded-full border px-3 py-1" style={{ borderColor: d === days ? COLORS.primaryGreen : "#e5e7eb", color: COLORS.primaryDark }}>
+              {d} days
+            </Link>
+          ))}
+        </div>
+      </div>
+
+      <div className="mb-6 grid grid-cols-2 gap-4 sm:grid-cols-4">
+        <Stat label="Landing sessions" value={sessions} />
+        <Stat label="Started the wizard" value={funnel[0] ? funnel[0].sessions : 0} />
+        <Stat label="Submitted" value={submitted} />
+        <Stat label="Conversion" value={pct(submitted, sessions)} />
+      </div>
+
+      <div className="mb-6 overflow-x-auto rounded-xl border bg-white shadow-sm">
+        <table className="w-full text-left text-sm">
+          <thead className="border-b bg-slate-50 text-xs uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="px-4 py-3">Step</th>
+              <th className="w-1/3 px-4 py-3">Sessions</th>
+              <th className="px-4 py-3">Drop-off</th>
+              <th className="px-4 py-3">Median time</th>
+              <th className="px-4 py-3">Validation errors</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-b">
+              <td className="px-4 py-3 font-medium">Landing page</td>
+              <td className="px-4 py-3">
+                <FunnelBar value={sessions} max={top} />
+              </td>
+              <td className="px-4 py-3 text-slate-500">—</td>
+              <td className="px-4 py-3 text-slate-500">—</td>
+              <td className="px-4 py-3 text-slate-500">—</td>
+            </tr>
+            {funnel.map((s) => {
+              const dropOff = s.optional ? "optional" : pct(Math.max(0, previous - s.sessions), previous);
+              if (!s.optional) previous = s.sessions;
+              return (
+                <tr key={s.id} className="border-b last:border-0">
+                  <td className="px-4 py-3 font-medium">
+                    {s.title}
+                    {s.optional ? <span className="ml-2 text-xs font-normal text-slate-500">some answers only</span> : null}
+                  </td>
+                  <td className="px-4 py-3">
+                    <FunnelBar value={s.sessions} max={top} muted={s.optional} />
+                  </td>
+                  <td className="px-4 py-3 text-slate-600">{dropOff}</td>
+                  <td className="px-4 py-3 text-slate-600">{duration(s.medianMs)}</td>
+                  <td className="px-4 py-3 text-slate-600">
+                    {s.failures || "—"}
+                    {s.topFields.length ? <div className="text-xs text-slate-500">{s.topFields.map((f) => `${f.label} (${f.count})`).join(", ")}</div> : null}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <Panel title="Calls to action">
+          {ctas.length ? (
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs uppercase tracking-wide text-slate-500">
+                <tr>
+                  <th className="py-1">CTA</th>
+                  <th className="py-1 text-right">Clicks</th>
+                  <th className="py-1 text-right">Submitted</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ctas.map((c) => (
+                  <tr key={c.cta}>
+                    <td className="py-1">{c.cta}</td>
+                    <td className="py-1 text-right">{c.clicks}</td>
+                    <td className="py-1 text-right text-slate-600" title={`${c.submitted} of ${c.sessions} sessions`}>{pct(c.submitted, c.sessions)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-slate-500">No clicks recorded yet.</p>
+          )}
+          {outcomes.length ? (
+            <p className="mt-4 text-xs text-slate-500">Submit outcomes: {outcomes.map((o) => `${o.label} ${o.count}`).join(" · ")}</p>
+          ) : null}
+        </Panel>
+
+        <Panel title="Where sessions come from">
+          <Sources rows={sources} empty="No page views recorded yet." />
+        </Panel>
+
+        <Panel title="Where briefs come from">
+          <Sources rows={briefSources} empty={`No briefs in the last ${days} days.`} />
+        </Panel>
+      </div>
+    </AdminLayout>
+  );
+}
+
+function FunnelBar({ value, max, muted }) {
+  return (
+    <div className="flex items-center gap-3">
+      <div className="h-3 flex-1 rounded-full bg-slate-100">
+        <div className="h-3 rounded-full" style={{ width: `${(value / max) * 100}%`, backgroundColor: muted ? "#94a3b8" : COLORS.primaryGreen }} />
+      </div>
+      <span className="w-10 text-right text-slate-700">{value}</span>
+    </div>
+  );
+}
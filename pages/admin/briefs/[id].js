@@ -0,0 +1,358 @@
+import { useState } from "react";
+import Link from "next/link";
+import { ChevronLeft } from "lucide-react";
+import AdminLayout from "../../../components/AdminLayout";
+import SprintPlan from "../../../components/SprintPlan";
+import { SummaryCard } from "../../../components/SummaryCard";
+import { adminRedirect } from "../../../lib/adminAuth";
+import { brandOf, DEFAULT_BRAND } from "../../../lib/brand";
+import { sourceLabel } from "../../../lib/analytics/events";
+import { allowedTransitions, STATUSES, statusLabel, statusOf } from "../../../lib/briefStatus";
+import { DEFAULT_LOCALE } from "../../../lib/i18n";
+import { formatMoney } from "../../../lib/plans";
+import { portalChecklist } from "../../../lib/portal";
+import { fieldByName, summarize } from "../../../lib/schema";
+import { briefFeasibility } from "../../../lib/sprint";
+import { getStore } from "../../../lib/store";
+import { COLORS } from "../../../lib/theme";
+
+export async function getServerSideProps(ctx) {
+  const redirect = adminRedirect(ctx);
+  if (redirect) return redirect;
+  const brief = await getStore().collection("briefs").get(String(ctx.params.id));
+  if (!brief) return { notFound: true };
+  return { props: { initialBrief: brief, initialChecklist: portalChecklist(brief) } };
+}
+
+// Same output on server and client (no hydration mismatch across timezones)
+const when = (iso) => `${new Date(iso).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+
+const answer = (v) => (Array.isArray(v) ? v.map((f) => f.name).join(", ") : v === true ? "Yes" : v === false ? "No" : v) || "—";
+const checklistLabel = (item) => ({ kickoff: "Kickoff booked", payment: "Paid online", assets: "Brand assets shared", access: `Access to ${item.name}` })[item.kind] || item.id;
+
+function Panel({ title, children }) {
+  return (
+    <div className="rounded-xl border bg-white p-6 shadow-sm">
+      <h2 className="mb-3 text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{title}</h2>
+      {children}
+    </div>
+  );
+}
+
+export default function AdminBrief({ initialBrief, initialChecklist }) {
+  const [brief, setBrief] = useState(initialBrief);
+  const [checklist, setChecklist] = useState(initialChecklist);
+  const [note, setNote] = useState("");
+  const [reply, setReply] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const status = statusOf(brief);
+
+  async function call(path, method, body) {
+    setBusy(true);
+    setError("");
+    const res = await fetch(`/api/admin/briefs/${brief.id}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const json = await res.json().catch(() => ({}));
+    setBusy(false);
+    if (!res.ok) setError(json.error || `HTTP ${res.status}`);
+    return res.ok ? json : null;
+  }
+
+  async function moveTo(to) {
+    const json = await call("", "PATCH", { status: to });
+    if (json) setBrief(json.brief);
+  }
+
+  async function releasePilot() {
+    if (!window.confirm("Release this brief's pilot spot? The next pilot brief can take it.")) return;
+    const json = await call("/pilot", "DELETE");
+    if (json) setBrief(json.brief);
+  }
+
+  async function addNote(e) {
+    e.preventDefault();
+    const json = await call("/notes", "POST", { text: note });
+    if (json) {
+      setBrief((b) => ({ ...b, notes: json.notes }));
+      setNote("");
+    }
+  }
+
+  async function sendReply(e) {
+    e.preventDefault();
+    const json = await call("/messages", "POST", { text: reply });
+    if (json) {
+      setBrief((b) => ({ ...b, messages: json.messages }));
+      setReply("");
+    }
+  }
+
+  async function openPortal() {
+    const json = await call("/portal", "POST");
+    if (json) setBrief((b) => ({ ...b, portalToken: json.token }));
+  }
+
+  async function markItem(item, done) {
+    const json = await call("/portal", "PATCH", { item, done });
+    if (json) setChecklist(json.checklist);
+  }
+
+  return (
+    <AdminLayout title={brief.name || brief.id}>
+      <Link href="/admin" className="mb-4 inline-flex items-center gap-1 text-sm underline-offset-4 hover:underline">
+        <ChevronLeft className="h-4 w-4" /> All briefs
+      </Link>
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>{brief.company || brief.name}</h1>
+        <p className="mt-1 text-sm text-slate-600">
+          <code>{brief.id}</code> · received {when(brief.createdAt)}
+          {brandOf(brief) !== DEFAULT_BRAND ? ` via ${brandOf(brief).name}` : ""} · launch brief{" "}
+          <a href={`/api/brief/${brief.id}/document?format=pdf`} className="underline underline-offset-4">PDF</a> /{" "}
+          <a href={`/api/brief/${brief.id}/document?format=md`} className="underline underline-offset-4">Markdown</a>
+        </p>
+      </div>
+      {error ? (
+        <div role="alert" className="mb-4 rounded-md border p-3 text-sm" style={{ background: "#FEF2F2", borderColor: "#FECACA", color: "#991B1B" }}>{error}</div>
+      ) : null}
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <div className="space-y-6 lg:col-span-2">
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            {summarize(brief, DEFAULT_LOCALE, brandOf(brief)).map((card) => (
+              <SummaryCard key={card.title} title={card.title} items={card.items} />
+            ))}
+          </div>
+
+          <Panel title="Sprint plan">
+            <SprintPlan
+              result={briefFeasibility(brief)}
+              note={brief.kickoff?.status === "confirmed" ? "Starts on the booked kickoff day." : "No kickoff booked yet: assumes we start the day after the brief came in."}
+            />
+          </Panel>
+
+          <Panel title="Internal notes">
+            <ul className="mb-4 space-y-3">
+              {(brief.notes || []).map((n) => (
+                <li key={n.id} className="rounded-md border p-3 text-sm" style={{ borderColor: "#e5e7eb" }}>
+                  <div className="whitespace-pre-wrap text-slate-800">{n.text}</div>
+                  <div className="mt-1 text-xs text-slate-500">{n.by} · {when(n.at)}</div>
+                </li>
+              ))}
+              {!(brief.notes || []).length ? <li className="text-sm text-slate-500">No notes yet.</li> : null}
+            </ul>
+            <form onSubmit={addNote}>
+              <textarea rows={3} value={note} onChange={(e) => setNote(e.target.value)} placeholder="Visible to the team only" className="w-full rounded-md border px-3 py-2 text-sm" style={{ borderColor: "#e5e7eb" }} aria-label="New note" />
+              <button type="submit" disabled={busy || !note.trim()} className="mt-2 rounded-md px-4 py-2 text-sm font-semibold text-white disabled:opacity-60" style={{ backgroundColor: COLORS.primaryGreen }}>
+                Add note
+              </button>
+            </form>
+          </Panel>
+
+          <Panel title="Client messages">
+            <ul className="mb-4 space-y-3">
+              {(brief.messages || []).map((m) => (
+                <li key={m.id} className="rounded-md border p-3 text-sm" style={{ borderColor: "#e5e7eb", background: m.from === "team" ? "#f8fafc" : "#fff" }}>
+                  <div className="whitespace-pre-wrap text-slate-800">{m.text}</div>
+                  <div className="mt-1 text-xs text-slate-500">{m.from === "team" ? m.by : "client"} · {when(m.at)}</div>
+                </li>
+              ))}
+              {!(brief.messages || []).length ? <li className="text-sm text-slate-500">No messages yet.</li> : null}
+            </ul>
+            <form onSubmit={sendReply}>
+              <textarea rows={3} value={reply} onChange={(e) => setReply(e.target.value)} placeholder="Shown in the client portal and emailed to the client" className="w-full rounded-md border px-3 py-2 text-sm" style={{ borderColor: "#e5e7eb" }} aria-label="Reply to the client" />
+              <button type="submit" disabled={busy || !reply.trim()} className="mt-2 rounded-md px-4 py-2 text-sm font-semibold text-white disabled:opacity-60" style={{ backgroundColor: COLORS.primaryGreen }}>
+                Send to client
+              </button>
+            </form>
+          </Panel>
+
+          <Panel title="Changes by the client">
+            <ul className="space-y-3 text-sm">
+              {[...(brief.changeHistory || [])].reverse().map((c) => (
+                <li key={c.at} className="rounded-md border p-3" style={{ borderColor: "#e5e7eb" }}>
+                  <div className="mb-1 text-xs text-slate-500">{c.by} · {when(c.at)}</div>
+                  <dl className="space-y-1">
+                    {Object.entries(c.fields).map(([name, { from, to }]) => (
+                      <div key={name} className="grid grid-cols-3 gap-2">
+                        <dt className="text-slate-500">{fieldByName(name)?.summaryLabel || name}</dt>
+                        <dd className="col-span-2 whitespace-pre-wrap">
+                          <span className="text-slate-400 line-through">{answer(from)}</span> → {answer(to)}
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                </li>
+              ))}
+              {!(brief.changeHistory || []).length ? <li className="text-slate-500">No changes since the brief came in.</li> : null}
+            </ul>
+          </Panel>
+        </div>
+
+        <div className="space-y-6">
+          <Panel title="Status">
+            <ol className="mb-4 space-y-1 text-sm">
+              {STATUSES.map((s) => (
+                <li key={s.id} className={s.id === status ? "font-semibold" : "text-slate-500"} style={s.id === status ? { color: COLORS.primaryGreen } : undefined}>
+                  {s.id === status ? "● " : "○ "}
+                  {s.label}
+                </li>
+              ))}
+            </ol>
+            <div className="flex flex-wrap gap-2">
+              {allowedTransitions(status).map((to) => (
+                <button key={to} type="button" disabled={busy} onClick={() => moveTo(to)} className="rounded-md border px-3 py-1.5 text-sm font-medium disabled:opacity-60" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
+                  {STATUSES.findIndex((s) => s.id === to) > STATUSES.findIndex((s) => s.id === status) ? `Mark ${statusLabel(to)} →` : `← Back to ${statusLabel(to)}`}
+                </button>
+              ))}
+            </div>
+            {(brief.statusHistory || []).length ? (
+              <ul className="mt-4 space-y-1 border-t pt-3 text-xs text-slate-500">
+                {brief.statusHistory.map((h, i) => (
+                  <li key={String(i)}>
+                    {statusLabel(h.from)} → {statusLabel(h.to)} · {h.by} · {when(h.at)}
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+            {brief.pilotSpot ? (
+              <div className="mt-4 flex items-center justify-between gap-2 border-t pt-3 text-sm">
+                <span className="text-slate-800">Holds a pilot spot</span>
+                <button type="button" disabled={busy} onClick={releasePilot} className="shrink-0 text-xs font-medium underline underline-offset-4 disabled:opacity-60">
+                  Release spot
+                </button>
+              </div>
+            ) : brief.pilotReleased ? (
+              <div className="mt-4 border-t pt-3 text-xs text-slate-500">Pilot spot released · {brief.pilotReleased.by} · {when(brief.pilotReleased.at)}</div>
+            ) : null}
+          </Panel>
+
+          <Panel title="Client portal">
+            {brief.portalToken ? (
+              <a href={`/portal/${brief.portalToken}`} target="_blank" rel="noreferrer" className="text-sm font-medium underline underline-offset-4">Open the client's portal</a>
+            ) : (
+              <button type="button" disabled={busy} onClick={openPortal} className="rounded-md border px-3 py-1.5 text-sm font-medium disabled:opacity-60" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
+                Create portal link
+              </button>
+            )}
+            <ul className="mt-4 space-y-2 border-t pt-3 text-sm">
+              {checklist.map((item) => (
+                <li key={item.id} className="flex items-center justify-between gap-2">
+                  <span className={item.done ? "text-slate-500 line-through" : "text-slate-800"} title={item.by ? `${item.by} · ${when(item.at)}` : undefined}>{checklistLabel(item)}</span>
+                  {item.manual ? (
+                    <button type="button" disabled={busy} onClick={() => markItem(item.id, !item.done)} className="shrink-0 text-xs font-medium underline underline-offset-4 disabled:opacity-60">
+                      {item.done ? "Reopen" : "Mark done"}
+                    </button>
+                  ) : (
+                    <span className="shrink-0 text-xs text-slate-500">{item.done ? "done" : "open"}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </Panel>
+
+          <Panel title="Kickoff">
+            {brief.kickoff ? (
+              <div className="space-y-2 text-sm">
+                <div className={brief.kickoff.status === "cancelled" ? "text-slate-500 line-through" : "text-slate-800"}>{when(brief.kickoff.start)}</div>
+                {brief.kickoff.status === "cancelled" ? (
+                  <div className="text-xs text-slate-500">Cancelled by the client</div>
+                ) : (
+                  <a href={`/api/admin/briefs/${brief.id}/invite`} className="font-medium underline underline-offset-4">Download invite (.ics)</a>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-slate-500">Not booked yet.</p>
+            )}
+          </Panel>
+
+          <Panel title="Payment">
+            {brief.payment ? (
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between gap-2">
+                  <span className="capitalize">{brief.payment.status.replace("_", " ")}</span>
+                  <span className="text-slate-600">
+                    {formatMoney(brief.payment.recurring.amount, brief.payment.currency)}/{brief.payment.recurring.interval}
+                    {brief.payment.setupFee ? ` + ${formatMoney(brief.payment.setupFee, brief.payment.currency)} setup` : ""}
+                    {brief.payment.setupWaived ? " · setup waived" : ""}
+                  </span>
+                </div>
+                {brief.payment.subscriptionId ? <div className="text-xs text-slate-500">Subscription <code>{brief.payment.subscriptionId}</code></div> : null}
+                <ul className="space-y-1 border-t pt-2 text-xs text-slate-500">
+                  {(brief.paymentLog || []).map((e, i) => (
+                    <li key={String(i)}>{e.event} → {e.status} · {when(e.at)}</li>
+                  ))}
+                </ul>
+              </div>
+            ) : (
+              <p className="text-sm text-slate-500">Not paid online.</p>
+            )}
+          </Panel>
+
+          <Panel title="Emails">
+            <ul className="space-y-1 text-sm">
+              {(brief.emails || []).map((e, i) => (
+                <li key={String(i)} className="flex justify-between gap-2">
+                  <span className="capitalize">{e.kind}</span>
+                  <span className={e.status === "failed" ? "text-red-600" : "text-slate-600"} title={e.error || e.to}>
+                    {e.status} · {when(e.at)}
+                  </span>
+                </li>
+              ))}
+              {!(brief.emails || []).length ? <li className="text-slate-500">Nothing sent yet.</li> : null}
+            </ul>
+          </Panel>
+
+          <Panel title="CRM sync">
+            <ul className="space-y-1 text-sm">
+              {Object.entries(brief.sync || {}).map(([provider, s]) => (
+                <li key={provider} className="flex justify-between gap-2">
+                  <span className="capitalize">{provider}</span>
+                  <span className={s.status === "failed" ? "text-red-600" : "text-slate-600"} title={s.error || ""}>
+                    {s.status}
+                    {s.attempts > 1 ? ` (${s.attempts} tries)` : ""}
+                  </span>
+                </li>
+              ))}
+              {!Object.keys(brief.sync || {}).length ? <li className="text-slate-500">Not synced yet.</li> : null}
+            </ul>
+          </Panel>
+
+          <Panel title="Source">
+            {brief.attribution ? (
+              <dl className="space-y-1 text-sm">
+                <div className="flex justify-between gap-2">
+                  <dt className="text-slate-500">Source</dt>
+                  <dd className="text-right">{sourceLabel(brief.attribution)}</dd>
+                </div>
+                {Object.entries(brief.attribution.utm || {}).map(([key, value]) => (
+                  <div key={key} className="flex justify-between gap-2">
+                    <dt className="text-slate-500">{key}</dt>
+                    <dd className="break-all text-right">{value}</dd>
+                  </div>
+                ))}
+                {brief.attribution.referrer ? (
+                  <div className="flex justify-between gap-2">
+                    <dt className="text-slate-500">Referrer</dt>
+                    <dd className="break-all text-right">{brief.attribution.referrer}</dd>
+                  </div>
+                ) : null}
+                {brief.attribution.landingPath ? (
+                  <div className="flex justify-between gap-2">
+                    <dt className="text-slate-500">Landing page</dt>
+                    <dd className="break-all text-right">{brief.attribution.landingPath}</dd>
+                  </div>
+                ) : null}
+              </dl>
+            ) : (
+              <p className="text-sm text-slate-500">Direct (no campaign or referrer).</p>
+            )}
+          </Panel>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+}
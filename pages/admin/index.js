@@ -0,0 +1,132 @@
+import Link from "next/link";
+import AdminLayout from "../../components/AdminLayout";
+import { listBriefs, parseFilters } from "../../lib/admin";
+import { adminRedirect } from "../../lib/adminAuth";
+import { BRANDS, brandOf } from "../../lib/brand";
+import { STATUSES, statusLabel, statusOf } from "../../lib/briefStatus";
+import { fieldByName } from "../../lib/schema";
+import { plans } from "../../lib/plans";
+import { COLORS, tint } from "../../lib/theme";
+
+export async function getServerSideProps(ctx) {
+  const redirect = adminRedirect(ctx);
+  if (redirect) return redirect;
+
+  const filters = parseFilters(ctx.query);
+  const briefs = (await listBriefs(filters)).map((b) => ({
+    id: b.id,
+    createdAt: b.createdAt,
+    name: b.name,
+    email: b.email,
+    company: b.company,
+    oneLiner: b.oneLiner,
+    plan: b.plan,
+    availability: b.availability,
+    targetDate: b.targetDate,
+    status: statusOf(b),
+    brand: brandOf(b).name,
+  }));
+  return { props: { briefs, filters } };
+}
+
+// Brand filter and column only matter once there's more than one (config/brands)
+const multiBrand = BRANDS.length > 1;
+
+const controlClass = "w-full rounded-md border bg-white px-3 py-2 text-sm";
+const controlStyle = { borderColor: "#e5e7eb" };
+
+function Select({ name, label, value, options }) {
+  return (
+    <label className="block">
+      <span className="mb-1 block text-xs font-medium text-slate-600">{label}</span>
+      <select name={name} defaultValue={value} className={controlClass} style={controlStyle}>
+        <option value="">All</option>
+        {options.map((o) => (
+          <option key={o.value} value={o.value}>{o.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default function AdminBriefs({ briefs, filters }) {
+  const qs = new URLSearchParams(Object.entries(filters).filter(([, v]) => v)).toString();
+  const availability = fieldByName("availability").options;
+
+  return (
+    <AdminLayout title="Briefs">
+      <div className="mb-6 flex flex-wrap items-end justify-between gap-3">
+        <h1 className="text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>Briefs</h1>
+        <div className="flex gap-3 text-sm">
+          <a href={`/api/admin/export?format=csv${qs ? `&${qs}` : ""}`} className="rounded-md border bg-white px-3 py-1.5 font-medium" style={controlStyle}>Export CSV</a>
+          <a href={`/api/admin/export?format=json${qs ? `&${qs}` : ""}`} className="rounded-md border bg-white px-3 py-1.5 font-medium" style={controlStyle}>Export JSON</a>
+        </div>
+      </div>
+
+      <form method="GET" className="mb-6 grid grid-cols-1 gap-3 rounded-xl border bg-white p-4 shadow-sm sm:grid-cols-7">
+        <label className={multiBrand ? "block" : "block sm:col-span-2"}>
+          <span className="mb-1 block text-xs font-medium text-slate-600">Search</span>
+          <input name="q" defaultValue={filters.q} placeholder="Name, email, company, idea…" className={controlClass} style={controlStyle} />
+        </label>
+        {multiBrand ? <Select name="brand" label="Brand" value={filters.brand} options={BRANDS.map((b) => ({ value: b.id, label: b.name }))} /> : null}
+        <Select name="status" label="Status" value={filters.status} options={STATUSES.map((s) => ({ value: s.id, label: s.label }))} />
+        <Select name="plan" label="Plan" value={filters.plan} options={plans.map((p) => ({ value: p.id, label: p.name }))} />
+        <Select name="availability" label="Availability" value={filters.availability} options={availability} />
+        <label className="block">
+          <span className="mb-1 block text-xs font-medium text-slate-600">Target from</span>
+          <input type="date" name="from" defaultValue={filters.from} className={controlClass} style={controlStyle} />
+        </label>
+        <label className="block">
+          <span className="mb-1 block text-xs font-medium text-slate-600">Target to</span>
+          <input type="date" name="to" defaultValue={filters.to} className={controlClass} style={controlStyle} />
+        </label>
+        <div className="flex items-center gap-3 sm:col-span-7">
+          <button type="submit" className="rounded-md px-4 py-2 text-sm font-semibold text-white" style={{ backgroundColor: COLORS.primaryGreen }}>Apply filters</button>
+          {qs ? <Link href="/admin" className="text-sm underline-offset-4 hover:underline">Clear</Link> : null}
+          <span className="ml-auto text-xs text-slate-500">{briefs.length} {briefs.length === 1 ? "brief" : "briefs"}</span>
+        </div>
+      </form>
+
+      <div className="overflow-x-auto rounded-xl border bg-white shadow-sm">
+        <table className="w-full text-left text-sm">
+          <thead className="border-b bg-slate-50 text-xs uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="px-4 py-3">Received</th>
+              <th className="px-4 py-3">Client</th>
+              <th className="px-4 py-3">Idea</th>
+              {multiBrand ? <th className="px-4 py-3">Brand</th> : null}
+              <th className="px-4 py-3">Plan</th>
+              <th className="px-4 py-3">Target</th>
+              <th className="px-4 py-3">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {briefs.map((b) => (
+              <tr key={b.id} className="border-b last:border-0 hover:bg-slate-50">
+                <td className="whitespace-nowrap px-4 py-3 text-slate-600">{b.createdAt.slice(0, 10)}</td>
+                <td className="px-4 py-3">
+                  <Link href={`/admin/briefs/${b.id}`} className="font-semibold underline-offset-4 hover:underline" style={{ color: COLORS.primaryDark }}>
+                    {b.name}
+                  </Link>
+                  <div className="text-xs text-slate-500">{[b.company, b.email].filter(Boolean).join(" · ")}</div>
+                </td>
+                <td className="max-w-xs truncate px-4 py-3 text-slate-700">{b.oneLiner}</td>
+                {multiBrand ? <td className="whitespace-nowrap px-4 py-3">{b.brand}</td> : null}
+                <td className="px-4 py-3">{plans.find((p) => p.id === b.plan)?.name || b.plan}</td>
+                <td className="whitespace-nowrap px-4 py-3">{b.targetDate || "—"}</td>
+                <td className="px-4 py-3">
+                  <span className="rounded-full px-2 py-0.5 text-xs font-medium" style={{ backgroundColor: tint(COLORS.primaryGreen, 0.1), color: COLORS.primaryDark }}>{statusLabel(b.status)}</span>
+                </td>
+              </tr>
+            ))}
+            {!briefs.length ? (
+              <tr>
+                <td colSpan={multiBrand ? 7 : 6} className="px-4 py-10 text-center text-slate-500">No briefs match these filters.</td>
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+    </AdminLayout>
+  );
+}
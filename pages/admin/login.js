@@ -0,0 +1,59 @@
+import { useState } from "react";
+import Head from "next/head";
+import { useRouter } from "next/router";
+import { adminConfigured, isAdmin } from "../../lib/adminAuth";
+import { COLORS } from "../../lib/theme";
+
+export async function getServerSideProps({ req, query }) {
+  const next = typeof query.next === "string" && query.next.startsWith("/admin") ? query.next : "/admin";
+  if (isAdmin(req)) return { redirect: { destination: next, permanent: false } };
+  return { props: { configured: adminConfigured(), next } };
+}
+
+export default function AdminLogin({ configured, next }) {
+  const router = useRouter();
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+    const res = await fetch("/api/admin/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ password }),
+    });
+    const json = await res.json().catch(() => ({}));
+    setLoading(false);
+    if (res.ok) router.push(next);
+    else setError(json.error || `HTTP ${res.status}`);
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center px-4" style={{ backgroundColor: COLORS.primaryLight }}>
+      <Head>
+        <title>Admin login · Blossom.Launch</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <form onSubmit={onSubmit} className="w-full max-w-sm rounded-xl border bg-white p-6 shadow-sm">
+        <h1 className="mb-4 text-xl font-bold" style={{ color: COLORS.primaryDark }}>Blossom.Launch admin</h1>
+        {configured ? (
+          <>
+            <label className="block">
+              <span className="mb-2 block text-sm font-medium" style={{ color: COLORS.primaryDark }}>Password</span>
+              <input type="password" autoFocus className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} value={password} onChange={(e) => setPassword(e.target.value)} />
+            </label>
+            {error ? <p role="alert" className="mt-2 text-xs font-medium text-red-600">{error}</p> : null}
+            <button type="submit" disabled={loading || !password} className="mt-4 w-full rounded-md px-5 py-3 font-semibold text-white shadow-md disabled:opacity-60" style={{ backgroundColor: COLORS.primaryGreen }}>
+              {loading ? "Signing in…" : "Sign in"}
+            </button>
+          </>
+        ) : (
+          <p className="text-sm text-slate-700">Admin access is disabled. Set <code>ADMIN_PASSWORD</code> in the server environment to enable it.</p>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState } from "react";
+import Link from "next/link";
+import AdminLayout from "../../components/AdminLayout";
+import { adminRedirect } from "../../lib/adminAuth";
+import { getSchedulerSettings } from "../../lib/scheduler/availability";
+import { listBookings } from "../../lib/scheduler/bookings";
+import { WEEKDAYS } from "../../lib/scheduler/time";
+import { getStore } from "../../lib/store";
+import { COLORS } from "../../lib/theme";
+
+export async function getServerSideProps(ctx) {
+  const redirect = adminRedirect(ctx);
+  if (redirect) return redirect;
+
+  const now = new Date().toISOString();
+  const briefs = await getStore().collection("briefs").list();
+  const upcoming = (await listBookings())
+    .filter((b) => b.status === "confirmed" && b.end >= now)
+    .map((b) => {
+      const brief = briefs.find((x) => x.id === b.briefId) || {};
+      return { token: b.id, briefId: b.briefId, start: b.start, name: brief.name || "", company: brief.company || "" };
+    });
+  return { props: { initialSettings: await getSchedulerSettings(), upcoming } };
+}
+
+const DAY_LABELS = { mon: "Monday", tue: "Tuesday", wed: "Wednesday", thu: "Thursday", fri: "Friday", sat: "Saturday", sun: "Sunday" };
+const NUMBERS = [
+  { key: "slotMinutes", label: "Call length (minutes)" },
+  { key: "bufferMinutes", label: "Buffer between calls (minutes)" },
+  { key: "minNoticeHours", label: "Minimum notice (hours)" },
+  { key: "horizonDays", label: "Bookable days ahead" },
+];
+
+const controlClass = "w-full rounded-md border bg-white px-3 py-2 text-sm";
+const controlStyle = { borderColor: "#e5e7eb" };
+
+// "09:00-12:00, 13:00-17:00" <-> [{ start, end }, …]
+const windowsToText = (windows) => windows.map((w) => `${w.start}-${w.end}`).join(", ");
+const textToWindows = (text) =>
+  text
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const [start = "", end = ""] = s.split(/\s*[-–]\s*/);
+      return { start, end };
+    });
+
+// Same output on server and client (no hydration mismatch across timezones)
+const when = (iso, timeZone) =>
+  new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short" }).format(new Date(iso));
+
+export default function AdminScheduler({ initialSettings, upcoming }) {
+  const [settings, setSettings] = useState(initialSettings);
+  const [weekly, setWeekly] = useState(() => Object.fromEntries(WEEKDAYS.map((d) => [d, windowsToText(initialSettings.weekly[d] || [])])));
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  async function save(e) {
+    e.preventDefault();
+    setBusy(true);
+    setSaved(false);
+    const body = { ...settings, weekly: Object.fromEntries(WEEKDAYS.map((d) => [d, textToWindows(weekly[d])])) };
+    const res = await fetch("/api/admin/scheduler", { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+    const json = await res.json().catch(() => ({}));
+    setBusy(false);
+    if (!res.ok) return setErrors(json.fields || { _form: json.error || `HTTP ${res.status}` });
+    setErrors({});
+    setSettings(json.settings);
+    setSaved(true);
+  }
+
+  const set = (key) => (e) => setSettings((s) => ({ ...s, [key]: e.target.type === "number" ? Number(e.target.value) : e.target.value }));
+
+  return (
+    <AdminLayout title="Kickoff scheduler">
+      <h1 className="mb-6 text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>Kickoff scheduler</h1>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <form onSubmit={save} className="space-y-4 rounded-xl border bg-white p-6 shadow-sm lg:col-span-2">
+          <h2 className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>Availability</h2>
+          {errors._form ? <p role="alert" className="text-sm text-red-600">{errors._form}</p> : null}
+          <label className="block">
+            <span className="mb-1 block text-xs font-medium text-slate-600">Your timezone (windows below are in this zone)</span>
+            <input value={settings.timezone} onChange={set("timezone")} className={controlClass} style={controlStyle} />
+            {errors.timezone ? <span className="mt-1 block text-xs text-red-600">{errors.timezone}</span> : null}
+          </label>
+          <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+            {NUMBERS.map(({ key, label }) => (
+              <label key={key} className="block">
+                <span className="mb-1 block text-xs font-medium text-slate-600">{label}</span>
+                <input type="number" value={settings[key]} onChange={set(key)} className={controlClass} style={controlStyle} />
+                {errors[key] ? <span className="mt-1 block text-xs text-red-600">{errors[key]}</span> : null}
+              </label>
+            ))}
+          </div>
+          <div className="space-y-2">
+            {[...WEEKDAYS.slice(1), WEEKDAYS[0]].map((d) => (
+              <label key={d} className="grid grid-cols-3 items-center gap-3">
+                <span className="text-sm" style={{ color: COLORS.primaryDark }}>{DAY_LABELS[d]}</span>
+                <span className="col-span-2">
+                  <input value={weekly[d]} onChange={(e) => setWeekly((w) => ({ ...w, [d]: e.target.value }))} placeholder="Unavailable — e.g. 09:00-12:00, 13:00-17:00" className={controlClass} style={controlStyle} />
+                  {errors[`weekly.${d}`] ? <span className="mt-1 block text-xs text-red-600">{errors[`weekly.${d}`]}</span> : null}
+                </span>
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-3">
+            <button type="submit" disabled={busy} className="rounded-md px-4 py-2 text-sm font-semibold text-white disabled:opacity-60" style={{ backgroundColor: COLORS.primaryGreen }}>
+              {busy ? "Saving…" : "Save availability"}
+            </button>
+            {saved ? <span className="text-sm text-slate-600">Saved ✅</span> : null}
+          </div>
+        </form>
+
+        <div className="rounded-xl border bg-white p-6 shadow-sm">
+          <h2 className="mb-3 text-lg font-semibold" style={{ color: COLORS.primaryDark }}>Upcoming kickoffs</h2>
+          <ul className="space-y-3 text-sm">
+            {upcoming.map((b) => (
+              <li key={b.token}>
+                <Link href={`/admin/briefs/${b.briefId}`} className="font-medium underline-offset-4 hover:underline">{b.company || b.name || b.briefId}</Link>
+                <div className="text-xs text-slate-500">{when(b.start, settings.timezone)}</div>
+              </li>
+            ))}
+            {!upcoming.length ? <li className="text-slate-500">Nothing booked yet.</li> : null}
+          </ul>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,106 @@
+import Link from "next/link";
+import AdminLayout from "../../components/AdminLayout";
+import { adminRedirect } from "../../lib/adminAuth";
+import { guardSettings, listRejections, REJECTION_REASONS } from "../../lib/guard";
+import { COLORS } from "../../lib/theme";
+import { formatBytes } from "../../lib/uploads";
+
+const PAGE_SIZE = 200;
+const DAY = 24 * 3600 * 1000;
+
+export async function getServerSideProps(ctx) {
+  const redirect = adminRedirect(ctx);
+  if (redirect) return redirect;
+
+  const reason = REJECTION_REASONS[ctx.query.reason] ? String(ctx.query.reason) : "";
+  const all = await listRejections();
+  const weekAgo = new Date(Date.now() - 7 * DAY).toISOString();
+  const counts = {};
+  for (const r of all) {
+    if (r.createdAt >= weekAgo) counts[r.reason] = (counts[r.reason] || 0) + 1;
+  }
+  const rejections = all.filter((r) => !reason || r.reason === reason).slice(0, PAGE_SIZE);
+  return { props: { rejections, counts, reason, reasons: REJECTION_REASONS, settings: guardSettings() } };
+}
+
+const when = (iso) => `${iso.slice(0, 16).replace("T", " ")} UTC`;
+
+function Setting({ label, value }) {
+  return (
+    <div>
+      <dt className="text-xs text-slate-500">{label}</dt>
+      <dd className="font-semibold" style={{ color: COLORS.primaryDark }}>{value}</dd>
+    </div>
+  );
+}
+
+// Server-only modules stay out of the page bundle: reason labels come in as props
+export default function AdminSpam({ rejections, counts, reason, reasons, settings }) {
+  const off = (n, text) => (n ? text : "off");
+  return (
+    <AdminLayout title="Spam">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>Rejected submissions</h1>
+        <p className="mt-1 text-sm text-slate-600">Brief submissions and uploads refused by the spam and abuse checks (lib/guard). Limits are set with the BRIEF_* environment variables.</p>
+      </div>
+
+      <dl className="mb-6 grid grid-cols-2 gap-4 rounded-xl border bg-white p-4 text-sm shadow-sm sm:grid-cols-4 lg:grid-cols-8">
+        <Setting label="Minimum time to submit" value={off(settings.minSeconds, `${settings.minSeconds}s`)} />
+        <Setting label="Per IP" value={off(settings.ipLimit, `${settings.ipLimit} / hour`)} />
+        <Setting label="Per email" value={off(settings.emailLimit, `${settings.emailLimit} / day`)} />
+        <Setting label="Duplicate window" value={off(settings.duplicateHours, `${settings.duplicateHours} hours`)} />
+        <Setting label="Proof-of-work" value={off(settings.powDifficulty, `${settings.powDifficulty} bits`)} />
+        <Setting label="Uploads per IP" value={off(settings.uploadIpLimit, `${settings.uploadIpLimit} / hour`)} />
+        <Setting label="Uploads per form" value={off(settings.uploadTokenBytes, formatBytes(settings.uploadTokenBytes))} />
+        <Setting label="Draft saves per IP" value={off(settings.draftIpLimit, `${settings.draftIpLimit} / hour`)} />
+      </dl>
+
+      <div className="mb-6 flex flex-wrap gap-2 text-sm">
+        <Link href="/admin/spam" className="rounded-full border px-3 py-1" style={{ borderColor: reason ? "#e5e7eb" : COLORS.primaryGreen, color: COLORS.primaryDark }}>
+          All
+        </Link>
+        {Object.entries(reasons).map(([id, label]) => (
+          <Link key={id} href={`/admin/spam?reason=${id}`} className="rounded-full border px-3 py-1" style={{ borderColor: reason === id ? COLORS.primaryGreen : "#e5e7eb", color: COLORS.primaryDark }}>
+            {label} <span className="text-slate-500">· {counts[id] || 0}</span>
+          </Link>
+        ))}
+        <span className="ml-auto self-center text-xs text-slate-500">Counts: last 7 days</span>
+      </div>
+
+      <div className="overflow-x-auto rounded-xl border bg-white shadow-sm">
+        <table className="w-full text-left text-sm">
+          <thead className="border-b bg-slate-50 text-xs uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="px-4 py-3">When</th>
+              <th className="px-4 py-3">Reason</th>
+              <th className="px-4 py-3">IP</th>
+              <th className="px-4 py-3">Sender</th>
+              <th className="px-4 py-3">Idea</th>
+              <th className="px-4 py-3">User agent</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rejections.map((r) => (
+              <tr key={r.id} className="border-b last:border-0">
+                <td className="whitespace-nowrap px-4 py-3 text-slate-600">{when(r.createdAt)}</td>
+                <td className="whitespace-nowrap px-4 py-3">{reasons[r.reason] || r.reason}</td>
+                <td className="whitespace-nowrap px-4 py-3 font-mono text-xs">{r.ip || "—"}</td>
+                <td className="px-4 py-3">
+                  <div>{r.email || "—"}</div>
+                  {r.company ? <div className="text-xs text-slate-500">{r.company}</div> : null}
+                </td>
+                <td className="max-w-xs truncate px-4 py-3 text-slate-700">{r.oneLiner || "—"}</td>
+                <td className="max-w-xs truncate px-4 py-3 text-xs text-slate-500" title={r.userAgent}>{r.userAgent || "—"}</td>
+              </tr>
+            ))}
+            {!rejections.length ? (
+              <tr>
+                <td colSpan={6} className="px-4 py-10 text-center text-slate-500">Nothing rejected{reason ? " for this reason" : ""} yet.</td>
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+    </AdminLayout>
+  );
+}
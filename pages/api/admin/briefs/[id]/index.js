@@ -0,0 +1,30 @@
+import { TransitionError, setBriefStatus } from "../../../../../lib/admin";
+import { requireAdmin } from "../../../../../lib/adminAuth";
+import { allowMethods, readJsonBody } from "../../../../../lib/api";
+import { getStore } from "../../../../../lib/store";
+
+/**
+ * GET   /api/admin/briefs/:id            – the stored brief
+ * PATCH /api/admin/briefs/:id { status } – move it along the workflow
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "PATCH"])) return;
+  if (!requireAdmin(req, res)) return;
+  const id = String(req.query.id);
+
+  if (req.method === "GET") {
+    const brief = await getStore().collection("briefs").get(id);
+    return brief ? res.status(200).json({ ok: true, brief }) : res.status(404).json({ ok: false, error: "Brief not found" });
+  }
+
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  try {
+    const brief = await setBriefStatus(id, String((body && body.status) || ""));
+    if (!brief) return res.status(404).json({ ok: false, error: "Brief not found" });
+    return res.status(200).json({ ok: true, brief });
+  } catch (err) {
+    if (err instanceof TransitionError) return res.status(409).json({ ok: false, error: err.message });
+    throw err;
+  }
+}
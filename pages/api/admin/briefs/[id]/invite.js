@@ -0,0 +1,19 @@
+import { requireAdmin } from "../../../../../lib/adminAuth";
+import { allowMethods, siteUrl } from "../../../../../lib/api";
+import { brandOf } from "../../../../../lib/brand";
+import { hostInvite } from "../../../../../lib/scheduler";
+import { getBooking } from "../../../../../lib/scheduler/bookings";
+import { getStore } from "../../../../../lib/store";
+
+/** GET /api/admin/briefs/:id/invite – the host's .ics for the brief's kickoff. */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+  if (!requireAdmin(req, res)) return;
+  const brief = await getStore().collection("briefs").get(String(req.query.id));
+  const booking = brief?.kickoff && (await getBooking(brief.kickoff.token));
+  if (!booking) return res.status(404).json({ ok: false, error: "No kickoff booked for this brief" });
+
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="kickoff-${brief.id}.ics"`);
+  return res.status(200).send(hostInvite(booking, brief, siteUrl(brandOf(brief))));
+}
@@ -0,0 +1,29 @@
+import { requireAdmin } from "../../../../../lib/adminAuth";
+import { allowMethods, readJsonBody, siteUrl } from "../../../../../lib/api";
+import { brandOf } from "../../../../../lib/brand";
+import { sendMessageEmail } from "../../../../../lib/email";
+import { addMessage, PortalError } from "../../../../../lib/portal";
+
+/** POST /api/admin/briefs/:id/messages { text } – reply in the client's portal thread (emailed to them). */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+  if (!requireAdmin(req, res)) return;
+
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  const id = String(req.query.id);
+  let added;
+  try {
+    added = await addMessage(id, body && body.text, { from: "team", by: "admin" });
+  } catch (err) {
+    if (err instanceof PortalError) return res.status(err.status).json({ ok: false, error: err.message, fields: err.fields });
+    throw err;
+  }
+  if (!added) return res.status(404).json({ ok: false, error: "Brief not found" });
+  try {
+    await sendMessageEmail(id, added.message, { baseUrl: siteUrl(brandOf(added.brief)) });
+  } catch (err) {
+    console.error(`[api/admin] reply email failed for ${id}`, err);
+  }
+  return res.status(201).json({ ok: true, messages: added.brief.messages });
+}
@@ -0,0 +1,19 @@
+import { addBriefNote } from "../../../../../lib/admin";
+import { requireAdmin } from "../../../../../lib/adminAuth";
+import { allowMethods, readJsonBody } from "../../../../../lib/api";
+
+/** POST /api/admin/briefs/:id/notes { text } – add an internal note. */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+  if (!requireAdmin(req, res)) return;
+
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  const text = String((body && body.text) || "").trim();
+  if (!text) return res.status(422).json({ ok: false, error: "Note can't be empty", fields: { text: "Write something first." } });
+  if (text.length > 5000) return res.status(422).json({ ok: false, error: "Note is too long", fields: { text: "Keep notes under 5000 characters." } });
+
+  const brief = await addBriefNote(String(req.query.id), text);
+  if (!brief) return res.status(404).json({ ok: false, error: "Brief not found" });
+  return res.status(201).json({ ok: true, notes: brief.notes });
+}
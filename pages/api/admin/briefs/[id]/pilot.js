@@ -0,0 +1,17 @@
+import { requireAdmin } from "../../../../../lib/adminAuth";
+import { allowMethods } from "../../../../../lib/api";
+import { PilotReleaseError, releasePilotSpot } from "../../../../../lib/pilot";
+
+/** DELETE /api/admin/briefs/:id/pilot – release the brief's pilot spot for the next client, { ok, brief }. */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["DELETE"])) return;
+  if (!requireAdmin(req, res)) return;
+  try {
+    const brief = await releasePilotSpot(String(req.query.id));
+    if (!brief) return res.status(404).json({ ok: false, error: "Brief not found" });
+    return res.status(200).json({ ok: true, brief });
+  } catch (err) {
+    if (err instanceof PilotReleaseError) return res.status(err.status).json({ ok: false, error: err.message });
+    throw err;
+  }
+}
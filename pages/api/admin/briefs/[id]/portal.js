@@ -0,0 +1,29 @@
+import { requireAdmin } from "../../../../../lib/adminAuth";
+import { allowMethods, readJsonBody } from "../../../../../lib/api";
+import { markChecklistItem, openPortal, portalChecklist, PortalError } from "../../../../../lib/portal";
+
+/**
+ * POST  /api/admin/briefs/:id/portal                  – the client portal token, created for older briefs, { ok, token }
+ * PATCH /api/admin/briefs/:id/portal { item, done }   – tick off (or reopen) a checklist item, { ok, checklist }
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST", "PATCH"])) return;
+  if (!requireAdmin(req, res)) return;
+  const id = String(req.query.id);
+
+  if (req.method === "POST") {
+    const token = await openPortal(id);
+    return token ? res.status(200).json({ ok: true, token }) : res.status(404).json({ ok: false, error: "Brief not found" });
+  }
+
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  try {
+    const brief = await markChecklistItem(id, String((body && body.item) || ""), !!(body && body.done), { by: "admin" });
+    if (!brief) return res.status(404).json({ ok: false, error: "Brief not found" });
+    return res.status(200).json({ ok: true, checklist: portalChecklist(brief) });
+  } catch (err) {
+    if (err instanceof PortalError) return res.status(err.status).json({ ok: false, error: err.message });
+    throw err;
+  }
+}
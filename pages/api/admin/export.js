@@ -0,0 +1,22 @@
+import { briefsToCsv, listBriefs, parseFilters } from "../../../lib/admin";
+import { requireAdmin } from "../../../lib/adminAuth";
+import { allowMethods } from "../../../lib/api";
+
+/**
+ * GET /api/admin/export?format=csv|json&<filters> – download the briefs that
+ * match the same filters as the /admin list.
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+  if (!requireAdmin(req, res)) return;
+
+  const briefs = await listBriefs(parseFilters(req.query));
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (req.query.format === "json") {
+    res.setHeader("Content-Disposition", `attachment; filename="briefs-${stamp}.json"`);
+    return res.status(200).json(briefs);
+  }
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="briefs-${stamp}.csv"`);
+  return res.status(200).send(briefsToCsv(briefs));
+}
@@ -0,0 +1,37 @@
+import { adminConfigured, checkAdminPassword, clearedSessionCookie, sessionCookie } from "../../../lib/adminAuth";
+import { allowMethods, clientIp, readJsonBody } from "../../../lib/api";
+import { clearLoginFailures, GuardError, recordLoginAttempt } from "../../../lib/guard";
+
+/**
+ * POST   /api/admin/login { password } – start an admin session (cookie)
+ * DELETE /api/admin/login               – log out
+ *
+ * Failed logins are limited per IP (ADMIN_LOGIN_LIMIT per 15 minutes,
+ * lib/guard); past that, 429 with Retry-After.
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST", "DELETE"])) return;
+
+  if (req.method === "DELETE") {
+    res.setHeader("Set-Cookie", clearedSessionCookie());
+    return res.status(200).json({ ok: true });
+  }
+
+  if (!adminConfigured()) return res.status(503).json({ ok: false, error: "Admin access isn't configured (set ADMIN_PASSWORD)." });
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  const ip = clientIp(req);
+  try {
+    await recordLoginAttempt({ ip });
+  } catch (err) {
+    if (!(err instanceof GuardError)) throw err;
+    res.setHeader("Retry-After", String(err.retryAfter));
+    return res.status(err.status).json({ ok: false, error: err.message });
+  }
+  if (!checkAdminPassword(String((body && body.password) || ""))) {
+    return res.status(401).json({ ok: false, error: "Wrong password" });
+  }
+  await clearLoginFailures({ ip });
+  res.setHeader("Set-Cookie", sessionCookie());
+  return res.status(200).json({ ok: true });
+}
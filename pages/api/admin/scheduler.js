@@ -0,0 +1,20 @@
+import { requireAdmin } from "../../../lib/adminAuth";
+import { allowMethods, readJsonBody } from "../../../lib/api";
+import { getSchedulerSettings, saveSchedulerSettings, validateSettings } from "../../../lib/scheduler/availability";
+
+/**
+ * GET /api/admin/scheduler            – { ok, settings }
+ * PUT /api/admin/scheduler {settings} – replace availability, 422 { fields } if invalid
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "PUT"])) return;
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method === "GET") return res.status(200).json({ ok: true, settings: await getSchedulerSettings() });
+
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  const { ok, value, errors } = validateSettings(body);
+  if (!ok) return res.status(422).json({ ok: false, error: "Please fix the highlighted settings.", fields: errors });
+  return res.status(200).json({ ok: true, settings: await saveSchedulerSettings(value) });
+}
@@ -0,0 +1,144 @@
+import { sanitizeAttribution } from "../../lib/analytics/events";
+import { allowMethods, clientIp, readJsonBody, siteUrl } from "../../lib/api";
+import { resolveBrand } from "../../lib/brand";
+import { validateBrief } from "../../lib/brief";
+import { BriefVersionError, briefFromInput } from "../../lib/briefVersions";
+import { sendBriefEmails } from "../../lib/email";
+import { checkDuplicates, checkForm, GuardError, logRejection, recordAttempt } from "../../lib/guard";
+import { createTranslator } from "../../lib/i18n";
+import { needsCheckout } from "../../lib/payments";
+import { chargesFor, plansFor } from "../../lib/plans";
+import { insertBrief, PilotFullError } from "../../lib/pilot";
+import { openPortal } from "../../lib/portal";
+import { getStore, newId } from "../../lib/store";
+import { syncBrief } from "../../lib/sync";
+import { normalizeFileRefs } from "../../lib/uploads";
+
+// Swap client-sent file refs for what /api/uploads actually stored
+async function resolveUploads(refs, uploads) {
+  const found = await Promise.all(refs.map((r) => uploads.get(r.id)));
+  if (found.some((u) => !u || u.briefId)) return null;
+  return normalizeFileRefs(found);
+}
+
+/**
+ * POST /api/brief – accept a wizard submission.
+ *
+ * 201 { ok: true, id, checkout, portal }                stored; `checkout` is the
+ *                                                       charges to pay online, or null;
+ *                                                       `portal` the client portal token
+ * 400 { ok: false, error }                              body isn't JSON
+ * 400 { ok: false, error, code }                        failed a spam check (lib/guard)
+ * 405 { ok: false, error }                              anything but POST
+ * 409 { ok: false, error, code: "duplicate" }           same brief sent recently
+ * 422 { ok: false, error, fields: { [field]: message } } failed validation
+ * 429 { ok: false, error, code }                        rate limited (see Retry-After)
+ *
+ * The wizard sends `_guard: { token, nonce, website }` alongside the answers:
+ * a form token from /api/brief/challenge, the proof-of-work nonce when one
+ * is required, and the honeypot. A filled-in honeypot gets a fake 201 so
+ * bots learn nothing. Every rejection is logged for /admin/spam.
+ *
+ * Answers come in the wizard's shape (schema v1) unless the body says
+ * `schemaVersion: 2` (lib/briefVersions.js, /api/openapi.json); v2 briefs
+ * are migrated to v1 before validation and storage.
+ *
+ * `_attribution` (UTM tags / referrer from lib/analytics/client.js) is
+ * stored on the brief as `attribution`. Validation messages are in the
+ * brief's `locale` (lib/i18n).
+ *
+ * The brief is tagged with its brand (config/brands): the wizard's `brand`
+ * id, else the one this hostname serves. The plan must be one that brand
+ * offers, and its prices decide `checkout`.
+ *
+ * Files listed in `assetFiles` must have been uploaded via /api/uploads and
+ * not yet claimed by another brief; they get tagged with the new brief's id.
+ * Pilot briefs claim one of the limited pilot spots (lib/pilot.js). Every
+ * brief gets a client portal link (lib/portal.js), also sent in the
+ * confirmation email.
+ *
+ * The confirmation/team emails (lib/email) and one quick HubSpot/Notion
+ * sync attempt (lib/sync, no retries) run side by side before the 201 goes
+ * out, since serverless hosts may stop the function once it has responded.
+ * Their failures never fail the request; outcomes are logged on the stored
+ * brief, and /api/cron/sync-briefs retries a failed sync later.
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  const ip = clientIp(req);
+
+  function reject(err) {
+    logRejection(err, { ip, userAgent: req.headers["user-agent"], body }).catch((e) => console.error("[api/brief] could not log rejection", e));
+    if (err.silent) return res.status(201).json({ ok: true, id: newId("brief"), checkout: null, portal: null });
+    if (err.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+    return res.status(err.status).json({ ok: false, error: err.message, code: err.reason });
+  }
+
+  let claims;
+  try {
+    claims = checkForm(body && body._guard);
+  } catch (err) {
+    if (err instanceof GuardError) return reject(err);
+    throw err;
+  }
+
+  const brand = resolveBrand({ id: body && body.brand, host: req.headers.host });
+  const t = createTranslator(body && body.locale, brand);
+  let input;
+  try {
+    input = briefFromInput(body);
+  } catch (err) {
+    if (err instanceof BriefVersionError) return res.status(err.status).json({ ok: false, error: err.message, fields: err.fields });
+    throw err;
+  }
+  const { ok, value, errors } = validateBrief(input);
+  if (ok && !brand.plans[value.plan]) {
+    errors.plan = t("validation.option", { options: plansFor(t.locale, brand).map((p) => p.name).join(", ") });
+  }
+  if (Object.keys(errors).length) {
+    return res.status(422).json({ ok: false, error: t("validation.fix"), fields: errors });
+  }
+
+  const uploads = getStore().collection("uploads");
+  let brief;
+  try {
+    await recordAttempt({ ip, claims });
+    const assetFiles = await resolveUploads(value.assetFiles, uploads);
+    if (!assetFiles) {
+      return res.status(422).json({
+        ok: false,
+        error: t("validation.fix"),
+        fields: { assetFiles: t("uploads.gone") },
+      });
+    }
+    const attribution = sanitizeAttribution(body._attribution);
+    brief = await insertBrief({ id: newId("brief"), status: "new", brand: brand.id, ...value, assetFiles, ...(attribution ? { attribution } : {}) }, { before: checkDuplicates });
+    await Promise.all(assetFiles.map((f) => uploads.update(f.id, (u) => ({ ...u, briefId: brief.id }))));
+  } catch (err) {
+    if (err instanceof GuardError) return reject(err);
+    if (err instanceof PilotFullError) {
+      return res.status(422).json({
+        ok: false,
+        error: t("validation.fix"),
+        fields: { plan: t("wizard.pilotTaken") },
+      });
+    }
+    console.error("[api/brief] failed to store brief", err);
+    return res.status(500).json({ ok: false, error: "Could not save your brief. Please try again." });
+  }
+  // The brief is stored either way; without a portal link the client still gets the emails
+  const portal = await openPortal(brief.id).catch((err) => {
+    console.error(`[api/brief] could not open a portal for ${brief.id}`, err);
+    return null;
+  });
+  // Emails and a quick sync attempt finish before the response: serverless
+  // hosts may freeze the function once it has answered. A slow CRM is left to
+  // the retry cron rather than holding up the client.
+  await Promise.all([
+    sendBriefEmails(brief.id, { baseUrl: siteUrl(brand) }).catch((err) => console.error(`[api/brief] emails failed for ${brief.id}`, err)),
+    syncBrief(brief.id, { inline: true }).catch((err) => console.error(`[api/brief] sync failed for ${brief.id}`, err)),
+  ]);
+  return res.status(201).json({ ok: true, id: brief.id, checkout: needsCheckout(brief) ? chargesFor(brief) : null, portal });
+}
@@ -0,0 +1,22 @@
+import { allowMethods } from "../../../../lib/api";
+import { DOCUMENT_FORMATS, renderBriefDocument } from "../../../../lib/briefDocument";
+import { getStore } from "../../../../lib/store";
+
+/**
+ * GET /api/brief/:id/document?format=pdf|md – the launch brief as a download
+ * (lib/briefDocument.js). The brief id is the client's capability, as for the
+ * kickoff scheduler; `inline=1` opens the PDF in the browser instead.
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+  const format = String(req.query.format || "pdf");
+  if (!DOCUMENT_FORMATS[format]) return res.status(400).json({ ok: false, error: `Unknown format "${format}" (use pdf or md)` });
+  const brief = await getStore().collection("briefs").get(String(req.query.id));
+  if (!brief) return res.status(404).json({ ok: false, error: "We couldn't find that brief." });
+
+  const doc = renderBriefDocument(brief, format);
+  res.setHeader("Content-Type", doc.contentType);
+  res.setHeader("Content-Disposition", `${req.query.inline ? "inline" : "attachment"}; filename="${doc.filename}"`);
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).send(doc.content);
+}
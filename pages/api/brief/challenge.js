@@ -0,0 +1,15 @@
+import { allowMethods } from "../../../lib/api";
+import { issueChallenge } from "../../../lib/guard";
+
+/**
+ * GET /api/brief/challenge[?renew=<old token>] – a signed form token for
+ * POST /api/brief, with a proof-of-work puzzle when BRIEF_POW_DIFFICULTY is
+ * set (lib/guard).
+ *
+ * 200 { ok: true, token, pow: { salt, difficulty } | null, minSeconds, expiresAt }
+ */
+export default function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({ ok: true, ...issueChallenge({ renew: req.query.renew ? String(req.query.renew) : undefined }) });
+}
@@ -0,0 +1,19 @@
+import { isAdmin, isCron } from "../../../lib/adminAuth";
+import { allowMethods } from "../../../lib/api";
+import { sendKickoffReminders } from "../../../lib/email";
+
+/**
+ * GET|POST /api/cron/kickoff-reminders – email submitters who haven't booked
+ * a kickoff KICKOFF_REMINDER_HOURS after sending their brief. Call it from a
+ * scheduler (hourly is plenty) with `Authorization: Bearer $CRON_SECRET`, or
+ * while signed in to /admin.
+ *
+ * 200 { ok: true, results: [{ briefId, kind, status, error? }] }
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "POST"])) return;
+  if (!isCron(req) && !isAdmin(req)) return res.status(401).json({ ok: false, error: "Not authorized" });
+
+  const results = await sendKickoffReminders();
+  return res.status(200).json({ ok: true, results });
+}
@@ -0,0 +1,19 @@
+import { isAdmin, isCron } from "../../../lib/adminAuth";
+import { allowMethods } from "../../../lib/api";
+import { resyncBriefs } from "../../../lib/sync";
+
+/**
+ * GET|POST /api/cron/sync-briefs – retry the HubSpot/Notion sync of recent
+ * briefs whose quick attempt at submission failed (lib/sync). Call it from a
+ * scheduler (every 15 minutes or so) with `Authorization: Bearer
+ * $CRON_SECRET`, or while signed in to /admin.
+ *
+ * 200 { ok: true, results: [{ briefId, results: [{ provider, status, error? }] }] }
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "POST"])) return;
+  if (!isCron(req) && !isAdmin(req)) return res.status(401).json({ ok: false, error: "Not authorized" });
+
+  const results = await resyncBriefs();
+  return res.status(200).json({ ok: true, results });
+}
@@ -0,0 +1,39 @@
+import { allowMethods, clientIp, readJsonBody } from "../../../lib/api";
+import { getDraft, sanitizeDraft } from "../../../lib/draftStore";
+import { GuardError, recordDraftSave } from "../../../lib/guard";
+import { getStore } from "../../../lib/store";
+
+/**
+ * GET /api/drafts/:token – { ok: true, draft: { version, step, data, savedAt } }
+ * PUT /api/drafts/:token – overwrite an existing draft, { ok: true, token }
+ *                          (rate limited like POST /api/drafts)
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "PUT"])) return;
+  const { token } = req.query;
+
+  const existing = await getDraft(String(token));
+  if (!existing) return res.status(404).json({ ok: false, error: "This draft link has expired or doesn't exist" });
+
+  if (req.method === "GET") {
+    const { version, step, data, savedAt } = existing;
+    return res.status(200).json({ ok: true, draft: { version, step, data, savedAt } });
+  }
+
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  const draft = sanitizeDraft(body);
+  if (!draft) return res.status(422).json({ ok: false, error: "Unsupported draft format" });
+
+  try {
+    await recordDraftSave({ ip: clientIp(req) });
+  } catch (err) {
+    if (!(err instanceof GuardError)) throw err;
+    res.setHeader("Retry-After", String(err.retryAfter));
+    return res.status(err.status).json({ ok: false, error: err.message });
+  }
+  await getStore()
+    .collection("drafts")
+    .update(existing.id, (d) => ({ ...d, ...draft, savedAt: new Date().toISOString() }));
+  return res.status(200).json({ ok: true, token: existing.id });
+}
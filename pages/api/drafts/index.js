@@ -0,0 +1,29 @@
+import { allowMethods, clientIp, readJsonBody } from "../../../lib/api";
+import { pruneDrafts, sanitizeDraft } from "../../../lib/draftStore";
+import { GuardError, recordDraftSave } from "../../../lib/guard";
+import { getStore, newToken } from "../../../lib/store";
+
+/**
+ * POST /api/drafts – park a wizard draft server-side.
+ * Body: { version, step, data }. 201 { ok: true, token }
+ * 429 { ok: false, error } past BRIEF_DRAFT_IP_LIMIT saves per hour (see Retry-After)
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+
+  const draft = sanitizeDraft(body);
+  if (!draft) return res.status(422).json({ ok: false, error: "Unsupported draft format" });
+
+  try {
+    await recordDraftSave({ ip: clientIp(req) });
+  } catch (err) {
+    if (!(err instanceof GuardError)) throw err;
+    res.setHeader("Retry-After", String(err.retryAfter));
+    return res.status(err.status).json({ ok: false, error: err.message });
+  }
+  await pruneDrafts().catch((err) => console.error("[api/drafts] could not prune expired drafts", err));
+  const stored = await getStore().collection("drafts").insert({ id: newToken(), ...draft, savedAt: new Date().toISOString() });
+  return res.status(201).json({ ok: true, token: stored.id });
+}
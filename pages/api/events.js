@@ -0,0 +1,19 @@
+import { recordEvents } from "../../lib/analytics";
+import { allowMethods, readJsonBody } from "../../lib/api";
+
+/**
+ * POST /api/events – first-party analytics batches from
+ * lib/analytics/client.js. Always 204 (even for dropped events) so the
+ * tracker never retries or logs noise in the console.
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  try {
+    await recordEvents(body, { userAgent: String(req.headers["user-agent"] || "") });
+  } catch (err) {
+    console.error("[api/events] failed to store events", err);
+  }
+  return res.status(204).end();
+}
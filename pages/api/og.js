@@ -0,0 +1,41 @@
+import { ImageResponse } from "next/og";
+import { brandById, DEFAULT_BRAND } from "../../lib/brand";
+import { createTranslator } from "../../lib/i18n";
+import { SHARE_IMAGE } from "../../lib/seo";
+
+export const config = { runtime: "edge" };
+
+/**
+ * GET /api/og?brand=<id>&locale=<code> – the 1200×630 PNG share card for
+ * Open Graph/Twitter (lib/seo.js): the brand's logo, name and hero line on
+ * its colors.
+ */
+export default function handler(req) {
+  const { searchParams, origin } = new URL(req.url);
+  const brand = brandById(searchParams.get("brand")) || DEFAULT_BRAND;
+  const t = createTranslator(searchParams.get("locale"), brand);
+  const { primaryGreen, primaryDark } = brand.colors;
+
+  return new ImageResponse(
+    (
+      <div style={{ width: "100%", height: "100%", display: "flex", flexDirection: "column", justifyContent: "space-between", backgroundColor: primaryDark, color: "#fff" }}>
+        <div style={{ display: "flex", flexDirection: "column", padding: "72px 80px 0" }}>
+          <div style={{ display: "flex", alignItems: "center" }}>
+            {brand.logo ? (
+              <img src={origin + brand.logo.src} width={88} height={88} style={{ borderRadius: 16, marginRight: 24 }} />
+            ) : (
+              <div style={{ width: 88, height: 88, borderRadius: 16, marginRight: 24, backgroundColor: primaryGreen }} />
+            )}
+            <div style={{ fontSize: 40, fontWeight: 700 }}>{brand.name}</div>
+          </div>
+          <div style={{ marginTop: 56, fontSize: 64, fontWeight: 700, lineHeight: 1.15, maxWidth: 1040 }}>{t("hero.title")}</div>
+          <div style={{ marginTop: 28, display: "flex" }}>
+            <div style={{ fontSize: 28, padding: "10px 22px", borderRadius: 999, border: `2px solid ${primaryGreen}`, color: primaryGreen }}>{t("hero.badge")}</div>
+          </div>
+        </div>
+        <div style={{ height: 20, backgroundColor: primaryGreen }} />
+      </div>
+    ),
+    { ...SHARE_IMAGE, headers: { "Cache-Control": "public, max-age=86400" } },
+  );
+}
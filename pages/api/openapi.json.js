@@ -0,0 +1,11 @@
+import { allowMethods, siteUrl } from "../../lib/api";
+import { brandForHost } from "../../lib/brand";
+import { openApiSpec } from "../../lib/openapi";
+
+/** GET /api/openapi.json – the brief API's OpenAPI document (lib/openapi.js). */
+export default function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  return res.status(200).json(openApiSpec({ baseUrl: siteUrl(brandForHost(req.headers.host)) }));
+}
@@ -0,0 +1,31 @@
+import { allowMethods, readJsonBody } from "../../../lib/api";
+import { checkoutSummary, CheckoutError, startCheckout } from "../../../lib/payments";
+import { getStore } from "../../../lib/store";
+
+/**
+ * GET  /api/payments/checkout?briefId=… – { ok, enabled, charges, status }
+ * POST /api/payments/checkout { briefId } – { ok, url } to redirect to
+ *
+ * 404 unknown brief · 409 already paid · 501 payments not configured
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "POST"])) return;
+
+  if (req.method === "GET") {
+    const brief = await getStore().collection("briefs").get(String(req.query.briefId || ""));
+    if (!brief) return res.status(404).json({ ok: false, error: "We couldn't find that brief." });
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({ ok: true, ...checkoutSummary(brief) });
+  }
+
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  try {
+    const { url } = await startCheckout(body && body.briefId);
+    return res.status(200).json({ ok: true, url });
+  } catch (err) {
+    if (err instanceof CheckoutError) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("[api/payments/checkout] failed to start checkout", err);
+    return res.status(502).json({ ok: false, error: "We couldn't reach the payment provider. Please try again." });
+  }
+}
@@ -0,0 +1,34 @@
+import { allowMethods } from "../../../lib/api";
+import { getPaymentsAdapter, handlePaymentEvent, WebhookSignatureError } from "../../../lib/payments";
+
+// Signatures are computed over the exact bytes sent, so skip Next's JSON parsing
+export const config = { api: { bodyParser: false } };
+
+async function rawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * POST /api/payments/webhook – Stripe events (configure the endpoint with
+ * STRIPE_WEBHOOK_SECRET). 501 until that secret is set, 400 on a bad
+ * signature; anything verified gets a 200 so Stripe stops retrying, even if
+ * we ignore the event type.
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+  const adapter = getPaymentsAdapter();
+  if (!adapter) return res.status(501).json({ ok: false, error: "Payments are not configured" });
+  if (!adapter.webhooks) return res.status(501).json({ ok: false, error: "Payment webhooks are not configured" });
+
+  let update;
+  try {
+    update = adapter.parseWebhook(await rawBody(req), req.headers);
+  } catch (err) {
+    if (err instanceof WebhookSignatureError || err instanceof SyntaxError) return res.status(400).json({ ok: false, error: err.message });
+    throw err;
+  }
+  const result = await handlePaymentEvent(update);
+  return res.status(200).json({ ok: true, ...result });
+}
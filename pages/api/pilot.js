@@ -0,0 +1,11 @@
+import { allowMethods } from "../../lib/api";
+import { resolveBrand } from "../../lib/brand";
+import { getPilotAvailability } from "../../lib/pilot";
+
+/** GET /api/pilot?brand=<id> – { ok, limit, taken, remaining } pilot spots of the brand (else the host's). */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+  const spots = await getPilotAvailability(resolveBrand({ id: req.query.brand, host: req.headers.host }));
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({ ok: true, ...spots });
+}
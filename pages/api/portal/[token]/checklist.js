@@ -0,0 +1,19 @@
+import { allowMethods, readJsonBody } from "../../../../lib/api";
+import { briefForPortal, markChecklistItem, PortalError, portalView } from "../../../../lib/portal";
+
+/** PATCH /api/portal/:token/checklist { item, done } – the client ticks off (or reopens) an item, { ok, checklist }. */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["PATCH"])) return;
+  const brief = await briefForPortal(req.query.token);
+  if (!brief) return res.status(404).json({ ok: false, error: "This portal link doesn't exist." });
+
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  try {
+    const updated = await markChecklistItem(brief.id, String((body && body.item) || ""), !!(body && body.done));
+    return res.status(200).json({ ok: true, checklist: portalView(updated).checklist });
+  } catch (err) {
+    if (err instanceof PortalError) return res.status(err.status).json({ ok: false, error: err.message });
+    throw err;
+  }
+}
@@ -0,0 +1,42 @@
+import { allowMethods, readJsonBody, siteUrl } from "../../../../lib/api";
+import { brandOf } from "../../../../lib/brand";
+import { sendChangeEmail } from "../../../../lib/email";
+import { briefForPortal, editBrief, PortalError, portalView } from "../../../../lib/portal";
+
+/**
+ * The client portal (/portal/:token) talks to this route.
+ *
+ * GET                      – { ok, portal } (lib/portal.js portalView)
+ * PATCH { values }         – change answers that aren't locked, { ok, portal }
+ *                            422 { ok: false, error, fields } for locked or invalid ones
+ *
+ * Edits are recorded in brief.changeHistory and emailed to the team before
+ * the response goes out.
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "PATCH"])) return;
+  const brief = await briefForPortal(req.query.token);
+  if (!brief) return res.status(404).json({ ok: false, error: "This portal link doesn't exist." });
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "GET") return res.status(200).json({ ok: true, portal: portalView(brief) });
+
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  let updated;
+  try {
+    updated = await editBrief(brief.id, body && body.values);
+  } catch (err) {
+    if (err instanceof PortalError) return res.status(err.status).json({ ok: false, error: err.message, ...(err.fields ? { fields: err.fields } : {}) });
+    throw err;
+  }
+  const history = updated.changeHistory || [];
+  if (history.length > (brief.changeHistory || []).length) {
+    try {
+      await sendChangeEmail(brief.id, history[history.length - 1], { baseUrl: siteUrl(brandOf(brief)) });
+    } catch (err) {
+      console.error(`[api/portal] change email failed for ${brief.id}`, err);
+    }
+  }
+  return res.status(200).json({ ok: true, portal: portalView(updated) });
+}
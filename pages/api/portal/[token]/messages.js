@@ -0,0 +1,27 @@
+import { allowMethods, readJsonBody, siteUrl } from "../../../../lib/api";
+import { brandOf } from "../../../../lib/brand";
+import { sendMessageEmail } from "../../../../lib/email";
+import { addMessage, briefForPortal, PortalError, portalView } from "../../../../lib/portal";
+
+/** POST /api/portal/:token/messages { text } – the client writes to the team, 201 { ok, messages }. */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+  const brief = await briefForPortal(req.query.token);
+  if (!brief) return res.status(404).json({ ok: false, error: "This portal link doesn't exist." });
+
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  let added;
+  try {
+    added = await addMessage(brief.id, body && body.text, { from: "client" });
+  } catch (err) {
+    if (err instanceof PortalError) return res.status(err.status).json({ ok: false, error: err.message, fields: err.fields });
+    throw err;
+  }
+  try {
+    await sendMessageEmail(brief.id, added.message, { baseUrl: siteUrl(brandOf(brief)) });
+  } catch (err) {
+    console.error(`[api/portal] message email failed for ${brief.id}`, err);
+  }
+  return res.status(201).json({ ok: true, messages: portalView(added.brief).messages });
+}
@@ -0,0 +1,19 @@
+import { allowMethods, siteUrl } from "../../../../../lib/api";
+import { brandOf, brandSlug } from "../../../../../lib/brand";
+import { clientInvite } from "../../../../../lib/scheduler";
+import { getBooking } from "../../../../../lib/scheduler/bookings";
+import { getStore } from "../../../../../lib/store";
+
+/** GET /api/scheduler/bookings/:token/ics – the client's calendar invite. */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+  const booking = await getBooking(String(req.query.token));
+  const brief = booking && (await getStore().collection("briefs").get(booking.briefId));
+  if (!brief) return res.status(404).json({ ok: false, error: "This booking link doesn't exist." });
+
+  const brand = brandOf(brief);
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${brandSlug(brand)}-kickoff.ics"`);
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).send(clientInvite(booking, brief, siteUrl(brand)));
+}
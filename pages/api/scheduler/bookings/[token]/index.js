@@ -0,0 +1,38 @@
+import { allowMethods, readJsonBody } from "../../../../../lib/api";
+import { publicBooking, SchedulerError, schedulerForBrief } from "../../../../../lib/scheduler";
+import { getBooking, openSlots } from "../../../../../lib/scheduler/bookings";
+
+/**
+ * The client's reschedule/cancel link (/kickoff/:token) talks to this route.
+ *
+ * GET    – { ok, booking, timezone, slotMinutes, slots } (slots it could move to)
+ * PATCH  { start, timezone } – reschedule, { ok, booking }
+ * DELETE – cancel, { ok, booking }
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "PATCH", "DELETE"])) return;
+  const token = String(req.query.token);
+
+  if (req.method === "GET") {
+    const booking = await getBooking(token);
+    if (!booking) return res.status(404).json({ ok: false, error: "This booking link doesn't exist." });
+    const { settings, slots } = await openSlots(token);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({ ok: true, booking: publicBooking(booking), timezone: settings.timezone, slotMinutes: settings.slotMinutes, slots });
+  }
+
+  const body = req.method === "PATCH" ? readJsonBody(req, res) : {};
+  if (body === undefined) return;
+  try {
+    const existing = await getBooking(token);
+    const scheduler = await schedulerForBrief(existing && existing.briefId);
+    const booking =
+      req.method === "PATCH"
+        ? await scheduler.reschedule(token, { start: String(body?.start || ""), timezone: String(body?.timezone || "") })
+        : await scheduler.cancel(token);
+    return res.status(200).json({ ok: true, booking: publicBooking(booking) });
+  } catch (err) {
+    if (err instanceof SchedulerError) return res.status(err.status).json({ ok: false, error: err.message });
+    throw err;
+  }
+}
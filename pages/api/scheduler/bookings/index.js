@@ -0,0 +1,27 @@
+import { allowMethods, readJsonBody } from "../../../../lib/api";
+import { publicBooking, SchedulerError, schedulerForBrief } from "../../../../lib/scheduler";
+
+/**
+ * POST /api/scheduler/bookings { briefId, start, timezone } – book a kickoff.
+ *
+ * 201 { ok: true, booking }   booking.manageUrl is the reschedule/cancel link
+ * 404                         unknown brief
+ * 409                         slot taken, or the brief already has a kickoff
+ * 422                         missing/invalid start
+ * 501                         the active provider books elsewhere (HubSpot)
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+
+  const { briefId, start, timezone } = body || {};
+  try {
+    const scheduler = await schedulerForBrief(String(briefId || ""));
+    const booking = await scheduler.book({ briefId: String(briefId || ""), start: String(start || ""), timezone: String(timezone || "") });
+    return res.status(201).json({ ok: true, booking: publicBooking(booking) });
+  } catch (err) {
+    if (err instanceof SchedulerError) return res.status(err.status).json({ ok: false, error: err.message });
+    throw err;
+  }
+}
@@ -0,0 +1,20 @@
+import { allowMethods } from "../../../lib/api";
+import { brandOf } from "../../../lib/brand";
+import { getScheduler } from "../../../lib/scheduler";
+import { getStore } from "../../../lib/store";
+
+/**
+ * GET /api/scheduler?briefId=… – what the confirmation step should render
+ * (the provider is per brand, see lib/scheduler):
+ *
+ *   { ok, provider: "builtin", timezone, slotMinutes, slots: [iso], booking | null }
+ *   { ok, provider: "hubspot", embedUrl }
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+  const brief = await getStore().collection("briefs").get(String(req.query.briefId || ""));
+  if (!brief) return res.status(404).json({ ok: false, error: "We couldn't find that brief." });
+
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({ ok: true, ...(await getScheduler(process.env, brandOf(brief)).forBrief(brief)) });
+}
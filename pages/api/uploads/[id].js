@@ -0,0 +1,31 @@
+import { allowMethods } from "../../../lib/api";
+import { getFileStorage } from "../../../lib/fileStorage";
+import { getStore } from "../../../lib/store";
+import { isImage } from "../../../lib/uploads";
+
+/**
+ * GET /api/uploads/:id – serve an uploaded asset (thumbnails, admin review).
+ * Ids are unguessable tokens. Files are served sandboxed so an uploaded SVG
+ * or HTML-ish doc can't run script on our origin.
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+  const upload = await getStore().collection("uploads").get(String(req.query.id));
+  if (!upload) return res.status(404).json({ ok: false, error: "File not found" });
+
+  const inline = isImage(upload) || upload.type === "application/pdf";
+  res.setHeader("Content-Type", upload.type);
+  res.setHeader("Content-Length", String(upload.size));
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+  res.setHeader("Content-Disposition", `${inline ? "inline" : "attachment"}; filename*=UTF-8''${encodeURIComponent(upload.name)}`);
+  res.setHeader("Cache-Control", "private, max-age=3600");
+
+  const stream = getFileStorage().read(upload.id);
+  stream.on("error", (err) => {
+    console.error(`[api/uploads] failed to read ${upload.id}`, err);
+    if (!res.headersSent) res.status(500).end();
+    else res.destroy(err);
+  });
+  stream.pipe(res);
+}
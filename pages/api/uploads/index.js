@@ -0,0 +1,82 @@
+import { allowMethods, clientIp } from "../../../lib/api";
+import { resolveBrand } from "../../../lib/brand";
+import { getFileStorage, TooLargeError } from "../../../lib/fileStorage";
+import { checkToken, GuardError, logRejection, reserveUpload } from "../../../lib/guard";
+import { createTranslator } from "../../../lib/i18n";
+import { getStore, newToken } from "../../../lib/store";
+import { pruneUploads } from "../../../lib/uploadStore";
+import { checkUpload, formatBytes, MAX_UPLOAD_BYTES, normalizeFileRefs, resolveUploadType } from "../../../lib/uploads";
+
+// We stream the raw body to storage ourselves
+export const config = { api: { bodyParser: false } };
+
+// GuardError reason -> lib/i18n message; token problems ask for a reload
+const GUARD_MESSAGES = { "rate-upload": "uploads.rateLimited", "upload-quota": "uploads.quota" };
+
+/**
+ * POST /api/uploads[?locale=es] – upload one brand asset.
+ *
+ * The request body is the raw file; send its MIME type as Content-Type, its
+ * (URI-encoded) name in X-File-Name and the wizard's form token (from
+ * /api/brief/challenge) in X-Form-Token. Responds 201 { ok, file } where
+ * `file` is the reference the wizard puts in `assetFiles`; /api/brief
+ * attaches it to the brief on submit.
+ *
+ * Uploads are rate limited per IP and capped in total per form token
+ * (lib/guard); refusals are 4xx { ok: false, error, code } and logged for
+ * /admin/spam. Errors are in `locale`. Unclaimed uploads are pruned after
+ * UPLOAD_UNCLAIMED_HOURS (lib/uploadStore.js).
+ */
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+  const t = createTranslator(req.query.locale, resolveBrand({ host: req.headers.host }));
+  const ip = clientIp(req);
+
+  let name;
+  try {
+    name = decodeURIComponent(String(req.headers["x-file-name"] || "")).replace(/[\\/\0]/g, "_").slice(0, 200);
+  } catch {
+    name = "";
+  }
+  if (!name) return res.status(400).json({ ok: false, error: "Missing X-File-Name header" });
+
+  const type = resolveUploadType(name, String(req.headers["content-type"] || "").split(";")[0].trim());
+  const declared = Number(req.headers["content-length"]);
+  const problem = checkUpload({ name, type, size: Number.isFinite(declared) ? declared : 1 }, t.locale);
+  if (problem) return res.status(type ? 413 : 415).json({ ok: false, error: problem });
+
+  // Without a Content-Length the file may be anything up to the limit
+  const maxBytes = Number.isFinite(declared) ? declared : MAX_UPLOAD_BYTES;
+  let settle;
+  try {
+    settle = await reserveUpload({ ip, claims: checkToken(req.headers["x-form-token"]), bytes: maxBytes });
+  } catch (err) {
+    if (!(err instanceof GuardError)) throw err;
+    logRejection(err, { ip, userAgent: req.headers["user-agent"] }).catch((e) => console.error("[api/uploads] could not log rejection", e));
+    if (err.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+    return res.status(err.status).json({ ok: false, error: t(GUARD_MESSAGES[err.reason] || "uploads.reload"), code: err.reason });
+  }
+  await pruneUploads().catch((err) => console.error("[api/uploads] could not prune old uploads", err));
+
+  const id = newToken(16);
+  let size = 0;
+  try {
+    ({ size } = await getFileStorage().put(id, req, { maxBytes }));
+  } catch (err) {
+    await settle(0);
+    if (err instanceof TooLargeError) {
+      return res.status(413).json({ ok: false, error: t("uploads.overLimit", { name, limit: formatBytes(MAX_UPLOAD_BYTES) }) });
+    }
+    console.error("[api/uploads] failed to store upload", err);
+    return res.status(500).json({ ok: false, error: t("uploads.retry", { name }) });
+  }
+  await settle(size);
+  if (!size) {
+    await getFileStorage().remove(id);
+    return res.status(400).json({ ok: false, error: t("uploads.empty", { name }) });
+  }
+
+  await getStore().collection("uploads").insert({ id, name, type, size, briefId: null });
+  const [file] = normalizeFileRefs([{ id, name, type, size }]);
+  return res.status(201).json({ ok: true, file });
+}
@@ -0,0 +1,4 @@
+import { briefReadHandler } from "../../../../lib/briefApi";
+
+// GET /api/v1/briefs/:id – { ok, brief } as a v1 document (lib/briefApi.js)
+export default briefReadHandler(1);
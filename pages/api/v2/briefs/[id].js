@@ -0,0 +1,4 @@
+import { briefReadHandler } from "../../../../lib/briefApi";
+
+// GET /api/v2/briefs/:id – { ok, brief } as a v2 document (lib/briefApi.js)
+export default briefReadHandler(2);
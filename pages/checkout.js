@@ -0,0 +1,60 @@
+import Head from "next/head";
+import Link from "next/link";
+import { useBrand } from "../components/BrandProvider";
+import CheckoutPanel from "../components/CheckoutPanel";
+import LanguageSwitcher from "../components/LanguageSwitcher";
+import { useT } from "../components/LocaleProvider";
+import { brandOf } from "../lib/brand";
+import { checkoutSummary } from "../lib/payments";
+import { getStore } from "../lib/store";
+import { COLORS } from "../lib/theme";
+
+export async function getServerSideProps(ctx) {
+  const briefId = String(ctx.query.brief || "");
+  const brief = briefId ? await getStore().collection("briefs").get(briefId) : null;
+  if (!brief) return { notFound: true };
+  return { props: { brand: brandOf(brief).id, briefId, canceled: ctx.query.canceled === "1", ...checkoutSummary(brief) } };
+}
+
+const PAID = ["paid", "processing", "past_due"];
+
+/**
+ * /checkout?brief=… – pay for a stored brief outside the wizard. Checkout's
+ * cancel URL lands here, so a client who backed out can try again.
+ */
+export default function Checkout({ briefId, canceled, enabled, charges, status }) {
+  const t = useT();
+  const brand = useBrand();
+  return (
+    <div className="min-h-screen w-full" style={{ backgroundColor: COLORS.primaryLight }}>
+      <Head>
+        <title>{`${t("checkout.title")} · ${brand.name}`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <header className="border-b bg-white">
+        <div className="mx-auto flex w-full max-w-3xl items-center justify-between gap-2 px-4 py-3 sm:px-6">
+          <Link href="/" className="flex items-center gap-2">
+            <div className="h-6 w-6 rounded-md" style={{ backgroundColor: COLORS.primaryGreen }} />
+            <span className="text-sm font-semibold" style={{ color: COLORS.primaryDark }}>{brand.name}</span>
+          </Link>
+          <LanguageSwitcher />
+        </div>
+      </header>
+      <main className="mx-auto w-full max-w-3xl px-4 py-10 sm:px-6">
+        <h1 className="text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>{t("checkout.title")}</h1>
+        <div className="mt-6 rounded-xl border bg-white p-6 shadow-sm">
+          {PAID.includes(status) ? (
+            <p className="text-sm text-slate-700">
+              {t("checkout.paid")}{" "}
+              <Link href={`/kickoff?brief=${encodeURIComponent(briefId)}`} className="font-semibold underline underline-offset-4">{t("checkout.bookKickoff")}</Link>
+            </p>
+          ) : !enabled || !charges ? (
+            <p className="text-sm text-slate-700">{t("checkout.unavailable")}</p>
+          ) : (
+            <CheckoutPanel briefId={briefId} charges={charges} notice={canceled ? t("checkout.canceled") : ""} />
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
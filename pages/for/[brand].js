@@ -0,0 +1,19 @@
+import { BRANDS, brandById } from "../../lib/brand";
+import App from "../index";
+
+/**
+ * /for/<brand> – the landing page and wizard under one brand (config/brands),
+ * whatever the hostname. Handy for partners before their domain is set up,
+ * and what middleware.js serves at "/" on a brand's own hostname.
+ */
+export async function getStaticPaths({ locales }) {
+  return { paths: BRANDS.flatMap((b) => locales.map((locale) => ({ params: { brand: b.id }, locale }))), fallback: false };
+}
+
+export async function getStaticProps({ params }) {
+  const brand = brandById(params.brand);
+  if (!brand) return { notFound: true };
+  return { props: { brand: brand.id, year: new Date().getFullYear() }, revalidate: 86400 };
+}
+
+export default App;
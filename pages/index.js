@@ -1,328 +1,521 @@
-import React, { useRef, useState, useEffect } from "react";
+import React, { useCallback, useRef, useState, useEffect } from "react";
+import Link from "next/link";
 import { motion, AnimatePresence } from "framer-motion";
-import { Calendar, Rocket, FileText, CheckCircle2, ArrowRight, ChevronLeft, ChevronRight } from "lucide-react";
+import { CheckCircle2, ChevronLeft, ChevronRight, CloudOff, LayoutDashboard, UploadCloud } from "lucide-react";
+import { useBrand } from "../components/BrandProvider";
+import BriefDownloads from "../components/BriefDownloads";
+import CheckoutPanel from "../components/CheckoutPanel";
+import KickoffScheduler from "../components/KickoffScheduler";
+import { Hero, HowItWorks, LandingFooter, LandingHeader, Plans, Section, spotsLeftText, WhyUs } from "../components/LandingSections";
+import { Rich, useT } from "../components/LocaleProvider";
+import OutboxStatus from "../components/OutboxStatus";
+import LandingMeta from "../components/LandingMeta";
+import SprintPlan from "../components/SprintPlan";
+import { FileThumb, SummaryCard } from "../components/SummaryCard";
+import { track } from "../lib/analytics/client";
+import { DEFAULT_BRAND } from "../lib/brand";
+import { validateBrief } from "../lib/brief";
+import { PILOT_SPOT_LIMIT, plansFor } from "../lib/plans";
+import { COLORS, tint } from "../lib/theme";
+import { activeSteps, defaultValues, fieldByName, localizeField, localizeStep, stepIndexOfField, summarize, validateValues } from "../lib/schema";
+import { checkFeasibility, earliestStart, formatDay, localDay } from "../lib/sprint";
+import { getOutbox, RENEW_TOKEN_CODES, requestChallenge, SUBMIT_ENDPOINT, submitBrief } from "../lib/submit";
+import { checkUpload, MAX_FILES_PER_BRIEF, UPLOAD_ACCEPT, uploadFile } from "../lib/uploads";
+import { clearLocalDraft, draftLink, loadLocalDraft, loadRemoteDraft, saveLocalDraft, saveRemoteDraft } from "../lib/draft";
 
 /**
  * Blossom.Launch – Single‑file App (Landing + Wizard + Scheduler)
  *
- * Fix for 405 error: This file now includes a resilient submit() that
- * attempts the POST to /api/brief and automatically falls back to a
- * "preview/mock" mode when the backend is not available (405/404/5xx
- * or network error). This lets you run the Canvas without a server.
+ * Submissions go through submitBrief() (lib/submit.js), which POSTs to the
+ * brief endpoint from config/site.js. When it can't be reached the brief
+ * waits in the browser outbox (lib/outbox.js) and the confirmation says so
+ * until it's delivered. Mock mode (NEXT_PUBLIC_SUBMIT_MODE=mock) is for
+ * design previews only and never falls back silently.
  *
- * Tests: lightweight inline tests run in dev/preview to verify payload
- * shape and mock fallback behavior (see runInlineTests()).
+ * The route lives in pages/api/brief.js. Steps, fields and validation rules
+ * come from lib/schema.js, which the route shares via lib/brief.js. Copy
+ * comes from the lib/i18n catalogs for the current locale (useT()).
+ *
+ * Name, logo, colors, copy overrides, plans, scheduler and brief endpoint
+ * come from the brand (config/brands): picked by hostname (middleware.js)
+ * or by route at /for/<id> (pages/for/[brand].js). Briefs are tagged with its id.
+ *
+ * The landing sections (components/LandingSections.js) and metadata
+ * (components/LandingMeta.js) only depend on the brand and locale, so the page
+ * is pre-rendered; the wizard takes over in the browser.
+ *
+ * Tests live in tests/ (npm test; npm run test:e2e for the browser flow).
  */
 
-// Brand colors (hex)
-const COLORS = {
-  primaryGreen: "#00C853",
-  primaryDark: "#0B0E14",
-  primaryLight: "#F9FAFB",
-};
-
-// External: your HubSpot meeting URL (embedded after submit)
-const HUBSPOT_MEETING_URL =
-  "https://meetings.hubspot.com/oscar8/meet-with-oscar-from-blossom?uuid=11fb153a-154a-44f5-890c-349bd6ec4939";
-
-// Serverless endpoint (Next.js / Vercel or Netlify function)
-const SUBMIT_ENDPOINT = "/api/brief";
-
 // ---------- Small UI helpers ----------
-const Section = ({ id, className = "", children }) => (
-  <section id={id} className={`mx-auto w-full max-w-6xl px-4 sm:px-6 ${className}`}>{children}</section>
-);
-
-const Field = ({ label, required, hint, children }) => (
+const Field = ({ id, label, required, hint, error, children }) => (
   <label className="block">
     <span className="mb-2 block text-sm font-medium" style={{ color: COLORS.primaryDark }}>
       {label}
       {required ? <span className="text-red-500">*</span> : null}
     </span>
     {children}
-    {hint ? <span className="mt-1 block text-xs text-neutral-500">{hint}</span> : null}
+    {hint ? <span id={id ? `${id}-hint` : undefined} className="mt-1 block text-xs text-neutral-500">{hint}</span> : null}
+    {error ? <span id={id ? `${id}-error` : undefined} className="mt-1 block text-xs font-medium text-red-600">{error}</span> : null}
   </label>
 );
 
-const StepHeader = ({ stepIndex, steps }) => {
+const StepHeader = ({ stepIndex, steps, savedAt }) => {
+  const t = useT();
   const pct = Math.round(((stepIndex + 1) / steps.length) * 100);
   return (
     <div className="mb-6">
-      <h2 className="text-3xl font-bold sm:text-4xl" style={{ color: COLORS.primaryDark }}>Start Your Sprint</h2>
+      <h2 className="text-3xl font-bold sm:text-4xl" style={{ color: COLORS.primaryDark }}>{t("wizard.title")}</h2>
       <p className="mt-2 max-w-2xl text-slate-700">
-        This is your quick launch plan. <strong>No buzzwords, no tech overwhelm</strong> — just your idea, your
-        vision, and the essentials we need to get you live in 14 days.
+        <Rich t={t} id="wizard.intro" vars={{ emphasis: <strong>{t("wizard.introEmphasis")}</strong> }} />
       </p>
       <div className="mt-4 h-2 w-full overflow-hidden rounded-full bg-slate-200">
         <div className="h-full rounded-full" style={{ width: `${pct}%`, backgroundColor: COLORS.primaryGreen }} />
       </div>
-      <div className="mt-1 text-xs text-slate-600">Progress saved ✅</div>
+      <div className="mt-1 text-xs text-slate-600">
+        {t("wizard.progress", { current: Math.min(stepIndex + 1, steps.length), total: steps.length, title: steps[stepIndex]?.title })} ·{" "}
+        {savedAt ? t("wizard.saved") : t("wizard.autosave")}
+      </div>
     </div>
   );
 };
 
-// Plans
-const plans = [
-  { id: "pilot", name: "Pilot – Maintenance", price: "$100/mo", sub: "Setup fee waived (first 10)", details: ["Hosting/security/updates", "Backups & uptime monitoring", "Bug fixes"] },
-  { id: "standard", name: "Standard – Setup + Maintenance", price: "$2,000 + $100/mo", sub: "After pilot", details: ["Everything in Pilot", "Handoff & training", "Launch checklist"] },
-  { id: "pro", name: "Pro – Growth", price: "$500/mo", sub: "Optional upgrade", details: ["Monthly analytics review", "Content updates", "Automations"] },
-];
-
-const PlanCard = ({ plan, selected, onSelect }) => (
-  <button
-    type="button"
-    onClick={() => onSelect(plan.id)}
-    className={`w-full rounded-xl border p-5 text-left shadow-sm transition hover:shadow-md ${selected ? "ring-2 ring-offset-1" : ""}`}
-    style={{ borderColor: selected ? COLORS.primaryGreen : "#e5e7eb", boxShadow: selected ? `0 0 0 2px ${COLORS.primaryGreen}33` : undefined }}
-  >
-    <div className="flex items-center justify-between">
-      <div>
-        <div className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{plan.name}</div>
-        <div className="text-sm text-slate-600">{plan.sub}</div>
-      </div>
-      <div className="text-lg font-bold" style={{ color: COLORS.primaryGreen }}>{plan.price}</div>
+const ContinueLater = ({ link, saving, error, onSave }) => {
+  const t = useT();
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-3 text-sm text-slate-700">
+      <button type="button" onClick={onSave} disabled={saving} className="rounded-md border bg-white px-3 py-1.5 font-medium transition hover:shadow-sm disabled:opacity-60" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
+        {saving ? t("draft.saving") : link ? t("draft.update") : t("draft.later")}
+      </button>
+      {link ? (
+        <span className="flex min-w-0 flex-1 items-center gap-2">
+          <input readOnly value={link} onFocus={(e) => e.target.select()} className="min-w-0 flex-1 rounded-md border px-2 py-1 text-xs" style={{ borderColor: "#e5e7eb" }} aria-label={t("draft.linkLabel")} />
+          <button type="button" onClick={() => navigator.clipboard && navigator.clipboard.writeText(link)} className="text-xs font-semibold underline-offset-4 hover:underline" style={{ color: COLORS.primaryGreen }}>
+            {t("draft.copy")}
+          </button>
+        </span>
+      ) : null}
+      {error ? <span className="text-xs text-red-600">{error}</span> : null}
     </div>
-    <ul className="mt-3 list-disc space-y-1 pl-5 text-sm text-slate-700">
-      {plan.details.map((d, i) => (
-        <li key={String(i)}>{d}</li>
-      ))}
-    </ul>
-  </button>
+  );
+};
+
+const PlanCard = ({ plan, selected, onSelect, disabled, badge, children }) => (
+  <div className="flex flex-col gap-2">
+    <button
+      type="button"
+      onClick={() => onSelect(plan.id)}
+      disabled={!!disabled}
+      aria-pressed={selected}
+      className={`w-full flex-1 rounded-xl border p-5 text-left shadow-sm transition hover:shadow-md disabled:cursor-not-allowed disabled:opacity-60 disabled:hover:shadow-sm ${selected ? "ring-2 ring-offset-1" : ""}`}
+      style={{ borderColor: selected ? COLORS.primaryGreen : "#e5e7eb", boxShadow: selected ? `0 0 0 2px ${tint(COLORS.primaryGreen, 0.2)}` : undefined }}
+    >
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{plan.name}</div>
+          <div className="text-sm text-slate-600">{plan.sub}</div>
+        </div>
+        <div className="text-lg font-bold" style={{ color: COLORS.primaryGreen }}>{plan.price}</div>
+      </div>
+      {badge ? <div className="mt-2 text-xs font-semibold" style={{ color: COLORS.primaryDark }}>{badge}</div> : null}
+      <ul className="mt-3 list-disc space-y-1 pl-5 text-sm text-slate-700">
+        {plan.details.map((d, i) => (
+          <li key={String(i)}>{d}</li>
+        ))}
+      </ul>
+    </button>
+    {children}
+  </div>
 );
 
-// ---------- Submit helper with graceful fallback ----------
-function normalizePayload(d) {
-  // Ensure all values are serializable strings/bools for HubSpot/Notion
-  return {
-    name: String(d.name || ""),
-    email: String(d.email || ""),
-    company: String(d.company || ""),
-    oneLiner: String(d.oneLiner || ""),
-    customer: String(d.customer || ""),
-    problem: String(d.problem || ""),
-    success: String(d.success || ""),
-    mustHaves: String(d.mustHaves || ""),
-    niceToHaves: String(d.niceToHaves || ""),
-    integrations: String(d.integrations || ""),
-    assets: String(d.assets || ""),
-    targetDate: String(d.targetDate || ""),
-    deadline: String(d.deadline || ""),
-    availability: String(d.availability || "same-day"),
-    plan: String(d.plan || "pilot"),
-    agreeScope: !!d.agreeScope,
-    caseStudyOptIn: !!d.caseStudyOptIn,
-  };
+// Live pilot availability of the brand from /api/pilot. `remaining` stays null
+// when the backend isn't reachable (preview), in which case we show the static copy.
+function usePilotSpots(brandId) {
+  const [spots, setSpots] = useState({ limit: PILOT_SPOT_LIMIT, remaining: null });
+  const refresh = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/pilot?brand=${encodeURIComponent(brandId)}`);
+      if (!res.ok) return;
+      const json = await res.json();
+      setSpots({ limit: json.limit, remaining: json.remaining });
+    } catch {
+      // keep the last known value
+    }
+  }, [brandId]);
+  useEffect(() => {
+    refresh();
+    const t = setInterval(refresh, 60000);
+    return () => clearInterval(t);
+  }, [refresh]);
+  return [spots, refresh];
 }
 
-async function submitBrief(payload, endpoint = SUBMIT_ENDPOINT) {
-  const body = JSON.stringify(normalizePayload(payload));
-  try {
-    const res = await fetch(endpoint, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body,
-    });
-    if (res.ok) return { ok: true, mode: "server" };
-    // Non-OK: allow graceful preview if server rejects method/path
-    if ([404, 405, 501].includes(res.status)) {
-      console.warn(`[preview] Backend not available (${res.status}). Falling back to mock.`);
-      await new Promise((r) => setTimeout(r, 400));
-      return { ok: true, mode: "mock" };
+// Form token (+ proof-of-work when the server asks for it) for the spam
+// checks on /api/brief and /api/uploads (lib/guard). The work starts as soon as the page loads
+// so it's usually done by the time the visitor reaches Review.
+function useFormGuard(endpoint) {
+  const challenge = useRef(null); // { token, nonce: Promise }
+  const fetchChallenge = useCallback(async (renew) => {
+    try {
+      challenge.current = await requestChallenge(renew, endpoint);
+    } catch {
+      challenge.current = null;
     }
-    // Other error codes are surfaced
-    const text = await res.text();
-    return { ok: false, error: `HTTP ${res.status}: ${text}` };
-  } catch (err) {
-    console.warn(`[preview] Network error. Falling back to mock.`, err);
-    await new Promise((r) => setTimeout(r, 400));
-    return { ok: true, mode: "mock" };
-  }
+    return challenge.current;
+  }, [endpoint]);
+  useEffect(() => {
+    fetchChallenge();
+  }, [fetchChallenge]);
+
+  // { token, nonce } to send with the brief, or null without a backend
+  const fields = useCallback(async () => {
+    const c = challenge.current || (await fetchChallenge());
+    return c ? { token: c.token, nonce: await c.nonce } : null;
+  }, [fetchChallenge]);
+  // Uploads only need the token
+  const token = useCallback(async () => {
+    const c = challenge.current || (await fetchChallenge());
+    return c ? c.token : null;
+  }, [fetchChallenge]);
+  const renew = useCallback(() => fetchChallenge(challenge.current && challenge.current.token), [fetchChallenge]);
+  return { fields, token, renew };
+}
+
+// Briefs waiting in the browser outbox (lib/outbox.js). Retrying starts with
+// the page, so briefs queued on an earlier visit go out too.
+function useOutbox() {
+  const [entries, setEntries] = useState([]);
+  useEffect(() => {
+    const outbox = getOutbox();
+    const unsubscribe = outbox.subscribe(setEntries);
+    const stop = outbox.start();
+    return () => {
+      unsubscribe();
+      stop();
+    };
+  }, []);
+  return entries;
+}
+
+// Pre-rendered per locale for the default brand; middleware.js sends other
+// brands' hostnames to /for/<id> (pages/for/[brand].js), pre-rendered the same way.
+// Daily regeneration keeps the footer's year current.
+export async function getStaticProps() {
+  return { props: { brand: DEFAULT_BRAND.id, year: new Date().getFullYear() }, revalidate: 86400 };
 }
 
 // ---------- App ----------
-export default function App() {
+export default function App({ year = new Date().getFullYear() }) {
+  const t = useT();
+  const brand = useBrand();
+  const endpoint = brand.submission.endpoint || SUBMIT_ENDPOINT;
   const [step, setStep] = useState(0);
   const [loading, setLoading] = useState(false);
-  const [schedulerReady, setSchedulerReady] = useState(false);
-  const [submitMode, setSubmitMode] = useState("server"); // "server" | "mock"
+  const [submitMode, setSubmitMode] = useState("server"); // "server" | "queued" | "mock"
+  const [outboxId, setOutboxId] = useState(null); // this visit's brief, while it waits in the outbox
+  const [briefId, setBriefId] = useState(null);
+  const [checkout, setCheckout] = useState(null); // charges to pay online, from /api/brief
+  const [portalToken, setPortalToken] = useState(null); // the client portal (pages/portal/[token].js)
+  const [draftRestored, setDraftRestored] = useState(false);
+  const [savedAt, setSavedAt] = useState(null);
+  const [draftToken, setDraftToken] = useState(null);
+  const [remoteSave, setRemoteSave] = useState({ saving: false, error: "" });
+  const [errors, setErrors] = useState({}); // field -> message, shown inline
+  const [announcement, setAnnouncement] = useState(""); // read out by the live region
   const confirmRef = useRef(null);
 
-  const [data, setData] = useState({
-    name: "",
-    email: "",
-    company: "",
-    oneLiner: "",
-    customer: "",
-    problem: "",
-    success: "",
-    mustHaves: "",
-    niceToHaves: "",
-    integrations: "",
-    assets: "",
-    targetDate: "",
-    deadline: "",
-    availability: "same-day",
-    plan: "pilot",
-    agreeScope: false,
-    caseStudyOptIn: false,
+  // Brands without the default plan start on their first one
+  const [data, setData] = useState(() => {
+    const values = defaultValues();
+    return brand.plans[values.plan] ? values : { ...values, plan: Object.keys(brand.plans)[0] };
   });
+  const [pilot, refreshPilot] = usePilotSpots(brand.id);
+  const formGuard = useFormGuard(endpoint);
+  const outboxEntries = useOutbox();
+  const queued = outboxEntries.find((e) => e.id === outboxId) || null;
+  const earlierEntries = outboxEntries.filter((e) => e.id !== outboxId);
+  const [honeypot, setHoneypot] = useState("");
+  const pilotFull = pilot.remaining === 0;
+  // Branching: the step list depends on the answers so far (see lib/schema.js)
+  const steps = activeSteps(data, { checkout: !!checkout }).map((s) => localizeStep(s, t.locale, brand));
+  // Past Review the brief is stored; nothing left to save as a draft
+  const submitted = ["checkout", "confirm"].includes(steps[step].id);
+
+  // Funnel analytics: an enter/exit pair (with time spent) per wizard step
+  const stepId = steps[step].id;
+  useEffect(() => {
+    const entered = Date.now();
+    track("step_enter", { step: stepId, index: step });
+    return () => track("step_exit", { step: stepId, index: step, ms: Date.now() - entered });
+  }, [stepId]);
+
+  // ---- Draft persistence ----
+  // Restore once on mount: a ?draft= link wins over whatever this browser has
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const token = new URLSearchParams(window.location.search).get("draft");
+      const remote = token ? await loadRemoteDraft(token) : null;
+      const draft = remote ? { ...remote, token } : loadLocalDraft();
+      if (cancelled) return;
+      if (draft) {
+        setData((d) => ({ ...d, ...draft.data }));
+        // Never land on Confirmation from a draft
+        setStep(Math.min(draft.step, activeSteps(draft.data).length - 2));
+        setSavedAt(draft.savedAt);
+        setDraftToken(draft.token);
+      }
+      setDraftRestored(true);
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // The brief remembers the language it was written in (for follow-up emails)
+  useEffect(() => {
+    setData((d) => (d.locale === t.locale ? d : { ...d, locale: t.locale }));
+  }, [t.locale, draftRestored]);
+
+  // Autosave (debounced) once the restore above has run
+  useEffect(() => {
+    if (!draftRestored || submitted) return;
+    const t = setTimeout(() => {
+      const saved = saveLocalDraft({ step, data, token: draftToken });
+      if (saved) setSavedAt(saved.savedAt);
+    }, 300);
+    return () => clearTimeout(t);
+  }, [data, step, draftToken, draftRestored]);
+
+  async function onContinueLater() {
+    setRemoteSave({ saving: true, error: "" });
+    try {
+      const { token } = await saveRemoteDraft({ token: draftToken, step, data });
+      setDraftToken(token);
+      setRemoteSave({ saving: false, error: "" });
+    } catch (err) {
+      setRemoteSave({ saving: false, error: t("draft.error", { error: err.message }) });
+    }
+  }
+
+  // ---- Validation ----
+  const fieldLabel = (name) => (fieldByName(name) ? localizeField(fieldByName(name), t.locale, brand).label : name);
+
+  // Steps animate in, so wait for the new step to mount before focusing
+  function focusField(name, delay = 0) {
+    setTimeout(() => {
+      const el = document.getElementById(`field-${name}`);
+      if (el) el.focus();
+    }, delay);
+  }
 
-  const steps = [
-    { id: "contact", title: "Contact" },
-    { id: "vision", title: "Vision & Goals" },
-    { id: "scope", title: "Scope" },
-    { id: "timeline", title: "Timeline" },
-    { id: "plan", title: "Plan" },
-    { id: "review", title: "Review" },
-    { id: "confirm", title: "Confirmation" },
-  ];
-
-  const next = () => setStep((s) => Math.min(s + 1, steps.length - 1));
+  function announceErrors(errs) {
+    const names = Object.keys(errs);
+    const msg = t("wizard.announce", { count: names.length, fields: names.map(fieldLabel).join(", ") });
+    // Re-set even when unchanged so screen readers repeat it
+    setAnnouncement("");
+    setTimeout(() => setAnnouncement(msg), 50);
+  }
+
+  function showErrors(errs) {
+    setErrors(errs);
+    announceErrors(errs);
+    track("validation_failed", { step: steps[step].id, fields: Object.keys(errs) });
+  }
+
+  // Jump from Review (or a failed submit) to the step holding `name`
+  function goToField(name) {
+    const idx = stepIndexOfField(name, data);
+    if (idx < 0) return;
+    setErrors((e) => ({ ...e, [name]: e[name] || validateValues(data, steps[idx].fields, t.locale)[name] }));
+    setStep(idx);
+    focusField(name, 350);
+  }
+
+  // Schema rules plus the one thing only the server knows: is the pilot full?
+  function checkFields(fieldList) {
+    const errs = validateValues(data, fieldList, t.locale);
+    if (pilotFull && data.plan === "pilot" && fieldList.some((f) => f.name === "plan")) {
+      errs.plan = t("wizard.pilotFull");
+    }
+    return errs;
+  }
+
+  const next = () => {
+    const errs = checkFields(steps[step].fields || []);
+    if (Object.keys(errs).length) {
+      showErrors(errs);
+      focusField(Object.keys(errs)[0]);
+      return;
+    }
+    setErrors({});
+    setAnnouncement("");
+    setStep((s) => Math.min(s + 1, steps.length - 1));
+  };
   const back = () => setStep((s) => Math.max(s - 1, 0));
 
+  function showSubmitted(result) {
+    setBriefId(result.id || null);
+    setCheckout(result.checkout || null);
+    setPortalToken(result.portal || null);
+    // The step list gains Checkout when there's something to pay
+    setStep(activeSteps(data, { checkout: !!result.checkout }).findIndex((x) => x.id === (result.checkout ? "checkout" : "confirm")));
+    setTimeout(() => confirmRef.current && (confirmRef.current).scrollIntoView({ behavior: "smooth" }), 50);
+  }
+
+  // The queued brief went out on a retry: carry on as if it had on submit
+  useEffect(() => {
+    if (!queued || queued.status !== "sent") return;
+    setSubmitMode("server");
+    setOutboxId(null);
+    clearLocalDraft();
+    showSubmitted(queued.result);
+    track("submit", { outcome: "outbox", code: "" });
+    getOutbox().dismiss(queued.id);
+  }, [queued && queued.status]);
+
+  // Refused on a retry (e.g. a field the server rejects): back to Review
+  function reviewQueued() {
+    getOutbox().dismiss(outboxId);
+    setOutboxId(null);
+    setSubmitMode("server");
+    setStep(steps.findIndex((x) => x.id === "review"));
+  }
+
   async function onSubmitBrief() {
-    // Simple required validation before network
-    if (!data.name || !data.email || !data.oneLiner || !data.customer || !data.problem || !data.success || !data.mustHaves || !data.integrations || !data.agreeScope) {
-      alert("Please complete all required fields and confirm scope.");
+    // Same rules the server applies (lib/schema.js), checked before network
+    const errs = { ...validateBrief(data).errors, ...checkFields(steps.flatMap((st) => st.fields || [])) };
+    if (Object.keys(errs).length) {
+      showErrors(errs);
       return;
     }
 
     setLoading(true);
-    const result = await submitBrief(data);
+    const guard = await formGuard.fields();
+    const result = await submitBrief({ ...data, brand: brand.id }, endpoint, guard && { ...guard, website: honeypot });
     setLoading(false);
+    refreshPilot();
+    track("submit", { outcome: result.ok ? result.mode || "server" : "error", code: result.code || (result.fields ? "validation" : "") });
 
     if (result.ok) {
       setSubmitMode(result.mode || "server");
-      setStep(steps.findIndex((x) => x.id === "confirm"));
-      setTimeout(() => confirmRef.current && (confirmRef.current).scrollIntoView({ behavior: "smooth" }), 50);
+      setOutboxId(result.outboxId || null);
+      // A queued brief keeps its draft until it's actually delivered
+      if (result.mode !== "queued") clearLocalDraft();
+      showSubmitted(result);
     } else {
-      console.error(result.error);
-      alert(`We couldn't submit your brief. ${result.error}`);
+      console.error(result.error, result.fields);
+      if (result.fields && Object.keys(result.fields).length) {
+        showErrors(result.fields);
+      } else if (result.code) {
+        if (RENEW_TOKEN_CODES.includes(result.code)) formGuard.renew();
+        alert(result.error);
+      } else {
+        alert(t("wizard.submitFailed", { error: result.error }));
+      }
     }
   }
 
-  useEffect(() => {
-    document.title = "Blossom.Launch – Let’s build it";
-    runInlineTests();
-  }, []);
-
   // ---- Step bodies ----
-  const ContactStep = (
-    <div className="rounded-xl border bg-white p-6 shadow-sm">
-      <Field label="Let’s start with your contact info 🌱" required>
-        <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
-          <input className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} placeholder="Your name" value={data.name} onChange={(e) => setData({ ...data, name: e.target.value })} required />
-          <input className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} placeholder="Your email" type="email" value={data.email} onChange={(e) => setData({ ...data, email: e.target.value })} required />
-        </div>
-      </Field>
-      <div className="mt-3">
-        <input className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} placeholder="Company (optional)" value={data.company} onChange={(e) => setData({ ...data, company: e.target.value })} />
-      </div>
-      <NavButtons onBack={back} onNext={next} />
-    </div>
-  );
+  const setField = (name, value) => {
+    setData((d) => ({ ...d, [name]: value }));
+    // Clear (or update) an error as soon as the answer changes
+    if (errors[name]) {
+      const field = fieldByName(name);
+      setErrors((e) => {
+        const { [name]: _, ...rest } = e;
+        const msg = validateValues({ [name]: value }, [field], t.locale)[name];
+        return msg ? { ...rest, [name]: msg } : rest;
+      });
+    }
+  };
 
-  const VisionGoalsStep = (
-    <div className="rounded-xl border bg-white p-6 shadow-sm">
-      <Field label="Your idea in one sentence" required>
-        <textarea rows={2} className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} value={data.oneLiner} onChange={(e) => setData({ ...data, oneLiner: e.target.value })} required />
-      </Field>
-      <div className="mt-4 grid grid-cols-1 gap-4">
-        <Field label="Primary customer/user" required>
-          <input className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} value={data.customer} onChange={(e) => setData({ ...data, customer: e.target.value })} required />
-        </Field>
-        <Field label="What problem are you solving?" required>
-          <textarea rows={3} className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} value={data.problem} onChange={(e) => setData({ ...data, problem: e.target.value })} required />
-        </Field>
-        <Field label="What does success look like? (e.g., more qualified leads, bookings)" required>
-          <input className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} value={data.success} onChange={(e) => setData({ ...data, success: e.target.value })} required />
-        </Field>
+  const pilotPicker = { ...pilot, waitlisted: !!data.pilotWaitlist, onToggleWaitlist: () => setField("pilotWaitlist", !data.pilotWaitlist) };
+
+  // Sprint plan from the Timeline answers, as if we kicked off tomorrow
+  const sprintCheck = checkFeasibility(data, { start: earliestStart(localDay()), locale: t.locale });
+  const applySprintChanges = (changes) => Object.entries(changes).forEach(([name, value]) => setField(name, value));
+  const sprintNote = t("sprint.note");
+
+  const renderFormStep = (st) => {
+    const checkboxes = st.fields.filter((f) => f.type === "checkbox" && !f.hidden);
+    const inputs = st.fields.filter((f) => f.type !== "checkbox" && !f.hidden);
+    return (
+      <div className="rounded-xl border bg-white p-6 shadow-sm">
+        {st.intro ? <p className="mb-4 text-sm font-medium" style={{ color: COLORS.primaryDark }}>{st.intro}</p> : null}
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+          {inputs.map((f) => (
+            <div key={f.name} className={f.width === "half" ? "" : "sm:col-span-2"}>
+              <SchemaField field={f} value={data[f.name]} error={errors[f.name]} onChange={(v) => setField(f.name, v)} pilot={pilotPicker} />
+            </div>
+          ))}
+        </div>
+        {checkboxes.length ? (
+          <div className="mt-6 space-y-3">
+            {checkboxes.map((f) => (
+              <SchemaField key={f.name} field={f} value={data[f.name]} error={errors[f.name]} onChange={(v) => setField(f.name, v)} guard={formGuard} />
+            ))}
+          </div>
+        ) : null}
+        {st.id === "timeline" ? (
+          <div className="mt-6">
+            <div className="mb-3 text-sm font-semibold" style={{ color: COLORS.primaryDark }}>{t("sprint.title")}</div>
+            <SprintPlan result={sprintCheck} onApply={applySprintChanges} note={sprintNote} />
+          </div>
+        ) : null}
+        <NavButtons onBack={back} onNext={next} />
       </div>
-      <NavButtons onBack={back} onNext={next} />
-    </div>
-  );
+    );
+  };
 
-  const ScopeStep = (
-    <div className="rounded-xl border bg-white p-6 shadow-sm">
-      <Field label="Must‑have features for Day 1" required>
-        <textarea rows={3} className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} value={data.mustHaves} onChange={(e) => setData({ ...data, mustHaves: e.target.value })} required />
-      </Field>
-      <div className="mt-4 grid grid-cols-1 gap-4">
-        <Field label="Nice‑to‑haves for later (optional)">
-          <textarea rows={3} className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} value={data.niceToHaves} onChange={(e) => setData({ ...data, niceToHaves: e.target.value })} />
-        </Field>
-        <Field label="Key integrations (Stripe, CRM, email, booking)" required>
-          <input className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} value={data.integrations} onChange={(e) => setData({ ...data, integrations: e.target.value })} required />
-        </Field>
-        <Field label="Existing assets or links (brand, copy, images) (optional)">
-          <input className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} placeholder="Paste any links (Drive, Figma, etc.)" value={data.assets} onChange={(e) => setData({ ...data, assets: e.target.value })} />
-        </Field>
-      </div>
-      <NavButtons onBack={back} onNext={next} />
-    </div>
-  );
+  // Review lists what the client-side check finds plus anything the server rejected
+  const reviewErrors = steps[step].id === "review" ? { ...checkFields(steps.flatMap((st) => st.fields || [])), ...errors } : {};
 
-  const TimelineStep = (
-    <div className="rounded-xl border bg-white p-6 shadow-sm">
-      <div className="grid grid-cols-1 gap-4">
-        <Field label="Target launch date (optional)">
-          <input type="date" className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} value={data.targetDate} onChange={(e) => setData({ ...data, targetDate: e.target.value })} />
-        </Field>
-        <Field label="Hard deadlines/events (if any)">
-          <input className="w-full rounded-md border px-3 py-2" style={{ borderColor: "#e5e7eb" }} value={data.deadline} onChange={(e) => setData({ ...data, deadline: e.target.value })} />
-        </Field>
-        <Field label="Availability for quick feedback">
-          <select className="w-full rounded-md border px-3 py-2 bg-white" style={{ borderColor: "#e5e7eb" }} value={data.availability} onChange={(e) => setData({ ...data, availability: e.target.value })}>
-            <option value="same-day">Same‑day</option>
-            <option value="next-day">Next‑day</option>
-            <option value="72hr">Within 72 hrs</option>
-          </select>
-        </Field>
-      </div>
-      <NavButtons onBack={back} onNext={next} />
-    </div>
-  );
-
-  const PlanStep = (
+  const ReviewStep = (
     <div className="rounded-xl border bg-white p-6 shadow-sm">
-      <p className="mb-4 text-sm text-slate-600">Choose your plan. Pilot pricing is limited to the first 10 clients and waives the setup fee.</p>
-      <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
-        {plans.map((p) => (
-          <PlanCard key={p.id} plan={p} selected={data.plan === p.id} onSelect={(id) => setData({ ...data, plan: id })} />
+      <h3 className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{t("review.title")}</h3>
+      <p className="mb-4 text-sm text-slate-600">{t("review.text")}</p>
+      {Object.keys(reviewErrors).length ? (
+        <div className="mb-4 rounded-md border p-4 text-sm" style={{ background: "#FEF2F2", borderColor: "#FECACA", color: "#991B1B" }}>
+          <div className="mb-2 font-semibold">{t("review.attention")}</div>
+          <ul className="space-y-1">
+            {Object.entries(reviewErrors).map(([name, msg]) => (
+              <li key={name} className="flex flex-wrap items-baseline gap-2">
+                <span>
+                  <strong>{steps[stepIndexOfField(name, data)]?.title || t("review.brief")}</strong> · {fieldLabel(name)}: {msg}
+                </span>
+                {stepIndexOfField(name, data) >= 0 ? (
+                  <button type="button" onClick={() => goToField(name)} className="text-xs font-semibold underline underline-offset-4">
+                    {t("review.fix")}
+                  </button>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        {summarize(data, t.locale, brand).map((card) => (
+          <SummaryCard key={card.title} title={card.title} items={card.items} />
         ))}
       </div>
-      <div className="mt-6 space-y-3">
-        <label className="flex items-start gap-2 text-sm text-slate-700">
-          <input type="checkbox" className="mt-1" checked={data.agreeScope} onChange={(e) => setData({ ...data, agreeScope: e.target.checked })} />
-          <span>
-            I agree to the <strong>Included vs Additional</strong> scope: Day‑1 build, hosting/security/updates, backups, and bug fixes are included; new features, content production, SEO campaigns, and complex integrations may require a quote.
-          </span>
-        </label>
-        <label className="flex items-start gap-2 text-sm text-slate-700">
-          <input type="checkbox" className="mt-1" checked={data.caseStudyOptIn} onChange={(e) => setData({ ...data, caseStudyOptIn: e.target.checked })} />
-          <span>Okay to use my project as a case study (anonymously).</span>
-        </label>
+      <div className="mt-4 rounded-xl border p-4 shadow-sm" style={{ borderColor: "#e5e7eb" }}>
+        <div className="mb-3 text-sm font-semibold" style={{ color: COLORS.primaryDark }}>{t("sprint.reviewTitle")}</div>
+        <SprintPlan result={sprintCheck} onApply={applySprintChanges} note={sprintNote} />
       </div>
-      <NavButtons onBack={back} onNext={next} nextDisabled={!data.agreeScope} />
-    </div>
-  );
-
-  const ReviewStep = (
-    <div className="rounded-xl border bg-white p-6 shadow-sm">
-      <h3 className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>Review & confirm</h3>
-      <p className="mb-4 text-sm text-slate-600">We’ll use this to kick off your sprint and prep your scheduler.</p>
-      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
-        <SummaryCard title="Contact" items={{ Name: data.name, Email: data.email, Company: data.company || "—" }} />
-        <SummaryCard title="Vision & Goals" items={{ "One‑liner": data.oneLiner || "—", Customer: data.customer || "—", Problem: data.problem || "—", Success: data.success || "—" }} />
-        <SummaryCard title="Scope" items={{ Musts: data.mustHaves || "—", Nice: data.niceToHaves || "—", Integrations: data.integrations || "—", Assets: data.assets || "—" }} />
-        <SummaryCard title="Timeline & Plan" items={{ "Target date": data.targetDate || "—", Deadlines: data.deadline || "—", Availability: data.availability, Plan: plans.find((p) => p.id === data.plan)?.name || "" }} />
+      {/* Honeypot: off-screen and hidden from assistive tech; only bots fill it in */}
+      <div aria-hidden="true" style={{ position: "absolute", left: "-10000px", width: 1, height: 1, overflow: "hidden" }}>
+        <label>
+          Website
+          <input type="text" name="website" tabIndex={-1} autoComplete="off" value={honeypot} onChange={(e) => setHoneypot(e.target.value)} />
+        </label>
       </div>
       <div className="mt-6 flex flex-wrap items-center justify-between gap-3">
         <button onClick={back} className="inline-flex items-center gap-2 rounded-md border px-5 py-3 font-semibold transition hover:bg-white" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
-          <ChevronLeft className="h-4 w-4" /> Back
+          <ChevronLeft className="h-4 w-4" /> {t("wizard.back")}
         </button>
         <button onClick={onSubmitBrief} disabled={loading} className="inline-flex items-center justify-center gap-2 rounded-md px-5 py-3 font-semibold text-white shadow-md transition hover:shadow-lg disabled:opacity-60" style={{ backgroundColor: COLORS.primaryGreen }}>
-          {loading ? "Submitting…" : "Submit brief & continue"}
+          {loading ? t("review.submitting") : t("review.submit")}
         </button>
       </div>
     </div>
@@ -331,150 +524,88 @@ export default function App() {
   const ConfirmationStep = (
     <div ref={confirmRef} className="rounded-xl border bg-white p-6 shadow-sm">
       <div className="mb-4 flex items-center gap-2">
-        <CheckCircle2 className="h-5 w-5" style={{ color: COLORS.primaryGreen }} />
-        <h3 className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>We’ve got your brief 🌱</h3>
+        {submitMode === "queued" ? (
+          <CloudOff className="h-5 w-5" style={{ color: "#92400E" }} />
+        ) : (
+          <CheckCircle2 className="h-5 w-5" style={{ color: COLORS.primaryGreen }} />
+        )}
+        <h3 className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{submitMode === "queued" ? t("outbox.title") : t("confirm.title")}</h3>
       </div>
-      <p className="mb-4 text-sm text-slate-700">Thanks! We’ll review and reply within 24 hours. Next, lock in your kickoff call so we can set your start date.</p>
+      <p className="mb-4 text-sm text-slate-700">{submitMode === "queued" ? t("outbox.text") : t("confirm.text")}</p>
+      {submitMode === "queued" && queued ? (
+        <OutboxStatus
+          entry={queued}
+          persistent={getOutbox().persistent}
+          onRetry={() => getOutbox().flush({ force: true })}
+          onEdit={reviewQueued}
+          className="mb-4"
+        />
+      ) : null}
+      {briefId ? (
+        <>
+          <p className="mb-4 text-xs text-slate-500">{t("confirm.reference")} <code>{briefId}</code></p>
+          <BriefDownloads briefId={briefId} className="mb-4" />
+          {portalToken ? (
+            <p className="mb-4 text-sm">
+              <Link href={`/portal/${portalToken}`} className="inline-flex items-center gap-2 font-semibold underline-offset-4 hover:underline" style={{ color: COLORS.primaryDark }}>
+                <LayoutDashboard className="h-4 w-4" /> {t("confirm.portal")}
+              </Link>
+            </p>
+          ) : null}
+        </>
+      ) : null}
       {submitMode === "mock" && (
         <div className="mb-4 rounded-md border p-3 text-sm" style={{ background: "#FFF8E1", borderColor: "#FDE68A", color: "#92400E" }}>
-          Preview mode: backend is not connected in this Canvas, so your data wasn’t saved. The live site will create HubSpot & Notion records.
+          {t("confirm.preview")}
+        </div>
+      )}
+      {submitMode !== "queued" && (
+        <div className="mt-4">
+          <KickoffScheduler briefId={briefId} contact={{ name: data.name, email: data.email }} />
         </div>
       )}
-      <div className="mt-4">
-        {!schedulerReady ? (
-          <div className="mb-3 rounded-md border bg-slate-50 p-4 text-sm text-slate-600" style={{ borderColor: "#e5e7eb" }}>
-            Preparing your kickoff calendar…
-          </div>
-        ) : null}
-        <iframe
-          src={HUBSPOT_MEETING_URL}
-          title="HubSpot Scheduler"
-          className="h-[900px] w-full rounded-md border"
-          style={{ borderColor: "#e5e7eb" }}
-          onLoad={() => setSchedulerReady(true)}
-          allow="geolocation *; microphone *; camera *;"
-        />
-      </div>
     </div>
   );
 
-  const stepBody = [ContactStep, VisionGoalsStep, ScopeStep, TimelineStep, PlanStep, ReviewStep, ConfirmationStep][step];
+  const CheckoutStep = (
+    <div className="rounded-xl border bg-white p-6 shadow-sm">
+      <h3 className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{t("checkout.title")}</h3>
+      <p className="mb-4 text-sm text-slate-600">{t("checkout.text")}</p>
+      {checkout ? <CheckoutPanel briefId={briefId} charges={checkout} onSkip={() => setStep(steps.findIndex((x) => x.id === "confirm"))} /> : null}
+    </div>
+  );
+
+  const current = steps[step];
+  const stepBody =
+    current.id === "review" ? ReviewStep : current.id === "checkout" ? CheckoutStep : current.id === "confirm" ? ConfirmationStep : renderFormStep(current);
 
   return (
     <div className="min-h-screen w-full" style={{ backgroundColor: COLORS.primaryLight }}>
-      {/* HEADER */}
-      <header className="border-b bg-white/80 backdrop-blur">
-        <Section className="flex items-center justify-between py-3">
-          <div className="flex items-center gap-2">
-            <div className="h-6 w-6 rounded-md" style={{ backgroundColor: COLORS.primaryGreen }} />
-            <span className="text-sm font-semibold" style={{ color: COLORS.primaryDark }}>Blossom.Launch</span>
-          </div>
-          <nav className="hidden gap-6 sm:flex text-sm">
-            <a href="#why" className="underline-offset-4 hover:underline">Why us</a>
-            <a href="#how" className="underline-offset-4 hover:underline">How it works</a>
-            <a href="#plans" className="underline-offset-4 hover:underline">Plans</a>
-            <a href="#wizard" className="underline-offset-4 hover:underline">Start your sprint</a>
-          </nav>
-          <a href="#wizard" className="rounded-md px-4 py-2 font-semibold text-white shadow-sm" style={{ backgroundColor: COLORS.primaryGreen }}>Start your sprint</a>
-        </Section>
-      </header>
-
-      {/* HERO (dark) */}
-      <div className="relative overflow-hidden border-b" style={{ backgroundColor: COLORS.primaryDark }}>
-        <Section className="grid items-center gap-10 py-16 sm:grid-cols-2 sm:py-20 text-white">
-          <div>
-            <span className="inline-flex items-center rounded-full px-3 py-1 text-xs font-medium" style={{ backgroundColor: `#00C8531a`, color: "#fff" }}>Let’s build it — without the overwhelm.</span>
-            <h1 className="mt-4 text-4xl font-bold leading-tight sm:text-5xl">A done‑for‑you website sprint that ships in 14 days</h1>
-            <p className="mt-4 max-w-xl text-base sm:text-lg text-slate-200">
-              We handle the tech, templates, and launch checklists — you focus on the business. No janky hand‑offs, no endless emails, just a clean build you own.
-            </p>
-            <div className="mt-8 flex flex-wrap items-center gap-3">
-              <a href="#wizard" className="inline-flex items-center gap-2 rounded-md px-5 py-3 font-semibold text-white shadow-md transition hover:shadow-lg" style={{ backgroundColor: COLORS.primaryGreen }}>
-                Start Your Sprint <ArrowRight className="h-4 w-4" />
-              </a>
-              <a href="#how" className="inline-flex items-center gap-2 rounded-md border px-5 py-3 font-semibold transition hover:bg-white/5" style={{ borderColor: "#334155", color: "#fff" }}>
-                How it works
-              </a>
-            </div>
-            <div className="mt-6 text-sm text-slate-300">Pilot: first 10 clients at <strong>$100/mo</strong>, setup fee waived.</div>
-          </div>
-          <div className="rounded-xl border p-6 shadow-sm" style={{ background: "rgba(255,255,255,0.04)", borderColor: "#334155" }}>
-            <div className="mb-2 text-sm font-semibold">What you get</div>
-            <ul className="list-disc space-y-2 pl-5 text-sm text-slate-200">
-              <li>Clean, minimal design with delightful details</li>
-              <li>Hosting, security updates, backups included</li>
-              <li>Kickoff → build → launch in 14 days</li>
-              <li>Handoff you can actually own</li>
-            </ul>
-          </div>
-        </Section>
-      </div>
-
-      {/* WHY US */}
-      <Section id="why" className="py-14">
-        <h2 className="mb-6 text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>Why choose Blossom.Launch?</h2>
-        <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
-          {[
-            { title: "No tech overwhelm", text: "We manage the stack, updates, and integrations. You get a working site." },
-            { title: "Speed without shortcuts", text: "Opinionated templates + QA checklist = quality in 14 days." },
-            { title: "You own it", text: "Fully transferable build with docs. Keep us, or run it yourself." },
-          ].map((f, i) => (
-            <div key={String(i)} className="rounded-xl border bg-white p-6 shadow-sm">
-              <div className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{f.title}</div>
-              <p className="mt-2 text-sm text-slate-700">{f.text}</p>
-            </div>
-          ))}
-        </div>
-      </Section>
-
-      {/* HOW IT WORKS */}
-      <Section id="how" className="py-14">
-        <h2 className="mb-6 text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>How it works</h2>
-        <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
-          {[
-            { icon: <FileText className="h-6 w-6" />, title: "Share your brief", text: "Tell us goals, vibe, and must‑haves. Keep it simple." },
-            { icon: <Calendar className="h-6 w-6" />, title: "Book kickoff", text: "Pick a time right after submitting your brief." },
-            { icon: <Rocket className="h-6 w-6" />, title: "Sprint + launch", text: "We build fast with beautiful defaults and QA." },
-          ].map((item, i) => (
-            <div key={String(i)} className="rounded-xl border bg-white p-6 shadow-sm">
-              <div className="mb-3 inline-flex rounded-lg p-2" style={{ backgroundColor: `#00C8531a`, color: COLORS.primaryGreen }}>
-                {item.icon}
-              </div>
-              <div className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{item.title}</div>
-              <p className="mt-1 text-sm text-slate-700">{item.text}</p>
-            </div>
-          ))}
-        </div>
-      </Section>
-
-      {/* PLANS TEASER */}
-      <Section id="plans" className="py-14">
-        <h2 className="mb-6 text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>Pilot pricing</h2>
-        <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
-          {plans.map((p) => (
-            <div key={p.id} className="rounded-xl border bg-white p-6 shadow-sm">
-              <div className="flex items-center justify-between">
-                <div>
-                  <div className="text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{p.name}</div>
-                  <div className="text-sm text-slate-600">{p.sub}</div>
-                </div>
-                <div className="text-lg font-bold" style={{ color: COLORS.primaryGreen }}>{p.price}</div>
-              </div>
-              <ul className="mt-3 list-disc space-y-1 pl-5 text-sm text-slate-700">
-                {p.details.map((d, i) => (<li key={String(i)}>{d}</li>))}
-              </ul>
-            </div>
-          ))}
-        </div>
-        <div className="mt-6">
-          <a href="#wizard" className="rounded-md px-5 py-3 font-semibold text-white shadow-md" style={{ backgroundColor: COLORS.primaryGreen }}>Claim a pilot spot</a>
-          <div className="mt-2 text-xs text-slate-600">Only 10 spots at $100/mo — setup fee waived.</div>
-        </div>
-      </Section>
+      <LandingMeta />
+      <LandingHeader />
+      <Hero pilot={pilot} />
+      <WhyUs />
+      <HowItWorks />
+      <Plans pilot={pilot} />
 
       {/* INTAKE WIZARD */}
       <Section id="wizard" className="pt-10 pb-8">
-        <StepHeader stepIndex={step} steps={steps} />
+        <StepHeader stepIndex={step} steps={steps} savedAt={savedAt} />
+        <div className="sr-only" role="alert" aria-live="assertive" aria-atomic="true">{announcement}</div>
+        {!submitted ? (
+          <ContinueLater link={draftToken ? draftLink(draftToken) : ""} saving={remoteSave.saving} error={remoteSave.error} onSave={onContinueLater} />
+        ) : null}
+        {earlierEntries.map((entry) => (
+          <div key={entry.id} className="mb-4">
+            <p className="mb-1 text-xs text-slate-500">{t("outbox.earlier", { oneLiner: entry.body.brief.oneLiner || entry.body.brief.email })}</p>
+            <OutboxStatus
+              entry={entry}
+              persistent={getOutbox().persistent}
+              onRetry={() => getOutbox().flush({ force: true })}
+              onDismiss={() => getOutbox().dismiss(entry.id)}
+            />
+          </div>
+        ))}
         <AnimatePresence mode="wait">
           <motion.div key={String(step)} initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }} transition={{ duration: 0.25 }}>
             {stepBody}
@@ -482,81 +613,216 @@ export default function App() {
         </AnimatePresence>
       </Section>
 
-      {/* FOOTER */}
-      <footer className="border-t py-8">
-        <Section>
-          <div className="flex flex-col items-start justify-between gap-3 sm:flex-row sm:items-center">
-            <p className="text-sm text-neutral-600">© {String(new Date().getFullYear())} Blossom.Launch</p>
-            <div className="flex items-center gap-3 text-sm">
-              <a href="#why" className="underline-offset-4 hover:underline">Why us</a>
-              <a href="#how" className="underline-offset-4 hover:underline">How it works</a>
-              <a href="#wizard" className="underline-offset-4 hover:underline">Start your sprint</a>
-            </div>
-          </div>
-        </Section>
-      </footer>
+      <LandingFooter year={year} />
     </div>
   );
 }
 
-function SummaryCard({ title, items }) {
+const inputClass = "w-full rounded-md border px-3 py-2";
+const inputStyle = { borderColor: "#e5e7eb" };
+
+// Renders one lib/schema.js field with the matching control
+function SchemaField({ field: f, value, error, onChange, pilot, guard }) {
+  const t = useT();
+  const id = `field-${f.name}`;
+  // Date inputs render in the browser's own format; spell the day out in the page's language
+  const hint = f.type === "date" && /^\d{4}-\d{2}-\d{2}$/.test(value || "") ? formatDay(value, { dateStyle: "full" }, t.locale) : f.hint;
+  const a11y = {
+    id,
+    "aria-invalid": error ? true : undefined,
+    "aria-describedby": [hint && `${id}-hint`, error && `${id}-error`].filter(Boolean).join(" ") || undefined,
+  };
+
+  if (f.type === "checkbox") {
+    return (
+      <div>
+        <label className="flex items-start gap-2 text-sm text-slate-700">
+          <input type="checkbox" className="mt-1" checked={!!value} onChange={(e) => onChange(e.target.checked)} {...a11y} />
+          <span>{f.label}</span>
+        </label>
+        {error ? <span id={`${id}-error`} className="mt-1 block pl-6 text-xs font-medium text-red-600">{error}</span> : null}
+      </div>
+    );
+  }
+  if (f.type === "files") {
+    return (
+      <Field id={id} label={f.label} required={f.required} hint={f.hint} error={error}>
+        <FileUploader id={id} value={value} onChange={onChange} describedBy={a11y["aria-describedby"]} guard={guard} />
+      </Field>
+    );
+  }
+  if (f.type === "plan") {
+    const full = pilot && pilot.remaining === 0;
+    return (
+      <div>
+        <div id={id} tabIndex={-1} role="group" aria-label={f.label} aria-describedby={a11y["aria-describedby"]} className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+          {plansFor(t.locale, t.brand).map((p) =>
+            p.id === "pilot" && pilot ? (
+              <PlanCard key={p.id} plan={p} selected={value === p.id} onSelect={onChange} disabled={full} badge={spotsLeftText(pilot, t)}>
+                {full ? (
+                  <label className="flex items-start gap-2 rounded-md border bg-white p-3 text-sm text-slate-700" style={{ borderColor: "#e5e7eb" }}>
+                    <input type="checkbox" className="mt-1" checked={pilot.waitlisted} onChange={pilot.onToggleWaitlist} />
+                    <span>{t("wizard.waitlist")}</span>
+                  </label>
+                ) : null}
+              </PlanCard>
+            ) : (
+              <PlanCard key={p.id} plan={p} selected={value === p.id} onSelect={onChange} />
+            )
+          )}
+        </div>
+        {error ? <span id={`${id}-error`} className="mt-2 block text-xs font-medium text-red-600">{error}</span> : null}
+      </div>
+    );
+  }
+
+  const common = {
+    ...a11y,
+    className: inputClass,
+    style: error ? { borderColor: "#f87171" } : inputStyle,
+    placeholder: f.placeholder,
+    value,
+    required: !!f.required,
+    onChange: (e) => onChange(e.target.value),
+  };
+  let control;
+  if (f.type === "textarea") control = <textarea rows={f.rows || 3} {...common} />;
+  else if (f.type === "select") {
+    control = (
+      <select {...common} className={`${inputClass} bg-white`}>
+        {f.options.map((o) => (
+          <option key={o.value} value={o.value}>{o.label}</option>
+        ))}
+      </select>
+    );
+  } else control = <input type={f.type} lang={t.locale} {...common} />;
+
+  return (
+    <Field id={id} label={f.label} required={f.required} hint={hint} error={error}>
+      {control}
+    </Field>
+  );
+}
+
+// Drag-and-drop uploader; `value` holds the references of finished uploads.
+// `guard` is useFormGuard(): uploads carry the form token.
+function FileUploader({ id, value, onChange, describedBy, guard }) {
+  const t = useT();
+  const [pending, setPending] = useState([]); // [{ key, name, progress }]
+  const [problems, setProblems] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const inputRef = useRef(null);
+  // Uploads finish after re-renders, so read the latest list from a ref
+  const valueRef = useRef(value);
+  valueRef.current = value;
+
+  async function addFiles(fileList) {
+    const files = Array.from(fileList || []);
+    const room = MAX_FILES_PER_BRIEF - valueRef.current.length;
+    const msgs = files.map((file) => checkUpload(file, t.locale)).filter(Boolean);
+    const ok = files.filter((file) => !checkUpload(file)).slice(0, Math.max(room, 0));
+    if (files.length - msgs.length > ok.length) msgs.push(t("uploads.maxFiles", { max: MAX_FILES_PER_BRIEF }));
+
+    // One at a time keeps progress readable and avoids racing updates to `value`
+    for (const file of ok) {
+      const key = `${file.name}-${file.size}-${Math.random()}`;
+      setPending((p) => [...p, { key, name: file.name, progress: 0 }]);
+      const upload = async () =>
+        uploadFile(file, {
+          locale: t.locale,
+          token: guard && (await guard.token()),
+          onProgress: (progress) => setPending((p) => p.map((x) => (x.key === key ? { ...x, progress } : x))),
+        });
+      try {
+        // An expired or used-up token gets renewed once
+        const ref = await upload().catch(async (err) => {
+          if (!guard || !RENEW_TOKEN_CODES.includes(err.code)) throw err;
+          await guard.renew();
+          return upload();
+        });
+        onChange([...valueRef.current, ref]);
+      } catch (err) {
+        msgs.push(err.message);
+      }
+      setPending((p) => p.filter((x) => x.key !== key));
+    }
+    setProblems(msgs);
+  }
+
   return (
-    <div className="rounded-xl border p-4 shadow-sm" style={{ borderColor: "#e5e7eb", background: "white" }}>
-      <div className="mb-2 text-sm font-semibold" style={{ color: COLORS.primaryDark }}>{title}</div>
-      <dl className="space-y-1 text-sm text-slate-700">
-        {Object.entries(items).map(([k, v]) => (
-          <div key={String(k)} className="grid grid-cols-3 gap-2">
-            <dt className="col-span-1 text-slate-500">{String(k)}</dt>
-            <dd className="col-span-2">{String(v)}</dd>
+    <div>
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          addFiles(e.dataTransfer.files);
+        }}
+        className="flex flex-col items-center justify-center gap-2 rounded-md border-2 border-dashed px-4 py-6 text-center text-sm text-slate-600"
+        style={{ borderColor: dragging ? COLORS.primaryGreen : "#e5e7eb", background: dragging ? tint(COLORS.primaryGreen, 0.05) : undefined }}
+      >
+        <UploadCloud className="h-6 w-6" style={{ color: COLORS.primaryGreen }} />
+        <span>
+          <Rich
+            t={t}
+            id="uploads.drop"
+            vars={{
+              browse: (
+                <button type="button" id={id} aria-describedby={describedBy} onClick={() => inputRef.current && inputRef.current.click()} className="font-semibold underline underline-offset-4" style={{ color: COLORS.primaryDark }}>
+                  {t("uploads.browse")}
+                </button>
+              ),
+            }}
+          />
+        </span>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={UPLOAD_ACCEPT}
+          className="hidden"
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = "";
+          }}
+        />
+      </div>
+      {pending.map((p) => (
+        <div key={p.key} className="mt-2 text-xs text-slate-600">
+          {t("uploads.uploading", { name: p.name, percent: Math.round(p.progress * 100) })}
+          <div className="mt-1 h-1.5 w-full overflow-hidden rounded-full bg-slate-200" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(p.progress * 100)} aria-label={t("uploads.uploadingLabel", { name: p.name })}>
+            <div className="h-full rounded-full" style={{ width: `${p.progress * 100}%`, backgroundColor: COLORS.primaryGreen }} />
           </div>
-        ))}
-      </dl>
+        </div>
+      ))}
+      {problems.map((m, i) => (
+        <span key={String(i)} className="mt-1 block text-xs font-medium text-red-600">{m}</span>
+      ))}
+      {value.length ? (
+        <div className="mt-3 grid grid-cols-1 gap-2 sm:grid-cols-2">
+          {value.map((file) => (
+            <FileThumb key={file.id} file={file} onRemove={() => onChange(value.filter((x) => x.id !== file.id))} />
+          ))}
+        </div>
+      ) : null}
     </div>
   );
 }
 
 function NavButtons({ onBack, onNext, nextDisabled }) {
+  const t = useT();
   return (
     <div className="mt-6 flex items-center justify-between">
       <button onClick={onBack} className="inline-flex items-center gap-2 rounded-md border px-5 py-3 font-semibold transition hover:bg-white" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
-        <ChevronLeft className="h-4 w-4" /> Back
+        <ChevronLeft className="h-4 w-4" /> {t("wizard.back")}
       </button>
       <button onClick={onNext} disabled={!!nextDisabled} className="inline-flex items-center justify-center gap-2 rounded-md px-5 py-3 font-semibold text-white shadow-md transition hover:shadow-lg disabled:opacity-60" style={{ backgroundColor: COLORS.primaryGreen }}>
-        Next <ChevronRight className="h-4 w-4" />
+        {t("wizard.next")} <ChevronRight className="h-4 w-4" />
       </button>
     </div>
   );
 }
-
-// ---------- Inline tests (run in preview) ----------
-function runInlineTests() {
-  try {
-    const base = {
-      name: "Jane Founder",
-      email: "jane@demo.co",
-      oneLiner: "A thing",
-      customer: "SMBs",
-      problem: "No time",
-      success: "More leads",
-      mustHaves: "Booking form",
-      integrations: "Stripe, HubSpot",
-      agreeScope: true,
-    };
-
-    // Test 1: normalizePayload produces strings/bools only
-    const n = normalizePayload(base);
-    const onlyValid = Object.values(n).every((v) => typeof v === "string" || typeof v === "boolean");
-    if (!onlyValid) throw new Error("normalizePayload produced invalid types");
-
-    // Test 2: mock fallback triggers on invalid endpoint
-    submitBrief(base, "/__invalid__").then((r) => {
-      if (!(r.ok && r.mode === "mock")) {
-        console.warn("Test 2 failed: mock fallback not triggered");
-      } else {
-        console.log("Tests OK: payload + mock fallback working");
-      }
-    });
-  } catch (err) {
-    console.warn("Inline tests encountered an error", err);
-  }
-}
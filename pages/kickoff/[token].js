@@ -0,0 +1,118 @@
+import { useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { useBrand } from "../../components/BrandProvider";
+import { BookingSummary, SlotPicker } from "../../components/KickoffScheduler";
+import LanguageSwitcher from "../../components/LanguageSwitcher";
+import { useT } from "../../components/LocaleProvider";
+import { brandOf } from "../../lib/brand";
+import { publicBooking } from "../../lib/scheduler";
+import { getBooking } from "../../lib/scheduler/bookings";
+import { getStore } from "../../lib/store";
+import { COLORS } from "../../lib/theme";
+
+export async function getServerSideProps(ctx) {
+  const booking = await getBooking(String(ctx.params.token));
+  const brief = booking && (await getStore().collection("briefs").get(booking.briefId));
+  if (!brief) return { notFound: true };
+  return { props: { brand: brandOf(brief).id, initialBooking: publicBooking(booking), name: brief.name || "", company: brief.company || "" } };
+}
+
+/**
+ * /kickoff/:token – the reschedule/cancel link from the confirmation step and
+ * the calendar invite. A cancelled kickoff can be booked again from here.
+ */
+export default function ManageKickoff({ initialBooking, name, company }) {
+  const t = useT();
+  const brand = useBrand();
+  const [booking, setBooking] = useState(initialBooking);
+  const [picker, setPicker] = useState(null); // { slots, slotMinutes, timezone } while choosing
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const cancelled = booking.status === "cancelled";
+
+  async function call(url, method, body) {
+    setBusy(true);
+    setError("");
+    const res = await fetch(url, { method, headers: { "Content-Type": "application/json" }, body: body && JSON.stringify(body) }).catch(() => null);
+    const json = res ? await res.json().catch(() => ({})) : {};
+    setBusy(false);
+    if (!res || !res.ok) setError(json.error || t("kickoff.error"));
+    return res && res.ok ? json : null;
+  }
+
+  async function openPicker() {
+    const json = await call(`/api/scheduler/bookings/${booking.token}`, "GET");
+    if (json) setPicker(json);
+  }
+
+  async function pick(start, timezone) {
+    const json = cancelled
+      ? await call("/api/scheduler/bookings", "POST", { briefId: booking.briefId, start, timezone })
+      : await call(`/api/scheduler/bookings/${booking.token}`, "PATCH", { start, timezone });
+    if (json) {
+      setBooking(json.booking);
+      setPicker(null);
+      // A rebooking gets a fresh link; keep the address bar in step with it
+      if (json.booking.token !== booking.token) window.history.replaceState(null, "", json.booking.manageUrl);
+    } else {
+      openPicker();
+    }
+  }
+
+  async function cancel() {
+    if (!window.confirm(t("kickoff.confirmCancel"))) return;
+    const json = await call(`/api/scheduler/bookings/${booking.token}`, "DELETE");
+    if (json) setBooking(json.booking);
+  }
+
+  return (
+    <div className="min-h-screen w-full" style={{ backgroundColor: COLORS.primaryLight }}>
+      <Head>
+        <title>{`${t("kickoff.managePageTitle")} · ${brand.name}`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <header className="border-b bg-white">
+        <div className="mx-auto flex w-full max-w-3xl items-center justify-between gap-2 px-4 py-3 sm:px-6">
+          <Link href="/" className="flex items-center gap-2">
+            <div className="h-6 w-6 rounded-md" style={{ backgroundColor: COLORS.primaryGreen }} />
+            <span className="text-sm font-semibold" style={{ color: COLORS.primaryDark }}>{brand.name}</span>
+          </Link>
+          <LanguageSwitcher />
+        </div>
+      </header>
+      <main className="mx-auto w-full max-w-3xl px-4 py-10 sm:px-6">
+        <h1 className="text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>
+          {name ? t("kickoff.hi", { name: name.split(" ")[0] }) : t("kickoff.yours")}
+        </h1>
+        {company ? <p className="mt-1 text-sm text-slate-600">{company}</p> : null}
+
+        <div className="mt-6 rounded-xl border bg-white p-6 shadow-sm">
+          {error ? (
+            <div role="alert" className="mb-4 rounded-md border p-3 text-sm" style={{ background: "#FEF2F2", borderColor: "#FECACA", color: "#991B1B" }}>{error}</div>
+          ) : null}
+          <BookingSummary booking={booking} manage={false} />
+
+          {picker ? (
+            <div className="mt-6">
+              <h2 className="mb-3 font-semibold" style={{ color: COLORS.primaryDark }}>{cancelled ? t("kickoff.newTime") : t("kickoff.pickNew")}</h2>
+              <SlotPicker slots={picker.slots} slotMinutes={picker.slotMinutes} hostTimeZone={picker.timezone} busy={busy} cta={cancelled ? t("scheduler.book") : t("kickoff.move")} onPick={pick} />
+              <button type="button" onClick={() => setPicker(null)} className="mt-3 text-sm underline underline-offset-4">{t("kickoff.neverMind")}</button>
+            </div>
+          ) : (
+            <div className="mt-6 flex flex-wrap gap-3">
+              <button type="button" disabled={busy} onClick={openPicker} className="rounded-md px-4 py-2 text-sm font-semibold text-white disabled:opacity-60" style={{ backgroundColor: COLORS.primaryGreen }}>
+                {cancelled ? t("kickoff.newTime") : t("kickoff.reschedule")}
+              </button>
+              {!cancelled ? (
+                <button type="button" disabled={busy} onClick={cancel} className="rounded-md border px-4 py-2 text-sm font-semibold disabled:opacity-60" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
+                  {t("kickoff.cancel")}
+                </button>
+              ) : null}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
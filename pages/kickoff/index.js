@@ -0,0 +1,61 @@
+import Head from "next/head";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { useBrand } from "../../components/BrandProvider";
+import KickoffScheduler from "../../components/KickoffScheduler";
+import LanguageSwitcher from "../../components/LanguageSwitcher";
+import { useT } from "../../components/LocaleProvider";
+import { brandOf, brandProps } from "../../lib/brand";
+import { getStore } from "../../lib/store";
+import { COLORS, tint } from "../../lib/theme";
+
+// The brief's brand when the link names one, otherwise the host's
+export async function getServerSideProps(ctx) {
+  const briefId = String(ctx.query.brief || "");
+  const brief = briefId ? await getStore().collection("briefs").get(briefId) : null;
+  return { props: brief ? { brand: brandOf(brief).id } : brandProps(ctx) };
+}
+
+/**
+ * /kickoff?brief=… – book a kickoff outside the wizard (the link in the
+ * confirmation and reminder emails, and where Checkout returns to). Same
+ * picker as the confirmation step.
+ */
+export default function BookKickoff() {
+  const t = useT();
+  const brand = useBrand();
+  const { query, isReady } = useRouter();
+  const briefId = typeof query.brief === "string" ? query.brief : "";
+  // Checkout's success URL lands here; the webhook confirms the payment itself
+  const paid = query.checkout === "success";
+
+  return (
+    <div className="min-h-screen w-full" style={{ backgroundColor: COLORS.primaryLight }}>
+      <Head>
+        <title>{`${t("kickoff.pageTitle")} · ${brand.name}`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <header className="border-b bg-white">
+        <div className="mx-auto flex w-full max-w-3xl items-center justify-between gap-2 px-4 py-3 sm:px-6">
+          <Link href="/" className="flex items-center gap-2">
+            <div className="h-6 w-6 rounded-md" style={{ backgroundColor: COLORS.primaryGreen }} />
+            <span className="text-sm font-semibold" style={{ color: COLORS.primaryDark }}>{brand.name}</span>
+          </Link>
+          <LanguageSwitcher />
+        </div>
+      </header>
+      <main className="mx-auto w-full max-w-3xl px-4 py-10 sm:px-6">
+        {paid ? (
+          <div className="mb-6 rounded-md border p-4 text-sm" style={{ borderColor: tint(COLORS.primaryGreen, 0.33), background: tint(COLORS.primaryGreen, 0.05), color: COLORS.primaryDark }}>
+            {t("kickoff.paid")}
+          </div>
+        ) : null}
+        <h1 className="text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>{t("kickoff.title")}</h1>
+        <p className="mt-2 text-slate-700">{t("kickoff.text")}</p>
+        <div className="mt-6 rounded-xl border bg-white p-6 shadow-sm">
+          {isReady ? <KickoffScheduler briefId={briefId} contact={{}} /> : null}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,327 @@
+import { useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { CheckCircle2, Circle, Lock } from "lucide-react";
+import { useBrand } from "../../components/BrandProvider";
+import LanguageSwitcher from "../../components/LanguageSwitcher";
+import { useT } from "../../components/LocaleProvider";
+import SprintPlan from "../../components/SprintPlan";
+import { brandOf } from "../../lib/brand";
+import { STATUSES } from "../../lib/briefStatus";
+import { briefForPortal, portalView } from "../../lib/portal";
+import { activeSteps, fieldByName, localizeField, localizeStep } from "../../lib/schema";
+import { checkFeasibility, formatDay, sprintStart } from "../../lib/sprint";
+import { COLORS, tint } from "../../lib/theme";
+
+export async function getServerSideProps(ctx) {
+  const brief = await briefForPortal(ctx.params.token);
+  if (!brief) return { notFound: true };
+  return { props: { brand: brandOf(brief).id, token: String(ctx.params.token), initialPortal: portalView(brief) } };
+}
+
+const inputClass = "w-full rounded-md border px-3 py-2 text-sm";
+const inputStyle = { borderColor: "#e5e7eb" };
+
+// Timestamps as days in the page's language (UTC, so server and client agree)
+const dayOf = (iso, locale) => formatDay(iso.slice(0, 10), { dateStyle: "medium" }, locale);
+
+function Panel({ title, children }) {
+  return (
+    <section className="rounded-xl border bg-white p-6 shadow-sm">
+      <h2 className="mb-3 text-lg font-semibold" style={{ color: COLORS.primaryDark }}>{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+// ---------- Status ----------
+function StatusTracker({ portal }) {
+  const t = useT();
+  const current = STATUSES.findIndex((s) => s.id === portal.status);
+  // When the brief last moved into each status
+  const since = { new: portal.createdAt };
+  for (const h of portal.statusHistory) since[h.to] = h.at;
+  return (
+    <ol className="space-y-3">
+      {STATUSES.map((s, i) => (
+        <li key={s.id} className="flex items-start gap-3 text-sm">
+          {i <= current ? <CheckCircle2 className="mt-0.5 h-4 w-4 shrink-0" style={{ color: COLORS.primaryGreen }} /> : <Circle className="mt-0.5 h-4 w-4 shrink-0 text-slate-300" />}
+          <div>
+            <div className={i === current ? "font-semibold" : i < current ? "text-slate-700" : "text-slate-400"} style={i === current ? { color: COLORS.primaryDark } : undefined}>
+              {t(`portal.status.${s.id}.label`)}
+              {i <= current && since[s.id] ? <span className="font-normal text-slate-500"> · {t("portal.status.since", { date: dayOf(since[s.id], t.locale) })}</span> : null}
+            </div>
+            {i === current ? <p className="text-slate-600">{t(`portal.status.${s.id}.text`)}</p> : null}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// ---------- Checklist ----------
+function ChecklistItem({ item, portal, busy, onMark }) {
+  const t = useT();
+  const linkClass = "text-xs font-semibold underline underline-offset-4";
+  let action = null;
+  if (item.kind === "kickoff") {
+    action = !item.done ? (
+      <Link href={`/kickoff?brief=${encodeURIComponent(portal.id)}`} className={linkClass}>{t("portal.checklist.book")}</Link>
+    ) : portal.kickoff?.status === "confirmed" ? (
+      <Link href={`/kickoff/${portal.kickoff.token}`} className={linkClass}>{t("portal.checklist.manage")}</Link>
+    ) : null;
+  } else if (item.kind === "payment") {
+    action = item.done ? null : <Link href={`/checkout?brief=${encodeURIComponent(portal.id)}`} className={linkClass}>{t("portal.checklist.pay")}</Link>;
+  } else {
+    action = (
+      <button type="button" disabled={busy} onClick={() => onMark(item.id, !item.done)} className="rounded-md border px-2 py-1 text-xs font-medium disabled:opacity-60" style={{ borderColor: "#e5e7eb", color: COLORS.primaryDark }}>
+        {item.done ? t("portal.checklist.undo") : t("portal.checklist.markDone")}
+      </button>
+    );
+  }
+  const hint = item.done ? "" : item.kind === "assets" ? t("portal.checklist.assetsHint") : item.kind === "access" ? t("portal.checklist.accessHint") : "";
+  return (
+    <li className="flex items-start gap-3 text-sm">
+      {item.done ? <CheckCircle2 className="mt-0.5 h-4 w-4 shrink-0" style={{ color: COLORS.primaryGreen }} /> : <Circle className="mt-0.5 h-4 w-4 shrink-0 text-slate-400" />}
+      <div className="flex-1">
+        <div className={item.done ? "text-slate-500 line-through" : "text-slate-800"}>{t(`portal.checklist.${item.kind}`, { name: item.name })}</div>
+        {hint ? <p className="text-xs text-slate-500">{hint}</p> : null}
+      </div>
+      {action}
+    </li>
+  );
+}
+
+// ---------- Brief ----------
+// One lib/schema.js field: an input while it's editable, its answer otherwise
+function PortalField({ field: f, value, editable, error, onChange }) {
+  const t = useT();
+  const id = `field-${f.name}`;
+  if (!editable) {
+    const option = f.options && f.options.find((o) => o.value === value);
+    const shown = f.type === "checkbox" ? (value ? t("summary.yes") : "—") : option ? option.label : value || "—";
+    return (
+      <div className="text-sm">
+        <div className="mb-1 flex items-center gap-1 font-medium" style={{ color: COLORS.primaryDark }}>
+          {f.summaryLabel || f.label}
+          <Lock className="h-3 w-3 text-slate-400" aria-label={t("portal.edit.locked")} />
+        </div>
+        <div className="whitespace-pre-wrap text-slate-700">{shown}</div>
+      </div>
+    );
+  }
+
+  const a11y = { id, "aria-invalid": error ? true : undefined, "aria-describedby": error ? `${id}-error` : undefined };
+  const message = error ? <span id={`${id}-error`} className="mt-1 block text-xs font-medium text-red-600">{error}</span> : null;
+  if (f.type === "checkbox") {
+    return (
+      <div>
+        <label className="flex items-start gap-2 text-sm text-slate-700">
+          <input type="checkbox" className="mt-1" checked={!!value} onChange={(e) => onChange(e.target.checked)} {...a11y} />
+          <span>{f.label}</span>
+        </label>
+        {message}
+      </div>
+    );
+  }
+  const common = { ...a11y, className: inputClass, style: error ? { borderColor: "#f87171" } : inputStyle, value: value || "", onChange: (e) => onChange(e.target.value) };
+  let control;
+  if (f.type === "textarea") control = <textarea rows={f.rows || 3} {...common} />;
+  else if (f.type === "select") {
+    control = (
+      <select {...common} className={`${inputClass} bg-white`}>
+        {f.options.map((o) => (
+          <option key={o.value} value={o.value}>{o.label}</option>
+        ))}
+      </select>
+    );
+  } else control = <input type={f.type} lang={t.locale} {...common} />;
+  return (
+    <label className="block">
+      <span className="mb-1 block text-sm font-medium" style={{ color: COLORS.primaryDark }}>
+        {f.label}
+        {f.required ? <span className="text-red-500">*</span> : null}
+      </span>
+      {control}
+      {message}
+    </label>
+  );
+}
+
+/**
+ * /portal/:token – the client's view of their brief after submitting
+ * (lib/portal.js): status, sprint timeline, what we still need, messages
+ * with the team, and edits to answers that aren't locked yet.
+ */
+export default function Portal({ token, initialPortal }) {
+  const t = useT();
+  const brand = useBrand();
+  const [portal, setPortal] = useState(initialPortal);
+  const [values, setValues] = useState(initialPortal.values);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState("");
+  const [busy, setBusy] = useState("");
+  const [notice, setNotice] = useState("");
+  const [error, setError] = useState("");
+
+  async function call(path, method, body, what) {
+    setBusy(what);
+    setError("");
+    const res = await fetch(`/api/portal/${token}${path}`, { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }).catch(() => null);
+    const json = res ? await res.json().catch(() => ({})) : {};
+    setBusy("");
+    if (!res || !res.ok) setError(json.error || t("portal.error"));
+    return { ok: !!res && res.ok, json };
+  }
+
+  async function save(e) {
+    e.preventDefault();
+    setNotice("");
+    const { ok, json } = await call("", "PATCH", { values: Object.fromEntries(portal.editable.map((name) => [name, values[name]])) }, "save");
+    setErrors((!ok && json.fields) || {});
+    if (!ok) return;
+    setNotice(json.portal.changeHistory.length > portal.changeHistory.length ? t("portal.edit.saved") : t("portal.edit.unchanged"));
+    setPortal(json.portal);
+    setValues(json.portal.values);
+  }
+
+  async function send(e) {
+    e.preventDefault();
+    const { ok, json } = await call("/messages", "POST", { text: message }, "message");
+    if (!ok) return;
+    setPortal((p) => ({ ...p, messages: json.messages }));
+    setMessage("");
+  }
+
+  async function mark(item, done) {
+    const { ok, json } = await call("/checklist", "PATCH", { item, done }, "checklist");
+    if (ok) setPortal((p) => ({ ...p, checklist: json.checklist }));
+  }
+
+  const saved = portal.values;
+  const sprint = checkFeasibility(saved, { start: sprintStart(portal), locale: t.locale });
+  const outstanding = portal.checklist.filter((i) => !i.done).length;
+  const editable = new Set(portal.editable);
+  const formSteps = activeSteps(values)
+    .filter((s) => s.fields)
+    .map((s) => localizeStep(s, t.locale, brand));
+  const fieldLabel = (name) => {
+    const f = fieldByName(name) && localizeField(fieldByName(name), t.locale, brand);
+    return f ? f.summaryLabel || f.label : name;
+  };
+
+  return (
+    <div className="min-h-screen w-full" style={{ backgroundColor: COLORS.primaryLight }}>
+      <Head>
+        <title>{`${t("portal.pageTitle")} · ${brand.name}`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <header className="border-b bg-white">
+        <div className="mx-auto flex w-full max-w-5xl items-center justify-between gap-2 px-4 py-3 sm:px-6">
+          <Link href="/" className="flex items-center gap-2">
+            <div className="h-6 w-6 rounded-md" style={{ backgroundColor: COLORS.primaryGreen }} />
+            <span className="text-sm font-semibold" style={{ color: COLORS.primaryDark }}>{brand.name}</span>
+          </Link>
+          <LanguageSwitcher />
+        </div>
+      </header>
+      <main className="mx-auto w-full max-w-5xl px-4 py-10 sm:px-6">
+        <h1 className="text-2xl font-bold sm:text-3xl" style={{ color: COLORS.primaryDark }}>
+          {t("portal.title")}
+          {saved.company ? ` · ${saved.company}` : ""}
+        </h1>
+        <p className="mt-2 text-sm text-slate-600">{t("portal.intro")}</p>
+        <p className="mt-1 text-xs text-slate-500">{t("portal.reference")} <code>{portal.id}</code></p>
+        {error ? (
+          <div role="alert" className="mt-4 rounded-md border p-3 text-sm" style={{ background: "#FEF2F2", borderColor: "#FECACA", color: "#991B1B" }}>{error}</div>
+        ) : null}
+
+        <div className="mt-6 grid grid-cols-1 gap-6 lg:grid-cols-3">
+          <div className="space-y-6 lg:col-span-2">
+            <Panel title={t("portal.sprint.title")}>
+              <SprintPlan result={sprint} note={portal.kickoff?.status === "confirmed" ? t("portal.sprint.booked") : t("portal.sprint.draft")} />
+            </Panel>
+
+            <Panel title={t("portal.messages.title")}>
+              <ul className="mb-4 space-y-3">
+                {portal.messages.map((m) => (
+                  <li key={m.id} className="rounded-md border p-3 text-sm" style={m.from === "team" ? { borderColor: tint(COLORS.primaryGreen, 0.33), background: tint(COLORS.primaryGreen, 0.05) } : inputStyle}>
+                    <div className="mb-1 text-xs font-semibold text-slate-500">
+                      {m.from === "team" ? t("portal.messages.team") : t("portal.messages.you")} · {dayOf(m.at, t.locale)}
+                    </div>
+                    <div className="whitespace-pre-wrap text-slate-800">{m.text}</div>
+                  </li>
+                ))}
+                {!portal.messages.length ? <li className="text-sm text-slate-500">{t("portal.messages.empty")}</li> : null}
+              </ul>
+              <form onSubmit={send}>
+                <textarea rows={3} value={message} maxLength={5000} onChange={(e) => setMessage(e.target.value)} placeholder={t("portal.messages.placeholder")} aria-label={t("portal.messages.label")} className={inputClass} style={inputStyle} />
+                <button type="submit" disabled={!!busy || !message.trim()} className="mt-2 rounded-md px-4 py-2 text-sm font-semibold text-white disabled:opacity-60" style={{ backgroundColor: COLORS.primaryGreen }}>
+                  {busy === "message" ? t("portal.messages.sending") : t("portal.messages.send")}
+                </button>
+              </form>
+            </Panel>
+
+            <Panel title={t("portal.edit.title")}>
+              <p className="mb-4 text-sm text-slate-600">{t("portal.edit.intro")}</p>
+              <form onSubmit={save} className="space-y-6" noValidate>
+                {formSteps.map((s) => (
+                  <fieldset key={s.id} className="space-y-4">
+                    <legend className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-500">{s.title}</legend>
+                    {s.fields
+                      .filter((f) => !f.hidden && f.type !== "files")
+                      .map((f) => (
+                        <PortalField
+                          key={f.name}
+                          field={f}
+                          value={values[f.name]}
+                          editable={editable.has(f.name)}
+                          error={errors[f.name]}
+                          onChange={(v) => setValues((d) => ({ ...d, [f.name]: v }))}
+                        />
+                      ))}
+                  </fieldset>
+                ))}
+                <div className="flex flex-wrap items-center gap-3">
+                  <button type="submit" disabled={!!busy} className="rounded-md px-4 py-2 text-sm font-semibold text-white disabled:opacity-60" style={{ backgroundColor: COLORS.primaryGreen }}>
+                    {busy === "save" ? t("portal.edit.saving") : t("portal.edit.save")}
+                  </button>
+                  {notice ? <span role="status" className="text-sm text-slate-600">{notice}</span> : null}
+                </div>
+              </form>
+            </Panel>
+          </div>
+
+          <div className="space-y-6">
+            <Panel title={t("portal.status.title")}>
+              <StatusTracker portal={portal} />
+            </Panel>
+
+            <Panel title={t("portal.checklist.title")}>
+              {!outstanding ? <p className="mb-3 text-sm text-slate-600">{t("portal.checklist.allDone")}</p> : null}
+              <ul className="space-y-3">
+                {portal.checklist.map((item) => (
+                  <ChecklistItem key={item.id} item={item} portal={portal} busy={!!busy} onMark={mark} />
+                ))}
+              </ul>
+            </Panel>
+
+            <Panel title={t("portal.history.title")}>
+              <ul className="space-y-3 text-sm">
+                {[...portal.changeHistory].reverse().map((c) => (
+                  <li key={c.at}>
+                    <div className="text-xs text-slate-500">
+                      {dayOf(c.at, t.locale)} · {t(`portal.history.by.${c.by}`, {}, c.by)}
+                    </div>
+                    <div className="text-slate-700">{Object.keys(c.fields).map(fieldLabel).join(", ")}</div>
+                  </li>
+                ))}
+                {!portal.changeHistory.length ? <li className="text-slate-500">{t("portal.history.empty")}</li> : null}
+              </ul>
+            </Panel>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
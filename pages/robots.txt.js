@@ -0,0 +1,14 @@
+import { brandForHost } from "../lib/brand";
+import { robotsTxt } from "../lib/seo";
+
+/** /robots.txt – crawl rules and the sitemap for this hostname's brand (lib/seo.js). */
+export async function getServerSideProps({ req, res }) {
+  res.setHeader("Content-Type", "text/plain; charset=utf-8");
+  res.setHeader("Cache-Control", "public, max-age=3600");
+  res.end(robotsTxt(brandForHost(req.headers.host)));
+  return { props: {} };
+}
+
+export default function Robots() {
+  return null;
+}
@@ -0,0 +1,14 @@
+import { brandForHost } from "../lib/brand";
+import { sitemapXml } from "../lib/seo";
+
+/** /sitemap.xml – the landing pages on this hostname's brand origin (lib/seo.js). */
+export async function getServerSideProps({ req, res }) {
+  res.setHeader("Content-Type", "application/xml; charset=utf-8");
+  res.setHeader("Cache-Control", "public, max-age=3600");
+  res.end(sitemapXml(brandForHost(req.headers.host)));
+  return { props: {} };
+}
+
+export default function Sitemap() {
+  return null;
+}
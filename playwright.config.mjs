@@ -0,0 +1,43 @@
+import os from "os";
+import path from "path";
+import { defineConfig, devices } from "@playwright/test";
+
+/**
+ * End-to-end flow against a production build (npm run test:e2e). The server
+ * gets its own store and relaxed spam checks so runs can repeat; locally an
+ * already running server on E2E_PORT is reused.
+ *
+ * CHROME_PATH points Playwright at an existing Chromium when
+ * `npx playwright install chromium` isn't an option.
+ */
+const PORT = Number(process.env.E2E_PORT || 3100);
+
+export default defineConfig({
+  testDir: "tests/e2e",
+  timeout: 60_000,
+  retries: process.env.CI ? 1 : 0,
+  reporter: process.env.CI ? "github" : "list",
+  use: {
+    baseURL: `http://localhost:${PORT}`,
+    trace: "retain-on-failure",
+    launchOptions: process.env.CHROME_PATH ? { executablePath: process.env.CHROME_PATH } : {},
+  },
+  projects: [{ name: "chromium", use: { ...devices["Desktop Chrome"] } }],
+  webServer: {
+    command: `npm run build && npm run start -- -p ${PORT}`,
+    url: `http://localhost:${PORT}`,
+    timeout: 300_000,
+    reuseExistingServer: !process.env.CI,
+    env: {
+      BRIEF_STORE_DIR: path.join(os.tmpdir(), "blossom-launch-e2e"),
+      BRIEF_MIN_SUBMIT_SECONDS: "0",
+      BRIEF_IP_LIMIT: "0",
+      BRIEF_EMAIL_LIMIT: "0",
+      BRIEF_DUPLICATE_HOURS: "0",
+      EMAIL_TRANSPORT: "none",
+      HUBSPOT_TOKEN: "",
+      NOTION_TOKEN: "",
+      STRIPE_SECRET_KEY: "",
+    },
+  },
+});
@@ -0,0 +1,108 @@
+/**
+ * Offline stand-in for the HubSpot and Notion APIs used by lib/sync.
+ *
+ *   npm run crm:standin                  # listens on :4010
+ *   STANDIN_PORT=4011 STANDIN_FLAKY=2 npm run crm:standin
+ *
+ * Point the app at it with:
+ *   HUBSPOT_TOKEN=dev HUBSPOT_API_BASE=http://localhost:4010
+ *   NOTION_TOKEN=dev NOTION_DATABASE_ID=dev-db NOTION_API_BASE=http://localhost:4010
+ *
+ * STANDIN_FLAKY=N answers the first N calls of each endpoint with a 503 (and
+ * every 4th of those with a 429) to exercise retries/backoff.
+ * GET /__records dumps everything received; DELETE /__records resets.
+ */
+const http = require("http");
+const crypto = require("crypto");
+
+const port = Number(process.env.STANDIN_PORT || 4010);
+const flaky = Number(process.env.STANDIN_FLAKY || 0);
+
+let db;
+const reset = () => (db = { contacts: {}, deals: {}, pages: {}, calls: {} });
+reset();
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+};
+const id = () => String(crypto.randomInt(1e9));
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+const routes = [
+  ["POST", /^\/crm\/v3\/objects\/contacts$/, (body) => {
+    const email = body.properties && body.properties.email;
+    if (!email) return [400, { status: "error", message: "Property values were not valid", category: "VALIDATION_ERROR" }];
+    const existing = Object.values(db.contacts).find((c) => c.properties.email === email);
+    if (existing) return [409, { status: "error", message: `Contact already exists. Existing ID: ${existing.id}`, category: "CONFLICT" }];
+    const contact = { id: id(), properties: body.properties, createdAt: new Date().toISOString() };
+    db.contacts[contact.id] = contact;
+    return [201, contact];
+  }],
+  ["PATCH", /^\/crm\/v3\/objects\/contacts\/(\d+)$/, (body, [, contactId]) => {
+    const contact = db.contacts[contactId];
+    if (!contact) return [404, { status: "error", message: "Object not found", category: "OBJECT_NOT_FOUND" }];
+    Object.assign(contact.properties, body.properties);
+    return [200, contact];
+  }],
+  ["POST", /^\/crm\/v3\/objects\/deals$/, (body) => {
+    if (!body.properties || !body.properties.dealname) return [400, { status: "error", message: "dealname is required", category: "VALIDATION_ERROR" }];
+    const deal = { id: id(), properties: body.properties, associations: body.associations || [], createdAt: new Date().toISOString() };
+    db.deals[deal.id] = deal;
+    return [201, deal];
+  }],
+  ["POST", /^\/v1\/pages$/, (body, _m, req) => {
+    if (!req.headers["notion-version"]) return [400, { object: "error", status: 400, code: "missing_version", message: "Notion-Version header failed validation" }];
+    if (!body.parent || !body.parent.database_id) return [400, { object: "error", status: 400, code: "validation_error", message: "body.parent.database_id should be defined" }];
+    const page = { object: "page", id: crypto.randomUUID(), parent: body.parent, properties: body.properties };
+    page.url = `https://www.notion.so/${page.id.replace(/-/g, "")}`;
+    db.pages[page.id] = page;
+    return [200, page];
+  }],
+];
+
+http
+  .createServer(async (req, res) => {
+    const url = req.url.split("?")[0];
+    if (url === "/__records") {
+      if (req.method === "DELETE") reset();
+      return send(res, 200, db);
+    }
+    if (!/^Bearer \S+/.test(req.headers.authorization || "")) {
+      return send(res, 401, { status: "error", message: "Authentication credentials not found", category: "INVALID_AUTHENTICATION" });
+    }
+
+    for (const [method, pattern, handle] of routes) {
+      const m = req.method === method && pattern.exec(url);
+      if (!m) continue;
+      const key = `${method} ${pattern}`;
+      const n = (db.calls[key] = (db.calls[key] || 0) + 1);
+      if (n <= flaky) {
+        return n % 4 === 0 ? send(res, 429, { message: "Rate limited" }, { "Retry-After": "1" }) : send(res, 503, { message: "Service unavailable" });
+      }
+      let body;
+      try {
+        body = await readBody(req);
+      } catch {
+        return send(res, 400, { message: "Invalid JSON" });
+      }
+      const [status, payload] = handle(body, m, req);
+      console.log(`${req.method} ${url} -> ${status}`);
+      return send(res, status, payload);
+    }
+    send(res, 404, { message: `No stand-in for ${req.method} ${url}` });
+  })
+  .listen(port, () => console.log(`CRM stand-in (HubSpot + Notion) on http://localhost:${port}`));
@@ -0,0 +1,169 @@
+/**
+ * Offline stand-in for the slice of the Stripe API used by lib/payments:
+ * Checkout Sessions, a fake hosted payment page, and signed webhooks.
+ *
+ *   npm run payments:standin                  # listens on :4020
+ *   STANDIN_WEBHOOK_URL=http://localhost:3000/api/payments/webhook npm run payments:standin
+ *
+ * Point the app at it with:
+ *   STRIPE_SECRET_KEY=sk_test_dev STRIPE_WEBHOOK_SECRET=whsec_dev STRIPE_API_BASE=http://localhost:4020
+ *
+ * The hosted page (/checkout/:id) has Pay and Cancel buttons. Paying sends
+ * checkout.session.completed + invoice.paid to STANDIN_WEBHOOK_URL, signed
+ * with STANDIN_WEBHOOK_SECRET (default whsec_dev), then redirects to the
+ * session's success_url.
+ *
+ * POST /__events/:type?subscription=…|session=… sends any other event
+ * (e.g. invoice.payment_failed, customer.subscription.deleted).
+ * GET /__records dumps sessions, subscriptions and sent events.
+ */
+const http = require("http");
+const crypto = require("crypto");
+
+const port = Number(process.env.PAYMENTS_STANDIN_PORT || 4020);
+const webhookUrl = process.env.STANDIN_WEBHOOK_URL || "http://localhost:3000/api/payments/webhook";
+const webhookSecret = process.env.STANDIN_WEBHOOK_SECRET || "whsec_dev";
+
+const db = { sessions: {}, subscriptions: {}, events: [], idempotency: {} };
+const rid = (prefix) => `${prefix}_${crypto.randomBytes(10).toString("hex")}`;
+
+const json = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+const redirect = (res, url) => {
+  res.writeHead(303, { Location: url });
+  res.end();
+};
+
+function readForm(req) {
+  return new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => resolve(Object.fromEntries(new URLSearchParams(raw))));
+  });
+}
+
+async function sendEvent(type, object) {
+  const event = { id: rid("evt"), object: "event", type, created: Math.floor(Date.now() / 1000), data: { object } };
+  const payload = JSON.stringify(event);
+  const t = Math.floor(Date.now() / 1000);
+  const sig = crypto.createHmac("sha256", webhookSecret).update(`${t}.${payload}`).digest("hex");
+  let status;
+  try {
+    const res = await fetch(webhookUrl, { method: "POST", headers: { "Content-Type": "application/json", "Stripe-Signature": `t=${t},v1=${sig}` }, body: payload });
+    status = res.status;
+  } catch (err) {
+    status = `error: ${err.message}`;
+  }
+  db.events.push({ id: event.id, type, status });
+  console.log(`[payments-standin] ${type} -> ${status}`);
+  return event;
+}
+
+function createSession(form) {
+  const items = [];
+  for (let i = 0; form[`line_items[${i}][quantity]`]; i++) {
+    items.push({
+      name: form[`line_items[${i}][price_data][product_data][name]`],
+      amount: Number(form[`line_items[${i}][price_data][unit_amount]`]),
+      interval: form[`line_items[${i}][price_data][recurring][interval]`] || null,
+    });
+  }
+  if (form.mode !== "subscription" || !items.some((it) => it.interval)) {
+    return [400, { error: { type: "invalid_request_error", message: "Subscription mode needs at least one recurring price" } }];
+  }
+  const id = rid("cs_test");
+  const session = {
+    id,
+    object: "checkout.session",
+    mode: form.mode,
+    status: "open",
+    payment_status: "unpaid",
+    url: `http://localhost:${port}/checkout/${id}`,
+    client_reference_id: form.client_reference_id || null,
+    customer_email: form.customer_email || null,
+    currency: form["line_items[0][price_data][currency]"],
+    amount_total: items.reduce((sum, it) => sum + it.amount, 0),
+    line_items: items,
+    metadata: { briefId: form["metadata[briefId]"], plan: form["metadata[plan]"] },
+    subscription_metadata: { briefId: form["subscription_data[metadata][briefId]"], plan: form["subscription_data[metadata][plan]"] },
+    success_url: form.success_url,
+    cancel_url: form.cancel_url,
+    subscription: null,
+    customer: null,
+  };
+  db.sessions[id] = session;
+  return [200, session];
+}
+
+async function pay(session) {
+  const customer = rid("cus");
+  const sub = { id: rid("sub"), object: "subscription", customer, status: "active", metadata: session.subscription_metadata };
+  db.subscriptions[sub.id] = sub;
+  Object.assign(session, { status: "complete", payment_status: "paid", subscription: sub.id, customer });
+  await sendEvent("checkout.session.completed", session);
+  await sendEvent("invoice.paid", {
+    id: rid("in"),
+    object: "invoice",
+    subscription: sub.id,
+    customer,
+    amount_paid: session.amount_total,
+    subscription_details: { metadata: sub.metadata },
+  });
+}
+
+function page(session) {
+  const rows = session.line_items.map((it) => `<li>${it.name}: ${(it.amount / 100).toFixed(2)} ${session.currency}${it.interval ? ` / ${it.interval}` : ""}</li>`).join("");
+  return `<!doctype html><html><body style="font-family:sans-serif;max-width:480px;margin:40px auto">
+<h1>Stand-in checkout</h1><p>${session.customer_email || ""}</p><ul>${rows}</ul>
+<form method="POST" action="/checkout/${session.id}/pay"><button>Pay ${(session.amount_total / 100).toFixed(2)} ${session.currency}</button></form>
+<form method="POST" action="/checkout/${session.id}/cancel"><button>Cancel</button></form>
+</body></html>`;
+}
+
+http
+  .createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    let m;
+
+    if (req.method === "GET" && url.pathname === "/__records") return json(res, 200, db);
+
+    if (req.method === "POST" && url.pathname === "/v1/checkout/sessions") {
+      if (!/^Bearer sk_/.test(req.headers.authorization || "")) return json(res, 401, { error: { type: "invalid_request_error", message: "Invalid API Key provided" } });
+      const key = req.headers["idempotency-key"];
+      if (key && db.idempotency[key]) return json(res, 200, db.sessions[db.idempotency[key]]);
+      const [status, body] = createSession(await readForm(req));
+      if (key && status === 200) db.idempotency[key] = body.id;
+      return json(res, status, body);
+    }
+
+    if ((m = url.pathname.match(/^\/checkout\/([\w]+)(?:\/(pay|cancel))?$/))) {
+      const session = db.sessions[m[1]];
+      if (!session) return json(res, 404, { error: { message: "No such checkout session" } });
+      if (req.method === "GET" && !m[2]) {
+        res.writeHead(200, { "Content-Type": "text/html" });
+        return res.end(page(session));
+      }
+      if (req.method === "POST" && m[2] === "pay") {
+        await pay(session);
+        return redirect(res, session.success_url);
+      }
+      if (req.method === "POST" && m[2] === "cancel") return redirect(res, session.cancel_url);
+    }
+
+    if (req.method === "POST" && (m = url.pathname.match(/^\/__events\/([\w.]+)$/))) {
+      const sub = db.subscriptions[url.searchParams.get("subscription")];
+      const session = db.sessions[url.searchParams.get("session")];
+      const object = sub
+        ? m[1].startsWith("invoice.")
+          ? { id: rid("in"), object: "invoice", subscription: sub.id, customer: sub.customer, subscription_details: { metadata: sub.metadata } }
+          : sub
+        : session;
+      if (!object) return json(res, 404, { error: { message: "Pass ?subscription= or ?session=" } });
+      return json(res, 200, await sendEvent(m[1], object));
+    }
+
+    json(res, 404, { error: { message: `No stand-in route for ${req.method} ${url.pathname}` } });
+  })
+  .listen(port, () => console.log(`payments stand-in listening on :${port}, webhooks -> ${webhookUrl}`));
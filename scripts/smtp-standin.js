@@ -0,0 +1,142 @@
+/**
+ * Offline stand-in SMTP server for the "smtp" email transport (lib/email).
+ *
+ *   npm run smtp:standin                 # SMTP on :2525, inspector on :4025
+ *   SMTP_STANDIN_PORT=2526 SMTP_STANDIN_FLAKY=1 npm run smtp:standin
+ *
+ * Point the app at it with:
+ *   EMAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=2525
+ *
+ * Accepts any AUTH PLAIN/LOGIN credentials, no TLS. SMTP_STANDIN_FLAKY=N
+ * answers the first N messages with a 451 to exercise failure handling.
+ * GET /__messages dumps everything received (with the raw MIME source);
+ * DELETE /__messages resets.
+ */
+const http = require("http");
+const net = require("net");
+
+const port = Number(process.env.SMTP_STANDIN_PORT || 2525);
+const httpPort = Number(process.env.SMTP_STANDIN_HTTP_PORT || 4025);
+let flaky = Number(process.env.SMTP_STANDIN_FLAKY || 0);
+
+let messages = [];
+
+function decodeHeader(value = "") {
+  return value.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (_, b64) => Buffer.from(b64, "base64").toString("utf8"));
+}
+
+function headerOf(raw, name) {
+  const m = raw.match(new RegExp(`^${name}: (.*)$`, "mi"));
+  return m ? decodeHeader(m[1]) : "";
+}
+
+net
+  .createServer((socket) => {
+    let session = { from: null, to: [] };
+    let mode = "command"; // "command" | "data" | "auth-user" | "auth-pass"
+    let buffer = "";
+    let data = [];
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 smtp-standin ready");
+    socket.on("error", () => {});
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+
+        if (mode === "data") {
+          if (line !== ".") {
+            data.push(line.startsWith("..") ? line.slice(1) : line);
+            continue;
+          }
+          mode = "command";
+          if (flaky > 0) {
+            flaky -= 1;
+            reply("451 4.3.0 Temporary failure (stand-in flaky mode)");
+          } else {
+            const raw = data.join("\r\n");
+            messages.push({ from: session.from, to: session.to, subject: headerOf(raw, "Subject"), receivedAt: new Date().toISOString(), raw });
+            reply(`250 2.0.0 Ok: queued as ${messages.length}`);
+          }
+          session = { from: null, to: [] };
+          data = [];
+          continue;
+        }
+        if (mode === "auth-user") {
+          mode = "auth-pass";
+          reply("334 UGFzc3dvcmQ6");
+          continue;
+        }
+        if (mode === "auth-pass") {
+          mode = "command";
+          reply("235 2.7.0 Authentication successful");
+          continue;
+        }
+
+        const [verb] = line.split(" ");
+        switch (verb.toUpperCase()) {
+          case "EHLO":
+            reply("250-smtp-standin");
+            reply("250-AUTH PLAIN LOGIN");
+            reply("250 8BITMIME");
+            break;
+          case "HELO":
+            reply("250 smtp-standin");
+            break;
+          case "AUTH":
+            if (/^AUTH LOGIN/i.test(line)) {
+              mode = "auth-user";
+              reply("334 VXNlcm5hbWU6");
+            } else reply("235 2.7.0 Authentication successful");
+            break;
+          case "MAIL":
+            session.from = (line.match(/<([^>]*)>/) || [])[1] || "";
+            reply("250 2.1.0 Ok");
+            break;
+          case "RCPT":
+            if (!session.from) reply("503 5.5.1 Need MAIL first");
+            else {
+              session.to.push((line.match(/<([^>]*)>/) || [])[1] || "");
+              reply("250 2.1.5 Ok");
+            }
+            break;
+          case "DATA":
+            if (!session.to.length) reply("503 5.5.1 Need RCPT first");
+            else {
+              mode = "data";
+              reply("354 End data with <CR><LF>.<CR><LF>");
+            }
+            break;
+          case "RSET":
+            session = { from: null, to: [] };
+            reply("250 2.0.0 Ok");
+            break;
+          case "NOOP":
+            reply("250 2.0.0 Ok");
+            break;
+          case "QUIT":
+            reply("221 2.0.0 Bye");
+            socket.end();
+            break;
+          default:
+            reply("502 5.5.2 Command not recognized");
+        }
+      }
+    });
+  })
+  .listen(port, () => console.log(`smtp stand-in listening on :${port}`));
+
+http
+  .createServer((req, res) => {
+    if (req.url !== "/__messages") {
+      res.writeHead(404).end();
+      return;
+    }
+    if (req.method === "DELETE") messages = [];
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(messages, null, 2));
+  })
+  .listen(httpPort, () => console.log(`smtp stand-in inspector on http://localhost:${httpPort}/__messages`));
@@ -0,0 +1,44 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import login from "../../pages/api/admin/login";
+import { call, useTempStore } from "../helpers/http";
+
+const attempt = (password, ip) => call(login, { method: "POST", body: { password }, ip });
+
+describe("POST /api/admin/login", () => {
+  let cleanup;
+
+  beforeEach(() => {
+    cleanup = useTempStore();
+    vi.stubEnv("ADMIN_PASSWORD", "correct horse");
+    vi.stubEnv("ADMIN_LOGIN_LIMIT", "2");
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    cleanup();
+  });
+
+  it("starts a session for the right password", async () => {
+    const res = await attempt("correct horse");
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["set-cookie"]).toMatch(/^blossom_admin=/);
+  });
+
+  it("locks an IP out after too many wrong passwords", async () => {
+    expect((await attempt("guess 1")).statusCode).toBe(401);
+    expect((await attempt("guess 2")).statusCode).toBe(401);
+    const res = await attempt("correct horse");
+    expect(res.statusCode).toBe(429);
+    expect(res.headers["retry-after"]).toBeTruthy();
+    expect(res.headers["set-cookie"]).toBeUndefined();
+    // ...but only that IP
+    expect((await attempt("correct horse", "198.51.100.4")).statusCode).toBe(200);
+  });
+
+  it("forgets failures after a successful login", async () => {
+    expect((await attempt("guess 1")).statusCode).toBe(401);
+    expect((await attempt("correct horse")).statusCode).toBe(200);
+    expect((await attempt("guess 2")).statusCode).toBe(401);
+    expect((await attempt("correct horse")).statusCode).toBe(200);
+  });
+});
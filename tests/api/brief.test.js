@@ -0,0 +1,186 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import handler from "../../pages/api/brief";
+import challenge from "../../pages/api/brief/challenge";
+import { PILOT_SPOT_LIMIT } from "../../lib/plans";
+import { getStore } from "../../lib/store";
+import { validBrief } from "../helpers/brief";
+import { call, useTempStore } from "../helpers/http";
+
+async function formToken() {
+  const res = await call(challenge, { method: "GET" });
+  return res.body.token;
+}
+
+async function post(body, { guard = {}, ...options } = {}) {
+  const token = await formToken();
+  return call(handler, { method: "POST", body: { ...body, _guard: { token, ...guard } }, ...options });
+}
+
+const storedBriefs = () => getStore().collection("briefs").list();
+
+// Rejections are logged after the response goes out; wait for the entry
+const loggedRejection = (reason) =>
+  vi.waitFor(async () => {
+    const entries = await getStore().collection("rejections").list();
+    expect(entries.map((e) => e.reason)).toContain(reason);
+  });
+
+describe("POST /api/brief", () => {
+  let cleanup;
+
+  beforeEach(() => {
+    cleanup = useTempStore();
+    vi.stubEnv("BRIEF_MIN_SUBMIT_SECONDS", "0");
+    vi.stubEnv("EMAIL_TRANSPORT", "none");
+    vi.stubEnv("HUBSPOT_TOKEN", "");
+    vi.stubEnv("NOTION_TOKEN", "");
+    vi.stubEnv("STRIPE_SECRET_KEY", "");
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    cleanup();
+  });
+
+  it("only accepts POST", async () => {
+    const res = await call(handler, { method: "GET" });
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toBe("POST");
+  });
+
+  it("rejects a body that isn't JSON", async () => {
+    const res = await call(handler, { method: "POST", body: "{not json" });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it("stores a valid brief", async () => {
+    const res = await post({ ...validBrief, _attribution: { utm: { utm_source: "newsletter" }, landingPath: "/" } });
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ ok: true, id: expect.stringMatching(/^brief_/), checkout: null, portal: expect.any(String) });
+
+    const [brief] = await storedBriefs();
+    expect(brief.portalToken).toBe(res.body.portal);
+    expect(brief).toMatchObject({ id: res.body.id, status: "new", name: "Jane Founder", plan: "standard", locale: "en" });
+    expect(brief.attribution.utm).toEqual({ utm_source: "newsletter" });
+    expect(brief).not.toHaveProperty("_guard");
+  });
+
+  it("finishes emails and sync before responding", async () => {
+    const res = await post(validBrief);
+    expect(res.statusCode).toBe(201);
+
+    const [brief] = await storedBriefs();
+    expect(brief.emails.map((e) => e.kind)).toEqual(expect.arrayContaining(["confirmation"]));
+    expect(brief.sync).toMatchObject({ hubspot: { status: "skipped" }, notion: { status: "skipped" } });
+  });
+
+  it("returns per-field errors for an invalid brief", async () => {
+    const res = await post({ ...validBrief, email: "nope", mustHaves: "" });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.fields).toEqual({ email: "Enter a valid email address.", mustHaves: "This field is required." });
+    expect(await storedBriefs()).toHaveLength(0);
+  });
+
+  it("answers in the brief's language", async () => {
+    const res = await post({ ...validBrief, locale: "es", name: "" });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toBe("Revisa los campos marcados.");
+    expect(res.body.fields.name).toBe("Este campo es obligatorio.");
+  });
+
+  it("accepts a v2 brief and stores it in the v1 shape", async () => {
+    const res = await post({
+      ...validBrief,
+      schemaVersion: 2,
+      mustHaves: ["Class schedule", "Booking form"],
+      integrations: [{ id: "calendly" }, { id: "other", name: "Typeform" }],
+      targetDate: "2027-03-01",
+    });
+    expect(res.statusCode).toBe(201);
+    const [brief] = await storedBriefs();
+    expect(brief).toMatchObject({ mustHaves: "Class schedule\nBooking form", integrations: "Calendly, Typeform", targetDate: "2027-03-01" });
+    expect(brief).not.toHaveProperty("schemaVersion");
+  });
+
+  it("rejects v2 answers of the wrong type", async () => {
+    const res = await post({ ...validBrief, schemaVersion: 2, mustHaves: "Class schedule", targetDate: "2027-02-30" });
+    expect(res.statusCode).toBe(422);
+    // validBrief's integrations are v1 text
+    expect(Object.keys(res.body.fields)).toEqual(["targetDate", "mustHaves", "integrations"]);
+    expect((await post({ ...validBrief, schemaVersion: 7 })).body.fields).toHaveProperty("schemaVersion");
+  });
+
+  it("requires a form token", async () => {
+    const res = await call(handler, { method: "POST", body: validBrief });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe("no-token");
+    await loggedRejection("no-token");
+  });
+
+  it("fakes success for a filled-in honeypot", async () => {
+    const res = await post(validBrief, { guard: { website: "http://spam.example" } });
+    expect(res.statusCode).toBe(201);
+    await loggedRejection("honeypot");
+    expect(await storedBriefs()).toHaveLength(0);
+  });
+
+  it("turns away a duplicate of a recent brief", async () => {
+    expect((await post(validBrief)).statusCode).toBe(201);
+    const res = await post(validBrief);
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe("duplicate");
+    await loggedRejection("duplicate");
+  });
+
+  it("rate limits by IP", async () => {
+    vi.stubEnv("BRIEF_IP_LIMIT", "1");
+    expect((await post(validBrief)).statusCode).toBe(201);
+    const res = await post({ ...validBrief, email: "other@demo.co", oneLiner: "Something else" });
+    expect(res.statusCode).toBe(429);
+    expect(res.headers["retry-after"]).toBeTruthy();
+    await loggedRejection(res.body.code);
+  });
+
+  it("rejects file references that were never uploaded", async () => {
+    const res = await post({ ...validBrief, assetFiles: [{ id: "upload_missing", name: "logo.png" }] });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.fields).toHaveProperty("assetFiles");
+  });
+
+  it("claims a pilot spot", async () => {
+    const res = await post({ ...validBrief, plan: "pilot" });
+    expect(res.statusCode).toBe(201);
+    expect((await storedBriefs())[0].pilotSpot).toBe(true);
+  });
+
+  it("refuses the pilot plan once every spot is taken", async () => {
+    const briefs = getStore().collection("briefs");
+    for (let i = 0; i < PILOT_SPOT_LIMIT; i++) await briefs.insert({ id: `brief_taken${i}`, plan: "pilot", pilotSpot: true });
+    const res = await post({ ...validBrief, plan: "pilot" });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.fields).toHaveProperty("plan");
+  });
+
+  it("tags the brief with the brand it was submitted under", async () => {
+    expect((await post({ ...validBrief, brand: "studios" })).statusCode).toBe(201);
+    expect((await storedBriefs())[0].brand).toBe("studios");
+  });
+
+  it("picks the brand from the host when the wizard doesn't say", async () => {
+    expect((await post(validBrief, { headers: { host: "studios.blossom.launch:443" } })).statusCode).toBe(201);
+    expect((await storedBriefs())[0].brand).toBe("studios");
+  });
+
+  it("falls back to the default brand for an unknown one", async () => {
+    expect((await post({ ...validBrief, brand: "nope" })).statusCode).toBe(201);
+    expect((await storedBriefs())[0].brand).toBe("blossom");
+  });
+
+  it("refuses a plan the brand doesn't offer", async () => {
+    const res = await post({ ...validBrief, brand: "studios", plan: "pilot" });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.fields.plan).toMatch(/Standard/);
+    expect(await storedBriefs()).toHaveLength(0);
+  });
+});
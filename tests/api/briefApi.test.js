@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import openapi from "../../pages/api/openapi.json";
+import readV1 from "../../pages/api/v1/briefs/[id]";
+import readV2 from "../../pages/api/v2/briefs/[id]";
+import { normalizePayload } from "../../lib/brief";
+import { getStore } from "../../lib/store";
+import { validBrief } from "../helpers/brief";
+import { call, useTempStore } from "../helpers/http";
+
+const TOKEN = "test-api-token";
+const auth = { authorization: `Bearer ${TOKEN}` };
+
+// Just enough JSON Schema to check responses against the published spec
+function schemaErrors(schema, value, spec, path = "$") {
+  if (schema.$ref) return schemaErrors(spec.components.schemas[schema.$ref.split("/").pop()], value, spec, path);
+  if (schema.oneOf) return schema.oneOf.some((s) => !schemaErrors(s, value, spec, path).length) ? [] : [`${path}: matches no oneOf`];
+  if ("const" in schema) return value === schema.const ? [] : [`${path}: expected ${schema.const}`];
+  if (schema.enum) return schema.enum.includes(value) ? [] : [`${path}: ${JSON.stringify(value)} not in enum`];
+  const types = [].concat(schema.type || []);
+  const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v);
+  if (types.length && !types.includes(typeOf(value))) return [`${path}: expected ${types.join("|")}, got ${typeOf(value)}`];
+  if (typeOf(value) === "array" && schema.items) return value.flatMap((v, i) => schemaErrors(schema.items, v, spec, `${path}[${i}]`));
+  if (typeOf(value) === "object" && schema.properties) {
+    const missing = (schema.required || []).filter((k) => !(k in value)).map((k) => `${path}.${k}: missing`);
+    return [...missing, ...Object.entries(schema.properties).flatMap(([k, s]) => (k in value ? schemaErrors(s, value[k], spec, `${path}.${k}`) : []))];
+  }
+  if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) return [`${path}: doesn't match ${schema.pattern}`];
+  return [];
+}
+
+describe("brief read API", () => {
+  let cleanup;
+  let brief;
+  let spec;
+
+  beforeEach(async () => {
+    cleanup = useTempStore();
+    vi.stubEnv("BRIEF_API_TOKEN", TOKEN);
+    vi.stubEnv("ADMIN_PASSWORD", "");
+    vi.stubEnv("SITE_URL", "");
+    brief = await getStore()
+      .collection("briefs")
+      .insert({ ...normalizePayload({ ...validBrief, integrations: "Stripe and Typeform", paymentProducts: "Classes" }), status: "new", brand: "blossom", notes: [] });
+    spec = (await call(openapi, { method: "GET", headers: { host: "launch.test" } })).body;
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    cleanup();
+  });
+
+  it("needs the API token", async () => {
+    expect((await call(readV2, { method: "GET", query: { id: brief.id } })).statusCode).toBe(401);
+    expect((await call(readV2, { method: "GET", query: { id: brief.id }, headers: { authorization: "Bearer nope" } })).statusCode).toBe(401);
+    vi.stubEnv("BRIEF_API_TOKEN", "");
+    expect((await call(readV2, { method: "GET", query: { id: brief.id }, headers: { authorization: "Bearer " } })).statusCode).toBe(401);
+  });
+
+  it("404s for unknown briefs", async () => {
+    const res = await call(readV1, { method: "GET", query: { id: "brief_nope" }, headers: auth });
+    expect(res.statusCode).toBe(404);
+    expect(schemaErrors(spec.paths["/api/v1/briefs/{id}"].get.responses[404].content["application/json"].schema, res.body, spec)).toEqual([]);
+  });
+
+  it("serves v1 and v2 documents that match the spec", async () => {
+    for (const [version, handler] of [[1, readV1], [2, readV2]]) {
+      const res = await call(handler, { method: "GET", query: { id: brief.id }, headers: auth });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.brief).toMatchObject({ schemaVersion: version, id: brief.id, status: "new" });
+      const schema = spec.paths[`/api/v${version}/briefs/{id}`].get.responses[200].content["application/json"].schema;
+      expect(schemaErrors(schema, res.body, spec)).toEqual([]);
+    }
+    const v2 = (await call(readV2, { method: "GET", query: { id: brief.id }, headers: auth })).body.brief;
+    expect(v2.integrations).toEqual([{ id: "stripe", name: "Stripe" }, { id: "other", name: "Typeform" }]);
+    expect(v2.targetDate).toBeNull();
+  });
+
+  it("publishes the spec with this site as its server", async () => {
+    // An unknown Host header never becomes a link: the brand's origin does
+    expect(spec).toMatchObject({ openapi: "3.1.0", servers: [{ url: "https://blossom.launch" }] });
+    vi.stubEnv("SITE_URL", "https://launch.example/");
+    const configured = (await call(openapi, { method: "GET", headers: { host: "evil.test", "x-forwarded-host": "evil.test" } })).body;
+    expect(configured.servers).toEqual([{ url: "https://launch.example" }]);
+    expect(Object.keys(spec.paths)).toEqual(["/api/v1/briefs/{id}", "/api/v2/briefs/{id}", "/api/brief"]);
+    expect(spec.components.schemas.BriefV2.properties.mustHaves).toMatchObject({ type: "array" });
+    expect(spec.components.schemas.BriefV1.properties.mustHaves).toMatchObject({ type: "string" });
+  });
+});
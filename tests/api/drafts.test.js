@@ -0,0 +1,52 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import create from "../../pages/api/drafts";
+import update from "../../pages/api/drafts/[token]";
+import { DRAFT_VERSION } from "../../lib/draft";
+import { DRAFT_TTL_DAYS } from "../../lib/draftStore";
+import { getStore } from "../../lib/store";
+import { call, useTempStore } from "../helpers/http";
+
+const draft = { version: DRAFT_VERSION, step: 2, data: { name: "Jane Founder" } };
+const drafts = () => getStore().collection("drafts");
+
+describe("/api/drafts", () => {
+  let cleanup;
+
+  beforeEach(() => {
+    cleanup = useTempStore();
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    cleanup();
+  });
+
+  it("parks a draft and updates it", async () => {
+    const res = await call(create, { method: "POST", body: draft });
+    expect(res.statusCode).toBe(201);
+    const saved = await call(update, { method: "PUT", query: { token: res.body.token }, body: { ...draft, step: 3 } });
+    expect(saved.statusCode).toBe(200);
+    expect((await drafts().get(res.body.token)).step).toBe(3);
+  });
+
+  it("rate limits saves by IP", async () => {
+    vi.stubEnv("BRIEF_DRAFT_IP_LIMIT", "2");
+    const { body } = await call(create, { method: "POST", body: draft });
+    expect((await call(update, { method: "PUT", query: { token: body.token }, body: draft })).statusCode).toBe(200);
+    const res = await call(create, { method: "POST", body: draft });
+    expect(res.statusCode).toBe(429);
+    expect(res.headers["retry-after"]).toBeTruthy();
+    expect((await call(update, { method: "PUT", query: { token: body.token }, body: draft })).statusCode).toBe(429);
+    expect((await call(create, { method: "POST", body: draft, ip: "198.51.100.4" })).statusCode).toBe(201);
+  });
+
+  it("deletes expired drafts when a new one is parked", async () => {
+    const old = new Date(Date.now() - (DRAFT_TTL_DAYS + 1) * 86400000).toISOString();
+    await drafts().insert({ id: "draft_old", ...draft, createdAt: old });
+    await drafts().insert({ id: "draft_recent", ...draft });
+    await call(create, { method: "POST", body: draft });
+    const ids = (await drafts().list()).map((d) => d.id);
+    expect(ids).not.toContain("draft_old");
+    expect(ids).toContain("draft_recent");
+  });
+});
@@ -0,0 +1,68 @@
+import { Readable } from "stream";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import webhook from "../../pages/api/payments/webhook";
+import { signStripePayload, verifyStripeSignature, WebhookSignatureError } from "../../lib/payments/stripe";
+import { getStore } from "../../lib/store";
+import { validBrief } from "../helpers/brief";
+import { createMocks, useTempStore } from "../helpers/http";
+
+const completed = (briefId) =>
+  JSON.stringify({ id: "evt_1", type: "checkout.session.completed", data: { object: { id: "cs_1", payment_status: "paid", metadata: { briefId } } } });
+
+// The webhook reads the raw body from the request stream
+async function post(payload, signature) {
+  const { res } = createMocks();
+  const req = Object.assign(Readable.from([Buffer.from(payload)]), { method: "POST", headers: { "stripe-signature": signature }, query: {} });
+  await webhook(req, res);
+  return res;
+}
+
+describe("POST /api/payments/webhook", () => {
+  let cleanup;
+  let brief;
+
+  beforeEach(async () => {
+    cleanup = useTempStore();
+    vi.stubEnv("STRIPE_SECRET_KEY", "sk_test");
+    vi.stubEnv("STRIPE_WEBHOOK_SECRET", "whsec_test");
+    brief = await getStore().collection("briefs").insert({ ...validBrief, status: "new" });
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    cleanup();
+  });
+
+  it("marks the brief paid for a signed event", async () => {
+    const payload = completed(brief.id);
+    const res = await post(payload, signStripePayload(payload, "whsec_test"));
+    expect(res.statusCode).toBe(200);
+    expect((await getStore().collection("briefs").get(brief.id)).payment.status).toBe("paid");
+  });
+
+  it("applies a retried event whose first delivery failed", async () => {
+    const payload = completed(brief.id);
+    const signature = signStripePayload(payload, "whsec_test");
+    const briefs = getStore().collection("briefs");
+    vi.spyOn(briefs, "update").mockRejectedValueOnce(new Error("lock timeout"));
+    await expect(post(payload, signature)).rejects.toThrow("lock timeout");
+
+    expect((await post(payload, signature)).body).toMatchObject({ handled: true, briefId: brief.id });
+    expect((await briefs.get(brief.id)).payment.status).toBe("paid");
+  });
+
+  it("rejects an event signed with an empty secret", async () => {
+    const payload = completed(brief.id);
+    expect((await post(payload, signStripePayload(payload, ""))).statusCode).toBe(400);
+
+    // ...also when no secret is configured at all
+    vi.stubEnv("STRIPE_WEBHOOK_SECRET", "");
+    expect((await post(payload, signStripePayload(payload, ""))).statusCode).toBe(501);
+    expect((await getStore().collection("briefs").get(brief.id)).payment).toBeUndefined();
+  });
+
+  it("never verifies against an empty secret", () => {
+    const payload = completed(brief.id);
+    expect(() => verifyStripeSignature(payload, signStripePayload(payload, ""), "")).toThrow(WebhookSignatureError);
+  });
+});
@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import portal from "../../pages/api/portal/[token]/index";
+import checklist from "../../pages/api/portal/[token]/checklist";
+import messages from "../../pages/api/portal/[token]/messages";
+import { openPortal } from "../../lib/portal";
+import { getStore } from "../../lib/store";
+import { validBrief } from "../helpers/brief";
+import { call, useTempStore } from "../helpers/http";
+
+describe("/api/portal/:token", () => {
+  let cleanup;
+  let brief;
+  let token;
+
+  beforeEach(async () => {
+    cleanup = useTempStore();
+    vi.stubEnv("EMAIL_TRANSPORT", "none");
+    vi.stubEnv("STRIPE_SECRET_KEY", "");
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    brief = await getStore().collection("briefs").insert({ ...validBrief, status: "new", locale: "en", notes: [{ text: "internal" }] });
+    token = await openPortal(brief.id);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    cleanup();
+  });
+
+  it("404s for an unknown link", async () => {
+    const res = await call(portal, { method: "GET", query: { token: "nope" } });
+    expect(res.statusCode).toBe(404);
+  });
+
+  it("shows the brief without internal notes", async () => {
+    const res = await call(portal, { method: "GET", query: { token } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.portal).toMatchObject({ id: brief.id, status: "new", values: { company: "Demo Co" } });
+    expect(res.body.portal.editable).toContain("targetDate");
+    expect(JSON.stringify(res.body)).not.toContain("internal");
+  });
+
+  it("saves edits and rejects locked ones", async () => {
+    const res = await call(portal, { method: "PATCH", query: { token }, body: { values: { success: "Twice the bookings" } } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.portal.values.success).toBe("Twice the bookings");
+    expect(res.body.portal.changeHistory).toHaveLength(1);
+
+    const locked = await call(portal, { method: "PATCH", query: { token }, body: { values: { email: "other@demo.co" } } });
+    expect(locked.statusCode).toBe(422);
+    expect(locked.body.fields).toHaveProperty("email");
+  });
+
+  it("adds client messages", async () => {
+    const res = await call(messages, { method: "POST", query: { token }, body: { text: "When do we start?" } });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.messages).toEqual([expect.objectContaining({ from: "client", text: "When do we start?" })]);
+
+    const empty = await call(messages, { method: "POST", query: { token }, body: { text: "" } });
+    expect(empty.statusCode).toBe(422);
+  });
+
+  it("ticks off manual checklist items", async () => {
+    const res = await call(checklist, { method: "PATCH", query: { token }, body: { item: "access-calendly", done: true } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.checklist.find((i) => i.id === "access-calendly").done).toBe(true);
+
+    const auto = await call(checklist, { method: "PATCH", query: { token }, body: { item: "kickoff", done: true } });
+    expect(auto.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,106 @@
+import { Readable } from "stream";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import handler from "../../pages/api/uploads";
+import { getFileStorage } from "../../lib/fileStorage";
+import { issueChallenge } from "../../lib/guard";
+import { getStore } from "../../lib/store";
+import { pruneUploads } from "../../lib/uploadStore";
+import { createMocks, useTempStore } from "../helpers/http";
+
+// The route streams the raw body, so the request is a readable
+async function upload(content, { token = issueChallenge().token, name = "logo.png", query = {} } = {}) {
+  const { res } = createMocks();
+  const headers = { "content-type": "image/png", "content-length": String(content.length), "x-file-name": name, ...(token ? { "x-form-token": token } : {}) };
+  const req = Object.assign(Readable.from([content]), { method: "POST", headers, query, socket: { remoteAddress: "203.0.113.7" } });
+  await handler(req, res);
+  return res;
+}
+
+const uploads = () => getStore().collection("uploads");
+
+// Rejections are logged after the response goes out; wait for the entry
+const loggedRejection = (reason) =>
+  vi.waitFor(async () => {
+    const entries = await getStore().collection("rejections").list();
+    expect(entries.map((e) => e.reason)).toContain(reason);
+  });
+
+describe("POST /api/uploads", () => {
+  let cleanup;
+
+  beforeEach(() => {
+    cleanup = useTempStore();
+    vi.stubEnv("UPLOAD_DIR", "");
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    cleanup();
+  });
+
+  it("stores a file uploaded with a form token", async () => {
+    const res = await upload(Buffer.from("png bytes"));
+    expect(res.statusCode).toBe(201);
+    expect(res.body.file).toMatchObject({ name: "logo.png", type: "image/png", size: 9 });
+    expect(await uploads().get(res.body.file.id)).toMatchObject({ briefId: null, size: 9 });
+  });
+
+  it("requires a form token", async () => {
+    const res = await upload(Buffer.from("png bytes"), { token: null });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe("no-token");
+    expect(await uploads().list()).toHaveLength(0);
+    await loggedRejection("no-token");
+  });
+
+  it("rate limits by IP", async () => {
+    vi.stubEnv("BRIEF_UPLOAD_IP_LIMIT", "1");
+    expect((await upload(Buffer.from("one"))).statusCode).toBe(201);
+    const res = await upload(Buffer.from("two"));
+    expect(res.statusCode).toBe(429);
+    expect(res.headers["retry-after"]).toBeTruthy();
+    await loggedRejection("rate-upload");
+  });
+
+  it("caps the total per form token", async () => {
+    vi.stubEnv("BRIEF_UPLOAD_TOKEN_MB", "1");
+    const { token } = issueChallenge();
+    const half = Buffer.alloc(600 * 1024, 1);
+    expect((await upload(half, { token })).statusCode).toBe(201);
+    const res = await upload(half, { token });
+    expect(res.statusCode).toBe(413);
+    expect(res.body.code).toBe("upload-quota");
+    await loggedRejection("upload-quota");
+    // A renewed token carries the total on
+    expect((await upload(half, { token: issueChallenge({ renew: token }).token })).statusCode).toBe(413);
+  });
+
+  it("answers in the wizard's language", async () => {
+    const res = await upload(Buffer.alloc(0), { query: { locale: "es" } });
+    expect(res.statusCode).toBe(413);
+    expect(res.body.error).toBe("logo.png está vacío.");
+  });
+});
+
+describe("pruneUploads", () => {
+  let cleanup;
+
+  beforeEach(() => {
+    cleanup = useTempStore();
+  });
+
+  afterEach(() => cleanup());
+
+  it("deletes unclaimed uploads past their time", async () => {
+    const now = Date.parse("2026-03-02T12:00:00Z");
+    const old = new Date(now - 72 * 3600000).toISOString();
+    await getFileStorage().put("upload_stale", Readable.from([Buffer.from("x")]));
+    await uploads().insert({ id: "upload_stale", createdAt: old, briefId: null });
+    await uploads().insert({ id: "upload_claimed", createdAt: old, briefId: "brief_1" });
+    await uploads().insert({ id: "upload_fresh", createdAt: new Date(now - 3600000).toISOString(), briefId: null });
+
+    expect(await pruneUploads({ now })).toEqual(["upload_stale"]);
+    expect((await uploads().list()).map((u) => u.id)).toEqual(["upload_claimed", "upload_fresh"]);
+    await expect(new Promise((resolve, reject) => getFileStorage().read("upload_stale").on("error", reject).on("open", resolve))).rejects.toThrow();
+  });
+});
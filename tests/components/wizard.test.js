@@ -0,0 +1,191 @@
+// @vitest-environment jsdom
+import { screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { brandById } from "../../lib/brand";
+import App from "../../pages/index";
+import { renderPage, routeFetch } from "../helpers/render";
+
+const wizard = () => within(document.getElementById("wizard"));
+const next = (user) => user.click(wizard().getByRole("button", { name: /^next/i }));
+// Steps animate in and out; wait for the new step's first field
+const field = (label) => wizard().findByLabelText(label);
+
+async function fill(user, label, value) {
+  const input = await field(label);
+  await user.clear(input);
+  await user.type(input, value);
+}
+
+describe("intake wizard", () => {
+  let fetchMock;
+  let user;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    fetchMock = routeFetch({
+      "GET /api/pilot": { ok: true, limit: 10, taken: 3, remaining: 7 },
+      "GET /api/brief/challenge": { ok: true, token: "form-token", pow: null },
+      "POST /api/brief": () => ({ status: 201, json: { ok: true, id: "brief_test", checkout: null } }),
+      "POST /api/events": { ok: true },
+    });
+    vi.stubGlobal("fetch", fetchMock);
+    user = userEvent.setup();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("won't leave a step until its required fields are filled", async () => {
+    renderPage(<App />);
+    await next(user);
+
+    expect(await wizard().findAllByText("This field is required.")).toHaveLength(2);
+    expect(await screen.findByText(/2 fields need attention: Your name, Your email/)).toBeTruthy();
+    expect(wizard().getByText(/Step 1 of \d+ · Contact/)).toBeTruthy();
+
+    await fill(user, /your name/i, "Jane Founder");
+    await fill(user, /your email/i, "jane@");
+    await next(user);
+    expect(await wizard().findByText("Enter a valid email address.")).toBeTruthy();
+  });
+
+  it("walks every step, including each optional branch, and submits", async () => {
+    renderPage(<App />);
+
+    // Contact
+    await fill(user, /your name/i, "Jane Founder");
+    await fill(user, /your email/i, "jane@demo.co");
+    await next(user);
+
+    // Vision
+    await fill(user, /idea in one sentence/i, "Bookable yoga classes");
+    await fill(user, /primary customer/i, "Busy parents");
+    await fill(user, /what problem/i, "Booking by DM takes hours");
+    await fill(user, /what does success look like/i, "More bookings");
+    await next(user);
+
+    // Scope: Stripe opens the payments step, no assets opens branding
+    await fill(user, /must.have features/i, "Class schedule");
+    await fill(user, /key integrations/i, "Stripe");
+    await next(user);
+
+    // Payments
+    await fill(user, /what will you sell/i, "Class passes");
+    expect(wizard().getByLabelText(/currencies/i).value).toBe("USD");
+    await next(user);
+
+    // Branding
+    await fill(user, /look & feel/i, "Calm and warm");
+    await next(user);
+
+    // Timeline
+    await field(/target launch date/i);
+    expect(wizard().getByText("Your sprint plan")).toBeTruthy();
+    await next(user);
+
+    // Plan: Pro opens the growth step
+    await user.click(await wizard().findByRole("button", { name: /pro – growth/i }));
+    await user.click(wizard().getByLabelText(/I agree to the Included vs Additional scope/));
+    await next(user);
+
+    // Growth
+    await fill(user, /which numbers matter most/i, "Sign-ups");
+    await next(user);
+
+    // Review
+    expect(await wizard().findByText("Review & confirm")).toBeTruthy();
+    expect(wizard().getByText("Class passes")).toBeTruthy();
+    await user.click(wizard().getByRole("button", { name: /submit brief/i }));
+
+    // Confirmation
+    expect(await wizard().findByText(/We’ve got your brief/)).toBeTruthy();
+    expect(wizard().getByText("brief_test")).toBeTruthy();
+
+    const submit = fetchMock.calls.find((c) => c.method === "POST" && c.path === "/api/brief");
+    expect(submit.body).toMatchObject({
+      name: "Jane Founder",
+      email: "jane@demo.co",
+      integrations: "Stripe",
+      paymentProducts: "Class passes",
+      brandVibe: "Calm and warm",
+      plan: "pro",
+      analyticsGoals: "Sign-ups",
+      agreeScope: true,
+      locale: "en",
+      _guard: { token: "form-token", website: "" },
+    });
+  });
+
+  it("keeps an unsent brief in the outbox and says so until it's delivered", async () => {
+    let serverUp = false;
+    fetchMock = routeFetch({
+      "GET /api/pilot": { ok: true, limit: 10, taken: 3, remaining: 7 },
+      "GET /api/brief/challenge": { ok: true, token: "form-token", pow: null },
+      "POST /api/brief": () => (serverUp ? { status: 201, json: { ok: true, id: "brief_late", checkout: null } } : { status: 503, json: { ok: false } }),
+      "POST /api/events": { ok: true },
+    });
+    vi.stubGlobal("fetch", fetchMock);
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    renderPage(<App />);
+
+    // Shortest path: assets given, integrations without a payments step
+    await fill(user, /your name/i, "Jane Founder");
+    await fill(user, /your email/i, "jane@demo.co");
+    await next(user);
+    await fill(user, /idea in one sentence/i, "Bookable yoga classes");
+    await fill(user, /primary customer/i, "Busy parents");
+    await fill(user, /what problem/i, "Booking by DM takes hours");
+    await fill(user, /what does success look like/i, "More bookings");
+    await next(user);
+    await fill(user, /must.have features/i, "Class schedule");
+    await fill(user, /key integrations/i, "Calendly");
+    await fill(user, /links to other assets/i, "https://example.com/brand");
+    await next(user);
+    await field(/target launch date/i);
+    await next(user);
+    await user.click(await wizard().findByRole("button", { name: /standard – setup/i }));
+    await user.click(wizard().getByLabelText(/I agree to the Included vs Additional scope/));
+    await next(user);
+    await user.click(await wizard().findByRole("button", { name: /submit brief/i }));
+
+    expect(await wizard().findByText("Your brief is saved on this device")).toBeTruthy();
+    expect(wizard().queryByText(/We’ve got your brief/)).toBeNull();
+    expect(wizard().getByText(/Not sent yet/)).toBeTruthy();
+    expect(wizard().getByText(/keep this tab open/)).toBeTruthy();
+
+    serverUp = true;
+    await user.click(wizard().getByRole("button", { name: /try now/i }));
+    expect(await wizard().findByText(/We’ve got your brief/)).toBeTruthy();
+    expect(wizard().getByText("brief_late")).toBeTruthy();
+    const posts = fetchMock.calls.filter((c) => c.method === "POST" && c.path === "/api/brief");
+    expect(posts).toHaveLength(2);
+    expect(posts[1].body.oneLiner).toBe("Bookable yoga classes");
+  });
+
+  it("keeps answers when going back", async () => {
+    renderPage(<App />);
+    await fill(user, /your name/i, "Jane Founder");
+    await fill(user, /your email/i, "jane@demo.co");
+    await next(user);
+    await field(/idea in one sentence/i);
+    await user.click(wizard().getByRole("button", { name: /back/i }));
+    expect((await field(/your name/i)).value).toBe("Jane Founder");
+  });
+
+  it("renders in Spanish", async () => {
+    renderPage(<App />, { locale: "es" });
+    expect(wizard().getByText(/Paso 1 de \d+/)).toBeTruthy();
+    await user.click(wizard().getByRole("button", { name: /siguiente/i }));
+    expect(await wizard().findAllByText("Este campo es obligatorio.")).toHaveLength(2);
+  });
+
+  it("shows a brand's name, copy and plans", async () => {
+    const studios = brandById("studios");
+    renderPage(<App />, { brand: studios });
+    expect(screen.getAllByText("Blossom Studios").length).toBeGreaterThan(0);
+    expect(screen.getByRole("heading", { level: 1 }).textContent).toBe(studios.copy.en.hero.title);
+    expect(screen.queryByText(/Claim a pilot spot/)).toBeNull();
+  });
+});
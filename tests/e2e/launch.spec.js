@@ -0,0 +1,91 @@
+import { expect, test } from "@playwright/test";
+
+// Keep runs hermetic: the confirmation step embeds a third-party scheduler
+test.beforeEach(async ({ page }) => {
+  await page.route(/^https?:\/\/(?!localhost[:/])/, (route) => route.abort());
+});
+
+const wizard = (page) => page.locator("#wizard");
+const next = (page) => wizard(page).getByRole("button", { name: /^next/i }).click();
+
+test("landing page to confirmation", async ({ page, request }) => {
+  const oneLiner = `Bookable yoga classes ${Date.now()}`;
+
+  await page.goto("/");
+  await expect(page.getByRole("heading", { level: 1 })).toContainText("ships in 14 days");
+  await page.locator('[data-cta="hero"]').click();
+  await expect(page).toHaveURL(/#wizard$/);
+
+  // Contact
+  await wizard(page).getByLabel(/your name/i).fill("Jane Founder");
+  await wizard(page).getByLabel(/your email/i).fill("jane@demo.co");
+  await next(page);
+
+  // Vision
+  await wizard(page).getByLabel(/idea in one sentence/i).fill(oneLiner);
+  await wizard(page).getByLabel(/primary customer/i).fill("Busy parents");
+  await wizard(page).getByLabel(/what problem/i).fill("Booking by DM takes hours");
+  await wizard(page).getByLabel(/what does success look like/i).fill("More bookings");
+  await next(page);
+
+  // Scope (asset links given, so no branding step)
+  await wizard(page).getByLabel(/must.have features/i).fill("Class schedule");
+  await wizard(page).getByLabel(/key integrations/i).fill("Calendly");
+  await wizard(page).getByLabel(/links to other assets/i).fill("https://example.com/brand");
+  await next(page);
+
+  // Timeline
+  await expect(wizard(page).getByText("Your sprint plan")).toBeVisible();
+  await next(page);
+
+  // Plan
+  await wizard(page).getByRole("button", { name: /standard – setup/i }).click();
+  await wizard(page).getByLabel(/I agree to the Included vs Additional scope/).check();
+  await next(page);
+
+  // Review
+  await expect(wizard(page).getByRole("heading", { name: "Review & confirm" })).toBeVisible();
+  await expect(wizard(page).getByText(oneLiner)).toBeVisible();
+  await wizard(page).getByRole("button", { name: /submit brief/i }).click();
+
+  // Confirmation, with the brief stored server-side
+  await expect(wizard(page).getByText(/We’ve got your brief/)).toBeVisible();
+  const id = await wizard(page).locator("code").textContent();
+  expect(id).toMatch(/^brief_/);
+  await expect(wizard(page).getByText(/Preview mode/)).toHaveCount(0);
+
+  const doc = await request.get(`/api/brief/${id}/document?format=md`);
+  expect(doc.ok()).toBe(true);
+  expect(await doc.text()).toContain(oneLiner);
+
+  // Portal: follow the sprint and message the team
+  await wizard(page).getByRole("link", { name: /project portal/i }).click();
+  await expect(page.getByRole("heading", { name: "Your launch sprint" })).toBeVisible();
+  await page.getByLabel("New message").fill("When do we start?");
+  await page.getByRole("button", { name: /^send$/i }).click();
+  await expect(page.getByText("When do we start?")).toBeVisible();
+});
+
+test("metadata for search engines and link previews", async ({ page, request }) => {
+  // Pre-rendered: the tags are in the HTML, before any script runs
+  const html = await (await request.get("/")).text();
+  expect(html).toContain('<link rel="canonical" href="https://blossom.launch/"/>');
+  expect(html).toContain('property="og:image"');
+  expect(html).toContain('"@type":"Service"');
+
+  await page.goto("/");
+  await expect(page).toHaveTitle(/Blossom\.Launch/);
+  await expect(page.locator('meta[name="description"]')).toHaveAttribute("content", /14 days/);
+
+  const card = await request.get("/api/og?brand=blossom&locale=en");
+  expect(card.headers()["content-type"]).toBe("image/png");
+  expect(await (await request.get("/robots.txt")).text()).toContain("Sitemap: https://blossom.launch/sitemap.xml");
+  expect(await (await request.get("/sitemap.xml")).text()).toContain("<loc>https://blossom.launch/es</loc>");
+});
+
+test("Spanish landing page", async ({ page }) => {
+  await page.goto("/es");
+  await expect(page.locator("html")).toHaveAttribute("lang", "es");
+  await wizard(page).getByRole("button", { name: /siguiente/i }).click();
+  await expect(wizard(page).getByText("Este campo es obligatorio.").first()).toBeVisible();
+});
@@ -0,0 +1,16 @@
+// A complete brief that passes lib/schema.js validation on the shortest path
+// (no Stripe, asset links given, Standard plan).
+export const validBrief = {
+  name: "Jane Founder",
+  email: "jane@demo.co",
+  company: "Demo Co",
+  oneLiner: "Bookable yoga classes for busy parents",
+  customer: "Parents with toddlers",
+  problem: "Booking by DM takes hours",
+  success: "More bookings",
+  mustHaves: "Class schedule, booking form",
+  integrations: "Calendly",
+  assets: "https://example.com/brand",
+  plan: "standard",
+  agreeScope: true,
+};
@@ -0,0 +1,66 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Minimal Next API req/res pair: `res.statusCode`, `res.body` and
+ * `res.headers` hold what the handler sent.
+ */
+export function createMocks({ method = "GET", body, query = {}, headers = {}, ip = "203.0.113.7" } = {}) {
+  const req = { method, body, query, headers: { "user-agent": "vitest", ...headers }, socket: { remoteAddress: ip } };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    send(payload) {
+      this.body = payload;
+      return this;
+    },
+    end(payload) {
+      if (payload !== undefined) this.body = payload;
+      return this;
+    },
+  };
+  return { req, res };
+}
+
+/** Call a route handler and return its response. */
+export async function call(handler, options) {
+  const { req, res } = createMocks(options);
+  await handler(req, res);
+  return res;
+}
+
+/**
+ * Point lib/store (and the uploads kept under it) at a fresh temp directory.
+ * Returns a cleanup function that removes it again and puts the previous
+ * BRIEF_STORE_DIR back, so nothing leaks into the next test file.
+ */
+export function useTempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "blossom-test-"));
+  const previous = process.env.BRIEF_STORE_DIR;
+  const reset = () => {
+    globalThis.__blossomStore = undefined;
+    globalThis.__blossomFileStorage = undefined;
+  };
+  process.env.BRIEF_STORE_DIR = dir;
+  reset();
+  return () => {
+    reset();
+    if (previous === undefined) delete process.env.BRIEF_STORE_DIR;
+    else process.env.BRIEF_STORE_DIR = previous;
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+}
@@ -0,0 +1,59 @@
+import { render } from "@testing-library/react";
+import { RouterContext } from "next/dist/shared/lib/router-context.shared-runtime";
+import BrandProvider from "../../components/BrandProvider";
+import LocaleProvider from "../../components/LocaleProvider";
+import { DEFAULT_BRAND } from "../../lib/brand";
+
+const noop = () => {};
+
+export function mockRouter(overrides = {}) {
+  return {
+    pathname: "/",
+    asPath: "/",
+    query: {},
+    locale: "en",
+    locales: ["en", "es"],
+    defaultLocale: "en",
+    isReady: true,
+    push: async () => true,
+    replace: async () => true,
+    prefetch: async () => {},
+    back: noop,
+    events: { on: noop, off: noop, emit: noop },
+    ...overrides,
+  };
+}
+
+/** Render a page the way pages/_app.js does: router, brand and locale providers. */
+export function renderPage(ui, { locale = "en", router, brand = DEFAULT_BRAND } = {}) {
+  const value = mockRouter({ locale, ...router });
+  return render(
+    <RouterContext.Provider value={value}>
+      <BrandProvider brand={brand}>
+        <LocaleProvider locale={value.locale} brand={brand}>{ui}</LocaleProvider>
+      </BrandProvider>
+    </RouterContext.Provider>
+  );
+}
+
+/**
+ * fetch() stand-in answering from `routes`: { "GET /api/pilot": body } for a
+ * 200, or a function of { url, body } returning { status, json }. Unknown
+ * routes get a 404, like a preview without a backend. Every call is recorded
+ * on `.calls` as { method, path, url, body }.
+ */
+export function routeFetch(routes) {
+  const calls = [];
+  const fetchMock = async (url, init = {}) => {
+    const method = (init.method || "GET").toUpperCase();
+    const path = String(url).split("?")[0];
+    const body = typeof init.body === "string" ? JSON.parse(init.body) : init.body;
+    calls.push({ method, path, url: String(url), body });
+    const route = routes[`${method} ${path}`];
+    if (route === undefined) return new Response("Not found", { status: 404 });
+    const { status = 200, json } = typeof route === "function" ? route({ url: String(url), body }) : { json: route };
+    return new Response(JSON.stringify(json), { status, headers: { "Content-Type": "application/json" } });
+  };
+  fetchMock.calls = calls;
+  return fetchMock;
+}
@@ -0,0 +1,16 @@
+import { afterEach } from "vitest";
+
+// Component tests opt into jsdom per file (// @vitest-environment jsdom)
+if (typeof window !== "undefined") {
+  const { cleanup } = await import("@testing-library/react");
+  afterEach(cleanup);
+
+  // jsdom gaps the page relies on
+  window.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  globalThis.IntersectionObserver ??= class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
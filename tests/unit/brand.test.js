@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { brandById, brandForHost, brandOf, brandSlug, DEFAULT_BRAND, resolveBrand } from "../../lib/brand";
+import { createTranslator } from "../../lib/i18n";
+import { chargesFor, plansFor } from "../../lib/plans";
+import { fieldByName, localizeField, localizeStep, steps } from "../../lib/schema";
+import { COLORS, solidColor, themeVars, tint } from "../../lib/theme";
+import { validBrief } from "../helpers/brief";
+
+const studios = brandById("studios");
+
+describe("brand resolution", () => {
+  it("matches the host, ignoring case and port", () => {
+    expect(brandForHost("Studios.Blossom.Launch:3000")).toBe(studios);
+    expect(brandForHost("localhost:3000")).toBe(DEFAULT_BRAND);
+    expect(brandForHost(undefined)).toBe(DEFAULT_BRAND);
+  });
+
+  it("prefers an explicit id over the host", () => {
+    expect(resolveBrand({ id: "studios", host: "blossom.launch" })).toBe(studios);
+    expect(resolveBrand({ id: "nope", host: "studios.blossom.launch" })).toBe(studios);
+    expect(resolveBrand()).toBe(DEFAULT_BRAND);
+  });
+
+  it("treats briefs from before brands as the default's", () => {
+    expect(brandOf({ id: "brief_old" })).toBe(DEFAULT_BRAND);
+    expect(brandOf({ brand: "studios" })).toBe(studios);
+  });
+
+  it("names client downloads after the brand", () => {
+    expect(brandSlug(studios)).toBe("blossom-studios");
+    expect(brandSlug(DEFAULT_BRAND)).toBe("blossom-launch");
+  });
+});
+
+describe("brand copy", () => {
+  it("overrides the catalog and fills in {brand}", () => {
+    const t = createTranslator("en", studios);
+    expect(t("hero.title")).toBe(studios.copy.en.hero.title);
+    expect(t("why.title")).toContain("Blossom Studios");
+    expect(createTranslator("en")("why.title")).toContain("Blossom.Launch");
+  });
+
+  it("falls back to the catalog for keys the brand leaves alone", () => {
+    expect(createTranslator("es", studios)("nav.start")).toBe(createTranslator("es")("nav.start"));
+  });
+
+  it("localizes the plan step for the brand", () => {
+    const step = localizeStep(steps.find((s) => s.id === "plan"), "en", studios);
+    expect(step.intro).not.toMatch(/pilot/i);
+    expect(localizeField(fieldByName("plan"), "en", studios).options.map((o) => o.value)).toEqual(["standard", "pro"]);
+  });
+});
+
+describe("brand plans", () => {
+  it("lists only the brand's plans at its prices", () => {
+    const named = plansFor("en", studios);
+    expect(named.map((p) => p.id)).toEqual(["standard", "pro"]);
+    expect(named[0].pricing.setupFee).toBe(150000);
+  });
+
+  it("charges a brief at its brand's prices", () => {
+    expect(chargesFor({ ...validBrief, brand: "studios", plan: "pro" })).toMatchObject({ setupFee: 0, recurring: { amount: 45000 } });
+    expect(chargesFor({ ...validBrief, brand: "studios", plan: "pilot" })).toBeNull();
+  });
+});
+
+describe("brand theme", () => {
+  it("turns COLORS back into the brand's hex for emails and PDFs", () => {
+    expect(themeVars(studios.colors)["--brand-primaryGreen"]).toBe("#7C3AED");
+    expect(solidColor(COLORS.primaryDark, studios.colors)).toBe("#1E1B4B");
+    expect(solidColor("#123456", studios.colors)).toBe("#123456");
+    expect(tint(COLORS.primaryGreen, 0.1)).toContain("10%");
+  });
+});
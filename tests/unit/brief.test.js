@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { normalizePayload, validateBrief } from "../../lib/brief";
+import { fields } from "../../lib/schema";
+import { validBrief } from "../helpers/brief";
+
+describe("normalizePayload", () => {
+  it("produces only strings, booleans and file-ref arrays", () => {
+    const out = normalizePayload(validBrief);
+    for (const v of Object.values(out)) {
+      expect(typeof v === "string" || typeof v === "boolean" || Array.isArray(v)).toBe(true);
+    }
+  });
+
+  it("has exactly one key per schema field and drops unknown keys", () => {
+    const out = normalizePayload({ ...validBrief, _guard: { token: "x" }, isAdmin: true });
+    expect(Object.keys(out).sort()).toEqual(fields.map((f) => f.name).sort());
+    expect(out).not.toHaveProperty("_guard");
+    expect(out).not.toHaveProperty("isAdmin");
+  });
+
+  it("fills schema defaults and coerces types", () => {
+    const out = normalizePayload({ agreeScope: "yes", availability: 3 });
+    expect(out.plan).toBe("pilot");
+    expect(out.locale).toBe("en");
+    expect(out.agreeScope).toBe(true);
+    expect(out.caseStudyOptIn).toBe(false);
+    expect(out.availability).toBe("3");
+  });
+
+  it("keeps only well-formed file references", () => {
+    const out = normalizePayload({
+      assetFiles: [{ id: "up_1", name: "logo.png", type: "image/png", size: "120" }, { id: "../etc/passwd" }, null, "nope"],
+    });
+    expect(out.assetFiles).toEqual([{ id: "up_1", name: "logo.png", type: "image/png", size: 120, url: "/api/uploads/up_1" }]);
+  });
+});
+
+describe("validateBrief", () => {
+  it("accepts a complete brief and trims answers", () => {
+    const { ok, value, errors } = validateBrief({ ...validBrief, name: "  Jane Founder  " });
+    expect(errors).toEqual({});
+    expect(ok).toBe(true);
+    expect(value.name).toBe("Jane Founder");
+  });
+
+  it("rejects non-objects", () => {
+    expect(validateBrief(null).ok).toBe(false);
+    expect(validateBrief([validBrief]).errors).toHaveProperty("_form");
+  });
+
+  it("reports every missing required field", () => {
+    const { ok, errors } = validateBrief({});
+    expect(ok).toBe(false);
+    expect(Object.keys(errors)).toEqual(expect.arrayContaining(["name", "email", "oneLiner", "mustHaves", "agreeScope"]));
+    expect(errors.name).toBe("This field is required.");
+  });
+
+  it("checks formats and options", () => {
+    const { errors } = validateBrief({ ...validBrief, email: "jane@", targetDate: "next week", plan: "gold" });
+    expect(errors.email).toBe("Enter a valid email address.");
+    expect(errors.targetDate).toBe("Use the YYYY-MM-DD format.");
+    expect(errors.plan).toMatch(/^Choose one of: pilot, standard, pro/);
+  });
+
+  it("requires branch answers only when the branch applies", () => {
+    expect(validateBrief({ ...validBrief, integrations: "Stripe" }).errors).toHaveProperty("paymentProducts");
+    expect(validateBrief({ ...validBrief, plan: "pro" }).errors).toHaveProperty("analyticsGoals");
+    expect(validateBrief({ ...validBrief, assets: "" }).errors).toHaveProperty("brandVibe");
+  });
+
+  it("blanks stale answers from branches the brief no longer takes", () => {
+    const { value } = validateBrief({ ...validBrief, paymentProducts: "Courses" });
+    expect(value.paymentProducts).toBe("");
+  });
+
+  it("writes messages in the brief's language", () => {
+    const { errors } = validateBrief({ ...validBrief, locale: "es", name: "" });
+    expect(errors.name).toBe("Este campo es obligatorio.");
+  });
+});
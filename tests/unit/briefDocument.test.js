@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { renderBriefDocument, renderBriefMarkdown } from "../../lib/briefDocument";
+import { validBrief } from "../helpers/brief";
+
+const brief = { ...validBrief, id: "brief_doc1", brand: "blossom", createdAt: "2026-03-02T10:00:00.000Z", availability: "next-day" };
+const now = new Date("2026-03-02T12:00:00Z");
+
+describe("launch brief document", () => {
+  it("renders in English by default", () => {
+    const md = renderBriefMarkdown(brief, { now });
+    expect(md).toMatch(/^# Launch brief — Demo Co/);
+    expect(md).toContain("## Sprint timeline");
+    expect(md).toContain("Your feedback turnaround adds 2 days to the 14-day sprint.");
+    expect(md).toContain("**Day 1** (Tue, Mar 3): Kickoff");
+  });
+
+  it("renders in the brief's language", () => {
+    const md = renderBriefMarkdown({ ...brief, locale: "es" }, { now });
+    expect(md).toMatch(/^# Brief de lanzamiento — Demo Co/);
+    expect(md).toContain("Enviado el 2 de marzo de 2026");
+    expect(md).toContain("## Calendario del sprint");
+    expect(md).toContain("Tu plazo de respuesta añade 2 días al sprint de 14 días.");
+    expect(md).toContain("### Día a día");
+    expect(md).not.toMatch(/Day by day|Submitted|same day/);
+
+    const pdf = renderBriefDocument({ ...brief, locale: "es" }, "pdf", { now });
+    expect(pdf.content.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+});
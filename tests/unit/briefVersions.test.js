@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { briefFromInput, briefResource, BriefVersionError, checkBriefTypes, migrateBrief, parseIntegrations, parseList } from "../../lib/briefVersions";
+import { normalizePayload } from "../../lib/brief";
+import { isCalendarDate } from "../../lib/schema";
+import { validBrief } from "../helpers/brief";
+
+const stored = { id: "brief_1", createdAt: "2026-10-01T09:00:00.000Z", status: "new", ...normalizePayload(validBrief) };
+
+describe("parsing free text", () => {
+  it("splits must-haves by line, else by comma outside parentheses", () => {
+    expect(parseList("- Class schedule\n- Booking form\n\n")).toEqual(["Class schedule", "Booking form"]);
+    expect(parseList("1. Schedule\n2) Payments")).toEqual(["Schedule", "Payments"]);
+    expect(parseList("Schedule, booking form (name, email); reviews")).toEqual(["Schedule", "booking form (name, email)", "reviews"]);
+    expect(parseList("")).toEqual([]);
+  });
+
+  it("maps integrations to known ids", () => {
+    expect(parseIntegrations("stripe, Google Sheets and Acuity, hubspot CRM")).toEqual([
+      { id: "stripe", name: "Stripe" },
+      { id: "google-sheets", name: "Google Sheets" },
+      { id: "acuity", name: "Acuity Scheduling" },
+      { id: "hubspot", name: "HubSpot" },
+    ]);
+    expect(parseIntegrations("Typeform")).toEqual([{ id: "other", name: "Typeform" }]);
+  });
+
+  it("only accepts real calendar dates", () => {
+    expect(isCalendarDate("2028-02-29")).toBe(true);
+    expect(isCalendarDate("2026-02-30")).toBe(false);
+    expect(isCalendarDate("01/03/2026")).toBe(false);
+  });
+});
+
+describe("migrations", () => {
+  it("types the free-text answers in v2", () => {
+    const v2 = migrateBrief({ ...stored, mustHaves: "Class schedule, booking form", targetDate: "2026-02-30" }, 2);
+    expect(v2).toMatchObject({
+      schemaVersion: 2,
+      targetDate: null,
+      mustHaves: ["Class schedule", "booking form"],
+      niceToHaves: [],
+      integrations: [{ id: "calendly", name: "Calendly" }],
+      company: "Demo Co",
+    });
+  });
+
+  it("round-trips v1 -> v2 -> v1 for list-shaped answers", () => {
+    const v1 = { ...stored, mustHaves: "Schedule\nBooking form", integrations: "Stripe, Typeform", targetDate: "2026-11-02" };
+    expect(migrateBrief(migrateBrief(v1, 2), 1)).toEqual({ ...v1, schemaVersion: 1 });
+  });
+
+  it("refuses versions it doesn't know", () => {
+    expect(() => migrateBrief({ schemaVersion: 3 }, 1)).toThrow(BriefVersionError);
+    expect(() => migrateBrief(stored, 0)).toThrow(/Unknown schema version 0/);
+  });
+});
+
+describe("input", () => {
+  it("checks v2 answer types", () => {
+    expect(checkBriefTypes({ schemaVersion: 2, targetDate: "soon", mustHaves: "Schedule", integrations: [{ id: "other" }] })).toEqual({
+      targetDate: expect.any(String),
+      mustHaves: "Send a list of strings.",
+      integrations: expect.stringContaining("stripe"),
+    });
+    expect(checkBriefTypes({ targetDate: "soon" })).toEqual({});
+  });
+
+  it("turns a v2 submission into the stored shape", () => {
+    const input = briefFromInput({ ...validBrief, schemaVersion: 2, mustHaves: ["Schedule", "Booking"], integrations: [{ id: "stripe" }, { id: "other", name: "Acuity" }], targetDate: null, _guard: { token: "t" } });
+    expect(input).toMatchObject({ schemaVersion: 1, mustHaves: "Schedule\nBooking", integrations: "Stripe, Acuity", targetDate: "", _guard: { token: "t" } });
+    expect(() => briefFromInput({ ...validBrief, schemaVersion: 2, mustHaves: "Schedule" })).toThrow(BriefVersionError);
+  });
+});
+
+describe("briefResource", () => {
+  it("serves the answers and status without internal fields", () => {
+    const doc = briefResource({ ...stored, notes: [{ text: "internal" }], portalToken: "secret", kickoff: { token: "k", start: "a", end: "b", status: "confirmed" } }, 1);
+    expect(doc).toMatchObject({ schemaVersion: 1, id: "brief_1", brand: "blossom", status: "new", updatedAt: stored.createdAt, kickoff: { start: "a", end: "b", status: "confirmed" } });
+    expect(doc).not.toHaveProperty("notes");
+    expect(doc).not.toHaveProperty("portalToken");
+    expect(doc.kickoff).not.toHaveProperty("token");
+    expect(briefResource(stored).schemaVersion).toBe(2);
+  });
+});
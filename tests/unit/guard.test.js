@@ -0,0 +1,57 @@
+import crypto from "crypto";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { clientIp } from "../../lib/api";
+import { checkForm, GuardError, issueChallenge, recordAttempt } from "../../lib/guard";
+import { useTempStore } from "../helpers/http";
+
+const settings = { minSeconds: 0, ipLimit: 0, emailLimit: 0, duplicateHours: 0, powDifficulty: 0 };
+
+describe("form tokens", () => {
+  let cleanup;
+
+  beforeEach(() => {
+    cleanup = useTempStore();
+    vi.stubEnv("BRIEF_GUARD_SECRET", "");
+    vi.stubEnv("ADMIN_SESSION_SECRET", "admin-secret");
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    cleanup();
+  });
+
+  it("isn't signed with the admin session key", () => {
+    const [payload, sig] = issueChallenge({ settings }).token.split(".");
+    expect(sig).not.toBe(crypto.createHmac("sha256", "admin-secret").update(payload).digest("base64url"));
+    // ...so a payload signed with that key doesn't pass
+    const forged = `${payload}.${crypto.createHmac("sha256", "admin-secret").update(payload).digest("base64url")}`;
+    expect(() => checkForm({ token: forged }, { settings })).toThrow(GuardError);
+  });
+
+  it("keeps its start time and use count when renewed", async () => {
+    const first = issueChallenge({ settings, now: 1000 });
+    const claims = checkForm({ token: first.token }, { settings, now: 2000 });
+    for (let i = 0; i < 3; i++) await recordAttempt({ ip: "203.0.113.7", claims, settings, now: 2000 });
+
+    const renewed = issueChallenge({ renew: first.token, settings, now: 3000 });
+    const renewedClaims = checkForm({ token: renewed.token }, { settings, now: 4000 });
+    expect(renewedClaims).toMatchObject({ jti: claims.jti, st: 1000, iat: 3000 });
+    await expect(recordAttempt({ ip: "203.0.113.7", claims: renewedClaims, settings, now: 4000 })).rejects.toMatchObject({ reason: "token-reuse" });
+  });
+});
+
+describe("clientIp", () => {
+  afterEach(() => vi.unstubAllEnvs());
+
+  const req = { headers: { "x-forwarded-for": "198.51.100.1, 203.0.113.9" }, socket: { remoteAddress: "10.0.0.2" } };
+
+  it("ignores X-Forwarded-For unless the proxy is trusted", () => {
+    vi.stubEnv("TRUST_PROXY", "");
+    expect(clientIp(req)).toBe("10.0.0.2");
+  });
+
+  it("takes the hop the proxy added, not one the client sent", () => {
+    vi.stubEnv("TRUST_PROXY", "1");
+    expect(clientIp(req)).toBe("203.0.113.9");
+  });
+});
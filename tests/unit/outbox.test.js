@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { backoffDelay, createOutbox, memoryStorage } from "../../lib/outbox";
+
+describe("backoffDelay", () => {
+  it("doubles from the base delay up to the cap, plus jitter", () => {
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    expect([1, 2, 3, 4].map((n) => backoffDelay(n, 1000, 6000))).toEqual([1000, 2000, 4000, 6000]);
+  });
+});
+
+describe("createOutbox", () => {
+  let send;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    send = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const make = (storage = memoryStorage()) => createOutbox({ storage, send, baseDelayMs: 1000, maxDelayMs: 8000 });
+
+  it("sends a queued body after the first delay", async () => {
+    send.mockResolvedValue({ status: "sent", result: { id: "brief_1" } });
+    const outbox = make();
+    const entry = await outbox.add({ brief: "a" });
+    expect(entry).toMatchObject({ status: "pending", attempts: 0 });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ id: entry.id, body: { brief: "a" } }));
+    expect(await outbox.list()).toEqual([expect.objectContaining({ id: entry.id, status: "sent", attempts: 1, result: { id: "brief_1" } })]);
+  });
+
+  it("backs off between retries and keeps the last error", async () => {
+    send.mockResolvedValue({ status: "retry", error: "HTTP 503" });
+    const outbox = make();
+    await outbox.add({});
+
+    await vi.advanceTimersByTimeAsync(1000); // 1st attempt, next in 1s
+    await vi.advanceTimersByTimeAsync(1000); // 2nd, next in 2s
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(send).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(send).toHaveBeenCalledTimes(3);
+    expect((await outbox.list())[0]).toMatchObject({ status: "pending", attempts: 3, lastError: "HTTP 503" });
+  });
+
+  it("waits as long as the server asks", async () => {
+    send.mockResolvedValueOnce({ status: "retry", error: "Slow down", retryAfterMs: 60000 }).mockResolvedValue({ status: "sent", result: {} });
+    const outbox = make();
+    await outbox.add({});
+    await vi.advanceTimersByTimeAsync(1000);
+    await vi.advanceTimersByTimeAsync(59999);
+    expect(send).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect((await outbox.list())[0].status).toBe("sent");
+  });
+
+  it("stops retrying once the server refuses the body", async () => {
+    send.mockResolvedValue({ status: "failed", error: "Invalid email" });
+    const outbox = make();
+    await outbox.add({});
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect((await outbox.list())[0]).toMatchObject({ status: "failed", lastError: "Invalid email" });
+  });
+
+  it("treats a throwing send as a retry", async () => {
+    send.mockRejectedValueOnce(new Error("Failed to fetch")).mockResolvedValue({ status: "sent", result: {} });
+    const outbox = make();
+    await outbox.add({});
+    await vi.advanceTimersByTimeAsync(1000);
+    expect((await outbox.list())[0]).toMatchObject({ status: "pending", lastError: "Failed to fetch" });
+  });
+
+  it("forced flushes skip the wait", async () => {
+    send.mockResolvedValue({ status: "sent", result: {} });
+    const outbox = make();
+    await outbox.add({});
+    await outbox.flush();
+    expect(send).not.toHaveBeenCalled();
+    await outbox.flush({ force: true });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it("tells subscribers about every change", async () => {
+    send.mockResolvedValue({ status: "sent", result: {} });
+    const outbox = make();
+    const seen = [];
+    outbox.subscribe((entries) => seen.push(entries.map((e) => e.status).join()));
+    await outbox.add({});
+    await outbox.flush({ force: true });
+    expect(seen).toEqual(["", "pending", "sending", "sent"]);
+  });
+
+  it("picks up where an earlier page left off", async () => {
+    const storage = memoryStorage();
+    send.mockImplementation(() => new Promise(() => {})); // the page closes mid-attempt
+    const first = make(storage);
+    const { id } = await first.add({ brief: "a" });
+    first.flush({ force: true });
+    await vi.advanceTimersByTimeAsync(0);
+    expect((await storage.all())[0].status).toBe("sending");
+
+    send.mockResolvedValue({ status: "sent", result: {} });
+    const second = make(storage);
+    expect(await second.list()).toEqual([expect.objectContaining({ id, status: "pending" })]);
+    await second.flush({ force: true });
+    expect((await second.list())[0].status).toBe("sent");
+  });
+
+  it("forgets dismissed entries", async () => {
+    const storage = memoryStorage();
+    const outbox = make(storage);
+    const { id } = await outbox.add({});
+    await outbox.dismiss(id);
+    expect(await outbox.list()).toEqual([]);
+    expect(await storage.all()).toEqual([]);
+  });
+});
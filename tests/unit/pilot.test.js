@@ -0,0 +1,51 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { brandById, DEFAULT_BRAND } from "../../lib/brand";
+import { getPilotAvailability, insertBrief, PilotFullError, PilotReleaseError, releasePilotSpot } from "../../lib/pilot";
+import { PILOT_SPOT_LIMIT } from "../../lib/plans";
+import { getStore } from "../../lib/store";
+import { validBrief } from "../helpers/brief";
+import { useTempStore } from "../helpers/http";
+
+const fillSpots = async (brand = "blossom") => {
+  for (let i = 0; i < PILOT_SPOT_LIMIT; i++) await insertBrief({ ...validBrief, id: `brief_${brand}${i}`, brand, plan: "pilot" });
+};
+
+describe("pilot spots", () => {
+  let cleanup;
+
+  beforeEach(() => {
+    cleanup = useTempStore();
+  });
+
+  afterEach(() => cleanup());
+
+  it("claims spots until the limit", async () => {
+    await fillSpots();
+    expect(await getPilotAvailability()).toEqual({ limit: PILOT_SPOT_LIMIT, taken: PILOT_SPOT_LIMIT, remaining: 0 });
+    await expect(insertBrief({ ...validBrief, id: "brief_late", plan: "pilot" })).rejects.toBeInstanceOf(PilotFullError);
+  });
+
+  it("counts spots per brand", async () => {
+    // Another brand's briefs (e.g. from before it dropped the pilot plan) don't take the default's spots
+    const briefs = getStore().collection("briefs");
+    for (let i = 0; i < PILOT_SPOT_LIMIT; i++) await briefs.insert({ ...validBrief, id: `brief_studios${i}`, brand: "studios", plan: "pilot", pilotSpot: true });
+    expect((await getPilotAvailability(DEFAULT_BRAND)).remaining).toBe(PILOT_SPOT_LIMIT);
+    expect((await insertBrief({ ...validBrief, id: "brief_new", brand: "blossom", plan: "pilot" })).pilotSpot).toBe(true);
+    // ...and a brand without the pilot plan has no spots to offer
+    expect(await getPilotAvailability(brandById("studios"))).toEqual({ limit: 0, taken: 0, remaining: 0 });
+  });
+
+  it("frees a released spot for the next brief", async () => {
+    await fillSpots();
+    const released = await releasePilotSpot("brief_blossom0", { by: "admin" });
+    expect(released).toMatchObject({ pilotSpot: false, pilotReleased: { by: "admin", at: expect.any(String) } });
+    expect((await getPilotAvailability()).remaining).toBe(1);
+    expect((await insertBrief({ ...validBrief, id: "brief_next", plan: "pilot" })).pilotSpot).toBe(true);
+  });
+
+  it("only releases a spot the brief holds", async () => {
+    await insertBrief({ ...validBrief, id: "brief_std", plan: "standard" });
+    await expect(releasePilotSpot("brief_std")).rejects.toBeInstanceOf(PilotReleaseError);
+    expect(await releasePilotSpot("brief_missing")).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { brandById } from "../../lib/brand";
+import { addMessage, editableFields, editBrief, integrationsOf, markChecklistItem, openPortal, briefForPortal, PortalError, portalChecklist } from "../../lib/portal";
+import { getStore } from "../../lib/store";
+import { validBrief } from "../helpers/brief";
+import { useTempStore } from "../helpers/http";
+
+const storeBrief = (extra = {}) => getStore().collection("briefs").insert({ ...validBrief, status: "new", locale: "en", ...extra });
+
+describe("editable answers", () => {
+  it("locks steps once the brief reaches their status", () => {
+    expect(editableFields({ status: "new" })).toEqual(expect.arrayContaining(["oneLiner", "targetDate", "integrations"]));
+    expect(editableFields({ status: "kickoff-booked" })).not.toContain("targetDate");
+    expect(editableFields({ status: "in-sprint" })).not.toEqual(expect.arrayContaining(["oneLiner", "integrations"]));
+  });
+
+  it("never lets the client change locked fields", () => {
+    const names = editableFields({ status: "new" });
+    for (const name of ["email", "plan", "agreeScope", "assetFiles"]) expect(names).not.toContain(name);
+  });
+});
+
+describe("checklist", () => {
+  it("asks for access to each integration", () => {
+    expect(integrationsOf("Stripe, HubSpot and Calendly; stripe")).toEqual(["Stripe", "HubSpot", "Calendly"]);
+    const items = portalChecklist({ ...validBrief, integrations: "Stripe and Google Sheets" }, { payments: null });
+    expect(items.map((i) => i.id)).toEqual(["kickoff", "assets", "access-stripe", "access-google-sheets"]);
+  });
+
+  it("follows the brief for kickoff and shared assets", () => {
+    const items = portalChecklist({ ...validBrief, status: "kickoff-booked" }, { payments: null });
+    expect(items.find((i) => i.id === "kickoff").done).toBe(true);
+    expect(items.find((i) => i.id === "assets").done).toBe(true);
+    expect(portalChecklist({ ...validBrief, assets: "" }, { payments: null }).find((i) => i.id === "assets").done).toBe(false);
+  });
+});
+
+describe("portal store", () => {
+  let cleanup;
+
+  beforeEach(() => {
+    cleanup = useTempStore();
+  });
+
+  afterEach(() => cleanup());
+
+  it("opens one portal per brief", async () => {
+    const brief = await storeBrief();
+    const token = await openPortal(brief.id);
+    expect(await openPortal(brief.id)).toBe(token);
+    expect((await briefForPortal(token)).id).toBe(brief.id);
+    expect(await briefForPortal("nope")).toBeNull();
+    expect(await openPortal("brief_missing")).toBeNull();
+  });
+
+  it("records edits in the change history", async () => {
+    const brief = await storeBrief();
+    const updated = await editBrief(brief.id, { oneLiner: "Yoga for parents", email: validBrief.email });
+    expect(updated.oneLiner).toBe("Yoga for parents");
+    expect(updated.changeHistory).toEqual([{ at: expect.any(String), by: "client", fields: { oneLiner: { from: validBrief.oneLiner, to: "Yoga for parents" } } }]);
+
+    const again = await editBrief(brief.id, { oneLiner: "Yoga for parents" });
+    expect(again.changeHistory).toHaveLength(1);
+  });
+
+  it("rejects locked and invalid answers without saving", async () => {
+    const brief = await storeBrief({ status: "in-sprint" });
+    await expect(editBrief(brief.id, { oneLiner: "Something else" })).rejects.toMatchObject({ status: 422, fields: { oneLiner: expect.any(String) } });
+    await expect(editBrief(brief.id, { plan: "pro" })).rejects.toBeInstanceOf(PortalError);
+    await expect(editBrief(brief.id, { name: "" })).rejects.toMatchObject({ fields: { name: "This field is required." } });
+    expect(await getStore().collection("briefs").get(brief.id)).toMatchObject({ oneLiner: validBrief.oneLiner, name: validBrief.name });
+  });
+
+  it("words edit errors in the brief's brand", async () => {
+    const { copy } = brandById("studios");
+    const saved = copy.en.portal;
+    copy.en.portal = { edit: { locked: "{brand} has started on this." } };
+    try {
+      const brief = await storeBrief({ status: "in-sprint", brand: "studios" });
+      await expect(editBrief(brief.id, { oneLiner: "Something else" })).rejects.toMatchObject({ fields: { oneLiner: "Blossom Studios has started on this." } });
+    } finally {
+      copy.en.portal = saved;
+    }
+  });
+
+  it("keeps messages and manual checklist marks on the brief", async () => {
+    const brief = await storeBrief();
+    const { message } = await addMessage(brief.id, "  Logo attached soon  ");
+    expect(message).toMatchObject({ from: "client", by: "client", text: "Logo attached soon" });
+    await expect(addMessage(brief.id, " ")).rejects.toMatchObject({ status: 422 });
+
+    const marked = await markChecklistItem(brief.id, "access-calendly", true, { by: "admin" });
+    expect(portalChecklist(marked, { payments: null }).find((i) => i.id === "access-calendly")).toMatchObject({ done: true, by: "admin" });
+    await expect(markChecklistItem(brief.id, "kickoff", true)).rejects.toMatchObject({ status: 404 });
+  });
+});
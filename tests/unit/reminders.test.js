@@ -0,0 +1,47 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { sendKickoffReminders } from "../../lib/email";
+import { getStore } from "../../lib/store";
+import { validBrief } from "../helpers/brief";
+import { useTempStore } from "../helpers/http";
+
+const NOW = new Date("2026-03-02T12:00:00Z");
+const minutesAgo = (m) => new Date(NOW.getTime() - m * 60000).toISOString();
+const settings = { from: "hello@blossom.launch", team: [], reminderHours: 48 };
+const briefs = () => getStore().collection("briefs");
+
+describe("kickoff reminders", () => {
+  let cleanup;
+  let transport;
+  const run = () => sendKickoffReminders({ baseUrl: "https://blossom.launch", now: NOW, transport, settings });
+
+  beforeEach(() => {
+    cleanup = useTempStore();
+    transport = { name: "test", send: vi.fn(async () => ({ messageId: "msg_1" })) };
+  });
+
+  afterEach(() => cleanup());
+
+  it("reminds a brief without a kickoff once", async () => {
+    const { id } = await briefs().insert({ ...validBrief, status: "new", createdAt: minutesAgo(72 * 60) });
+    expect(await run()).toEqual([{ briefId: id, kind: "reminder", status: "sent" }]);
+    expect(await run()).toEqual([]);
+    expect((await briefs().get(id)).kickoffReminder).toMatchObject({ status: "sent", attempts: 1, claimedAt: NOW.toISOString() });
+  });
+
+  it("retries a reminder whose send failed", async () => {
+    transport.send.mockRejectedValueOnce(new Error("SMTP timeout"));
+    const { id } = await briefs().insert({ ...validBrief, status: "new", createdAt: minutesAgo(72 * 60) });
+    expect((await run())[0].status).toBe("failed");
+    expect((await run())[0]).toMatchObject({ briefId: id, status: "sent" });
+    expect((await briefs().get(id)).kickoffReminder.attempts).toBe(2);
+  });
+
+  it("takes over a claim left behind by a run that died", async () => {
+    const old = minutesAgo(72 * 60);
+    const stuck = await briefs().insert({ ...validBrief, status: "new", createdAt: old, kickoffReminder: { status: "sending", attempts: 1, claimedAt: minutesAgo(60) } });
+    await briefs().insert({ ...validBrief, status: "new", createdAt: old, kickoffReminder: { status: "sending", attempts: 1, claimedAt: minutesAgo(1) } });
+    await briefs().insert({ ...validBrief, status: "new", createdAt: old, kickoffReminder: { status: "sending", attempts: 3, claimedAt: minutesAgo(60) } });
+
+    expect(await run()).toEqual([{ briefId: stuck.id, kind: "reminder", status: "sent" }]);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { normalizePayload } from "../../lib/brief";
+import { activeSteps, localizeStep, stepIndexOfField, summarize } from "../../lib/schema";
+import { validBrief } from "../helpers/brief";
+
+const ids = (values, context) => activeSteps(values, context).map((s) => s.id);
+
+describe("activeSteps", () => {
+  it("skips every optional branch on the shortest path", () => {
+    expect(ids(validBrief)).toEqual(["contact", "vision", "scope", "timeline", "plan", "review", "confirm"]);
+  });
+
+  it("adds payments when Stripe is an integration", () => {
+    expect(ids({ ...validBrief, integrations: "stripe, HubSpot" })).toContain("payments");
+  });
+
+  it("adds branding when no assets were shared", () => {
+    expect(ids({ ...validBrief, assets: "" })).toContain("branding");
+    expect(ids({ ...validBrief, assets: "", assetFiles: [{ id: "up_1" }] })).not.toContain("branding");
+  });
+
+  it("adds growth for the Pro plan", () => {
+    expect(ids({ ...validBrief, plan: "pro" })).toContain("growth");
+  });
+
+  it("adds checkout only once the server asks for payment", () => {
+    expect(ids(validBrief)).not.toContain("checkout");
+    expect(ids(validBrief, { checkout: { plan: "standard" } })).toContain("checkout");
+  });
+});
+
+describe("stepIndexOfField", () => {
+  it("finds the step a field is asked on, or -1 when it's skipped", () => {
+    expect(stepIndexOfField("email", validBrief)).toBe(0);
+    expect(stepIndexOfField("paymentProducts", validBrief)).toBe(-1);
+  });
+});
+
+describe("summarize", () => {
+  it("groups answers into review cards with option labels", () => {
+    const cards = summarize(normalizePayload(validBrief));
+    const contact = cards.find((c) => c.title === "Contact");
+    expect(contact.items).toMatchObject({ Name: "Jane Founder", Email: "jane@demo.co", Language: "English" });
+  });
+
+  it("translates titles and labels", () => {
+    const [contact] = summarize({ ...validBrief, locale: "es" }, "es");
+    expect(contact.items).toMatchObject({ Nombre: "Jane Founder", Idioma: "Español" });
+    expect(localizeStep(activeSteps(validBrief)[0], "es").title).not.toBe("Contact");
+  });
+});
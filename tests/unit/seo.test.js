@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { brandById, DEFAULT_BRAND } from "../../lib/brand";
+import { jsonLd, landingMeta, landingStructuredData, landingUrl, robotsTxt, sitemapXml } from "../../lib/seo";
+
+const studios = brandById("studios");
+
+describe("landing URLs", () => {
+  it("puts each brand on its own origin, per locale", () => {
+    expect(landingUrl(DEFAULT_BRAND)).toBe("https://blossom.launch/");
+    expect(landingUrl(DEFAULT_BRAND, "es")).toBe("https://blossom.launch/es");
+    expect(landingUrl(studios, "es")).toBe("https://studios.blossom.launch/es");
+  });
+
+  it("falls back to /for/<id> for brands without a host", () => {
+    const popup = { ...studios, id: "popup", hosts: [] };
+    expect(landingUrl(popup, "es")).toBe("https://blossom.launch/es/for/popup");
+    expect(landingUrl({ ...popup, url: "https://popup.example/" })).toBe("https://popup.example/");
+  });
+});
+
+describe("metadata", () => {
+  it("uses the brand's copy and links every locale", () => {
+    const meta = landingMeta(studios, "es");
+    expect(meta.title).toBe(studios.copy.es.meta.title);
+    expect(meta.description).toContain("estudio");
+    expect(meta.alternates.map((a) => a.hrefLang)).toEqual(["en", "es", "x-default"]);
+    expect(meta.image.url).toBe("https://studios.blossom.launch/api/og?brand=studios&locale=es");
+    expect(meta.ogLocale).toBe("es_ES");
+  });
+});
+
+describe("structured data", () => {
+  it("offers each plan at the brand's prices", () => {
+    const [org, service] = landingStructuredData(DEFAULT_BRAND)["@graph"];
+    expect(org).toMatchObject({ "@type": "Organization", name: "Blossom.Launch", logo: "https://blossom.launch/Blossom_Logo_1.png" });
+    expect(service.provider["@id"]).toBe(org["@id"]);
+    const [pilot, standard, pro] = service.offers;
+    // Pilot waives the setup fee, so it starts at the first month
+    expect(pilot).toMatchObject({ price: "100.00", priceCurrency: "USD", availability: "https://schema.org/LimitedAvailability" });
+    expect(pilot.priceSpecification).toHaveLength(1);
+    expect(standard.price).toBe("2000.00");
+    expect(standard.priceSpecification.map((p) => p.price)).toEqual(["2000.00", "100.00"]);
+    expect(standard.priceSpecification[1]).toMatchObject({ unitCode: "MON" });
+    expect(pro).toMatchObject({ price: "500.00" });
+
+    const offers = landingStructuredData(studios)["@graph"][1].offers;
+    expect(offers.map((o) => o.price)).toEqual(["1500.00", "450.00"]);
+  });
+
+  it("can't break out of its script tag", () => {
+    expect(jsonLd({ name: "</script><script>alert(1)</script>" })).not.toContain("</script>");
+  });
+});
+
+describe("sitemap and robots", () => {
+  it("lists the brand's landing pages with hreflang alternates", () => {
+    const xml = sitemapXml(studios);
+    expect(xml.match(/<loc>/g)).toHaveLength(2);
+    expect(xml).toContain("<loc>https://studios.blossom.launch/es</loc>");
+    expect(xml).toContain('hreflang="en" href="https://studios.blossom.launch/"');
+    expect(xml).not.toContain("blossom.launch/for/");
+  });
+
+  it("keeps crawlers out of admin, API and client links but not the share card", () => {
+    const txt = robotsTxt(DEFAULT_BRAND);
+    expect(txt).toContain("Allow: /api/og\n");
+    expect(txt).toContain("Disallow: /api/\n");
+    expect(txt).toContain("Disallow: /es/portal/\n");
+    expect(txt).toContain("Sitemap: https://blossom.launch/sitemap.xml");
+  });
+});
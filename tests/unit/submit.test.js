@@ -0,0 +1,155 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { deliverQueued, SUBMIT_ENDPOINT, submitBrief } from "../../lib/submit";
+import { validBrief } from "../helpers/brief";
+
+// Queued briefs land in a stand-in outbox; lib/outbox.js has its own tests
+const outbox = vi.hoisted(() => ({ add: null }));
+vi.mock("../../lib/outbox", async (importOriginal) => ({
+  ...(await importOriginal()),
+  createOutbox: () => outbox,
+}));
+
+const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+describe("submitBrief", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    outbox.add = vi.fn(async (body) => ({ id: "out_1", body, status: "pending" }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it("POSTs the normalized brief as JSON", async () => {
+    fetchMock.mockResolvedValue(json(201, { ok: true, id: "brief_1", checkout: null }));
+    await submitBrief({ ...validBrief, extra: "dropped" });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(SUBMIT_ENDPOINT);
+    expect(init.method).toBe("POST");
+    expect(init.headers["Content-Type"]).toBe("application/json");
+    const body = JSON.parse(init.body);
+    expect(body.name).toBe("Jane Founder");
+    expect(body).not.toHaveProperty("extra");
+    expect(body).not.toHaveProperty("_guard");
+  });
+
+  it("sends the form guard fields when given", async () => {
+    fetchMock.mockResolvedValue(json(201, { ok: true, id: "brief_1" }));
+    await submitBrief(validBrief, SUBMIT_ENDPOINT, { token: "tok", nonce: 7, website: "" });
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)._guard).toEqual({ token: "tok", nonce: 7, website: "" });
+  });
+
+  it("reports the stored id, checkout charges and portal token", async () => {
+    const checkout = { plan: "standard", currency: "usd", setupFee: 50000, recurring: { amount: 15000, interval: "month" } };
+    fetchMock.mockResolvedValue(json(201, { ok: true, id: "brief_1", checkout, portal: "ptl" }));
+    await expect(submitBrief(validBrief)).resolves.toEqual({ ok: true, mode: "server", id: "brief_1", checkout, portal: "ptl" });
+  });
+
+  it.each([404, 405, 501, 503])("queues the brief in the outbox on HTTP %i", async (status) => {
+    fetchMock.mockResolvedValue(new Response("nope", { status }));
+    const result = await submitBrief(validBrief, "/__invalid__", { token: "tok", nonce: 7, website: "" });
+
+    expect(result).toEqual({ ok: true, mode: "queued", outboxId: "out_1" });
+    const [body] = outbox.add.mock.calls[0];
+    expect(body).toMatchObject({ endpoint: "/__invalid__", website: "", token: "tok" });
+    expect(body.brief.name).toBe("Jane Founder");
+    expect(body.brief).not.toHaveProperty("_guard");
+  });
+
+  it("queues the brief on a network error", async () => {
+    fetchMock.mockRejectedValue(new TypeError("Failed to fetch"));
+    await expect(submitBrief(validBrief)).resolves.toEqual({ ok: true, mode: "queued", outboxId: "out_1" });
+  });
+
+  it("reports the error when the outbox can't store the brief", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    fetchMock.mockRejectedValue(new TypeError("Failed to fetch"));
+    outbox.add.mockRejectedValueOnce(new Error("QuotaExceededError"));
+    await expect(submitBrief(validBrief)).resolves.toEqual({ ok: false, error: "Failed to fetch" });
+  });
+
+  it("passes per-field validation errors through", async () => {
+    fetchMock.mockResolvedValue(json(422, { ok: false, error: "Please fix the highlighted fields.", fields: { email: "Enter a valid email address." } }));
+    await expect(submitBrief(validBrief)).resolves.toEqual({
+      ok: false,
+      error: "Please fix the highlighted fields.",
+      fields: { email: "Enter a valid email address." },
+    });
+  });
+
+  it("surfaces spam-check and rate-limit codes", async () => {
+    fetchMock.mockResolvedValue(json(429, { ok: false, error: "Too many briefs from this network.", code: "rate-ip" }));
+    await expect(submitBrief(validBrief)).resolves.toEqual({ ok: false, error: "Too many briefs from this network.", code: "rate-ip" });
+    expect(outbox.add).not.toHaveBeenCalled();
+  });
+
+  it("surfaces other client errors without queuing", async () => {
+    fetchMock.mockResolvedValue(new Response("too big", { status: 413 }));
+    await expect(submitBrief(validBrief)).resolves.toEqual({ ok: false, error: "HTTP 413: too big" });
+    expect(outbox.add).not.toHaveBeenCalled();
+  });
+
+  it("sends nothing in mock mode", async () => {
+    vi.useFakeTimers();
+    vi.resetModules();
+    vi.doMock("../../config/site", () => ({ default: { submitMode: "mock", briefEndpoint: "/api/brief" } }));
+    const { submitBrief: submitMock } = await import("../../lib/submit");
+
+    const result = submitMock(validBrief);
+    await vi.runAllTimersAsync();
+    await expect(result).resolves.toEqual({ ok: true, mode: "mock" });
+    expect(fetchMock).not.toHaveBeenCalled();
+    vi.doUnmock("../../config/site");
+  });
+});
+
+describe("deliverQueued", () => {
+  const queued = { body: { endpoint: "/api/brief", brief: { ...validBrief }, website: "", token: "old" } };
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn(async (url) => (String(url).includes("/challenge") ? json(200, { token: "fresh" }) : json(201, { ok: true, id: "brief_9" })));
+    vi.stubGlobal("fetch", fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("renews the form token and posts the brief", async () => {
+    await expect(deliverQueued(queued)).resolves.toEqual({ status: "sent", result: { ok: true, mode: "server", id: "brief_9", checkout: null, portal: null } });
+    expect(fetchMock.mock.calls[0][0]).toBe("/api/brief/challenge?renew=old");
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body)._guard).toEqual({ token: "fresh", website: "" });
+  });
+
+  it("retries while the server is unreachable", async () => {
+    fetchMock.mockRejectedValue(new TypeError("Failed to fetch"));
+    await expect(deliverQueued(queued)).resolves.toMatchObject({ status: "retry" });
+  });
+
+  it("honours Retry-After on a rate limit", async () => {
+    fetchMock.mockImplementation(async (url) =>
+      String(url).includes("/challenge")
+        ? json(200, { token: "fresh" })
+        : new Response(JSON.stringify({ error: "Slow down", code: "rate-ip" }), { status: 429, headers: { "Retry-After": "60" } }),
+    );
+    await expect(deliverQueued(queued)).resolves.toEqual({ status: "retry", error: "Slow down", retryAfterMs: 60000 });
+  });
+
+  it("counts a duplicate as delivered", async () => {
+    fetchMock.mockImplementation(async (url) => (String(url).includes("/challenge") ? json(200, { token: "fresh" }) : json(409, { error: "Already got it", code: "duplicate" })));
+    await expect(deliverQueued(queued)).resolves.toMatchObject({ status: "sent", result: { duplicate: true } });
+  });
+
+  it("gives up when the server refuses the brief", async () => {
+    fetchMock.mockImplementation(async (url) => (String(url).includes("/challenge") ? json(200, { token: "fresh" }) : json(422, { error: "Please fix the highlighted fields.", fields: {} })));
+    await expect(deliverQueued(queued)).resolves.toEqual({ status: "failed", error: "Please fix the highlighted fields." });
+  });
+});
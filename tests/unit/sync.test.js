@@ -0,0 +1,68 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getStore } from "../../lib/store";
+import { resyncBriefs, syncBrief } from "../../lib/sync";
+import { validBrief } from "../helpers/brief";
+import { useTempStore } from "../helpers/http";
+
+const NOW = new Date("2026-03-02T12:00:00Z");
+const hoursAgo = (h) => new Date(NOW.getTime() - h * 3600000).toISOString();
+
+const briefs = () => getStore().collection("briefs");
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+describe("CRM sync", () => {
+  let cleanup;
+  let fetchMock;
+
+  beforeEach(() => {
+    cleanup = useTempStore();
+    vi.stubEnv("HUBSPOT_TOKEN", "hs_test");
+    vi.stubEnv("NOTION_TOKEN", "");
+    vi.stubEnv("SYNC_BACKOFF_MS", "0");
+    fetchMock = vi.fn(async (url) => json({ id: url.includes("deals") ? "deal_1" : "contact_1" }));
+    vi.stubGlobal("fetch", fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+    cleanup();
+  });
+
+  it("makes a single attempt inline", async () => {
+    fetchMock.mockImplementation(async () => json({ message: "down" }, 503));
+    const { id } = await briefs().insert(validBrief);
+    const [hubspot] = await syncBrief(id, { inline: true });
+    expect(hubspot).toMatchObject({ provider: "hubspot", status: "failed" });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect((await briefs().get(id)).sync.hubspot).toMatchObject({ status: "failed", attempts: 1 });
+  });
+
+  it("retries the providers a recent brief is still owed", async () => {
+    const failed = await briefs().insert({ ...validBrief, createdAt: hoursAgo(1), sync: { hubspot: { status: "failed" }, notion: { status: "skipped" } } });
+    const lost = await briefs().insert({ ...validBrief, createdAt: hoursAgo(2) });
+
+    const results = await resyncBriefs({ now: NOW });
+    expect(results.map((r) => r.briefId).sort()).toEqual([failed.id, lost.id].sort());
+    expect((await briefs().get(failed.id)).sync).toMatchObject({ hubspot: { status: "ok", result: { contactId: "contact_1", dealId: "deal_1" } }, notion: { status: "skipped" } });
+    // A provider the lost brief never reached is synced for the first time
+    expect((await briefs().get(lost.id)).sync).toEqual({ hubspot: expect.objectContaining({ status: "ok" }) });
+  });
+
+  it("leaves synced, fresh, old and claimed briefs alone", async () => {
+    await briefs().insert({ ...validBrief, createdAt: hoursAgo(1), sync: { hubspot: { status: "ok" } } });
+    // Still inside its own request
+    await briefs().insert({ ...validBrief, createdAt: new Date(NOW.getTime() - 60000).toISOString() });
+    await briefs().insert({ ...validBrief, createdAt: hoursAgo(72), sync: { hubspot: { status: "failed" } } });
+    await briefs().insert({ ...validBrief, createdAt: hoursAgo(1), sync: { hubspot: { status: "retrying", claimedAt: hoursAgo(0.1) } } });
+
+    expect(await resyncBriefs({ now: NOW })).toEqual([]);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("takes over a claim whose run died", async () => {
+    const { id } = await briefs().insert({ ...validBrief, createdAt: hoursAgo(2), sync: { hubspot: { status: "retrying", claimedAt: hoursAgo(1) } } });
+    const [result] = await resyncBriefs({ now: NOW });
+    expect(result).toEqual({ briefId: id, results: [expect.objectContaining({ provider: "hubspot", status: "ok" })] });
+  });
+});
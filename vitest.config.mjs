@@ -0,0 +1,15 @@
+import { defineConfig } from "vitest/config";
+
+// Unit, component and API route tests (npm test). The browser flow in
+// tests/e2e runs under Playwright instead (npm run test:e2e).
+export default defineConfig({
+  // Components are JSX in .js files, as in the Next app
+  esbuild: { jsx: "automatic", loader: "jsx", include: /\.js$/, exclude: [] },
+  optimizeDeps: { esbuildOptions: { loader: { ".js": "jsx" } } },
+  test: {
+    include: ["tests/**/*.test.js"],
+    environment: "node",
+    setupFiles: ["tests/setup.js"],
+    restoreMocks: true,
+  },
+});